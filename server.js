@@ -1,6 +1,15 @@
 const express = require('express');
 const cors = require('cors');
 const { Sequelize, DataTypes } = require('sequelize');
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const multer = require('multer');
+const sharp = require('sharp');
+const nodemailer = require('nodemailer');
+const fs = require('fs');
+const path = require('path');
+const { AsyncLocalStorage, AsyncResource } = require('async_hooks');
 require('dotenv').config();
 
 const app = express();
@@ -10,7 +19,7 @@ app.use(cors({
   origin: true, // Reflect the request origin
   credentials: false,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Origin', 'X-Requested-With', 'Content-Type', 'Accept', 'Authorization'],
+  allowedHeaders: ['Origin', 'X-Requested-With', 'Content-Type', 'Accept', 'Authorization', 'X-Organization-Id', 'X-Tenant-Id'],
   preflightContinue: false,
   optionsSuccessStatus: 204
 }));
@@ -18,7 +27,13 @@ app.use(cors({
 // Handle OPTIONS requests explicitly
 app.options('*', cors());
 
-app.use(express.json({ limit: '50mb' }));
+// Keep the raw body around for webhook signature checks
+app.use(express.json({
+  limit: process.env.JSON_BODY_LIMIT || '1mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 
 // Request Logging Middleware
 app.use((req, res, next) => {
@@ -52,8 +67,280 @@ const sequelize = new Sequelize(process.env.DB_CONNECTION_STRING, {
   }
 });
 
+// File storage: photos and other uploads live outside the database. Every driver exposes
+// put/get/remove and a signedUrl that lets a client fetch the object without an access token.
+const FILE_CONTENT_TYPES = {
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  pdf: 'application/pdf'
+};
+const contentTypeForKey = (key) => FILE_CONTENT_TYPES[path.extname(key).slice(1).toLowerCase()] || 'application/octet-stream';
+
+// Local disk, served back through /api/files with an HMAC-signed expiring query string
+const createLocalStorage = ({ root, secret, baseUrl }) => {
+  const filePath = (key) => {
+    const resolved = path.resolve(root, key);
+    if (!resolved.startsWith(path.resolve(root) + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return resolved;
+  };
+  const signature = (key, expires) => crypto.createHmac('sha256', secret).update(`${key}:${expires}`).digest('hex');
+
+  return {
+    put: async (key, buffer) => {
+      const file = filePath(key);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(file, buffer);
+    },
+    get: (key) => fs.promises.readFile(filePath(key)),
+    remove: async (key) => {
+      await fs.promises.rm(filePath(key), { force: true });
+    },
+    signedUrl: (key, expiresIn) => {
+      const expires = Math.floor(Date.now() / 1000) + expiresIn;
+      const encodedKey = key.split('/').map(encodeURIComponent).join('/');
+      return `${baseUrl}/api/files/${encodedKey}?expires=${expires}&signature=${signature(key, expires)}`;
+    },
+    verify: (key, expires, given) => {
+      const expected = signature(key, expires);
+      return Number(expires) >= Date.now() / 1000 && typeof given === 'string' && given.length === expected.length &&
+        crypto.timingSafeEqual(Buffer.from(given), Buffer.from(expected));
+    }
+  };
+};
+
+// S3 or any S3-compatible service (MinIO, R2, ...) using AWS Signature Version 4
+const createS3Storage = ({ endpoint, region, bucket, accessKeyId, secretAccessKey, forcePathStyle }) => {
+  const base = new URL(endpoint || `https://s3.${region}.amazonaws.com`);
+  const encode = (value) => encodeURIComponent(value).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+  const objectUrl = (key) => {
+    const encodedKey = key.split('/').map(encode).join('/');
+    return forcePathStyle
+      ? new URL(`${base.origin}/${bucket}/${encodedKey}`)
+      : new URL(`${base.protocol}//${bucket}.${base.host}/${encodedKey}`);
+  };
+  const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+  const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+  const sign = (method, url, query, headers, payloadHash, now) => {
+    const datetime = now.toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const date = datetime.slice(0, 8);
+    const scope = `${date}/${region}/s3/aws4_request`;
+    const signedQuery = { ...query };
+    const names = Object.keys(headers).map(name => name.toLowerCase()).sort();
+    const signedHeaders = names.join(';');
+    if (signedQuery['X-Amz-Algorithm']) {
+      Object.assign(signedQuery, {
+        'X-Amz-Credential': `${accessKeyId}/${scope}`,
+        'X-Amz-Date': datetime,
+        'X-Amz-SignedHeaders': signedHeaders
+      });
+    }
+    const canonicalQuery = Object.keys(signedQuery).sort()
+      .map(name => `${encode(name)}=${encode(signedQuery[name])}`).join('&');
+    const lowerHeaders = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+    const canonicalRequest = [
+      method,
+      url.pathname,
+      canonicalQuery,
+      names.map(name => `${name}:${String(lowerHeaders[name]).trim()}\n`).join(''),
+      signedHeaders,
+      payloadHash
+    ].join('\n');
+    const stringToSign = ['AWS4-HMAC-SHA256', datetime, scope, sha256(canonicalRequest)].join('\n');
+    const signingKey = hmac(hmac(hmac(hmac(`AWS4${secretAccessKey}`, date), region), 's3'), 'aws4_request');
+    return {
+      datetime,
+      scope,
+      signedHeaders,
+      canonicalQuery,
+      signature: hmac(signingKey, stringToSign).toString('hex')
+    };
+  };
+
+  const request = async (method, key, body, contentType) => {
+    const url = objectUrl(key);
+    const payloadHash = sha256(body || '');
+    const now = new Date();
+    const headers = {
+      host: url.host,
+      'x-amz-content-sha256': payloadHash,
+      'x-amz-date': now.toISOString().replace(/[:-]|\.\d{3}/g, '')
+    };
+    if (contentType) {
+      headers['content-type'] = contentType;
+    }
+    const { scope, signedHeaders, signature } = sign(method, url, {}, headers, payloadHash, now);
+    const { host, ...sent } = headers;
+    const response = await fetch(url, {
+      method,
+      body,
+      headers: {
+        ...sent,
+        authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+      }
+    });
+    if (!response.ok && !(method === 'DELETE' && response.status === 404)) {
+      throw new Error(`Storage ${method} ${key} failed with ${response.status}: ${await response.text()}`);
+    }
+    return response;
+  };
+
+  return {
+    put: async (key, buffer, contentType) => {
+      await request('PUT', key, buffer, contentType);
+    },
+    get: async (key) => Buffer.from(await (await request('GET', key)).arrayBuffer()),
+    remove: async (key) => {
+      await request('DELETE', key);
+    },
+    signedUrl: (key, expiresIn) => {
+      const url = objectUrl(key);
+      const { canonicalQuery, signature } = sign('GET', url, {
+        'X-Amz-Algorithm': 'AWS4-HMAC-SHA256',
+        'X-Amz-Expires': String(expiresIn)
+      }, { host: url.host }, 'UNSIGNED-PAYLOAD', new Date());
+      return `${url.origin}${url.pathname}?${canonicalQuery}&X-Amz-Signature=${signature}`;
+    }
+  };
+};
+
+const FILE_URL_TTL_SECONDS = parseInt(process.env.FILE_URL_TTL_SECONDS, 10) || 3600;
+const storage = process.env.STORAGE_DRIVER === 's3'
+  ? createS3Storage({
+    endpoint: process.env.S3_ENDPOINT,
+    region: process.env.S3_REGION || 'us-east-1',
+    bucket: process.env.S3_BUCKET,
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true'
+  })
+  : createLocalStorage({
+    root: process.env.STORAGE_LOCAL_PATH || path.join(__dirname, 'uploads'),
+    secret: process.env.FILE_URL_SECRET || process.env.JWT_SECRET || crypto.randomBytes(32).toString('hex'),
+    baseUrl: (process.env.PUBLIC_URL || '').replace(/\/$/, '')
+  });
+
+// Objects are only removed once the rows pointing at them are gone for good
+const removeStoredFiles = (keys, transaction) => {
+  const remove = () => Promise.all(keys.map(key => storage.remove(key).catch(error => {
+    console.error(`Error removing stored file ${key}:`, error);
+  })));
+  return transaction ? transaction.afterCommit(remove) : remove();
+};
+
+// Multer rejects oversized or surplus files with a MulterError; report those as bad requests
+// (multer calls back from busboy's stream events, so the callback is bound back to the request's async context)
+const acceptUploads = (upload) => (req, res, next) => {
+  upload(req, res, AsyncResource.bind((error) => {
+    if (error instanceof multer.MulterError) {
+      return res.status(400).json({ error: error.message });
+    }
+    next(error);
+  }));
+};
+
+// Notification transports: how a rendered message leaves the app. Like storage, the driver is picked
+// by environment and every transport exposes send({ to, subject, text, sensitive }), resolving to the
+// provider's message id when it has one. Sensitive messages carry sign-in links.
+const createSmtpTransport = ({ host, port, secure, user, pass, from }) => {
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined
+  });
+  return {
+    send: async ({ to, subject, text }) => (await transporter.sendMail({ from, to, subject, text })).messageId
+  };
+};
+
+// Twilio's Messages API; TWILIO_API_URL points it at a local stub in development
+const createTwilioTransport = ({ apiUrl, accountSid, authToken, from }) => ({
+  send: async ({ to, text }) => {
+    const response = await fetch(`${apiUrl}/2010-04-01/Accounts/${accountSid}/Messages.json`, {
+      method: 'POST',
+      headers: {
+        authorization: `Basic ${Buffer.from(`${accountSid}:${authToken}`).toString('base64')}`,
+        'content-type': 'application/x-www-form-urlencoded'
+      },
+      body: new URLSearchParams({ To: to, From: from, Body: text })
+    });
+    if (!response.ok) {
+      throw new Error(`SMS to ${to} failed with ${response.status}: ${await response.text()}`);
+    }
+    return (await response.json()).sid;
+  }
+});
+
+// The server log is no place for sign-in links, so sensitive bodies are left out
+const createConsoleTransport = (channel) => ({
+  send: async ({ to, subject, text, sensitive }) => {
+    const body = sensitive ? '(body withheld: it contains a sign-in link; set a real transport to deliver it)' : text;
+    console.log(`[${new Date().toISOString()}] ${channel} to ${to}${subject ? `: ${subject}` : ''}\n${body}`);
+    return null;
+  }
+});
+
+// Appends one JSON line per message to <dir>/<channel>.jsonl
+const createFileTransport = (channel, dir) => ({
+  send: async (message) => {
+    await fs.promises.mkdir(dir, { recursive: true });
+    await fs.promises.appendFile(path.join(dir, `${channel}.jsonl`), `${JSON.stringify({ ...message, at: new Date() })}\n`);
+    return null;
+  }
+});
+
+const NOTIFICATION_OUTBOX_PATH = process.env.NOTIFICATION_OUTBOX_PATH || path.join(__dirname, 'outbox');
+const createNotificationTransport = (channel, driver) => {
+  switch (driver) {
+    case 'smtp':
+      return createSmtpTransport({
+        host: process.env.SMTP_HOST || 'localhost',
+        port: parseInt(process.env.SMTP_PORT, 10) || 1025,
+        secure: process.env.SMTP_SECURE === 'true',
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS,
+        from: process.env.MAIL_FROM || 'no-reply@localhost'
+      });
+    case 'twilio':
+      return createTwilioTransport({
+        apiUrl: (process.env.TWILIO_API_URL || 'https://api.twilio.com').replace(/\/$/, ''),
+        accountSid: process.env.TWILIO_ACCOUNT_SID,
+        authToken: process.env.TWILIO_AUTH_TOKEN,
+        from: process.env.TWILIO_FROM
+      });
+    case 'file':
+      return createFileTransport(channel, NOTIFICATION_OUTBOX_PATH);
+    default:
+      return createConsoleTransport(channel);
+  }
+};
+
+const notificationTransports = {
+  email: createNotificationTransport('email', process.env.EMAIL_TRANSPORT),
+  sms: createNotificationTransport('sms', process.env.SMS_TRANSPORT)
+};
+
 // Define Models
+const Organization = sequelize.define('Organization', {
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  // The organization is the Stripe customer billed for its subscription
+  stripe_customer_id: DataTypes.STRING
+});
+
 const Property = sequelize.define('Property', {
+  organization_id: {
+    type: DataTypes.INTEGER,
+    references: { model: 'Organizations', key: 'id' }
+  },
   name: DataTypes.STRING,
   property_type: {
     type: DataTypes.STRING,
@@ -65,6 +352,9 @@ const Property = sequelize.define('Property', {
   },
   value: DataTypes.FLOAT,
   owner_id: DataTypes.INTEGER
+}, {
+  // Deleting only archives; leases, charges and transactions keep pointing at the row
+  paranoid: true
 });
 
 const PropertyAddress = sequelize.define('PropertyAddress', {
@@ -80,6 +370,8 @@ const PropertyAddress = sequelize.define('PropertyAddress', {
     type: DataTypes.BOOLEAN,
     defaultValue: false
   }
+}, {
+  paranoid: true
 });
 
 const Unit = sequelize.define('Unit', {
@@ -90,1063 +382,11398 @@ const Unit = sequelize.define('Unit', {
   unit_number: DataTypes.STRING,
   rent_amount: DataTypes.FLOAT,
   status: DataTypes.STRING
+}, {
+  paranoid: true
 });
 
 const Tenant = sequelize.define('Tenant', {
+  organization_id: {
+    type: DataTypes.INTEGER,
+    references: { model: 'Organizations', key: 'id' }
+  },
   name: DataTypes.STRING,
   email: DataTypes.STRING,
   phone: DataTypes.STRING,
   unit_id: { type: DataTypes.INTEGER, references: { model: 'Units', key: 'id' } },
   lease_start_date: DataTypes.DATE,
   lease_end_date: DataTypes.DATE,
-  rent: DataTypes.FLOAT
+  rent: DataTypes.FLOAT,
+  // Login the tenant uses for the tenant portal
+  user_id: DataTypes.INTEGER
+}, {
+  paranoid: true
+});
+
+// Define Lease model (a unit's lease with one or more tenants; renewals chain via previous_lease_id)
+const LEASE_STATUSES = ['draft', 'active', 'ended', 'renewed'];
+
+const Lease = sequelize.define('Lease', {
+  organization_id: {
+    type: DataTypes.INTEGER,
+    references: { model: 'Organizations', key: 'id' }
+  },
+  unit_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: { model: 'Units', key: 'id' }
+  },
+  start_date: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+  end_date: DataTypes.DATEONLY,
+  rent: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false
+  },
+  deposit: {
+    type: DataTypes.DECIMAL(10, 2),
+    defaultValue: 0
+  },
+  rent_due_day: {
+    type: DataTypes.INTEGER,
+    defaultValue: 1,
+    validate: { min: 1, max: 28 }
+  },
+  status: {
+    type: DataTypes.STRING,
+    defaultValue: 'draft',
+    validate: { isIn: [LEASE_STATUSES] }
+  },
+  previous_lease_id: {
+    type: DataTypes.INTEGER,
+    references: { model: 'Leases', key: 'id' }
+  },
+  terminated_at: DataTypes.DATE,
+  termination_reason: DataTypes.STRING
+});
+
+// Define LeaseTenant junction model (the tenants named on a lease)
+const LeaseTenant = sequelize.define('LeaseTenant', {
+  lease_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: { model: 'Leases', key: 'id' }
+  },
+  tenant_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: { model: 'Tenants', key: 'id' }
+  },
+  is_primary: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false
+  }
 });
 
 const Owner = sequelize.define('Owner', {
+  organization_id: {
+    type: DataTypes.INTEGER,
+    references: { model: 'Organizations', key: 'id' }
+  },
   name: DataTypes.STRING,
   email: DataTypes.STRING,
   phone: DataTypes.STRING,
   property_id: { type: DataTypes.INTEGER, references: { model: 'Properties', key: 'id' } }
 });
 
+// Contractors and suppliers the organization pays
+const Vendor = sequelize.define('Vendor', {
+  organization_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: { model: 'Organizations', key: 'id' }
+  },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  trade: DataTypes.STRING,
+  contact_name: DataTypes.STRING,
+  email: DataTypes.STRING,
+  phone: DataTypes.STRING,
+  address: DataTypes.STRING,
+  city: DataTypes.STRING,
+  state: DataTypes.STRING,
+  zip: DataTypes.STRING,
+  tax_id: DataTypes.STRING,
+  tax_id_type: {
+    type: DataTypes.STRING,
+    validate: { isIn: [['ein', 'ssn']] }
+  },
+  w9_on_file: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false
+  },
+  w9_received_on: DataTypes.DATEONLY,
+  insurance_provider: DataTypes.STRING,
+  insurance_policy_number: DataTypes.STRING,
+  insurance_expires_on: DataTypes.DATEONLY,
+  // Payments to corporations are generally not reported on a 1099-NEC
+  is_1099_eligible: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  },
+  is_active: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  },
+  notes: DataTypes.TEXT,
+  // missing, expired, expiring (within 30 days) or current
+  insurance_status: {
+    type: DataTypes.VIRTUAL,
+    get() {
+      const expires = this.getDataValue('insurance_expires_on');
+      if (!expires) return 'missing';
+      const today = new Date().toISOString().slice(0, 10);
+      if (expires < today) return 'expired';
+      return new Date(`${expires}T00:00:00.000Z`) - new Date(`${today}T00:00:00.000Z`) <= 30 * 24 * 60 * 60 * 1000 ? 'expiring' : 'current';
+    }
+  }
+});
+
+// Months between regular assessments
+const ASSESSMENT_FREQUENCIES = { monthly: 1, quarterly: 3, annually: 12 };
+// Days past due at which a delinquent unit reaches each reminder stage
+const DEFAULT_DELINQUENCY_STAGES = [
+  { stage: 'reminder', days: 15 },
+  { stage: 'late_notice', days: 30 },
+  { stage: 'final_notice', days: 60 },
+  { stage: 'collections', days: 90 }
+];
+
 const Association = sequelize.define('Association', {
   name: DataTypes.STRING,
   contact_info: DataTypes.STRING,
   fee: DataTypes.FLOAT,
   due_date: DataTypes.DATE,
-  property_id: { type: DataTypes.INTEGER, references: { model: 'Properties', key: 'id' } }
+  property_id: { type: DataTypes.INTEGER, references: { model: 'Properties', key: 'id' } },
+  // Regular dues charged to every unit of the property, starting with assessment_start_date's month
+  assessment_amount: DataTypes.DECIMAL(10, 2),
+  assessment_frequency: {
+    type: DataTypes.STRING,
+    defaultValue: 'monthly',
+    validate: { isIn: [Object.keys(ASSESSMENT_FREQUENCIES)] }
+  },
+  assessment_due_day: {
+    type: DataTypes.INTEGER,
+    defaultValue: 1
+  },
+  assessment_start_date: DataTypes.DATEONLY,
+  // [{ stage, days }] ordered by days; DEFAULT_DELINQUENCY_STAGES when empty
+  delinquency_stages: DataTypes.JSON
 });
 
 const BoardMember = sequelize.define('BoardMember', {
   name: DataTypes.STRING,
   email: DataTypes.STRING,
   phone: DataTypes.STRING,
-  association_id: { type: DataTypes.INTEGER, references: { model: 'Associations', key: 'id' } }
+  association_id: { type: DataTypes.INTEGER, references: { model: 'Associations', key: 'id' } },
+  // Officer position, e.g. president or secretary
+  title: DataTypes.STRING,
+  // Login of the member, so they can vote and sign minutes themselves
+  user_id: DataTypes.INTEGER,
+  is_active: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  }
 });
 
-const AccountType = sequelize.define('AccountType', {
-  name: {
+// Board meetings with their agenda, attendance, minutes and the motions voted on
+const MEETING_TYPES = ['regular', 'special', 'annual'];
+const MEETING_STATUSES = ['scheduled', 'held', 'cancelled'];
+const VOTES = ['yes', 'no', 'abstain'];
+// Share of yes votes among yes and no votes a motion needs to pass; abstentions count toward quorum only
+const MOTION_THRESHOLDS = {
+  majority: (yes, no) => yes > no,
+  two_thirds: (yes, no) => yes > 0 && yes * 3 >= (yes + no) * 2,
+  unanimous: (yes, no) => yes > 0 && no === 0
+};
+const MOTION_STATUSES = ['pending', 'open', 'passed', 'failed', 'no_quorum', 'withdrawn'];
+
+const BoardMeeting = sequelize.define('BoardMeeting', {
+  association_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: { model: 'Associations', key: 'id' }
+  },
+  title: {
     type: DataTypes.STRING,
     allowNull: false
   },
-  description: {
-    type: DataTypes.STRING
-  }
+  meeting_type: {
+    type: DataTypes.STRING,
+    defaultValue: 'regular',
+    validate: { isIn: [MEETING_TYPES] }
+  },
+  scheduled_at: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  location: DataTypes.STRING,
+  status: {
+    type: DataTypes.STRING,
+    defaultValue: 'scheduled',
+    validate: { isIn: [MEETING_STATUSES] }
+  },
+  minutes: DataTypes.TEXT
 });
 
-const Account = sequelize.define('Account', {
-  name: {
+const AgendaItem = sequelize.define('AgendaItem', {
+  meeting_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: { model: 'BoardMeetings', key: 'id' }
+  },
+  position: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  title: {
     type: DataTypes.STRING,
     allowNull: false
   },
-  accountTypeId: {
+  description: DataTypes.TEXT
+});
+
+const MeetingAttendance = sequelize.define('MeetingAttendance', {
+  meeting_id: {
     type: DataTypes.INTEGER,
-    allowNull: false
+    allowNull: false,
+    references: { model: 'BoardMeetings', key: 'id' }
+  },
+  board_member_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: { model: 'BoardMembers', key: 'id' }
+  },
+  present: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
   }
+}, {
+  indexes: [{ unique: true, fields: ['meeting_id', 'board_member_id'] }]
 });
 
-const Transaction = sequelize.define('Transaction', {
-  date: {
-    type: DataTypes.DATE,
+// A motion is voted on at a meeting or, without one, by the board between meetings. Votes are
+// accepted while the motion is open and inside its voting window; quorum is the number of members
+// who must vote (abstaining counts) for the result to stand.
+const Motion = sequelize.define('Motion', {
+  association_id: {
+    type: DataTypes.INTEGER,
     allowNull: false,
-    defaultValue: DataTypes.NOW
+    references: { model: 'Associations', key: 'id' }
   },
-  description: {
+  meeting_id: {
+    type: DataTypes.INTEGER,
+    references: { model: 'BoardMeetings', key: 'id' }
+  },
+  agenda_item_id: {
+    type: DataTypes.INTEGER,
+    references: { model: 'AgendaItems', key: 'id' }
+  },
+  title: {
     type: DataTypes.STRING,
     allowNull: false
   },
-  amount: {
-    type: DataTypes.DECIMAL(10, 2),
-    allowNull: false
+  description: DataTypes.TEXT,
+  moved_by: {
+    type: DataTypes.INTEGER,
+    references: { model: 'BoardMembers', key: 'id' }
   },
-  accountId: {
+  seconded_by: {
     type: DataTypes.INTEGER,
-    allowNull: false
+    references: { model: 'BoardMembers', key: 'id' }
   },
-  propertyId: {
+  quorum: {
     type: DataTypes.INTEGER,
     allowNull: false
-  }
-});
-
-const Payment = sequelize.define('Payment', {
-  tenant_id: { type: DataTypes.INTEGER, references: { model: 'Tenants', key: 'id' } },
-  amount: DataTypes.FLOAT,
-  date: DataTypes.DATE,
-  status: DataTypes.STRING
-});
-
-// Define Maintenance model
-const Maintenance = sequelize.define('Maintenance', {
-  title: DataTypes.STRING,
-  description: DataTypes.TEXT,
-  priority: {
+  },
+  threshold: {
     type: DataTypes.STRING,
-    defaultValue: 'medium'
+    defaultValue: 'majority',
+    validate: { isIn: [Object.keys(MOTION_THRESHOLDS)] }
   },
   status: {
     type: DataTypes.STRING,
-    defaultValue: 'open'
+    defaultValue: 'pending',
+    validate: { isIn: [MOTION_STATUSES] }
   },
-  property_id: { 
+  voting_opens_at: DataTypes.DATE,
+  voting_closes_at: DataTypes.DATE,
+  // Recorded when the vote is closed
+  yes_count: DataTypes.INTEGER,
+  no_count: DataTypes.INTEGER,
+  abstain_count: DataTypes.INTEGER,
+  decided_at: DataTypes.DATE
+});
+
+const MotionVote = sequelize.define('MotionVote', {
+  motion_id: {
     type: DataTypes.INTEGER,
-    references: { model: 'Properties', key: 'id' }
+    allowNull: false,
+    references: { model: 'Motions', key: 'id' }
   },
-  unit_id: { 
+  board_member_id: {
     type: DataTypes.INTEGER,
-    references: { model: 'Units', key: 'id' }
+    allowNull: false,
+    references: { model: 'BoardMembers', key: 'id' }
   },
-  reported_by: DataTypes.STRING,
-  assigned_to: DataTypes.STRING,
-  due_date: DataTypes.DATE
+  vote: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    validate: { isIn: [VOTES] }
+  },
+  // Staff member who entered the vote on the board member's behalf, if not the member themselves
+  recorded_by: DataTypes.INTEGER
+}, {
+  indexes: [{ unique: true, fields: ['motion_id', 'board_member_id'] }]
 });
 
-// Define Photo model
-const Photo = sequelize.define('Photo', {
-  property_id: { 
+// A board member's signature on the minutes, with a digest of the minutes packet it was given for
+const MinutesSignature = sequelize.define('MinutesSignature', {
+  meeting_id: {
     type: DataTypes.INTEGER,
-    references: { model: 'Properties', key: 'id' }
+    allowNull: false,
+    references: { model: 'BoardMeetings', key: 'id' }
   },
-  unit_id: { 
+  board_member_id: {
     type: DataTypes.INTEGER,
-    references: { model: 'Units', key: 'id' }
+    allowNull: false,
+    references: { model: 'BoardMembers', key: 'id' }
   },
-  name: {
+  digest: {
     type: DataTypes.STRING,
     allowNull: false
   },
-  url: {
-    type: DataTypes.TEXT('long'),
+  signed_at: {
+    type: DataTypes.DATE,
     allowNull: false
   },
-  is_main: {
+  recorded_by: DataTypes.INTEGER
+}, {
+  indexes: [{ unique: true, fields: ['meeting_id', 'board_member_id'] }]
+});
+
+// The owner of a unit in an association. Only one homeowner per unit is active at a time.
+const Homeowner = sequelize.define('Homeowner', {
+  association_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: { model: 'Associations', key: 'id' }
+  },
+  unit_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: { model: 'Units', key: 'id' }
+  },
+  name: DataTypes.STRING,
+  email: DataTypes.STRING,
+  phone: DataTypes.STRING,
+  mailing_address: DataTypes.STRING,
+  // Overrides the association's regular assessment for this unit
+  assessment_amount: DataTypes.DECIMAL(10, 2),
+  is_active: {
     type: DataTypes.BOOLEAN,
-    defaultValue: false
+    defaultValue: true
   }
 });
 
-// Define Subscription Plan model
-const SubscriptionPlan = sequelize.define('SubscriptionPlan', {
-  name: {
-    type: DataTypes.STRING,
-    allowNull: false
+const SpecialAssessment = sequelize.define('SpecialAssessment', {
+  association_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: { model: 'Associations', key: 'id' }
   },
   description: {
-    type: DataTypes.TEXT
+    type: DataTypes.STRING,
+    allowNull: false
   },
-  price: {
+  amount_per_unit: {
     type: DataTypes.DECIMAL(10, 2),
     allowNull: false
   },
-  billing_cycle: {
-    type: DataTypes.STRING,
-    defaultValue: 'monthly'
+  total_amount: DataTypes.DECIMAL(12, 2),
+  assess_date: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
   },
-  features: {
-    type: DataTypes.JSON
+  due_date: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
   }
 });
 
-// Define Subscription model
-const Subscription = sequelize.define('Subscription', {
-  user_id: {
+// What a unit owes the association: regular dues for a period or its share of a special assessment
+const Assessment = sequelize.define('Assessment', {
+  association_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: { model: 'Associations', key: 'id' }
+  },
+  unit_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: { model: 'Units', key: 'id' }
+  },
+  homeowner_id: {
+    type: DataTypes.INTEGER,
+    references: { model: 'Homeowners', key: 'id' }
+  },
+  special_assessment_id: {
     type: DataTypes.INTEGER,
+    references: { model: 'SpecialAssessments', key: 'id' }
+  },
+  type: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    validate: { isIn: [['regular', 'special']] }
+  },
+  description: DataTypes.STRING,
+  // YYYY-MM of the period start for regular dues, special-<id> for special assessments
+  period: {
+    type: DataTypes.STRING,
     allowNull: false
   },
-  plan_id: {
+  assess_date: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+  due_date: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+  amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false
+  },
+  balance: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false
+  },
+  transactionId: {
+    type: DataTypes.INTEGER
+  }
+}, {
+  indexes: [{ unique: true, fields: ['association_id', 'unit_id', 'period'] }]
+});
+
+const AssessmentPayment = sequelize.define('AssessmentPayment', {
+  association_id: {
     type: DataTypes.INTEGER,
     allowNull: false,
-    references: {
-      model: 'SubscriptionPlans',
-      key: 'id'
-    }
+    references: { model: 'Associations', key: 'id' }
   },
-  status: {
+  unit_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: { model: 'Units', key: 'id' }
+  },
+  homeowner_id: {
+    type: DataTypes.INTEGER,
+    references: { model: 'Homeowners', key: 'id' }
+  },
+  date: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+  amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false
+  },
+  payment_method: DataTypes.STRING,
+  reference: DataTypes.STRING,
+  transactionId: {
+    type: DataTypes.INTEGER
+  }
+});
+
+const AssessmentApplication = sequelize.define('AssessmentApplication', {
+  assessment_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: { model: 'Assessments', key: 'id' }
+  },
+  payment_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: { model: 'AssessmentPayments', key: 'id' }
+  },
+  amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false
+  }
+});
+
+// One notice per reminder stage a delinquency reaches, keyed by the oldest unpaid assessment so a
+// unit that catches up and falls behind again starts over. sent_at is set once the owner is notified.
+const DelinquencyNotice = sequelize.define('DelinquencyNotice', {
+  association_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: { model: 'Associations', key: 'id' }
+  },
+  unit_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: { model: 'Units', key: 'id' }
+  },
+  homeowner_id: {
+    type: DataTypes.INTEGER,
+    references: { model: 'Homeowners', key: 'id' }
+  },
+  assessment_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: { model: 'Assessments', key: 'id' }
+  },
+  stage: {
     type: DataTypes.STRING,
-    defaultValue: 'active'
+    allowNull: false
   },
-  start_date: {
-    type: DataTypes.DATE,
-    defaultValue: DataTypes.NOW
+  balance: DataTypes.DECIMAL(10, 2),
+  days_past_due: DataTypes.INTEGER,
+  sent_at: DataTypes.DATE
+}, {
+  indexes: [{ unique: true, fields: ['assessment_id', 'stage'] }]
+});
+
+// Account types without an organization are shared defaults visible to everyone
+const AccountType = sequelize.define('AccountType', {
+  organization_id: {
+    type: DataTypes.INTEGER,
+    references: { model: 'Organizations', key: 'id' }
   },
-  end_date: {
-    type: DataTypes.DATE
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false
   },
-  payment_method: {
+  description: {
     type: DataTypes.STRING
   }
 });
 
-// Define Portfolio model
-const Portfolio = sequelize.define('Portfolio', {
+const Account = sequelize.define('Account', {
+  organization_id: {
+    type: DataTypes.INTEGER,
+    references: { model: 'Organizations', key: 'id' }
+  },
+  number: {
+    type: DataTypes.STRING
+  },
   name: {
     type: DataTypes.STRING,
     allowNull: false
   },
   description: {
-    type: DataTypes.TEXT
+    type: DataTypes.STRING
   },
-  user_id: {
+  // asset, liability, equity, income or expense
+  classification: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'asset'
+  },
+  normal_balance: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'debit'
+  },
+  parent_id: {
+    type: DataTypes.INTEGER
+  },
+  is_active: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  },
+  // Where cash moving against this account shows up on the cash flow statement
+  cash_flow_activity: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'operating'
+  },
+  // Only bank accounts (Operating, Reserve, Escrow, ...) have an account type
+  accountTypeId: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  }
+}, {
+  indexes: [{ unique: true, fields: ['organization_id', 'number'] }],
+  hooks: {
+    beforeValidate: (account) => {
+      if (account.changed('classification') && !account.changed('normal_balance')) {
+        account.normal_balance = NORMAL_BALANCES[account.classification] || account.normal_balance;
+      }
+    }
+  }
+});
+
+// Define JournalEntry model (the general ledger; Transaction is a simplified view on top of it)
+const JournalEntry = sequelize.define('JournalEntry', {
+  organization_id: {
     type: DataTypes.INTEGER,
+    allowNull: false,
+    references: { model: 'Organizations', key: 'id' }
+  },
+  date: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  description: {
+    type: DataTypes.STRING,
     allowNull: false
+  },
+  propertyId: {
+    type: DataTypes.INTEGER
+  },
+  source: {
+    type: DataTypes.STRING,
+    defaultValue: 'manual'
   }
 });
 
-// Define PortfolioProperty junction model for many-to-many relationship
-const PortfolioProperty = sequelize.define('PortfolioProperty', {
-  portfolio_id: {
+// Define JournalLine model (one debit or credit against an account)
+const JournalLine = sequelize.define('JournalLine', {
+  journalEntryId: {
     type: DataTypes.INTEGER,
-    field: 'PortfolioId',  // Map to Sequelize's auto-generated column name
-    references: {
-      model: 'Portfolios',
-      key: 'id'
-    }
+    allowNull: false
   },
-  property_id: {
+  accountId: {
     type: DataTypes.INTEGER,
-    field: 'PropertyId',  // Map to Sequelize's auto-generated column name
-    references: {
-      model: 'Properties',
-      key: 'id'
-    }
+    allowNull: false
+  },
+  propertyId: {
+    type: DataTypes.INTEGER
+  },
+  debit: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false,
+    defaultValue: 0
+  },
+  credit: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false,
+    defaultValue: 0
+  },
+  memo: DataTypes.STRING
+});
+
+const Transaction = sequelize.define('Transaction', {
+  date: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  description: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false
+  },
+  accountId: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  propertyId: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  // The account on the other side of the journal entry behind this transaction
+  offsetAccountId: {
+    type: DataTypes.INTEGER
+  },
+  journalEntryId: {
+    type: DataTypes.INTEGER
+  },
+  // Set when the transaction is marked cleared in a bank reconciliation
+  cleared: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false
+  },
+  cleared_at: DataTypes.DATE,
+  reconciliationId: {
+    type: DataTypes.INTEGER
+  },
+  // The vendor paid, for expenses that count towards 1099 reporting
+  vendorId: {
+    type: DataTypes.INTEGER
   }
 });
 
-// Define Relationships
-Property.hasMany(PropertyAddress, { foreignKey: 'property_id', as: 'addresses' });
-PropertyAddress.belongsTo(Property, { foreignKey: 'property_id' });
+const Payment = sequelize.define('Payment', {
+  tenant_id: { type: DataTypes.INTEGER, references: { model: 'Tenants', key: 'id' } },
+  amount: DataTypes.FLOAT,
+  date: DataTypes.DATE,
+  status: DataTypes.STRING,
+  // The lease the payment is applied to (defaults to the tenant's current lease)
+  lease_id: {
+    type: DataTypes.INTEGER,
+    references: { model: 'Leases', key: 'id' }
+  },
+  transactionId: {
+    type: DataTypes.INTEGER,
+    references: { model: 'Transactions', key: 'id' }
+  },
+  payment_method: DataTypes.STRING,
+  // Check number or other reference for a payment recorded by hand
+  reference: DataTypes.STRING,
+  stripe_payment_intent_id: DataTypes.STRING,
+  refunded_amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    defaultValue: 0
+  },
+  failure_message: DataTypes.STRING
+}, {
+  indexes: [{ unique: true, fields: ['stripe_payment_intent_id'] }]
+});
 
-PropertyAddress.hasMany(Unit, { foreignKey: 'address_id', as: 'units' });
-Unit.belongsTo(PropertyAddress, { foreignKey: 'address_id' });
+// Define PaymentRefund model (money returned on a payment, posted back out of cash)
+const PaymentRefund = sequelize.define('PaymentRefund', {
+  payment_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: { model: 'Payments', key: 'id' }
+  },
+  amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false
+  },
+  date: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  transactionId: {
+    type: DataTypes.INTEGER,
+    references: { model: 'Transactions', key: 'id' }
+  }
+});
 
-Unit.hasMany(Tenant, { foreignKey: 'unit_id' });
-Tenant.belongsTo(Unit, { foreignKey: 'unit_id' });
+// Define Charge model (what a lease owes: rent, fees, or a credit that reduces the balance)
+const CHARGE_TYPES = ['rent', 'late_fee', 'fee', 'credit'];
 
-Owner.hasMany(Property, { foreignKey: 'owner_id' });
-Property.belongsTo(Owner, { foreignKey: 'owner_id' });
+const Charge = sequelize.define('Charge', {
+  organization_id: {
+    type: DataTypes.INTEGER,
+    references: { model: 'Organizations', key: 'id' }
+  },
+  lease_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: { model: 'Leases', key: 'id' }
+  },
+  property_id: {
+    type: DataTypes.INTEGER,
+    references: { model: 'Properties', key: 'id' }
+  },
+  type: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    validate: { isIn: [CHARGE_TYPES] }
+  },
+  description: DataTypes.STRING,
+  // Billing period (YYYY-MM) for recurring charges, so each period posts once
+  period: DataTypes.STRING,
+  charge_date: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+  due_date: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+  amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false
+  },
+  // Still owed on a charge, or not yet applied on a credit
+  balance: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false
+  },
+  transactionId: {
+    type: DataTypes.INTEGER,
+    references: { model: 'Transactions', key: 'id' }
+  },
+  // For late fees: the rent charge that was paid late
+  source_charge_id: {
+    type: DataTypes.INTEGER,
+    references: { model: 'Charges', key: 'id' }
+  }
+}, {
+  indexes: [{ unique: true, fields: ['lease_id', 'type', 'period'] }]
+});
 
-Property.hasMany(Association, { foreignKey: 'property_id' });
-Association.belongsTo(Property, { foreignKey: 'property_id' });
+// Define LateFeePolicy model (per property, or the organization default when property_id is null)
+const LATE_FEE_TYPES = ['flat', 'percent', 'daily'];
 
-Association.hasMany(BoardMember, { foreignKey: 'association_id' });
-BoardMember.belongsTo(Association, { foreignKey: 'association_id' });
+const LateFeePolicy = sequelize.define('LateFeePolicy', {
+  organization_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: { model: 'Organizations', key: 'id' }
+  },
+  property_id: {
+    type: DataTypes.INTEGER,
+    references: { model: 'Properties', key: 'id' }
+  },
+  fee_type: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    validate: { isIn: [LATE_FEE_TYPES] }
+  },
+  // Flat fee, or the amount accrued per day for daily policies
+  amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    defaultValue: 0
+  },
+  // Percent of the rent charge for percent policies
+  percent: {
+    type: DataTypes.DECIMAL(5, 2),
+    defaultValue: 0
+  },
+  grace_days: {
+    type: DataTypes.INTEGER,
+    defaultValue: 5
+  },
+  // Most that late fees on one rent charge can add up to
+  max_amount: DataTypes.DECIMAL(10, 2),
+  is_active: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  }
+});
+
+// Define LateFeeExemption model (a tenant excused from late fees, optionally for a date range)
+const LateFeeExemption = sequelize.define('LateFeeExemption', {
+  organization_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: { model: 'Organizations', key: 'id' }
+  },
+  tenant_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: { model: 'Tenants', key: 'id' }
+  },
+  reason: DataTypes.STRING,
+  starts_on: DataTypes.DATEONLY,
+  ends_on: DataTypes.DATEONLY
+});
+
+// Define ScreeningPolicy model (per property, or the organization default when property_id is null)
+const ScreeningPolicy = sequelize.define('ScreeningPolicy', {
+  organization_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: { model: 'Organizations', key: 'id' }
+  },
+  property_id: {
+    type: DataTypes.INTEGER,
+    references: { model: 'Properties', key: 'id' }
+  },
+  // Household monthly income must be at least this many times the rent
+  min_income_ratio: {
+    type: DataTypes.DECIMAL(4, 2),
+    defaultValue: 3
+  },
+  // Document types every application needs on file, e.g. ['photo_id', 'pay_stub']
+  required_documents: {
+    type: DataTypes.JSON,
+    defaultValue: []
+  },
+  min_references: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  application_fee: {
+    type: DataTypes.DECIMAL(10, 2),
+    defaultValue: 0
+  },
+  is_active: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  }
+});
+
+// Define RentalApplication model (an application to rent a unit, from submission to a signed lease)
+const APPLICATION_STATUSES = ['submitted', 'under_review', 'approved', 'denied', 'withdrawn', 'converted'];
+const APPLICATION_TRANSITIONS = {
+  submitted: ['under_review', 'approved', 'denied', 'withdrawn'],
+  under_review: ['approved', 'denied', 'withdrawn'],
+  approved: ['converted', 'withdrawn'],
+  denied: [],
+  withdrawn: [],
+  converted: []
+};
+const APPLICATION_FEE_STATUSES = ['unpaid', 'pending', 'paid', 'waived'];
+
+const RentalApplication = sequelize.define('RentalApplication', {
+  organization_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: { model: 'Organizations', key: 'id' }
+  },
+  unit_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: { model: 'Units', key: 'id' }
+  },
+  status: {
+    type: DataTypes.STRING,
+    defaultValue: 'submitted',
+    validate: { isIn: [APPLICATION_STATUSES] }
+  },
+  desired_move_in: DataTypes.DATEONLY,
+  // Rent the application is for; defaults to the unit's asking rent
+  monthly_rent: DataTypes.DECIMAL(10, 2),
+  // Where it came from, e.g. email or walk_in
+  source: DataTypes.STRING,
+  notes: DataTypes.TEXT,
+  fee_amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    defaultValue: 0
+  },
+  fee_status: {
+    type: DataTypes.STRING,
+    defaultValue: 'unpaid',
+    validate: { isIn: [APPLICATION_FEE_STATUSES] }
+  },
+  fee_paid_at: DataTypes.DATE,
+  fee_payment_method: DataTypes.STRING,
+  fee_reference: DataTypes.STRING,
+  fee_transaction_id: DataTypes.INTEGER,
+  stripe_payment_intent_id: DataTypes.STRING,
+  // The reviewer's decision and the screening result it was made on
+  decided_by: DataTypes.INTEGER,
+  decided_at: DataTypes.DATE,
+  decision_reason: DataTypes.TEXT,
+  screening_result: DataTypes.JSON,
+  // Set once an approved application has become a lease
+  lease_id: {
+    type: DataTypes.INTEGER,
+    references: { model: 'Leases', key: 'id' }
+  }
+}, {
+  indexes: [{ unique: true, fields: ['stripe_payment_intent_id'] }]
+});
+
+// Define Applicant model (a household member on an application). Applicants and co-applicants sign
+// the lease and their income counts; occupants only live there.
+const APPLICANT_ROLES = ['applicant', 'co_applicant', 'occupant'];
+
+const Applicant = sequelize.define('Applicant', {
+  application_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: { model: 'RentalApplications', key: 'id' }
+  },
+  role: {
+    type: DataTypes.STRING,
+    defaultValue: 'applicant',
+    validate: { isIn: [APPLICANT_ROLES] }
+  },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  email: DataTypes.STRING,
+  phone: DataTypes.STRING,
+  date_of_birth: DataTypes.DATEONLY,
+  monthly_income: {
+    type: DataTypes.DECIMAL(10, 2),
+    defaultValue: 0
+  },
+  employer: DataTypes.STRING,
+  job_title: DataTypes.STRING,
+  employment_start_date: DataTypes.DATEONLY,
+  employer_phone: DataTypes.STRING
+});
+
+// Define ApplicationReference model (landlord, employer or personal reference)
+const REFERENCE_TYPES = ['landlord', 'employer', 'personal'];
+
+const ApplicationReference = sequelize.define('ApplicationReference', {
+  application_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: { model: 'RentalApplications', key: 'id' }
+  },
+  reference_type: {
+    type: DataTypes.STRING,
+    defaultValue: 'personal',
+    validate: { isIn: [REFERENCE_TYPES] }
+  },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  relationship: DataTypes.STRING,
+  phone: DataTypes.STRING,
+  email: DataTypes.STRING,
+  // Set by the reviewer once they have spoken to the reference
+  verified: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false
+  },
+  notes: DataTypes.TEXT
+});
+
+// Define ApplicationDocument model (an uploaded file, typed so screening can check for required ones)
+const ApplicationDocument = sequelize.define('ApplicationDocument', {
+  application_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: { model: 'RentalApplications', key: 'id' }
+  },
+  applicant_id: {
+    type: DataTypes.INTEGER,
+    references: { model: 'Applicants', key: 'id' }
+  },
+  document_type: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  storage_key: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  content_type: DataTypes.STRING,
+  size: DataTypes.INTEGER,
+  url: {
+    type: DataTypes.VIRTUAL,
+    get() {
+      return storage.signedUrl(this.getDataValue('storage_key'), FILE_URL_TTL_SECONDS);
+    }
+  }
+});
+
+// Define PaymentApplication model (how much of a payment or credit settled which charge)
+const PaymentApplication = sequelize.define('PaymentApplication', {
+  charge_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: { model: 'Charges', key: 'id' }
+  },
+  payment_id: {
+    type: DataTypes.INTEGER,
+    references: { model: 'Payments', key: 'id' }
+  },
+  credit_id: {
+    type: DataTypes.INTEGER,
+    references: { model: 'Charges', key: 'id' }
+  },
+  amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false
+  }
+});
+
+// Define BankImport model (one uploaded bank statement file)
+const BankImport = sequelize.define('BankImport', {
+  organization_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: { model: 'Organizations', key: 'id' }
+  },
+  account_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: { model: 'Accounts', key: 'id' }
+  },
+  file_name: DataTypes.STRING,
+  format: {
+    type: DataTypes.STRING,
+    validate: { isIn: [['csv', 'ofx']] }
+  },
+  // CSV column mapping used for this file, reused for the account's next import
+  mapping: DataTypes.JSON,
+  user_id: DataTypes.INTEGER,
+  line_count: DataTypes.INTEGER,
+  duplicate_count: DataTypes.INTEGER
+});
+
+// Define BankLine model (a staged bank statement line, matched to or turned into a Transaction)
+const BANK_LINE_STATUSES = ['unmatched', 'matched', 'created', 'ignored'];
+
+const BankLine = sequelize.define('BankLine', {
+  organization_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: { model: 'Organizations', key: 'id' }
+  },
+  account_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: { model: 'Accounts', key: 'id' }
+  },
+  bank_import_id: {
+    type: DataTypes.INTEGER,
+    references: { model: 'BankImports', key: 'id' }
+  },
+  // The bank's id for the line (OFX FITID or a CSV id column), or a hash of its contents
+  bank_transaction_id: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  date: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+  amount: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false
+  },
+  description: DataTypes.STRING,
+  memo: DataTypes.STRING,
+  status: {
+    type: DataTypes.STRING,
+    defaultValue: 'unmatched',
+    validate: { isIn: [BANK_LINE_STATUSES] }
+  },
+  transactionId: {
+    type: DataTypes.INTEGER,
+    references: { model: 'Transactions', key: 'id' }
+  },
+  // Default property for transactions created from this line
+  property_id: {
+    type: DataTypes.INTEGER,
+    references: { model: 'Properties', key: 'id' }
+  }
+}, {
+  indexes: [{ unique: true, fields: ['account_id', 'bank_transaction_id'] }]
+});
+
+// Define Reconciliation model (a bank account reconciled against one statement)
+const Reconciliation = sequelize.define('Reconciliation', {
+  organization_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: { model: 'Organizations', key: 'id' }
+  },
+  account_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: { model: 'Accounts', key: 'id' }
+  },
+  statement_date: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+  // Carried over from the previous finished reconciliation's ending balance
+  beginning_balance: {
+    type: DataTypes.DECIMAL(12, 2),
+    defaultValue: 0
+  },
+  statement_ending_balance: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.STRING,
+    defaultValue: 'in_progress',
+    validate: { isIn: [['in_progress', 'finished']] }
+  },
+  user_id: DataTypes.INTEGER,
+  finished_at: DataTypes.DATE,
+  finished_by: DataTypes.INTEGER
+});
+
+// Work orders move through these states; MAINTENANCE_TRANSITIONS lists where each may go next
+const MAINTENANCE_STATUSES = ['new', 'triaged', 'scheduled', 'in_progress', 'awaiting_parts', 'completed', 'closed', 'cancelled'];
+const MAINTENANCE_TRANSITIONS = {
+  new: ['triaged', 'scheduled', 'cancelled'],
+  triaged: ['scheduled', 'in_progress', 'cancelled'],
+  scheduled: ['in_progress', 'triaged', 'cancelled'],
+  in_progress: ['awaiting_parts', 'completed', 'cancelled'],
+  awaiting_parts: ['in_progress', 'cancelled'],
+  completed: ['closed', 'in_progress'],
+  closed: [],
+  cancelled: []
+};
+const OPEN_MAINTENANCE_STATUSES = ['new', 'triaged', 'scheduled', 'in_progress', 'awaiting_parts'];
+// Hours from the request being reported until it is overdue
+const MAINTENANCE_SLA_HOURS = { emergency: 4, high: 24, medium: 72, low: 168 };
+
+// Recurring preventive maintenance for a property or unit. Every `interval` days or months from
+// start_date, or on day_of_month in each of `months` (1-12) for seasonal tasks.
+const SCHEDULE_FREQUENCIES = ['days', 'months', 'months_of_year'];
+const MAX_SCHEDULE_LEAD_DAYS = 365;
+// A schedule that has fallen far behind catches up over several runs instead of flooding one
+const SCHEDULE_OCCURRENCES_PER_RUN = 50;
+
+const MaintenanceSchedule = sequelize.define('MaintenanceSchedule', {
+  organization_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: { model: 'Organizations', key: 'id' }
+  },
+  property_id: {
+    type: DataTypes.INTEGER,
+    references: { model: 'Properties', key: 'id' }
+  },
+  unit_id: {
+    type: DataTypes.INTEGER,
+    references: { model: 'Units', key: 'id' }
+  },
+  title: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  description: DataTypes.TEXT,
+  priority: {
+    type: DataTypes.STRING,
+    defaultValue: 'low',
+    validate: { isIn: [Object.keys(MAINTENANCE_SLA_HOURS)] }
+  },
+  assigned_to: DataTypes.STRING,
+  vendor_id: {
+    type: DataTypes.INTEGER,
+    references: { model: 'Vendors', key: 'id' }
+  },
+  frequency: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    validate: { isIn: [SCHEDULE_FREQUENCIES] }
+  },
+  interval: {
+    type: DataTypes.INTEGER,
+    defaultValue: 1
+  },
+  months: DataTypes.JSON,
+  day_of_month: {
+    type: DataTypes.INTEGER,
+    defaultValue: 1
+  },
+  start_date: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+  end_date: DataTypes.DATEONLY,
+  // Work orders are created this many days before they are due
+  lead_days: {
+    type: DataTypes.INTEGER,
+    defaultValue: 14
+  },
+  // The next occurrence that has no work order yet
+  next_due_date: DataTypes.DATEONLY,
+  // Postpones only the next occurrence; the series keeps its dates
+  snoozed_until: DataTypes.DATEONLY,
+  is_active: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  }
+});
+
+// Define Maintenance model
+const Maintenance = sequelize.define('Maintenance', {
+  title: DataTypes.STRING,
+  description: DataTypes.TEXT,
+  priority: {
+    type: DataTypes.STRING,
+    defaultValue: 'medium',
+    validate: { isIn: [Object.keys(MAINTENANCE_SLA_HOURS)] }
+  },
+  status: {
+    type: DataTypes.STRING,
+    defaultValue: 'new',
+    validate: { isIn: [MAINTENANCE_STATUSES] }
+  },
+  property_id: { 
+    type: DataTypes.INTEGER,
+    references: { model: 'Properties', key: 'id' }
+  },
+  unit_id: { 
+    type: DataTypes.INTEGER,
+    references: { model: 'Units', key: 'id' }
+  },
+  reported_by: DataTypes.STRING,
+  // Set when a tenant reported it through the tenant portal
+  tenant_id: {
+    type: DataTypes.INTEGER,
+    references: { model: 'Tenants', key: 'id' }
+  },
+  assigned_to: DataTypes.STRING,
+  vendor_id: {
+    type: DataTypes.INTEGER,
+    references: { model: 'Vendors', key: 'id' }
+  },
+  // Set on work orders generated from a preventive maintenance schedule
+  schedule_id: {
+    type: DataTypes.INTEGER,
+    references: { model: 'MaintenanceSchedules', key: 'id' }
+  },
+  schedule_occurrence: DataTypes.DATEONLY,
+  due_date: DataTypes.DATE,
+  sla_due_at: DataTypes.DATE,
+  scheduled_for: DataTypes.DATE,
+  completed_at: DataTypes.DATE,
+  closed_at: DataTypes.DATE,
+  overdue: {
+    type: DataTypes.VIRTUAL,
+    get() {
+      const dueAt = this.getDataValue('sla_due_at');
+      return Boolean(dueAt) && OPEN_MAINTENANCE_STATUSES.includes(this.getDataValue('status')) && new Date(dueAt) < new Date();
+    }
+  }
+}, {
+  indexes: [{ unique: true, fields: ['schedule_id', 'schedule_occurrence'] }]
+});
+
+const MaintenanceStatusChange = sequelize.define('MaintenanceStatusChange', {
+  maintenance_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: { model: 'Maintenances', key: 'id' }
+  },
+  from_status: DataTypes.STRING,
+  to_status: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  note: DataTypes.TEXT,
+  user_id: DataTypes.INTEGER
+}, {
+  updatedAt: false
+});
+
+const MaintenanceComment = sequelize.define('MaintenanceComment', {
+  maintenance_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: { model: 'Maintenances', key: 'id' }
+  },
+  // Replies point at the comment they answer
+  parent_id: {
+    type: DataTypes.INTEGER,
+    references: { model: 'MaintenanceComments', key: 'id' }
+  },
+  body: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  user_id: DataTypes.INTEGER,
+  // Staff notes the tenant portal doesn't show
+  internal: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false
+  }
+});
+
+const MaintenanceAttachment = sequelize.define('MaintenanceAttachment', {
+  maintenance_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: { model: 'Maintenances', key: 'id' }
+  },
+  comment_id: {
+    type: DataTypes.INTEGER,
+    references: { model: 'MaintenanceComments', key: 'id' }
+  },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  storage_key: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  content_type: DataTypes.STRING,
+  size: DataTypes.INTEGER,
+  user_id: DataTypes.INTEGER,
+  url: {
+    type: DataTypes.VIRTUAL,
+    get() {
+      return storage.signedUrl(this.getDataValue('storage_key'), FILE_URL_TTL_SECONDS);
+    }
+  }
+});
+
+// Define Photo model
+const Photo = sequelize.define('Photo', {
+  property_id: { 
+    type: DataTypes.INTEGER,
+    references: { model: 'Properties', key: 'id' }
+  },
+  unit_id: { 
+    type: DataTypes.INTEGER,
+    references: { model: 'Units', key: 'id' }
+  },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  // Links to images hosted elsewhere; uploaded files are addressed by storage_key instead
+  url: {
+    type: DataTypes.TEXT,
+    get() {
+      const key = this.getDataValue('storage_key');
+      return key ? storage.signedUrl(key, FILE_URL_TTL_SECONDS) : this.getDataValue('url');
+    }
+  },
+  storage_key: DataTypes.STRING,
+  content_type: DataTypes.STRING,
+  size: DataTypes.INTEGER,
+  width: DataTypes.INTEGER,
+  height: DataTypes.INTEGER,
+  // { thumbnail: { key, width, height }, medium: ..., large: ... }
+  variants: {
+    type: DataTypes.JSON,
+    defaultValue: {}
+  },
+  urls: {
+    type: DataTypes.VIRTUAL,
+    get() {
+      const variants = this.getDataValue('variants') || {};
+      return Object.fromEntries(Object.entries(variants)
+        .map(([name, variant]) => [name, storage.signedUrl(variant.key, FILE_URL_TTL_SECONDS)]));
+    }
+  },
+  thumbnail_url: {
+    type: DataTypes.VIRTUAL,
+    get() {
+      return this.urls.thumbnail || this.url;
+    }
+  },
+  is_main: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false
+  },
+  // Why an inline image from before file storage could not be moved there
+  storage_error: DataTypes.STRING
+});
+
+// Define Listing model (a unit marketed for rent). Published listings of units that no lease holds on
+// their available_on date are what the public listing feeds syndicate.
+const LISTING_STATUSES = ['draft', 'published', 'unlisted'];
+
+const Listing = sequelize.define('Listing', {
+  organization_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: { model: 'Organizations', key: 'id' }
+  },
+  unit_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: { model: 'Units', key: 'id' }
+  },
+  status: {
+    type: DataTypes.STRING,
+    defaultValue: 'draft',
+    validate: { isIn: [LISTING_STATUSES] }
+  },
+  title: DataTypes.STRING,
+  description: DataTypes.TEXT,
+  amenities: {
+    type: DataTypes.JSON,
+    defaultValue: []
+  },
+  available_on: DataTypes.DATEONLY,
+  asking_rent: DataTypes.DECIMAL(10, 2),
+  deposit: DataTypes.DECIMAL(10, 2),
+  bedrooms: DataTypes.INTEGER,
+  bathrooms: DataTypes.DECIMAL(3, 1),
+  square_feet: DataTypes.INTEGER,
+  pets_allowed: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false
+  },
+  pet_policy: DataTypes.STRING,
+  // e.g. "12 months"
+  lease_terms: DataTypes.STRING,
+  contact_name: DataTypes.STRING,
+  contact_email: DataTypes.STRING,
+  contact_phone: DataTypes.STRING,
+  published_at: DataTypes.DATE
+}, {
+  indexes: [{ unique: true, fields: ['unit_id'] }]
+});
+
+// Define Subscription Plan model
+const SubscriptionPlan = sequelize.define('SubscriptionPlan', {
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  description: {
+    type: DataTypes.TEXT
+  },
+  price: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false
+  },
+  billing_cycle: {
+    type: DataTypes.STRING,
+    defaultValue: 'monthly'
+  },
+  features: {
+    type: DataTypes.JSON
+  },
+  // Created in Stripe the first time someone subscribes to the plan
+  stripe_product_id: DataTypes.STRING,
+  stripe_price_id: DataTypes.STRING,
+  trial_days: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  }
+});
+
+// Define Subscription model
+const Subscription = sequelize.define('Subscription', {
+  organization_id: {
+    type: DataTypes.INTEGER,
+    references: { model: 'Organizations', key: 'id' }
+  },
+  user_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  plan_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'SubscriptionPlans',
+      key: 'id'
+    }
+  },
+  status: {
+    type: DataTypes.STRING,
+    defaultValue: 'active'
+  },
+  start_date: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  end_date: {
+    type: DataTypes.DATE
+  },
+  payment_method: {
+    type: DataTypes.STRING
+  },
+  stripe_subscription_id: DataTypes.STRING,
+  trial_end: DataTypes.DATE,
+  current_period_end: DataTypes.DATE,
+  cancel_at_period_end: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false
+  }
+});
+
+// Define SubscriptionInvoice model (Stripe invoices for a subscription, kept up to date by webhooks)
+const SubscriptionInvoice = sequelize.define('SubscriptionInvoice', {
+  subscription_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: { model: 'Subscriptions', key: 'id' }
+  },
+  stripe_invoice_id: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  number: DataTypes.STRING,
+  status: DataTypes.STRING,
+  amount_due: DataTypes.DECIMAL(10, 2),
+  amount_paid: DataTypes.DECIMAL(10, 2),
+  currency: DataTypes.STRING,
+  period_start: DataTypes.DATE,
+  period_end: DataTypes.DATE,
+  hosted_invoice_url: DataTypes.TEXT,
+  invoice_pdf: DataTypes.TEXT
+}, {
+  indexes: [{ unique: true, fields: ['stripe_invoice_id'] }]
+});
+
+// Define Portfolio model
+const Portfolio = sequelize.define('Portfolio', {
+  organization_id: {
+    type: DataTypes.INTEGER,
+    references: { model: 'Organizations', key: 'id' }
+  },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  description: {
+    type: DataTypes.TEXT
+  },
+  user_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  }
+});
+
+// Define PortfolioProperty junction model for many-to-many relationship
+const PortfolioProperty = sequelize.define('PortfolioProperty', {
+  portfolio_id: {
+    type: DataTypes.INTEGER,
+    field: 'PortfolioId',  // Map to Sequelize's auto-generated column name
+    references: {
+      model: 'Portfolios',
+      key: 'id'
+    }
+  },
+  property_id: {
+    type: DataTypes.INTEGER,
+    field: 'PropertyId',  // Map to Sequelize's auto-generated column name
+    references: {
+      model: 'Properties',
+      key: 'id'
+    }
+  }
+});
+
+// Define User model
+const User = sequelize.define('User', {
+  email: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    validate: { isEmail: true }
+  },
+  password_hash: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  name: DataTypes.STRING,
+  is_active: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  },
+  last_login_at: DataTypes.DATE,
+  password_reset_token_hash: DataTypes.STRING,
+  password_reset_expires_at: DataTypes.DATE
+}, {
+  // Declared as an index rather than `unique: true` on the column, which sync({ alter }) re-adds on every start
+  indexes: [{ unique: true, fields: ['email'] }],
+  // Credentials are only loaded when explicitly asked for, so includes never leak them
+  defaultScope: {
+    attributes: { exclude: ['password_hash', 'password_reset_token_hash', 'password_reset_expires_at'] }
+  },
+  scopes: {
+    withCredentials: { attributes: { include: ['password_hash'] } }
+  }
+});
+
+// Never send credentials back to the client
+User.prototype.toJSON = function () {
+  const values = { ...this.get() };
+  delete values.password_hash;
+  delete values.password_reset_token_hash;
+  delete values.password_reset_expires_at;
+  return values;
+};
+
+// Define OrganizationMember model (a user's role within an organization)
+const ROLES = ['admin', 'manager', 'accountant', 'maintenance', 'owner', 'read_only'];
+
+const OrganizationMember = sequelize.define('OrganizationMember', {
+  organization_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: { model: 'Organizations', key: 'id' }
+  },
+  user_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: { model: 'Users', key: 'id' }
+  },
+  role: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'read_only',
+    validate: { isIn: [ROLES] }
+  }
+}, {
+  indexes: [{ unique: true, fields: ['organization_id', 'user_id'] }]
+});
+
+// Define RefreshToken model (only a hash of the token is stored)
+const RefreshToken = sequelize.define('RefreshToken', {
+  user_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: { model: 'Users', key: 'id' }
+  },
+  token_hash: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  expires_at: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  revoked_at: DataTypes.DATE
+}, {
+  indexes: [{ unique: true, fields: ['token_hash'] }]
+});
+
+// Notifications. Every message sent (or attempted) is logged per channel; reminders carry a
+// dedupe_key so the scheduler never sends the same one twice.
+const NOTIFICATION_CHANNELS = ['email', 'sms'];
+const NOTIFICATION_STATUSES = ['pending', 'sent', 'failed'];
+
+const Notification = sequelize.define('Notification', {
+  organization_id: {
+    type: DataTypes.INTEGER,
+    references: { model: 'Organizations', key: 'id' }
+  },
+  user_id: DataTypes.INTEGER,
+  type: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  channel: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    validate: { isIn: [NOTIFICATION_CHANNELS] }
+  },
+  recipient: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  subject: DataTypes.STRING,
+  // Not kept for messages carrying a sign-in link
+  body: DataTypes.TEXT,
+  status: {
+    type: DataTypes.STRING,
+    defaultValue: 'pending',
+    validate: { isIn: [NOTIFICATION_STATUSES] }
+  },
+  attempts: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  error: DataTypes.TEXT,
+  provider_message_id: DataTypes.STRING,
+  sent_at: DataTypes.DATE,
+  dedupe_key: DataTypes.STRING
+}, {
+  indexes: [{ unique: true, fields: ['dedupe_key', 'channel'] }]
+});
+
+// An organization's wording for one notification type; types without a row use the built-in template
+const NotificationTemplate = sequelize.define('NotificationTemplate', {
+  organization_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: { model: 'Organizations', key: 'id' }
+  },
+  type: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  subject: DataTypes.STRING,
+  body: DataTypes.TEXT,
+  sms_body: DataTypes.TEXT
+}, {
+  indexes: [{ unique: true, fields: ['organization_id', 'type'] }]
+});
+
+// Which channels a user wants for a notification type; without a row email is on and SMS is off
+const NotificationPreference = sequelize.define('NotificationPreference', {
+  user_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: { model: 'Users', key: 'id' }
+  },
+  type: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  email: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  },
+  sms: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false
+  }
+}, {
+  indexes: [{ unique: true, fields: ['user_id', 'type'] }]
+});
+
+// One-time data migrations that have run against this database, by name
+const SchemaMigration = sequelize.define('SchemaMigration', {
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false
+  }
+}, {
+  updatedAt: false,
+  indexes: [{ unique: true, fields: ['name'] }]
+});
+
+// Audit trail: one row per create, update or delete of any model, with field-level before/after values.
+// Written by the global hooks below inside the same transaction as the change itself.
+const AUDIT_ACTIONS = ['create', 'update', 'delete', 'restore'];
+const AUDIT_IGNORED_FIELDS = ['id', 'createdAt', 'updatedAt'];
+// Logs in their own right, or session churn; these are never audited
+const AUDIT_SKIPPED_MODELS = ['AuditLog', 'Notification', 'RefreshToken'];
+// Changes to credentials and personal data (vendor tax ids, applicants' birth dates and income) are
+// recorded without their values
+const AUDIT_REDACTED_FIELDS = [
+  'password_hash', 'password_reset_token_hash', 'token_hash',
+  'tax_id', 'date_of_birth', 'monthly_income'
+];
+
+const AuditLog = sequelize.define('AuditLog', {
+  organization_id: DataTypes.INTEGER,
+  // Who made the change; null for the scheduler, webhooks and startup migrations
+  user_id: DataTypes.INTEGER,
+  entity: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  entity_id: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  action: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    validate: { isIn: [AUDIT_ACTIONS] }
+  },
+  // { field: { from, to } }
+  changes: DataTypes.JSON,
+  // Method and path of the API request that made the change
+  request: DataTypes.STRING
+}, {
+  updatedAt: false,
+  indexes: [{ fields: ['entity', 'entity_id'] }, { fields: ['organization_id', 'createdAt'] }]
+});
+
+// Each API request runs inside auditContext so the hooks can tell who is making a change
+const auditContext = new AsyncLocalStorage();
+
+const auditValue = (attribute, value) => {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (['DECIMAL', 'FLOAT', 'DOUBLE', 'REAL'].includes(attribute.type.key)) {
+    return Number(value);
+  }
+  if (attribute.type.key === 'DATE' && !Number.isNaN(new Date(value).getTime())) {
+    return new Date(value).toISOString();
+  }
+  return value;
+};
+
+// Also applied when reading, for entries written before a field was added to the redacted list
+const redactAuditChanges = (changes) => {
+  const redacted = {};
+  for (const [name, change] of Object.entries(changes || {})) {
+    redacted[name] = AUDIT_REDACTED_FIELDS.includes(name) ? { redacted: true } : change;
+  }
+  return redacted;
+};
+
+const auditChanges = (instance, action) => {
+  const changes = {};
+  for (const [name, attribute] of Object.entries(instance.constructor.rawAttributes)) {
+    if (AUDIT_IGNORED_FIELDS.includes(name) || attribute.type.key === 'VIRTUAL') continue;
+    const from = action === 'create' ? null : auditValue(attribute, instance._previousDataValues[name]);
+    const to = action === 'delete' ? null : auditValue(attribute, instance.dataValues[name]);
+    if (JSON.stringify(from) === JSON.stringify(to)) continue;
+    changes[name] = { from, to };
+  }
+  return redactAuditChanges(changes);
+};
+
+// Rows without an organization_id belong to the organization of their parent, tried in this order
+const AUDIT_PARENTS = {
+  PropertyAddress: [['property_id', 'Property']],
+  Unit: [['address_id', 'PropertyAddress']],
+  LeaseTenant: [['lease_id', 'Lease']],
+  Association: [['property_id', 'Property']],
+  BoardMember: [['association_id', 'Association']],
+  BoardMeeting: [['association_id', 'Association']],
+  AgendaItem: [['meeting_id', 'BoardMeeting']],
+  MeetingAttendance: [['meeting_id', 'BoardMeeting']],
+  Motion: [['association_id', 'Association']],
+  MotionVote: [['motion_id', 'Motion']],
+  MinutesSignature: [['meeting_id', 'BoardMeeting']],
+  Homeowner: [['association_id', 'Association']],
+  SpecialAssessment: [['association_id', 'Association']],
+  Assessment: [['association_id', 'Association']],
+  AssessmentPayment: [['association_id', 'Association']],
+  AssessmentApplication: [['assessment_id', 'Assessment']],
+  DelinquencyNotice: [['association_id', 'Association']],
+  JournalLine: [['journalEntryId', 'JournalEntry'], ['accountId', 'Account']],
+  Transaction: [['accountId', 'Account'], ['propertyId', 'Property']],
+  Payment: [['lease_id', 'Lease'], ['tenant_id', 'Tenant']],
+  PaymentRefund: [['payment_id', 'Payment']],
+  PaymentApplication: [['charge_id', 'Charge'], ['payment_id', 'Payment']],
+  Applicant: [['application_id', 'RentalApplication']],
+  ApplicationReference: [['application_id', 'RentalApplication']],
+  ApplicationDocument: [['application_id', 'RentalApplication']],
+  Maintenance: [['property_id', 'Property'], ['unit_id', 'Unit'], ['tenant_id', 'Tenant']],
+  MaintenanceStatusChange: [['maintenance_id', 'Maintenance']],
+  MaintenanceComment: [['maintenance_id', 'Maintenance']],
+  MaintenanceAttachment: [['maintenance_id', 'Maintenance']],
+  Photo: [['property_id', 'Property'], ['unit_id', 'Unit']],
+  SubscriptionInvoice: [['subscription_id', 'Subscription']],
+  PortfolioProperty: [['portfolio_id', 'Portfolio']]
+};
+
+const auditOrganizationId = async (instance, transaction) => {
+  const model = instance.constructor;
+  if (model.name === 'Organization') {
+    return instance.id;
+  }
+  if (instance.dataValues.organization_id) {
+    return instance.dataValues.organization_id;
+  }
+  for (const [foreignKey, parentName] of AUDIT_PARENTS[model.name] || []) {
+    const parentId = instance.dataValues[foreignKey];
+    if (!parentId) continue;
+    // Parents may be archived, or deleted in the same transaction
+    const parent = await sequelize.models[parentName].unscoped().findByPk(parentId, { transaction, paranoid: false });
+    const organizationId = parent && await auditOrganizationId(parent, transaction);
+    if (organizationId) {
+      return organizationId;
+    }
+  }
+  return null;
+};
+
+const recordAudit = async (instance, action, options) => {
+  const model = instance.constructor;
+  if (AUDIT_SKIPPED_MODELS.includes(model.name)) {
+    return;
+  }
+  const changes = auditChanges(instance, action);
+  if (action === 'update' && Object.keys(changes).length === 0) {
+    return;
+  }
+  const store = auditContext.getStore();
+  const req = store ? store.req : null;
+  let organizationId = await auditOrganizationId(instance, options.transaction);
+  if (!organizationId && req) {
+    organizationId = (req.organization && req.organization.id) || (req.tenant && req.tenant.organization_id) || null;
+  }
+  await AuditLog.create({
+    organization_id: organizationId,
+    user_id: req && req.user ? req.user.id : null,
+    entity: model.name,
+    // Join tables have a composite key, e.g. "3:7" for LeaseTenant's lease_id and tenant_id
+    entity_id: model.primaryKeyAttributes.map(key => instance.get(key)).join(':'),
+    action,
+    changes,
+    request: req ? `${req.method} ${req.originalUrl.split('?')[0]}` : null
+  }, { transaction: options.transaction });
+};
+
+sequelize.addHook('afterCreate', (instance, options) => recordAudit(instance, 'create', options));
+sequelize.addHook('afterUpdate', (instance, options) => recordAudit(instance, 'update', options));
+sequelize.addHook('afterDestroy', (instance, options) => recordAudit(instance, 'delete', options));
+sequelize.addHook('afterRestore', (instance, options) => recordAudit(instance, 'restore', options));
+// Model.update, Model.destroy, Model.restore and bulkCreate only run the per-row hooks above when asked to,
+// which costs a select of the affected rows; only ask for audited models
+const auditPerRow = (options) => {
+  if (!AUDIT_SKIPPED_MODELS.includes(options.model.name)) {
+    options.individualHooks = true;
+  }
+};
+sequelize.addHook('beforeBulkCreate', (instances, options) => auditPerRow(options));
+sequelize.addHook('beforeBulkUpdate', auditPerRow);
+sequelize.addHook('beforeBulkDestroy', auditPerRow);
+sequelize.addHook('beforeBulkRestore', auditPerRow);
+
+// Define Relationships
+Property.hasMany(PropertyAddress, { foreignKey: 'property_id', as: 'addresses' });
+PropertyAddress.belongsTo(Property, { foreignKey: 'property_id' });
+
+PropertyAddress.hasMany(Unit, { foreignKey: 'address_id', as: 'units' });
+Unit.belongsTo(PropertyAddress, { foreignKey: 'address_id' });
+
+Unit.hasMany(Tenant, { foreignKey: 'unit_id' });
+Tenant.belongsTo(Unit, { foreignKey: 'unit_id' });
+
+// Lease relationships
+Unit.hasMany(Lease, { foreignKey: 'unit_id', as: 'leases' });
+Lease.belongsTo(Unit, { foreignKey: 'unit_id' });
+Lease.belongsToMany(Tenant, { through: LeaseTenant, foreignKey: 'lease_id', otherKey: 'tenant_id', as: 'tenants' });
+Tenant.belongsToMany(Lease, { through: LeaseTenant, foreignKey: 'tenant_id', otherKey: 'lease_id', as: 'leases' });
+Lease.belongsTo(Lease, { foreignKey: 'previous_lease_id', as: 'previousLease' });
+Lease.hasOne(Lease, { foreignKey: 'previous_lease_id', as: 'renewal' });
+
+Owner.hasMany(Property, { foreignKey: 'owner_id' });
+Property.belongsTo(Owner, { foreignKey: 'owner_id' });
+
+Property.hasMany(Association, { foreignKey: 'property_id' });
+Association.belongsTo(Property, { foreignKey: 'property_id' });
+
+Association.hasMany(BoardMember, { foreignKey: 'association_id' });
+BoardMember.belongsTo(Association, { foreignKey: 'association_id' });
+
+// Board governance relationships
+Association.hasMany(BoardMeeting, { foreignKey: 'association_id' });
+BoardMeeting.belongsTo(Association, { foreignKey: 'association_id' });
+BoardMeeting.hasMany(AgendaItem, { foreignKey: 'meeting_id', as: 'agenda' });
+AgendaItem.belongsTo(BoardMeeting, { foreignKey: 'meeting_id' });
+BoardMeeting.hasMany(MeetingAttendance, { foreignKey: 'meeting_id', as: 'attendance' });
+MeetingAttendance.belongsTo(BoardMeeting, { foreignKey: 'meeting_id' });
+MeetingAttendance.belongsTo(BoardMember, { foreignKey: 'board_member_id' });
+Association.hasMany(Motion, { foreignKey: 'association_id' });
+Motion.belongsTo(Association, { foreignKey: 'association_id' });
+BoardMeeting.hasMany(Motion, { foreignKey: 'meeting_id', as: 'motions' });
+Motion.belongsTo(BoardMeeting, { foreignKey: 'meeting_id' });
+Motion.belongsTo(AgendaItem, { foreignKey: 'agenda_item_id' });
+Motion.belongsTo(BoardMember, { foreignKey: 'moved_by', as: 'mover' });
+Motion.belongsTo(BoardMember, { foreignKey: 'seconded_by', as: 'seconder' });
+Motion.hasMany(MotionVote, { foreignKey: 'motion_id', as: 'votes' });
+MotionVote.belongsTo(Motion, { foreignKey: 'motion_id' });
+MotionVote.belongsTo(BoardMember, { foreignKey: 'board_member_id' });
+BoardMeeting.hasMany(MinutesSignature, { foreignKey: 'meeting_id', as: 'signatures' });
+MinutesSignature.belongsTo(BoardMeeting, { foreignKey: 'meeting_id' });
+MinutesSignature.belongsTo(BoardMember, { foreignKey: 'board_member_id' });
+
+// Association dues relationships
+Association.hasMany(Homeowner, { foreignKey: 'association_id', as: 'homeowners' });
+Homeowner.belongsTo(Association, { foreignKey: 'association_id' });
+Unit.hasMany(Homeowner, { foreignKey: 'unit_id' });
+Homeowner.belongsTo(Unit, { foreignKey: 'unit_id' });
+Association.hasMany(SpecialAssessment, { foreignKey: 'association_id', as: 'specialAssessments' });
+SpecialAssessment.belongsTo(Association, { foreignKey: 'association_id' });
+Association.hasMany(Assessment, { foreignKey: 'association_id' });
+Assessment.belongsTo(Association, { foreignKey: 'association_id' });
+Unit.hasMany(Assessment, { foreignKey: 'unit_id' });
+Assessment.belongsTo(Unit, { foreignKey: 'unit_id' });
+Homeowner.hasMany(Assessment, { foreignKey: 'homeowner_id' });
+Assessment.belongsTo(Homeowner, { foreignKey: 'homeowner_id' });
+SpecialAssessment.hasMany(Assessment, { foreignKey: 'special_assessment_id', as: 'assessments' });
+Assessment.belongsTo(SpecialAssessment, { foreignKey: 'special_assessment_id' });
+Association.hasMany(AssessmentPayment, { foreignKey: 'association_id' });
+AssessmentPayment.belongsTo(Association, { foreignKey: 'association_id' });
+Unit.hasMany(AssessmentPayment, { foreignKey: 'unit_id' });
+AssessmentPayment.belongsTo(Unit, { foreignKey: 'unit_id' });
+Homeowner.hasMany(AssessmentPayment, { foreignKey: 'homeowner_id' });
+AssessmentPayment.belongsTo(Homeowner, { foreignKey: 'homeowner_id' });
+Assessment.hasMany(AssessmentApplication, { foreignKey: 'assessment_id', as: 'applications' });
+AssessmentApplication.belongsTo(Assessment, { foreignKey: 'assessment_id' });
+AssessmentPayment.hasMany(AssessmentApplication, { foreignKey: 'payment_id', as: 'applications' });
+AssessmentApplication.belongsTo(AssessmentPayment, { foreignKey: 'payment_id' });
+Association.hasMany(DelinquencyNotice, { foreignKey: 'association_id' });
+DelinquencyNotice.belongsTo(Association, { foreignKey: 'association_id' });
+DelinquencyNotice.belongsTo(Unit, { foreignKey: 'unit_id' });
+DelinquencyNotice.belongsTo(Homeowner, { foreignKey: 'homeowner_id' });
+DelinquencyNotice.belongsTo(Assessment, { foreignKey: 'assessment_id' });
+
+Account.belongsTo(AccountType, { foreignKey: 'accountTypeId' });
+Account.belongsTo(Account, { foreignKey: 'parent_id', as: 'parent' });
+Account.hasMany(Account, { foreignKey: 'parent_id', as: 'children' });
+AccountType.hasMany(Account, { foreignKey: 'accountTypeId' });
+Transaction.belongsTo(Account, { foreignKey: 'accountId' });
+Account.hasMany(Transaction, { foreignKey: 'accountId' });
+Transaction.belongsTo(Property, { foreignKey: 'propertyId' });
+Property.hasMany(Transaction, { foreignKey: 'propertyId' });
+
+// General ledger relationships
+JournalEntry.hasMany(JournalLine, { foreignKey: 'journalEntryId', as: 'lines' });
+JournalLine.belongsTo(JournalEntry, { foreignKey: 'journalEntryId' });
+JournalLine.belongsTo(Account, { foreignKey: 'accountId' });
+Account.hasMany(JournalLine, { foreignKey: 'accountId' });
+JournalLine.belongsTo(Property, { foreignKey: 'propertyId' });
+JournalEntry.belongsTo(Property, { foreignKey: 'propertyId' });
+Transaction.belongsTo(JournalEntry, { foreignKey: 'journalEntryId', as: 'journalEntry' });
+
+Tenant.hasMany(Payment, { foreignKey: 'tenant_id' });
+Payment.belongsTo(Tenant, { foreignKey: 'tenant_id' });
+Lease.hasMany(Payment, { foreignKey: 'lease_id' });
+Payment.belongsTo(Lease, { foreignKey: 'lease_id' });
+Payment.belongsTo(Transaction, { foreignKey: 'transactionId' });
+Payment.hasMany(PaymentRefund, { foreignKey: 'payment_id', as: 'refunds' });
+PaymentRefund.belongsTo(Payment, { foreignKey: 'payment_id' });
+
+// Charge relationships
+Lease.hasMany(Charge, { foreignKey: 'lease_id' });
+Charge.belongsTo(Lease, { foreignKey: 'lease_id' });
+Charge.belongsTo(Property, { foreignKey: 'property_id' });
+Charge.belongsTo(Transaction, { foreignKey: 'transactionId' });
+Charge.hasMany(PaymentApplication, { foreignKey: 'charge_id', as: 'applications' });
+PaymentApplication.belongsTo(Charge, { foreignKey: 'charge_id' });
+PaymentApplication.belongsTo(Charge, { foreignKey: 'credit_id', as: 'credit' });
+Payment.hasMany(PaymentApplication, { foreignKey: 'payment_id', as: 'applications' });
+PaymentApplication.belongsTo(Payment, { foreignKey: 'payment_id' });
+Charge.hasMany(Charge, { foreignKey: 'source_charge_id', as: 'lateFees' });
+Charge.belongsTo(Charge, { foreignKey: 'source_charge_id', as: 'sourceCharge' });
+
+// Bank import relationships
+Account.hasMany(BankImport, { foreignKey: 'account_id' });
+BankImport.belongsTo(Account, { foreignKey: 'account_id' });
+BankImport.hasMany(BankLine, { foreignKey: 'bank_import_id', as: 'lines' });
+BankLine.belongsTo(BankImport, { foreignKey: 'bank_import_id' });
+Account.hasMany(BankLine, { foreignKey: 'account_id' });
+BankLine.belongsTo(Account, { foreignKey: 'account_id' });
+BankLine.belongsTo(Transaction, { foreignKey: 'transactionId' });
+Transaction.hasOne(BankLine, { foreignKey: 'transactionId' });
+
+// Reconciliation relationships
+Account.hasMany(Reconciliation, { foreignKey: 'account_id' });
+Reconciliation.belongsTo(Account, { foreignKey: 'account_id' });
+Reconciliation.hasMany(Transaction, { foreignKey: 'reconciliationId', constraints: false });
+Transaction.belongsTo(Reconciliation, { foreignKey: 'reconciliationId', constraints: false });
+
+// Late fee relationships
+Property.hasMany(LateFeePolicy, { foreignKey: 'property_id' });
+LateFeePolicy.belongsTo(Property, { foreignKey: 'property_id' });
+Property.hasMany(ScreeningPolicy, { foreignKey: 'property_id' });
+ScreeningPolicy.belongsTo(Property, { foreignKey: 'property_id' });
+
+Unit.hasOne(Listing, { foreignKey: 'unit_id' });
+Listing.belongsTo(Unit, { foreignKey: 'unit_id' });
+
+// Rental application relationships
+Unit.hasMany(RentalApplication, { foreignKey: 'unit_id', as: 'applications' });
+RentalApplication.belongsTo(Unit, { foreignKey: 'unit_id' });
+RentalApplication.belongsTo(Lease, { foreignKey: 'lease_id' });
+RentalApplication.hasMany(Applicant, { foreignKey: 'application_id', as: 'applicants' });
+Applicant.belongsTo(RentalApplication, { foreignKey: 'application_id' });
+RentalApplication.hasMany(ApplicationReference, { foreignKey: 'application_id', as: 'references' });
+ApplicationReference.belongsTo(RentalApplication, { foreignKey: 'application_id' });
+RentalApplication.hasMany(ApplicationDocument, { foreignKey: 'application_id', as: 'documents' });
+ApplicationDocument.belongsTo(RentalApplication, { foreignKey: 'application_id' });
+ApplicationDocument.belongsTo(Applicant, { foreignKey: 'applicant_id' });
+Tenant.hasMany(LateFeeExemption, { foreignKey: 'tenant_id' });
+LateFeeExemption.belongsTo(Tenant, { foreignKey: 'tenant_id' });
+
+// Vendor relationships
+Organization.hasMany(Vendor, { foreignKey: 'organization_id' });
+Vendor.belongsTo(Organization, { foreignKey: 'organization_id' });
+Vendor.hasMany(Maintenance, { foreignKey: 'vendor_id' });
+Maintenance.belongsTo(Vendor, { foreignKey: 'vendor_id' });
+Vendor.hasMany(Transaction, { foreignKey: 'vendorId', constraints: false });
+Vendor.hasMany(MaintenanceSchedule, { foreignKey: 'vendor_id' });
+MaintenanceSchedule.belongsTo(Vendor, { foreignKey: 'vendor_id' });
+Transaction.belongsTo(Vendor, { foreignKey: 'vendorId', constraints: false });
+
+// Maintenance relationships
+Property.hasMany(Maintenance, { foreignKey: 'property_id', as: 'maintenance' });
+Maintenance.belongsTo(Property, { foreignKey: 'property_id' });
+
+Unit.hasMany(Maintenance, { foreignKey: 'unit_id', as: 'maintenance' });
+Maintenance.belongsTo(Unit, { foreignKey: 'unit_id' });
+Tenant.hasMany(Maintenance, { foreignKey: 'tenant_id', as: 'maintenance' });
+Maintenance.belongsTo(Tenant, { foreignKey: 'tenant_id' });
+Property.hasMany(MaintenanceSchedule, { foreignKey: 'property_id' });
+MaintenanceSchedule.belongsTo(Property, { foreignKey: 'property_id' });
+Unit.hasMany(MaintenanceSchedule, { foreignKey: 'unit_id' });
+MaintenanceSchedule.belongsTo(Unit, { foreignKey: 'unit_id' });
+MaintenanceSchedule.hasMany(Maintenance, { foreignKey: 'schedule_id', as: 'workOrders' });
+Maintenance.belongsTo(MaintenanceSchedule, { foreignKey: 'schedule_id' });
+Maintenance.hasMany(MaintenanceStatusChange, { foreignKey: 'maintenance_id', as: 'history' });
+MaintenanceStatusChange.belongsTo(Maintenance, { foreignKey: 'maintenance_id' });
+Maintenance.hasMany(MaintenanceComment, { foreignKey: 'maintenance_id', as: 'comments' });
+MaintenanceComment.belongsTo(Maintenance, { foreignKey: 'maintenance_id' });
+MaintenanceComment.hasMany(MaintenanceComment, { foreignKey: 'parent_id', as: 'replies' });
+Maintenance.hasMany(MaintenanceAttachment, { foreignKey: 'maintenance_id', as: 'attachments' });
+MaintenanceAttachment.belongsTo(Maintenance, { foreignKey: 'maintenance_id' });
+MaintenanceComment.hasMany(MaintenanceAttachment, { foreignKey: 'comment_id', as: 'attachments' });
+
+// Photo relationships
+Property.hasMany(Photo, { foreignKey: 'property_id', as: 'photos' });
+Photo.belongsTo(Property, { foreignKey: 'property_id' });
+
+Unit.hasMany(Photo, { foreignKey: 'unit_id', as: 'photos' });
+Photo.belongsTo(Unit, { foreignKey: 'unit_id' });
+
+// Subscription relationships
+SubscriptionPlan.hasMany(Subscription, { foreignKey: 'plan_id' });
+Subscription.belongsTo(SubscriptionPlan, { foreignKey: 'plan_id' });
+Subscription.hasMany(SubscriptionInvoice, { foreignKey: 'subscription_id', as: 'invoices' });
+SubscriptionInvoice.belongsTo(Subscription, { foreignKey: 'subscription_id' });
+
+// Portfolio relationships
+// Without the keys Sequelize adds its own PortfolioId/PropertyId attributes over the junction's
+Portfolio.belongsToMany(Property, { through: PortfolioProperty, foreignKey: 'portfolio_id', otherKey: 'property_id' });
+Property.belongsToMany(Portfolio, { through: PortfolioProperty, foreignKey: 'property_id', otherKey: 'portfolio_id' });
+
+// Organization relationships
+Organization.hasMany(OrganizationMember, { foreignKey: 'organization_id', as: 'members' });
+OrganizationMember.belongsTo(Organization, { foreignKey: 'organization_id' });
+User.hasMany(OrganizationMember, { foreignKey: 'user_id', as: 'memberships' });
+OrganizationMember.belongsTo(User, { foreignKey: 'user_id' });
+
+Organization.hasMany(Property, { foreignKey: 'organization_id' });
+Property.belongsTo(Organization, { foreignKey: 'organization_id' });
+Organization.hasMany(Tenant, { foreignKey: 'organization_id' });
+Tenant.belongsTo(Organization, { foreignKey: 'organization_id' });
+Organization.hasMany(Lease, { foreignKey: 'organization_id' });
+Lease.belongsTo(Organization, { foreignKey: 'organization_id' });
+Organization.hasMany(Owner, { foreignKey: 'organization_id' });
+Owner.belongsTo(Organization, { foreignKey: 'organization_id' });
+Organization.hasMany(AccountType, { foreignKey: 'organization_id' });
+AccountType.belongsTo(Organization, { foreignKey: 'organization_id' });
+Organization.hasMany(Account, { foreignKey: 'organization_id' });
+Account.belongsTo(Organization, { foreignKey: 'organization_id' });
+Organization.hasMany(Portfolio, { foreignKey: 'organization_id' });
+Portfolio.belongsTo(Organization, { foreignKey: 'organization_id' });
+Organization.hasMany(Subscription, { foreignKey: 'organization_id' });
+Subscription.belongsTo(Organization, { foreignKey: 'organization_id' });
+Organization.hasMany(JournalEntry, { foreignKey: 'organization_id' });
+JournalEntry.belongsTo(Organization, { foreignKey: 'organization_id' });
+
+// User relationships
+User.hasMany(RefreshToken, { foreignKey: 'user_id' });
+User.hasMany(NotificationPreference, { foreignKey: 'user_id' });
+Organization.hasMany(NotificationTemplate, { foreignKey: 'organization_id' });
+Organization.hasMany(Notification, { foreignKey: 'organization_id' });
+AuditLog.belongsTo(User, { foreignKey: 'user_id', as: 'actor', constraints: false });
+RefreshToken.belongsTo(User, { foreignKey: 'user_id' });
+
+// Rows created before accounts existed point at user 1, so no FK constraint is enforced here
+User.hasMany(Subscription, { foreignKey: 'user_id', constraints: false });
+Subscription.belongsTo(User, { foreignKey: 'user_id', constraints: false });
+
+User.hasMany(Portfolio, { foreignKey: 'user_id', constraints: false });
+Portfolio.belongsTo(User, { foreignKey: 'user_id', constraints: false });
+
+// Authentication
+const JWT_SECRET = process.env.JWT_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.JWT_SECRET) {
+  console.warn('JWT_SECRET is not set; using a random secret, so tokens will not survive a restart.');
+}
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+const PASSWORD_RESET_TTL_MINUTES = 60;
+const PORTAL_INVITE_TTL_HOURS = 72;
+const MIN_PASSWORD_LENGTH = 8;
+
+// Link to the app's reset page when APP_URL is set, otherwise just the token
+const passwordResetUrl = (token) =>
+  (process.env.APP_URL ? `${process.env.APP_URL.replace(/\/$/, '')}/reset-password?token=${token}` : token);
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const signAccessToken = (user) =>
+  jwt.sign({ sub: user.id, email: user.email, type: 'access' }, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+
+// Refresh tokens are opaque random strings; the database row is what makes them valid
+const issueRefreshToken = async (user, transaction) => {
+  const token = crypto.randomBytes(48).toString('hex');
+  await RefreshToken.create({
+    user_id: user.id,
+    token_hash: hashToken(token),
+    expires_at: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+  }, { transaction });
+  return token;
+};
+
+const issueSession = async (user, transaction) => ({
+  user,
+  accessToken: signAccessToken(user),
+  refreshToken: await issueRefreshToken(user, transaction)
+});
+
+// Routes that can be reached without an access token (paths are relative to /api)
+const PUBLIC_API_PATHS = [
+  /^\/auth\/(signup|login|refresh|logout)$/,
+  /^\/auth\/password-reset\/(request|confirm)$/,
+  /^\/subscription\/plans$/,
+  /^\/webhooks\/stripe$/,
+  /^\/files\//,
+  /^\/public\//
+];
+
+const authenticate = async (req, res, next) => {
+  try {
+    const header = req.headers.authorization || '';
+    const [scheme, token] = header.split(' ');
+    if (scheme !== 'Bearer' || !token) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    let payload;
+    try {
+      payload = jwt.verify(token, JWT_SECRET);
+    } catch (error) {
+      return res.status(401).json({ error: 'Invalid or expired access token' });
+    }
+    if (payload.type !== 'access') {
+      return res.status(401).json({ error: 'Invalid or expired access token' });
+    }
+
+    const user = await User.findByPk(payload.sub);
+    if (!user || !user.is_active) {
+      return res.status(401).json({ error: 'User account is not active' });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    console.error('Error authenticating request:', error);
+    res.status(500).json({ error: 'Failed to authenticate request' });
+  }
+};
+
+// Resolve the organization a request acts on: the X-Organization-Id header, or the user's first membership
+const loadOrganization = async (req, res, next) => {
+  try {
+    const requestedId = req.headers['x-organization-id'];
+    const where = { user_id: req.user.id };
+    if (requestedId) {
+      where.organization_id = parseInt(requestedId, 10) || 0;
+    }
+
+    const membership = await OrganizationMember.findOne({
+      where,
+      include: [Organization],
+      order: [['id', 'ASC']]
+    });
+    if (requestedId && !membership) {
+      return res.status(403).json({ error: 'You are not a member of this organization' });
+    }
+
+    req.membership = membership;
+    req.organization = membership ? membership.Organization : null;
+    next();
+  } catch (error) {
+    console.error('Error loading organization:', error);
+    res.status(500).json({ error: 'Failed to load organization' });
+  }
+};
+
+app.use('/api', (req, res, next) => auditContext.run({ req }, next));
+
+app.use('/api', (req, res, next) => {
+  if (PUBLIC_API_PATHS.some(pattern => pattern.test(req.path))) {
+    return next();
+  }
+  return authenticate(req, res, () => loadOrganization(req, res, next));
+});
+
+// Role-based permissions: which roles may read or write each area of the API
+const ALL_ROLES = ROLES;
+const PERMISSIONS = {
+  properties: { read: ALL_ROLES, write: ['admin', 'manager'] },
+  tenants: { read: ['admin', 'manager', 'accountant', 'owner', 'read_only'], write: ['admin', 'manager'] },
+  payments: { read: ['admin', 'manager', 'accountant', 'owner', 'read_only'], write: ['admin', 'manager', 'accountant'] },
+  accounting: { read: ['admin', 'manager', 'accountant', 'owner', 'read_only'], write: ['admin', 'accountant'] },
+  maintenance: { read: ALL_ROLES, write: ['admin', 'manager', 'maintenance'] },
+  vendors: { read: ALL_ROLES, write: ['admin', 'manager', 'accountant'] },
+  portfolios: { read: ALL_ROLES, write: ['admin', 'manager'] },
+  subscriptions: { read: ['admin'], write: ['admin'] },
+  organization: { read: ALL_ROLES, write: ['admin'] },
+  audit: { read: ['admin', 'manager', 'accountant'], write: [] }
+};
+
+const can = (membership, area, action) =>
+  Boolean(membership) && PERMISSIONS[area][action].includes(membership.role);
+
+const authorize = (area, action) => (req, res, next) => {
+  if (!req.organization) {
+    return res.status(403).json({ error: 'You are not a member of any organization' });
+  }
+  if (!can(req.membership, area, action)) {
+    return res.status(403).json({ error: `The ${req.membership.role} role cannot ${action} ${area}` });
+  }
+  next();
+};
+
+// Plan limits. The organization's live subscription decides how many properties and units it may
+// have and which reports it can run. Limits are numbers or 'unlimited'.
+const REPORT_TIERS = ['basic', 'advanced', 'premium'];
+
+// Organizations without a live subscription fall back to the free plan
+const FREE_PLAN = {
+  id: null,
+  name: 'Free Plan',
+  features: { property_limit: 1, unit_limit: 5, reports: 'basic' }
+};
+
+const QUOTA_RESOURCES = {
+  properties: {
+    feature: 'property_limit',
+    count: (organizationId, transaction) => Property.count({ where: { organization_id: organizationId }, transaction })
+  },
+  units: {
+    feature: 'unit_limit',
+    count: (organizationId, transaction) => Unit.count({
+      include: [{
+        model: PropertyAddress,
+        attributes: [],
+        required: true,
+        include: [{ model: Property, attributes: [], required: true, where: { organization_id: organizationId } }]
+      }],
+      transaction
+    })
+  }
+};
+
+// Plans seeded before features were stored as JSON hold a JSON string
+const planFeatures = (plan) => {
+  if (!plan || !plan.features) return {};
+  if (typeof plan.features === 'string') {
+    try {
+      return JSON.parse(plan.features);
+    } catch (error) {
+      return {};
+    }
+  }
+  return plan.features;
+};
+
+const planLimit = (plan, feature) => {
+  const value = planFeatures(plan)[feature];
+  if (value === 'unlimited' || value === null || value === undefined) return Infinity;
+  return parseInt(value, 10);
+};
+
+const activeSubscription = (organizationId, transaction) => Subscription.findOne({
+  where: { organization_id: organizationId, status: LIVE_SUBSCRIPTION_STATUSES },
+  include: [SubscriptionPlan],
+  order: [['createdAt', 'DESC']],
+  transaction
+});
+
+// The plan whose limits apply to the organization right now
+const currentPlan = async (organizationId, transaction) => {
+  const subscription = await activeSubscription(organizationId, transaction);
+  return subscription ? subscription.SubscriptionPlan : FREE_PLAN;
+};
+
+const usageFor = async (organizationId, plan) => {
+  const usage = {};
+  for (const [resource, { feature, count }] of Object.entries(QUOTA_RESOURCES)) {
+    const limit = planLimit(plan, feature);
+    const used = await count(organizationId);
+    usage[resource] = {
+      used,
+      limit: limit === Infinity ? 'unlimited' : limit,
+      remaining: limit === Infinity ? 'unlimited' : Math.max(0, limit - used)
+    };
+  }
+  return usage;
+};
+
+// Throw unless the organization can add `adding` more of the resource. Call it in the transaction
+// that creates them: it locks the organization so concurrent creates are counted one at a time.
+const assertQuota = async (organizationId, resource, adding, transaction) => {
+  await Organization.findByPk(organizationId, { transaction, lock: transaction.LOCK.UPDATE });
+  const plan = await currentPlan(organizationId, transaction);
+  const { feature, count } = QUOTA_RESOURCES[resource];
+  const limit = planLimit(plan, feature);
+  const used = await count(organizationId, transaction);
+  if (used + adding > limit) {
+    const error = new HttpError(403, `The ${plan.name} allows ${limit} ${resource}; upgrade your plan to add more`);
+    error.details = { resource, used, limit, plan: plan.name };
+    throw error;
+  }
+};
+
+const sendQuotaError = (res, error) => res.status(error.status).json({ error: error.message, ...(error.details || {}) });
+
+// Report endpoints name the tier they need; comparisons and portfolio roll-ups need at least advanced
+const requireReportTier = (tier) => async (req, res, next) => {
+  try {
+    const plan = await currentPlan(req.organization.id);
+    const planTier = planFeatures(plan).reports || 'basic';
+    const needed = (req.query.compare || req.query.portfolioId) && REPORT_TIERS.indexOf(tier) < 1 ? 'advanced' : tier;
+    if (REPORT_TIERS.indexOf(planTier) < REPORT_TIERS.indexOf(needed)) {
+      return res.status(403).json({
+        error: `This report needs the ${needed} reports tier; the ${plan.name} includes ${planTier}`,
+        required_tier: needed,
+        plan_tier: planTier
+      });
+    }
+    next();
+  } catch (error) {
+    if (error.status) {
+      return sendQuotaError(res, error);
+    }
+    console.error('Error checking report tier:', error);
+    res.status(500).json({ error: 'Failed to check subscription' });
+  }
+};
+
+// Organization scoping helpers. Properties, tenants, owners, accounts and portfolios carry an
+// organization_id; everything else is reached through the property (or unit) it hangs off.
+// Deleted (archived) rows are left out unless withArchived is set
+const orgPropertyIds = async (organizationId, { withArchived = false } = {}) =>
+  (await Property.findAll({
+    attributes: ['id'],
+    where: { organization_id: organizationId },
+    paranoid: !withArchived
+  })).map(p => p.id);
+
+const orgAddressIds = async (organizationId, { withArchived = false } = {}) =>
+  (await PropertyAddress.findAll({
+    attributes: ['id'],
+    where: { property_id: await orgPropertyIds(organizationId, { withArchived }) },
+    paranoid: !withArchived
+  })).map(a => a.id);
+
+const orgUnitIds = async (organizationId) =>
+  (await Unit.findAll({
+    attributes: ['id'],
+    where: { address_id: await orgAddressIds(organizationId) }
+  })).map(u => u.id);
+
+const orgTenantIds = async (organizationId, { withArchived = false } = {}) =>
+  (await Tenant.findAll({
+    attributes: ['id'],
+    where: { organization_id: organizationId },
+    paranoid: !withArchived
+  })).map(t => t.id);
+
+const orgAccountIds = async (organizationId) =>
+  (await Account.findAll({ attributes: ['id'], where: { organization_id: organizationId } })).map(a => a.id);
+
+const orgAssociationIds = async (organizationId) =>
+  (await Association.findAll({
+    attributes: ['id'],
+    where: { property_id: await orgPropertyIds(organizationId) }
+  })).map(a => a.id);
+
+// Maintenance requests and photos hang off either a property or a unit
+const propertyOrUnitScope = async (organizationId) => ({
+  [Sequelize.Op.or]: [
+    { property_id: await orgPropertyIds(organizationId) },
+    { unit_id: await orgUnitIds(organizationId) }
+  ]
+});
+
+const inOrganization = async (idsLoader, id, organizationId) => {
+  if (id === undefined || id === null || id === '') {
+    return false;
+  }
+  return (await idsLoader(organizationId)).includes(parseInt(id, 10));
+};
+
+const createOrganization = async (name, adminUser, transaction) => {
+  const organization = await Organization.create({ name }, { transaction });
+  await OrganizationMember.create({
+    organization_id: organization.id,
+    user_id: adminUser.id,
+    role: 'admin'
+  }, { transaction });
+  await seedChartOfAccounts(organization.id, transaction);
+  return organization;
+};
+
+// Records created before organizations existed belong to the first organization
+const adoptUnscopedRecords = async (organizationId, transaction) => {
+  for (const model of [Property, Tenant, Lease, Owner, Account, Portfolio, Subscription]) {
+    await model.update(
+      { organization_id: organizationId },
+      { where: { organization_id: null }, transaction }
+    );
+  }
+};
+
+// Auth endpoints
+app.post('/api/auth/signup', async (req, res) => {
+  const t = await sequelize.transaction();
+  try {
+    const { email, password, name, organization_name } = req.body;
+
+    if (!email || !password) {
+      await t.rollback();
+      return res.status(400).json({ error: 'Email and password are required' });
+    }
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      await t.rollback();
+      return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+
+    const normalizedEmail = email.trim().toLowerCase();
+    const existingUser = await User.findOne({ where: { email: normalizedEmail }, transaction: t });
+    if (existingUser) {
+      await t.rollback();
+      return res.status(409).json({ error: 'An account with this email already exists' });
+    }
+
+    const user = await User.create({
+      email: normalizedEmail,
+      name,
+      password_hash: await bcrypt.hash(password, 12)
+    }, { transaction: t });
+
+    // Every new account starts out as the admin of its own organization
+    const isFirstOrganization = (await Organization.count({ transaction: t })) === 0;
+    const organization = await createOrganization(
+      organization_name || `${name || normalizedEmail}'s Organization`,
+      user,
+      t
+    );
+    if (isFirstOrganization) {
+      await adoptUnscopedRecords(organization.id, t);
+    }
+
+    const session = await issueSession(user, t);
+    await t.commit();
+
+    res.status(201).json({ ...session, organization });
+  } catch (error) {
+    await t.rollback();
+    console.error('Error signing up:', error);
+    res.status(500).json({ error: 'Failed to sign up' });
+  }
+});
+
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const { email, password } = req.body;
+    if (!email || !password) {
+      return res.status(400).json({ error: 'Email and password are required' });
+    }
+
+    const user = await User.scope('withCredentials').findOne({ where: { email: email.trim().toLowerCase() } });
+    const passwordMatches = user ? await bcrypt.compare(password, user.password_hash) : false;
+    if (!user || !passwordMatches || !user.is_active) {
+      return res.status(401).json({ error: 'Invalid email or password' });
+    }
+
+    user.last_login_at = new Date();
+    await user.save();
+
+    res.json(await issueSession(user));
+  } catch (error) {
+    console.error('Error logging in:', error);
+    res.status(500).json({ error: 'Failed to log in' });
+  }
+});
+
+// Exchange a refresh token for a new access token; the refresh token is rotated
+app.post('/api/auth/refresh', async (req, res) => {
+  const t = await sequelize.transaction();
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+      await t.rollback();
+      return res.status(400).json({ error: 'Refresh token is required' });
+    }
+
+    const stored = await RefreshToken.findOne({
+      where: { token_hash: hashToken(refreshToken) },
+      include: [User],
+      transaction: t
+    });
+
+    if (!stored || stored.revoked_at || stored.expires_at < new Date() || !stored.User.is_active) {
+      await t.rollback();
+      return res.status(401).json({ error: 'Invalid or expired refresh token' });
+    }
+
+    stored.revoked_at = new Date();
+    await stored.save({ transaction: t });
+
+    const session = await issueSession(stored.User, t);
+    await t.commit();
+
+    res.json(session);
+  } catch (error) {
+    await t.rollback();
+    console.error('Error refreshing session:', error);
+    res.status(500).json({ error: 'Failed to refresh session' });
+  }
+});
+
+app.post('/api/auth/logout', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (refreshToken) {
+      await RefreshToken.update(
+        { revoked_at: new Date() },
+        { where: { token_hash: hashToken(refreshToken), revoked_at: null } }
+      );
+    }
+    res.status(204).send();
+  } catch (error) {
+    console.error('Error logging out:', error);
+    res.status(500).json({ error: 'Failed to log out' });
+  }
+});
+
+const sendPasswordReset = async (user) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  user.password_reset_token_hash = hashToken(token);
+  user.password_reset_expires_at = new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000);
+  await user.save();
+
+  await notify({
+    type: 'password_reset',
+    recipient: { user_id: user.id, name: user.name, email: user.email },
+    data: { reset_url: passwordResetUrl(token), expires_in: `${PASSWORD_RESET_TTL_MINUTES} minutes` }
+  });
+};
+
+app.post('/api/auth/password-reset/request', async (req, res) => {
+  try {
+    const { email } = req.body;
+    if (!email) {
+      return res.status(400).json({ error: 'Email is required' });
+    }
+
+    const user = await User.findOne({ where: { email: email.trim().toLowerCase() } });
+
+    // Always answer the same way, and before any work for the account, so neither the reply nor how
+    // long it takes can be used to discover accounts
+    res.json({ message: 'If an account exists for this email, a reset link has been sent' });
+
+    if (user && user.is_active) {
+      sendPasswordReset(user).catch(error => console.error('Error sending password reset:', error));
+    }
+  } catch (error) {
+    console.error('Error requesting password reset:', error);
+    res.status(500).json({ error: 'Failed to request password reset' });
+  }
+});
+
+app.post('/api/auth/password-reset/confirm', async (req, res) => {
+  const t = await sequelize.transaction();
+  try {
+    const { token, password } = req.body;
+    if (!token || !password) {
+      await t.rollback();
+      return res.status(400).json({ error: 'Token and password are required' });
+    }
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      await t.rollback();
+      return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+
+    const user = await User.findOne({
+      where: {
+        password_reset_token_hash: hashToken(token),
+        password_reset_expires_at: { [Sequelize.Op.gt]: new Date() }
+      },
+      transaction: t
+    });
+    if (!user) {
+      await t.rollback();
+      return res.status(400).json({ error: 'Invalid or expired reset token' });
+    }
+
+    user.password_hash = await bcrypt.hash(password, 12);
+    user.password_reset_token_hash = null;
+    user.password_reset_expires_at = null;
+    await user.save({ transaction: t });
+
+    // Sign the user out everywhere once the password changes
+    await RefreshToken.update(
+      { revoked_at: new Date() },
+      { where: { user_id: user.id, revoked_at: null }, transaction: t }
+    );
+
+    await t.commit();
+    res.json({ message: 'Password has been reset' });
+  } catch (error) {
+    await t.rollback();
+    console.error('Error resetting password:', error);
+    res.status(500).json({ error: 'Failed to reset password' });
+  }
+});
+
+app.get('/api/auth/me', async (req, res) => {
+  try {
+    const memberships = await OrganizationMember.findAll({
+      where: { user_id: req.user.id },
+      include: [Organization]
+    });
+    res.json({ ...req.user.toJSON(), memberships });
+  } catch (error) {
+    console.error('Error fetching current user:', error);
+    res.status(500).json({ error: 'Failed to fetch current user' });
+  }
+});
+
+// Organization endpoints
+app.get('/api/organizations', async (req, res) => {
+  try {
+    const memberships = await OrganizationMember.findAll({
+      where: { user_id: req.user.id },
+      include: [Organization]
+    });
+    res.json(memberships.map(m => ({ ...m.Organization.toJSON(), role: m.role })));
+  } catch (error) {
+    console.error('Error fetching organizations:', error);
+    res.status(500).json({ error: 'Failed to fetch organizations' });
+  }
+});
+
+app.post('/api/organizations', async (req, res) => {
+  const t = await sequelize.transaction();
+  try {
+    const { name } = req.body;
+    if (!name) {
+      await t.rollback();
+      return res.status(400).json({ error: 'Organization name is required' });
+    }
+
+    const organization = await createOrganization(name, req.user, t);
+    await t.commit();
+
+    res.status(201).json({ ...organization.toJSON(), role: 'admin' });
+  } catch (error) {
+    await t.rollback();
+    console.error('Error creating organization:', error);
+    res.status(500).json({ error: 'Failed to create organization' });
+  }
+});
+
+app.get('/api/organizations/current', authorize('organization', 'read'), async (req, res) => {
+  res.json({ ...req.organization.toJSON(), role: req.membership.role });
+});
+
+app.put('/api/organizations/current', authorize('organization', 'write'), async (req, res) => {
+  try {
+    const { name } = req.body;
+    if (name) req.organization.name = name;
+    await req.organization.save();
+    res.json(req.organization);
+  } catch (error) {
+    console.error('Error updating organization:', error);
+    res.status(500).json({ error: 'Failed to update organization' });
+  }
+});
+
+app.get('/api/organizations/current/members', authorize('organization', 'read'), async (req, res) => {
+  try {
+    const members = await OrganizationMember.findAll({
+      where: { organization_id: req.organization.id },
+      include: [User]
+    });
+    res.json(members);
+  } catch (error) {
+    console.error('Error fetching organization members:', error);
+    res.status(500).json({ error: 'Failed to fetch organization members' });
+  }
+});
+
+// Add an existing user to the organization by email
+app.post('/api/organizations/current/members', authorize('organization', 'write'), async (req, res) => {
+  try {
+    const { email, role } = req.body;
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}` });
+    }
+
+    const user = await User.findOne({ where: { email: (email || '').trim().toLowerCase() } });
+    if (!user) {
+      return res.status(404).json({ error: 'No user exists with this email' });
+    }
+
+    const existingMember = await OrganizationMember.findOne({
+      where: { organization_id: req.organization.id, user_id: user.id }
+    });
+    if (existingMember) {
+      return res.status(409).json({ error: 'User is already a member of this organization' });
+    }
+
+    const member = await OrganizationMember.create({
+      organization_id: req.organization.id,
+      user_id: user.id,
+      role
+    });
+    res.status(201).json(await OrganizationMember.findByPk(member.id, { include: [User] }));
+  } catch (error) {
+    console.error('Error adding organization member:', error);
+    res.status(500).json({ error: 'Failed to add organization member' });
+  }
+});
+
+// An organization must always keep at least one admin
+const isLastAdmin = async (member) =>
+  member.role === 'admin' &&
+  (await OrganizationMember.count({ where: { organization_id: member.organization_id, role: 'admin' } })) <= 1;
+
+app.put('/api/organizations/current/members/:id', authorize('organization', 'write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { role } = req.body;
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}` });
+    }
+
+    const member = await OrganizationMember.findOne({ where: { id, organization_id: req.organization.id } });
+    if (!member) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+    if (role !== 'admin' && await isLastAdmin(member)) {
+      return res.status(409).json({ error: 'Cannot demote the last admin of the organization' });
+    }
+
+    member.role = role;
+    await member.save();
+    res.json(member);
+  } catch (error) {
+    console.error('Error updating organization member:', error);
+    res.status(500).json({ error: 'Failed to update organization member' });
+  }
+});
+
+app.delete('/api/organizations/current/members/:id', authorize('organization', 'write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const member = await OrganizationMember.findOne({ where: { id, organization_id: req.organization.id } });
+    if (!member) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+    if (await isLastAdmin(member)) {
+      return res.status(409).json({ error: 'Cannot remove the last admin of the organization' });
+    }
+
+    await member.destroy();
+    res.status(204).send();
+  } catch (error) {
+    console.error('Error removing organization member:', error);
+    res.status(500).json({ error: 'Failed to remove organization member' });
+  }
+});
+
+// API Routes
+app.get('/api/properties', authorize('properties', 'read'), async (req, res) => {
+  try {
+    const properties = await Property.findAll({
+      where: { organization_id: req.organization.id },
+      include: [
+        {
+          model: PropertyAddress,
+          as: 'addresses',
+          include: [
+            {
+              model: Unit,
+              as: 'units'
+            }
+          ]
+        },
+        {
+          model: Photo,
+          as: 'photos'
+        }
+      ]
+    });
+    res.json(properties);
+  } catch (error) {
+    console.error('Error fetching properties:', error);
+    res.status(500).json({ error: 'Failed to fetch properties' });
+  }
+});
+
+app.get('/api/properties/:id', authorize('properties', 'read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const property = await Property.findOne({
+      where: { id, organization_id: req.organization.id },
+      include: [
+        {
+          model: PropertyAddress,
+          as: 'addresses',
+          include: [
+            {
+              model: Unit,
+              as: 'units'
+            }
+          ]
+        },
+        {
+          model: Photo,
+          as: 'photos'
+        }
+      ]
+    });
+    
+    if (!property) {
+      return res.status(404).json({ error: 'Property not found' });
+    }
+    
+    res.json(property);
+  } catch (error) {
+    console.error('Error fetching property:', error);
+    res.status(500).json({ error: 'Failed to fetch property' });
+  }
+});
+
+app.post('/api/properties', authorize('properties', 'write'), async (req, res) => {
+  const t = await sequelize.transaction();
+  try {
+    console.log(`[${new Date().toISOString()}] Creating new property with data:`, JSON.stringify(req.body, null, 2));
+    const { name, property_type, status, value, owner_id, addresses } = req.body;
+
+    await assertQuota(req.organization.id, 'properties', 1, t);
+
+    if (owner_id && !(await Owner.count({ where: { id: owner_id, organization_id: req.organization.id }, transaction: t }))) {
+      await t.rollback();
+      return res.status(400).json({ error: 'Owner not found' });
+    }
+    
+    // Create property
+    const property = await Property.create({
+      organization_id: req.organization.id,
+      name,
+      property_type,
+      status,
+      value: value === '' ? 0 : parseFloat(value),
+      owner_id: owner_id || null
+    }, { transaction: t });
+
+    console.log(`[${new Date().toISOString()}] Created property:`, JSON.stringify(property, null, 2));
+
+    // Create addresses
+    if (addresses && addresses.length > 0) {
+      console.log(`[${new Date().toISOString()}] Creating ${addresses.length} addresses for property ${property.id}`);
+      const addressPromises = addresses.map((addr, index) => 
+        PropertyAddress.create({
+          ...addr,
+          property_id: property.id,
+          is_primary: index === 0 // First address is primary by default
+        }, { transaction: t })
+      );
+      await Promise.all(addressPromises);
+    }
+
+    await t.commit();
+    console.log(`[${new Date().toISOString()}] Successfully committed transaction`);
+
+    // Fetch the created property with its addresses
+    const createdProperty = await Property.findByPk(property.id, {
+      include: [
+        {
+          model: PropertyAddress,
+          as: 'addresses',
+          include: [
+            {
+              model: Unit,
+              as: 'units'
+            }
+          ]
+        },
+        {
+          model: Photo,
+          as: 'photos'
+        }
+      ]
+    });
+
+    res.status(201).json(createdProperty);
+  } catch (error) {
+    await t.rollback();
+    if (error.status) {
+      return sendQuotaError(res, error);
+    }
+    console.error('Error creating property:', {
+      message: error.message,
+      stack: error.stack,
+      requestBody: req.body
+    });
+    res.status(500).json({ 
+      error: 'Failed to create property',
+      details: error.message 
+    });
+  }
+});
+
+app.put('/api/properties/:id', authorize('properties', 'write'), async (req, res) => {
+  const t = await sequelize.transaction();
+  try {
+    const { id } = req.params;
+    const { name, property_type, status, value, owner_id, addresses, photos } = req.body;
+
+    if (!(await Property.count({ where: { id, organization_id: req.organization.id } }))) {
+      await t.rollback();
+      return res.status(404).json({ error: 'Property not found' });
+    }
+    if (owner_id && !(await Owner.count({ where: { id: owner_id, organization_id: req.organization.id }, transaction: t }))) {
+      await t.rollback();
+      return res.status(400).json({ error: 'Owner not found' });
+    }
+
+    // Update property
+    await Property.update({
+      name,
+      property_type,
+      status,
+      value: value === '' ? 0 : value,
+      owner_id
+    }, { 
+      where: { id },
+      transaction: t 
+    });
+
+    // Update addresses
+    if (addresses) {
+      // Delete removed addresses
+      const addressIds = addresses.filter(addr => addr.id).map(addr => addr.id);
+      await archiveAddresses({
+        property_id: id,
+        id: { [Sequelize.Op.notIn]: addressIds }
+      }, 'A removed address', t);
+
+      // Update or create addresses
+      for (const [index, addr] of addresses.entries()) {
+        if (addr.id) {
+          await PropertyAddress.update(
+            { ...addr, property_id: id, is_primary: index === 0 },
+            { where: { id: addr.id, property_id: id }, transaction: t }
+          );
+        } else {
+          await PropertyAddress.create(
+            { ...addr, property_id: id, is_primary: index === 0 },
+            { transaction: t }
+          );
+        }
+      }
+    }
+
+    // Handle photos if provided
+    if (photos) {
+      await syncPhotoList(photos, { property_id: id }, t);
+    }
+
+    await t.commit();
+
+    // Fetch updated property
+    const updatedProperty = await Property.findByPk(id, {
+      include: [
+        {
+          model: PropertyAddress,
+          as: 'addresses',
+          include: [
+            {
+              model: Unit,
+              as: 'units'
+            }
+          ]
+        },
+        {
+          model: Photo,
+          as: 'photos'
+        }
+      ]
+    });
+
+    res.json(updatedProperty);
+  } catch (error) {
+    await t.rollback();
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error updating property:', error);
+    res.status(500).json({ error: 'Failed to update property' });
+  }
+});
+
+app.post('/api/properties/:propertyId/addresses', authorize('properties', 'write'), async (req, res) => {
+  try {
+    const { propertyId } = req.params;
+    if (!(await inOrganization(orgPropertyIds, propertyId, req.organization.id))) {
+      return res.status(404).json({ error: 'Property not found' });
+    }
+    const address = await PropertyAddress.create({
+      ...req.body,
+      property_id: propertyId
+    });
+    res.status(201).json(address);
+  } catch (error) {
+    console.error('Error creating address:', error);
+    res.status(500).json({ error: 'Failed to create address' });
+  }
+});
+
+app.put('/api/properties/addresses/:id', authorize('properties', 'write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!(await inOrganization(orgAddressIds, id, req.organization.id))) {
+      return res.status(404).json({ error: 'Address not found' });
+    }
+    // An address can't be moved to another organization's property
+    const { property_id, ...addressData } = req.body;
+    await PropertyAddress.update(addressData, {
+      where: { id }
+    });
+    const updatedAddress = await PropertyAddress.findByPk(id);
+    res.json(updatedAddress);
+  } catch (error) {
+    console.error('Error updating address:', error);
+    res.status(500).json({ error: 'Failed to update address' });
+  }
+});
+
+app.delete('/api/properties/addresses/:id', authorize('properties', 'write'), async (req, res) => {
+  const t = await sequelize.transaction();
+  try {
+    const { id } = req.params;
+    if (!(await inOrganization(orgAddressIds, id, req.organization.id))) {
+      await t.rollback();
+      return res.status(404).json({ error: 'Address not found' });
+    }
+    await archiveAddresses({ id }, 'The address', t);
+    await t.commit();
+    res.status(204).send();
+  } catch (error) {
+    await t.rollback();
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error deleting address:', error);
+    res.status(500).json({ error: 'Failed to delete address' });
+  }
+});
+
+app.get('/api/units', authorize('properties', 'read'), async (req, res) => {
+  try {
+    const units = await Unit.findAll({ 
+      where: { address_id: await orgAddressIds(req.organization.id) },
+      include: [
+        PropertyAddress, 
+        Tenant,
+        {
+          model: Photo,
+          as: 'photos'
+        }
+      ] 
+    });
+    res.json(units);
+  } catch (error) {
+    console.error('Error fetching units:', error);
+    res.status(500).json({ error: 'Failed to fetch units' });
+  }
+});
+
+app.get('/api/units/:id', authorize('properties', 'read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const unit = await Unit.findOne({
+      where: { id, address_id: await orgAddressIds(req.organization.id) },
+      include: [
+        PropertyAddress, 
+        Tenant,
+        {
+          model: Photo,
+          as: 'photos'
+        }
+      ]
+    });
+    
+    if (!unit) {
+      return res.status(404).json({ error: 'Unit not found' });
+    }
+    
+    res.json(unit);
+  } catch (error) {
+    console.error('Error fetching unit:', error);
+    res.status(500).json({ error: 'Failed to fetch unit' });
+  }
+});
+
+app.post('/api/units', authorize('properties', 'write'), async (req, res) => {
+  const t = await sequelize.transaction();
+  try {
+    const address = await PropertyAddress.findOne({
+      where: { id: req.body.address_id },
+      include: [{ model: Property, attributes: [], where: { organization_id: req.organization.id } }],
+      transaction: t
+    });
+    if (!address) {
+      await t.rollback();
+      return res.status(400).json({ error: 'Address not found' });
+    }
+    await assertQuota(req.organization.id, 'units', 1, t);
+    const unit = await Unit.create(req.body, { transaction: t });
+    await t.commit();
+    const createdUnit = await Unit.findByPk(unit.id, {
+      include: [
+        PropertyAddress, 
+        Tenant,
+        {
+          model: Photo,
+          as: 'photos'
+        }
+      ]
+    });
+    res.status(201).json(createdUnit);
+  } catch (error) {
+    await t.rollback();
+    if (error.status) {
+      return sendQuotaError(res, error);
+    }
+    console.error('Error creating unit:', error);
+    res.status(500).json({ error: 'Failed to create unit' });
+  }
+});
+
+app.get('/api/tenants', authorize('tenants', 'read'), async (req, res) => {
+  try {
+    const tenants = await Tenant.findAll({
+      where: { organization_id: req.organization.id },
+      include: [Unit, Payment]
+    });
+    res.json(tenants);
+  } catch (error) {
+    console.error('Error fetching tenants:', error);
+    res.status(500).json({ error: 'Failed to fetch tenants' });
+  }
+});
+
+// Older clients still send the lease terms along with the tenant; those become an active lease
+app.post('/api/tenants', authorize('tenants', 'write'), async (req, res) => {
+  const t = await sequelize.transaction();
+  try {
+    const { name, email, phone, unit_id, lease_start_date, lease_end_date, rent } = req.body;
+    if (unit_id && !(await inOrganization(orgUnitIds, unit_id, req.organization.id))) {
+      await t.rollback();
+      return res.status(400).json({ error: 'Unit not found' });
+    }
+
+    // The unit and lease fields on the tenant mirror their lease, so only a lease sets them
+    const tenant = await Tenant.create({ name, email, phone, organization_id: req.organization.id }, { transaction: t });
+
+    if (unit_id && lease_start_date) {
+      const unit = await Unit.findByPk(unit_id, { transaction: t });
+      await createLease({
+        organizationId: req.organization.id,
+        unit_id,
+        tenant_ids: [tenant.id],
+        start_date: lease_start_date,
+        end_date: lease_end_date,
+        rent: rent !== undefined && rent !== null ? rent : unit.rent_amount,
+        status: 'active'
+      }, t);
+      await syncTenantLeaseFields([tenant.id], t);
+    }
+
+    await t.commit();
+    res.status(201).json(await Tenant.findByPk(tenant.id));
+  } catch (error) {
+    await t.rollback();
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error creating tenant:', error);
+    res.status(500).json({ error: 'Failed to create tenant' });
+  }
+});
+
+// Deleting a tenant archives them; their payments and past leases stay on the books. Tenants on a
+// current lease or who still owe money can't be deleted.
+app.delete('/api/tenants/:id', authorize('tenants', 'write'), async (req, res) => {
+  const t = await sequelize.transaction();
+  try {
+    const tenant = await Tenant.findOne({ where: { id: req.params.id, organization_id: req.organization.id }, transaction: t });
+    if (!tenant) {
+      throw new HttpError(404, 'Tenant not found');
+    }
+    const leases = await tenant.getLeases({ transaction: t });
+    if (leases.some(lease => ['draft', 'active'].includes(lease.status))) {
+      throw new HttpError(409, 'Tenant is on an active or draft lease; end the lease before deleting the tenant');
+    }
+    if (await Payment.count({ where: { tenant_id: tenant.id, status: 'pending' }, transaction: t })) {
+      throw new HttpError(409, 'Tenant has a payment that is still being processed');
+    }
+    let openCents = 0;
+    for (const lease of leases) {
+      openCents += await leaseOpenBalance(lease.id, t);
+    }
+    if (openCents > 0) {
+      throw new HttpError(409, `Tenant has an open balance of ${formatMoney(openCents)}`);
+    }
+    await tenant.destroy({ transaction: t });
+    await t.commit();
+    res.status(204).send();
+  } catch (error) {
+    await t.rollback();
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error deleting tenant:', error);
+    res.status(500).json({ error: 'Failed to delete tenant' });
+  }
+});
+
+// Lease endpoints. Leases are history, so they keep showing tenants and units that were deleted since
+const leaseIncludes = () => [
+  { model: Tenant, as: 'tenants', through: { attributes: ['is_primary'] }, paranoid: false },
+  { model: Unit, paranoid: false, include: [{ model: PropertyAddress, paranoid: false }] }
+];
+
+const dateOnly = (value) => (value ? new Date(value).toISOString().slice(0, 10) : null);
+
+const addDays = (date, days) => {
+  const result = new Date(`${dateOnly(date)}T00:00:00.000Z`);
+  result.setUTCDate(result.getUTCDate() + days);
+  return dateOnly(result);
+};
+
+// Tenant keeps unit_id, lease dates and rent as a copy of its current lease so /api/tenants
+// responses look the way they did before leases existed
+const syncTenantLeaseFields = async (tenantIds, transaction) => {
+  for (const tenantId of tenantIds) {
+    const leases = await Lease.findAll({
+      include: [{ model: Tenant, as: 'tenants', where: { id: tenantId }, attributes: [] }],
+      where: { status: { [Sequelize.Op.ne]: 'draft' } },
+      order: [['start_date', 'DESC']],
+      transaction
+    });
+    const current = leases.find(lease => lease.status === 'active') || leases[0];
+    if (!current) {
+      continue;
+    }
+    await Tenant.update({
+      unit_id: current.unit_id,
+      lease_start_date: current.start_date,
+      lease_end_date: current.end_date,
+      rent: parseFloat(current.rent)
+    }, { where: { id: tenantId }, transaction });
+  }
+};
+
+// A unit can only have one active lease over any given stretch of time
+const assertNoOverlappingLease = async ({ unit_id, start_date, end_date, excludeIds = [] }, transaction) => {
+  const overlapping = await Lease.findOne({
+    where: {
+      unit_id,
+      status: 'active',
+      id: { [Sequelize.Op.notIn]: excludeIds.length ? excludeIds : [0] },
+      [Sequelize.Op.and]: [
+        { [Sequelize.Op.or]: [{ end_date: null }, { end_date: { [Sequelize.Op.gte]: start_date } }] },
+        ...(end_date ? [{ start_date: { [Sequelize.Op.lte]: end_date } }] : [])
+      ]
+    },
+    transaction
+  });
+  if (overlapping) {
+    throw new HttpError(409, `Unit already has an active lease (${overlapping.id}) for these dates`);
+  }
+};
+
+const validateLeaseTerms = ({ start_date, end_date, rent, deposit, rent_due_day }) => {
+  if (!start_date || Number.isNaN(new Date(start_date).getTime())) {
+    throw new HttpError(400, 'A valid start_date is required');
+  }
+  if (end_date && new Date(end_date) < new Date(start_date)) {
+    throw new HttpError(400, 'end_date must not be before start_date');
+  }
+  if (rent === undefined || rent === null || rent === '' || parseFloat(rent) < 0) {
+    throw new HttpError(400, 'Rent is required');
+  }
+  if (deposit !== undefined && deposit !== null && parseFloat(deposit) < 0) {
+    throw new HttpError(400, 'Deposit must not be negative');
+  }
+  if (rent_due_day !== undefined && (rent_due_day < 1 || rent_due_day > 28)) {
+    throw new HttpError(400, 'rent_due_day must be between 1 and 28');
+  }
+};
+
+const assertLeaseTenants = async (tenantIds, organizationId, transaction) => {
+  if (!Array.isArray(tenantIds) || tenantIds.length === 0) {
+    throw new HttpError(400, 'A lease needs at least one tenant');
+  }
+  const found = await Tenant.count({ where: { id: tenantIds, organization_id: organizationId }, transaction });
+  if (found !== new Set(tenantIds.map(id => parseInt(id, 10))).size) {
+    throw new HttpError(400, 'Tenant not found');
+  }
+};
+
+const setLeaseTenants = async (lease, tenantIds, transaction) => {
+  await LeaseTenant.destroy({ where: { lease_id: lease.id }, transaction });
+  await LeaseTenant.bulkCreate(
+    [...new Set(tenantIds.map(id => parseInt(id, 10)))].map((tenantId, index) => ({
+      lease_id: lease.id,
+      tenant_id: tenantId,
+      is_primary: index === 0 // First tenant listed is the primary leaseholder
+    })),
+    { transaction }
+  );
+};
+
+const createLease = async ({ organizationId, unit_id, tenant_ids, start_date, end_date, rent, deposit, rent_due_day, status, previous_lease_id }, transaction) => {
+  if (!(await inOrganization(orgUnitIds, unit_id, organizationId))) {
+    throw new HttpError(400, 'Unit not found');
+  }
+  validateLeaseTerms({ start_date, end_date, rent, deposit, rent_due_day });
+  await assertLeaseTenants(tenant_ids, organizationId, transaction);
+
+  const leaseStatus = status || 'draft';
+  if (!['draft', 'active'].includes(leaseStatus)) {
+    throw new HttpError(400, 'A new lease must be draft or active');
+  }
+  if (leaseStatus === 'active') {
+    await assertNoOverlappingLease({
+      unit_id,
+      start_date,
+      end_date,
+      excludeIds: previous_lease_id ? [previous_lease_id] : []
+    }, transaction);
+  }
+
+  const lease = await Lease.create({
+    organization_id: organizationId,
+    unit_id,
+    start_date: dateOnly(start_date),
+    end_date: dateOnly(end_date),
+    rent,
+    deposit: deposit || 0,
+    rent_due_day: rent_due_day || 1,
+    status: leaseStatus,
+    previous_lease_id: previous_lease_id || null
+  }, { transaction });
+  await setLeaseTenants(lease, tenant_ids, transaction);
+  if (leaseStatus === 'active') {
+    // The unit is let; stop advertising it
+    await Listing.update({ status: 'unlisted' }, { where: { unit_id, status: 'published' }, transaction });
+  }
+  return lease;
+};
+
+const findOrgLease = async (id, organizationId, transaction) => {
+  const lease = await Lease.findOne({
+    where: { id, organization_id: organizationId },
+    include: [{ model: Tenant, as: 'tenants' }],
+    transaction
+  });
+  if (!lease) {
+    throw new HttpError(404, 'Lease not found');
+  }
+  return lease;
+};
+
+app.get('/api/leases', authorize('tenants', 'read'), async (req, res) => {
+  try {
+    const { status, unit_id, tenant_id } = req.query;
+    const where = { organization_id: req.organization.id };
+    if (status) where.status = status;
+    if (unit_id) where.unit_id = unit_id;
+    if (tenant_id) {
+      const leaseIds = (await LeaseTenant.findAll({ where: { tenant_id } })).map(link => link.lease_id);
+      where.id = leaseIds;
+    }
+
+    const leases = await Lease.findAll({
+      where,
+      include: leaseIncludes(),
+      order: [['start_date', 'DESC']]
+    });
+    res.json(leases);
+  } catch (error) {
+    console.error('Error fetching leases:', error);
+    res.status(500).json({ error: 'Failed to fetch leases' });
+  }
+});
+
+app.get('/api/leases/:id', authorize('tenants', 'read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const lease = await Lease.findOne({
+      where: { id, organization_id: req.organization.id },
+      include: [
+        ...leaseIncludes(),
+        { model: Lease, as: 'previousLease' },
+        { model: Lease, as: 'renewal' }
+      ]
+    });
+
+    if (!lease) {
+      return res.status(404).json({ error: 'Lease not found' });
+    }
+
+    res.json(lease);
+  } catch (error) {
+    console.error('Error fetching lease:', error);
+    res.status(500).json({ error: 'Failed to fetch lease' });
+  }
+});
+
+app.post('/api/leases', authorize('tenants', 'write'), async (req, res) => {
+  const t = await sequelize.transaction();
+  try {
+    const lease = await createLease({ ...req.body, organizationId: req.organization.id }, t);
+    await syncTenantLeaseFields(req.body.tenant_ids, t);
+    await t.commit();
+
+    res.status(201).json(await Lease.findByPk(lease.id, { include: leaseIncludes() }));
+  } catch (error) {
+    await t.rollback();
+    sendHttpError(res, error, 'create lease');
+  }
+});
+
+// Terms can only change while a lease is a draft; active leases change by renewal.
+// The tenants on an active lease can still change (e.g. adding a co-tenant).
+app.put('/api/leases/:id', authorize('tenants', 'write'), async (req, res) => {
+  const t = await sequelize.transaction();
+  try {
+    const lease = await findOrgLease(req.params.id, req.organization.id, t);
+    const { tenant_ids } = req.body;
+    const previousTenantIds = lease.tenants.map(tenant => tenant.id);
+
+    if (lease.status === 'draft') {
+      const terms = pickFields(req.body, ['unit_id', 'start_date', 'end_date', 'rent', 'deposit', 'rent_due_day']);
+      if (terms.unit_id && !(await inOrganization(orgUnitIds, terms.unit_id, req.organization.id))) {
+        throw new HttpError(400, 'Unit not found');
+      }
+      validateLeaseTerms({ ...lease.get({ plain: true }), ...terms });
+      await lease.update(terms, { transaction: t });
+    } else if (['unit_id', 'start_date', 'end_date', 'rent', 'deposit', 'rent_due_day'].some(field => req.body[field] !== undefined)) {
+      throw new HttpError(409, 'Only draft leases can change their terms; renew the lease instead');
+    }
+
+    if (tenant_ids) {
+      if (['ended', 'renewed'].includes(lease.status)) {
+        throw new HttpError(409, 'Tenants cannot be changed on an ended lease');
+      }
+      await assertLeaseTenants(tenant_ids, req.organization.id, t);
+      await setLeaseTenants(lease, tenant_ids, t);
+    }
+
+    await syncTenantLeaseFields([...new Set([...previousTenantIds, ...(tenant_ids || [])])], t);
+    await t.commit();
+
+    res.json(await Lease.findByPk(lease.id, { include: leaseIncludes() }));
+  } catch (error) {
+    await t.rollback();
+    sendHttpError(res, error, 'update lease');
+  }
+});
+
+app.post('/api/leases/:id/activate', authorize('tenants', 'write'), async (req, res) => {
+  const t = await sequelize.transaction();
+  try {
+    const lease = await findOrgLease(req.params.id, req.organization.id, t);
+    if (lease.status !== 'draft') {
+      throw new HttpError(409, 'Only draft leases can be activated');
+    }
+    await assertNoOverlappingLease({ unit_id: lease.unit_id, start_date: lease.start_date, end_date: lease.end_date }, t);
+
+    await lease.update({ status: 'active' }, { transaction: t });
+    await syncTenantLeaseFields(lease.tenants.map(tenant => tenant.id), t);
+    await t.commit();
+
+    res.json(await Lease.findByPk(lease.id, { include: leaseIncludes() }));
+  } catch (error) {
+    await t.rollback();
+    sendHttpError(res, error, 'activate lease');
+  }
+});
+
+// Renewing creates the follow-on lease and marks this one renewed; the history stays intact
+app.post('/api/leases/:id/renew', authorize('tenants', 'write'), async (req, res) => {
+  const t = await sequelize.transaction();
+  try {
+    const lease = await findOrgLease(req.params.id, req.organization.id, t);
+    if (lease.status !== 'active') {
+      throw new HttpError(409, 'Only active leases can be renewed');
+    }
+    if (!lease.end_date && !req.body.start_date) {
+      throw new HttpError(400, 'start_date is required to renew an open-ended lease');
+    }
+
+    const renewal = await createLease({
+      organizationId: req.organization.id,
+      unit_id: lease.unit_id,
+      tenant_ids: req.body.tenant_ids || lease.tenants.map(tenant => tenant.id),
+      start_date: req.body.start_date || addDays(lease.end_date, 1),
+      end_date: req.body.end_date,
+      rent: req.body.rent !== undefined ? req.body.rent : lease.rent,
+      deposit: req.body.deposit !== undefined ? req.body.deposit : lease.deposit,
+      rent_due_day: req.body.rent_due_day || lease.rent_due_day,
+      status: 'active',
+      previous_lease_id: lease.id
+    }, t);
+
+    // If the renewal starts early, the old lease now ends the day before
+    const newEnd = addDays(renewal.start_date, -1);
+    await lease.update({
+      status: 'renewed',
+      end_date: !lease.end_date || lease.end_date > newEnd ? newEnd : lease.end_date
+    }, { transaction: t });
+
+    const tenantIds = [...new Set([...lease.tenants.map(tenant => tenant.id), ...(req.body.tenant_ids || [])])];
+    await syncTenantLeaseFields(tenantIds, t);
+    await t.commit();
+
+    res.status(201).json(await Lease.findByPk(renewal.id, {
+      include: [...leaseIncludes(), { model: Lease, as: 'previousLease' }]
+    }));
+  } catch (error) {
+    await t.rollback();
+    sendHttpError(res, error, 'renew lease');
+  }
+});
+
+app.post('/api/leases/:id/terminate', authorize('tenants', 'write'), async (req, res) => {
+  const t = await sequelize.transaction();
+  try {
+    const lease = await findOrgLease(req.params.id, req.organization.id, t);
+    if (lease.status !== 'active') {
+      throw new HttpError(409, 'Only active leases can be terminated');
+    }
+
+    const endDate = dateOnly(req.body.end_date || new Date());
+    if (endDate < lease.start_date) {
+      throw new HttpError(400, 'end_date must not be before the lease start date');
+    }
+
+    await lease.update({
+      status: 'ended',
+      end_date: endDate,
+      terminated_at: new Date(),
+      termination_reason: req.body.reason || null
+    }, { transaction: t });
+    await syncTenantLeaseFields(lease.tenants.map(tenant => tenant.id), t);
+    await t.commit();
+
+    res.json(await Lease.findByPk(lease.id, { include: leaseIncludes() }));
+  } catch (error) {
+    await t.rollback();
+    sendHttpError(res, error, 'terminate lease');
+  }
+});
+
+app.delete('/api/leases/:id', authorize('tenants', 'write'), async (req, res) => {
+  const t = await sequelize.transaction();
+  try {
+    const lease = await findOrgLease(req.params.id, req.organization.id, t);
+    if (lease.status !== 'draft') {
+      throw new HttpError(409, 'Only draft leases can be deleted; terminate the lease instead');
+    }
+
+    await LeaseTenant.destroy({ where: { lease_id: lease.id }, transaction: t });
+    await lease.destroy({ transaction: t });
+    await t.commit();
+
+    res.status(204).send();
+  } catch (error) {
+    await t.rollback();
+    sendHttpError(res, error, 'delete lease');
+  }
+});
+
+app.get('/api/owners', authorize('properties', 'read'), async (req, res) => {
+  try {
+    const owners = await Owner.findAll({
+      where: { organization_id: req.organization.id },
+      include: [Property]
+    });
+    res.json(owners);
+  } catch (error) {
+    console.error('Error fetching owners:', error);
+    res.status(500).json({ error: 'Failed to fetch owners' });
+  }
+});
+
+app.post('/api/owners', authorize('properties', 'write'), async (req, res) => {
+  try {
+    if (req.body.property_id && !(await inOrganization(orgPropertyIds, req.body.property_id, req.organization.id))) {
+      return res.status(400).json({ error: 'Property not found' });
+    }
+    const owner = await Owner.create({ ...req.body, organization_id: req.organization.id });
+    res.status(201).json(owner);
+  } catch (error) {
+    console.error('Error creating owner:', error);
+    res.status(500).json({ error: 'Failed to create owner' });
+  }
+});
+
+// Vendor directory
+const VENDOR_FIELDS = [
+  'name', 'trade', 'contact_name', 'email', 'phone', 'address', 'city', 'state', 'zip', 'tax_id', 'tax_id_type',
+  'w9_on_file', 'w9_received_on', 'insurance_provider', 'insurance_policy_number', 'insurance_expires_on',
+  'is_1099_eligible', 'is_active', 'notes'
+];
+
+// Only roles that keep the books see full tax ids
+const presentVendor = (vendor, membership) => {
+  const json = vendor.toJSON();
+  if (json.tax_id && !can(membership, 'accounting', 'write')) {
+    json.tax_id = `***${json.tax_id.replace(/\D/g, '').slice(-4)}`;
+  }
+  return json;
+};
+
+const vendorInsuranceWarnings = (vendor) => {
+  if (vendor.insurance_status === 'missing') {
+    return [`${vendor.name} has no insurance expiry date on file`];
+  }
+  if (vendor.insurance_status === 'expired') {
+    return [`${vendor.name}'s insurance expired on ${vendor.insurance_expires_on}`];
+  }
+  return [];
+};
+
+const findOrgVendor = async (id, organizationId, transaction) => {
+  const vendor = await Vendor.findOne({ where: { id, organization_id: organizationId }, transaction });
+  if (!vendor) {
+    throw new HttpError(404, 'Vendor not found');
+  }
+  return vendor;
+};
+
+app.get('/api/vendors', authorize('vendors', 'read'), async (req, res) => {
+  try {
+    const { trade, active, insurance } = req.query;
+    const where = { organization_id: req.organization.id };
+    if (trade) where.trade = trade;
+    if (active !== undefined) where.is_active = active === 'true';
+    const vendors = await Vendor.findAll({ where, order: [['name', 'ASC']] });
+    res.json(vendors
+      .filter(vendor => !insurance || insurance.split(',').includes(vendor.insurance_status))
+      .map(vendor => presentVendor(vendor, req.membership)));
+  } catch (error) {
+    sendHttpError(res, error, 'fetch vendor');
+  }
+});
+
+app.get('/api/vendors/:id', authorize('vendors', 'read'), async (req, res) => {
+  try {
+    const vendor = await findOrgVendor(req.params.id, req.organization.id);
+    const work_orders = await Maintenance.findAll({
+      where: { vendor_id: vendor.id },
+      order: [['createdAt', 'DESC']]
+    });
+    res.json({
+      ...presentVendor(vendor, req.membership),
+      warnings: vendorInsuranceWarnings(vendor),
+      work_orders
+    });
+  } catch (error) {
+    sendHttpError(res, error, 'fetch vendor');
+  }
+});
+
+app.post('/api/vendors', authorize('vendors', 'write'), async (req, res) => {
+  try {
+    const values = pickFields(req.body, VENDOR_FIELDS);
+    if (!values.name) {
+      throw new HttpError(400, 'Vendor name is required');
+    }
+    if (values.tax_id_type && !['ein', 'ssn'].includes(values.tax_id_type)) {
+      throw new HttpError(400, 'tax_id_type must be ein or ssn');
+    }
+    const vendor = await Vendor.create({ ...values, organization_id: req.organization.id });
+    res.status(201).json(presentVendor(vendor, req.membership));
+  } catch (error) {
+    sendHttpError(res, error, 'create vendor');
+  }
+});
+
+app.put('/api/vendors/:id', authorize('vendors', 'write'), async (req, res) => {
+  try {
+    const vendor = await findOrgVendor(req.params.id, req.organization.id);
+    const values = pickFields(req.body, VENDOR_FIELDS);
+    if (values.name === '' || values.name === null) {
+      throw new HttpError(400, 'Vendor name is required');
+    }
+    if (values.tax_id_type && !['ein', 'ssn'].includes(values.tax_id_type)) {
+      throw new HttpError(400, 'tax_id_type must be ein or ssn');
+    }
+    // A masked tax id echoed back by a client without access to the real one leaves it unchanged
+    if (typeof values.tax_id === 'string' && values.tax_id.startsWith('***')) {
+      delete values.tax_id;
+    }
+    await vendor.update(values);
+    res.json(presentVendor(vendor, req.membership));
+  } catch (error) {
+    sendHttpError(res, error, 'update vendor');
+  }
+});
+
+// Vendors that have been paid or assigned work keep their history; deactivate them instead
+app.delete('/api/vendors/:id', authorize('vendors', 'write'), async (req, res) => {
+  try {
+    const vendor = await findOrgVendor(req.params.id, req.organization.id);
+    const [workOrders, schedules, transactions] = await Promise.all([
+      Maintenance.count({ where: { vendor_id: vendor.id } }),
+      MaintenanceSchedule.count({ where: { vendor_id: vendor.id } }),
+      Transaction.count({ where: { vendorId: vendor.id } })
+    ]);
+    if (workOrders > 0 || schedules > 0 || transactions > 0) {
+      throw new HttpError(409, 'Vendor has work orders, maintenance schedules or transactions; set is_active to false instead');
+    }
+    await vendor.destroy();
+    res.status(204).send();
+  } catch (error) {
+    sendHttpError(res, error, 'delete vendor');
+  }
+});
+
+// 1099-NEC filing threshold: $600 through 2025, $2,000 for payments made from 2026 on
+const necThresholdCents = (year) => (year >= 2026 ? 200000 : 60000);
+
+// Nonemployee compensation per vendor for a calendar year: the expense side of every transaction
+// tagged with the vendor, so refunds from the vendor reduce the total
+app.get('/api/reports/1099-nec', authorize('accounting', 'read'), requireReportTier('basic'), async (req, res) => {
+  try {
+    const year = req.query.year ? parseInt(req.query.year, 10) : new Date().getUTCFullYear() - 1;
+    if (!Number.isInteger(year) || year < 1900 || year > 9999) {
+      throw new HttpError(400, 'year must be a four-digit year');
+    }
+    const thresholdCents = req.query.threshold !== undefined ? toCents(req.query.threshold) : necThresholdCents(year);
+
+    const accounts = await Account.findAll({
+      where: { organization_id: req.organization.id },
+      attributes: ['id', 'classification']
+    });
+    const expenseAccountIds = new Set(accounts.filter(account => account.classification === 'expense').map(account => account.id));
+    const transactions = await Transaction.findAll({
+      where: {
+        accountId: accounts.map(account => account.id),
+        vendorId: { [Sequelize.Op.ne]: null },
+        date: {
+          [Sequelize.Op.gte]: new Date(Date.UTC(year, 0, 1)),
+          [Sequelize.Op.lt]: new Date(Date.UTC(year + 1, 0, 1))
+        }
+      },
+      include: [Vendor]
+    });
+
+    const byVendor = new Map();
+    for (const record of transactions) {
+      let cents = 0;
+      if (expenseAccountIds.has(record.accountId)) {
+        cents = toCents(record.amount);
+      } else if (expenseAccountIds.has(record.offsetAccountId)) {
+        cents = -toCents(record.amount);
+      }
+      if (cents === 0 || !record.Vendor) continue;
+      const row = byVendor.get(record.vendorId) || { vendor: record.Vendor, cents: 0, count: 0 };
+      row.cents += cents;
+      row.count += 1;
+      byVendor.set(record.vendorId, row);
+    }
+
+    const rows = [...byVendor.values()].map(({ vendor, cents, count }) => {
+      const presented = presentVendor(vendor, req.membership);
+      const reportable = vendor.is_1099_eligible && cents >= thresholdCents;
+      const issues = [];
+      if (reportable && !vendor.w9_on_file) issues.push('No W-9 on file');
+      if (reportable && !vendor.tax_id) issues.push('Missing tax id');
+      return {
+        vendor_id: vendor.id,
+        name: vendor.name,
+        tax_id: presented.tax_id,
+        tax_id_type: vendor.tax_id_type,
+        address: [vendor.address, vendor.city, vendor.state, vendor.zip].filter(Boolean).join(', '),
+        w9_on_file: vendor.w9_on_file,
+        is_1099_eligible: vendor.is_1099_eligible,
+        transactions: count,
+        total_paid: fromCents(cents),
+        reportable,
+        issues
+      };
+    }).sort((a, b) => a.name.localeCompare(b.name));
+
+    const report = {
+      report: '1099-NEC Summary',
+      year,
+      threshold: fromCents(thresholdCents),
+      rows,
+      totals: {
+        total_paid: fromCents(rows.reduce((sum, row) => sum + toCents(row.total_paid), 0)),
+        reportable_vendors: rows.filter(row => row.reportable).length,
+        reportable_amount: fromCents(rows.filter(row => row.reportable).reduce((sum, row) => sum + toCents(row.total_paid), 0))
+      }
+    };
+
+    if (req.query.format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="1099-nec-${year}.csv"`);
+      return res.send(toCsv(
+        ['Vendor', 'Tax ID', 'Tax ID Type', 'Address', 'W-9 On File', '1099 Eligible', 'Transactions', 'Total Paid', 'Reportable', 'Issues'],
+        rows.map(row => [
+          row.name, row.tax_id, row.tax_id_type, row.address, row.w9_on_file ? 'yes' : 'no', row.is_1099_eligible ? 'yes' : 'no',
+          row.transactions, row.total_paid, row.reportable ? 'yes' : 'no', row.issues.join('; ')
+        ])
+      ));
+    }
+    res.json(report);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error building 1099-NEC report:', error);
+    res.status(500).json({ error: 'Failed to build 1099-NEC report' });
+  }
+});
+
+app.get('/api/associations', authorize('properties', 'read'), async (req, res) => {
+  try {
+    const associations = await Association.findAll({
+      where: { property_id: await orgPropertyIds(req.organization.id) },
+      include: [Property, BoardMember]
+    });
+    res.json(associations);
+  } catch (error) {
+    console.error('Error fetching associations:', error);
+    res.status(500).json({ error: 'Failed to fetch associations' });
+  }
+});
+
+app.post('/api/associations', authorize('properties', 'write'), async (req, res) => {
+  try {
+    if (!(await inOrganization(orgPropertyIds, req.body.property_id, req.organization.id))) {
+      return res.status(400).json({ error: 'Property not found' });
+    }
+    const validationError = validateAssociationValues(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    const association = await Association.create(req.body);
+    res.status(201).json(association);
+  } catch (error) {
+    console.error('Error creating association:', error);
+    res.status(500).json({ error: 'Failed to create association' });
+  }
+});
+
+app.get('/api/board-members', authorize('properties', 'read'), async (req, res) => {
+  try {
+    const boardMembers = await BoardMember.findAll({
+      where: { association_id: await orgAssociationIds(req.organization.id) },
+      include: [Association]
+    });
+    res.json(boardMembers);
+  } catch (error) {
+    console.error('Error fetching board members:', error);
+    res.status(500).json({ error: 'Failed to fetch board members' });
+  }
+});
+
+app.post('/api/board-members', authorize('properties', 'write'), async (req, res) => {
+  try {
+    if (!(await inOrganization(orgAssociationIds, req.body.association_id, req.organization.id))) {
+      return res.status(400).json({ error: 'Association not found' });
+    }
+    await validateBoardMemberUser(req.body.user_id, req.organization.id);
+    const boardMember = await BoardMember.create(req.body);
+    res.status(201).json(boardMember);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error creating board member:', error);
+    res.status(500).json({ error: 'Failed to create board member' });
+  }
+});
+
+app.get('/api/account-types', authorize('accounting', 'read'), async (req, res) => {
+  try {
+    const accountTypes = await AccountType.findAll({
+      where: { organization_id: { [Sequelize.Op.or]: [null, req.organization.id] } }
+    });
+    res.json(accountTypes);
+  } catch (error) {
+    console.error('Error fetching account types:', error);
+    res.status(500).json({ error: 'Failed to fetch account types' });
+  }
+});
+
+app.post('/api/account-types', authorize('accounting', 'write'), async (req, res) => {
+  try {
+    const { name, description } = req.body;
+    const accountType = await AccountType.create({ name, description, organization_id: req.organization.id });
+    res.status(201).json(accountType);
+  } catch (error) {
+    console.error('Error creating account type:', error);
+    res.status(500).json({ error: 'Failed to create account type' });
+  }
+});
+
+app.put('/api/account-types/:id', authorize('accounting', 'write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, description } = req.body;
+    
+    // Shared default types are read-only
+    const accountType = await AccountType.findOne({ where: { id, organization_id: req.organization.id } });
+    if (!accountType) {
+      return res.status(404).json({ error: 'Account type not found' });
+    }
+    
+    accountType.name = name;
+    accountType.description = description;
+    await accountType.save();
+    
+    res.json(accountType);
+  } catch (error) {
+    console.error('Error updating account type:', error);
+    res.status(500).json({ error: 'Failed to update account type' });
+  }
+});
+
+app.delete('/api/account-types/:id', authorize('accounting', 'write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const accountType = await AccountType.findOne({ where: { id, organization_id: req.organization.id } });
+    if (!accountType) {
+      return res.status(404).json({ error: 'Account type not found' });
+    }
+    
+    await accountType.destroy();
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting account type:', error);
+    res.status(500).json({ error: 'Failed to delete account type' });
+  }
+});
+
+// Chart of accounts
+const NORMAL_BALANCES = {
+  asset: 'debit',
+  expense: 'debit',
+  liability: 'credit',
+  equity: 'credit',
+  income: 'credit'
+};
+const CLASSIFICATIONS = Object.keys(NORMAL_BALANCES);
+const CASH_FLOW_ACTIVITIES = ['operating', 'investing', 'financing'];
+
+// Standard real-estate chart of accounts. `bankType` links cash accounts to a shared AccountType,
+// `normalBalance` is only given for contra accounts that run against their classification, and
+// `cashFlow` only for accounts whose cash movements are not operating activities.
+const CHART_OF_ACCOUNTS_TEMPLATE = [
+  { number: '1000', name: 'Assets', classification: 'asset' },
+  { number: '1010', name: 'Operating Cash', classification: 'asset', parent: '1000', bankType: 'Operating' },
+  { number: '1020', name: 'Reserve Cash', classification: 'asset', parent: '1000', bankType: 'Reserve' },
+  { number: '1030', name: 'Security Deposit Escrow', classification: 'asset', parent: '1000', bankType: 'Escrow' },
+  { number: '1200', name: 'Accounts Receivable - Tenants', classification: 'asset', parent: '1000' },
+  { number: '1210', name: 'Accounts Receivable - Homeowners', classification: 'asset', parent: '1000' },
+  { number: '1300', name: 'Prepaid Expenses', classification: 'asset', parent: '1000' },
+  { number: '1500', name: 'Land', classification: 'asset', parent: '1000', cashFlow: 'investing' },
+  { number: '1510', name: 'Buildings', classification: 'asset', parent: '1000', cashFlow: 'investing' },
+  { number: '1520', name: 'Building Improvements', classification: 'asset', parent: '1000', cashFlow: 'investing' },
+  { number: '1590', name: 'Accumulated Depreciation', classification: 'asset', parent: '1000', normalBalance: 'credit' },
+  { number: '1999', name: 'Suspense', classification: 'asset', parent: '1000' },
+  { number: '2000', name: 'Liabilities', classification: 'liability' },
+  { number: '2010', name: 'Accounts Payable', classification: 'liability', parent: '2000' },
+  { number: '2100', name: 'Tenant Security Deposits', classification: 'liability', parent: '2000' },
+  { number: '2200', name: 'Prepaid Rent', classification: 'liability', parent: '2000' },
+  { number: '2500', name: 'Mortgage Payable', classification: 'liability', parent: '2000', cashFlow: 'financing' },
+  { number: '3000', name: 'Equity', classification: 'equity' },
+  { number: '3010', name: 'Owner Contributions', classification: 'equity', parent: '3000', cashFlow: 'financing' },
+  { number: '3020', name: 'Owner Distributions', classification: 'equity', parent: '3000', normalBalance: 'debit', cashFlow: 'financing' },
+  { number: '3900', name: 'Retained Earnings', classification: 'equity', parent: '3000' },
+  { number: '4000', name: 'Income', classification: 'income' },
+  { number: '4010', name: 'Rental Income', classification: 'income', parent: '4000' },
+  { number: '4020', name: 'Late Fee Income', classification: 'income', parent: '4000' },
+  { number: '4030', name: 'Other Income', classification: 'income', parent: '4000' },
+  { number: '4040', name: 'Association Assessment Income', classification: 'income', parent: '4000' },
+  { number: '4050', name: 'Special Assessment Income', classification: 'income', parent: '4000' },
+  { number: '5000', name: 'Expenses', classification: 'expense' },
+  { number: '5010', name: 'Repairs & Maintenance', classification: 'expense', parent: '5000' },
+  { number: '5020', name: 'Utilities', classification: 'expense', parent: '5000' },
+  { number: '5030', name: 'Property Management Fees', classification: 'expense', parent: '5000' },
+  { number: '5040', name: 'Insurance', classification: 'expense', parent: '5000' },
+  { number: '5050', name: 'Property Taxes', classification: 'expense', parent: '5000' },
+  { number: '5060', name: 'Mortgage Interest', classification: 'expense', parent: '5000' },
+  { number: '5070', name: 'Landscaping', classification: 'expense', parent: '5000' },
+  { number: '5080', name: 'Cleaning', classification: 'expense', parent: '5000' },
+  { number: '5090', name: 'Advertising', classification: 'expense', parent: '5000' },
+  { number: '5100', name: 'Legal & Professional Fees', classification: 'expense', parent: '5000' },
+  { number: '5200', name: 'Depreciation Expense', classification: 'expense', parent: '5000' }
+];
+
+// Accounts the application posts to on its own, by template number
+const SYSTEM_ACCOUNTS = {
+  operatingCash: '1010',
+  accountsReceivable: '1200',
+  suspense: '1999',
+  securityDeposits: '2100',
+  rentalIncome: '4010',
+  lateFeeIncome: '4020',
+  otherIncome: '4030',
+  homeownerReceivable: '1210',
+  assessmentIncome: '4040',
+  specialAssessmentIncome: '4050'
+};
+
+const templateAccountValues = (template, organizationId, parent, bankType) => ({
+  organization_id: organizationId,
+  number: template.number,
+  name: template.name,
+  classification: template.classification,
+  normal_balance: template.normalBalance || NORMAL_BALANCES[template.classification],
+  parent_id: parent ? parent.id : null,
+  accountTypeId: bankType ? bankType.id : null,
+  cash_flow_activity: template.cashFlow || 'operating'
+});
+
+// Create any template accounts the organization is missing. Existing accounts with the same name but
+// no number (e.g. a Suspense account created before the chart existed) are numbered instead of duplicated.
+// Runs when an organization is created and on request, never behind the user's back, since it would
+// bring back accounts they removed.
+const seedChartOfAccounts = async (organizationId, transaction) => {
+  const bankTypes = await AccountType.findAll({ where: { organization_id: null }, transaction });
+  const created = [];
+  const byNumber = {};
+
+  for (const template of CHART_OF_ACCOUNTS_TEMPLATE) {
+    const bankType = template.bankType ? bankTypes.find(type => type.name === template.bankType) : null;
+    const values = templateAccountValues(template, organizationId, template.parent ? byNumber[template.parent] : null, bankType);
+
+    let account = await Account.findOne({ where: { organization_id: organizationId, number: template.number }, transaction });
+    if (account && template.cashFlow && account.cash_flow_activity === 'operating') {
+      // Template accounts seeded before cash flow activities existed
+      await account.update({ cash_flow_activity: template.cashFlow }, { transaction });
+    }
+    if (!account) {
+      account = await Account.findOne({ where: { organization_id: organizationId, number: null, name: template.name }, transaction });
+      if (account) {
+        await account.update(values, { transaction });
+      } else {
+        account = await Account.create(values, { transaction });
+        created.push(account);
+      }
+    }
+    byNumber[template.number] = account;
+  }
+
+  return created;
+};
+
+// Create a single template account, and the heading it sits under if that is missing too
+const createTemplateAccount = async (organizationId, number, transaction) => {
+  const account = await Account.findOne({ where: { organization_id: organizationId, number }, transaction });
+  if (account) {
+    return account;
+  }
+  const template = CHART_OF_ACCOUNTS_TEMPLATE.find(entry => entry.number === number);
+  const parent = template.parent ? await createTemplateAccount(organizationId, template.parent, transaction) : null;
+  const bankType = template.bankType
+    ? await AccountType.findOne({ where: { organization_id: null, name: template.bankType }, transaction })
+    : null;
+  return Account.create(templateAccountValues(template, organizationId, parent, bankType), { transaction });
+};
+
+// A system account the application needs but the organization no longer has is recreated on its own
+const findSystemAccount = (organizationId, key, transaction) =>
+  createTemplateAccount(organizationId, SYSTEM_ACCOUNTS[key], transaction);
+
+// Validate the chart-of-accounts fields of a create/update request against the account being saved
+const validateAccountFields = async (values, organizationId, accountId) => {
+  if (values.classification && !CLASSIFICATIONS.includes(values.classification)) {
+    return `Classification must be one of: ${CLASSIFICATIONS.join(', ')}`;
+  }
+  if (values.normal_balance && !['debit', 'credit'].includes(values.normal_balance)) {
+    return 'Normal balance must be debit or credit';
+  }
+  if (values.cash_flow_activity && !CASH_FLOW_ACTIVITIES.includes(values.cash_flow_activity)) {
+    return `Cash flow activity must be one of: ${CASH_FLOW_ACTIVITIES.join(', ')}`;
+  }
+  if (values.accountTypeId && !(await accountTypeVisible(values.accountTypeId, organizationId))) {
+    return 'Account type not found';
+  }
+  if (values.number) {
+    const duplicate = await Account.findOne({
+      where: {
+        organization_id: organizationId,
+        number: values.number,
+        ...(accountId ? { id: { [Sequelize.Op.ne]: accountId } } : {})
+      }
+    });
+    if (duplicate) {
+      return `Account number ${values.number} is already in use`;
+    }
+  }
+  if (values.parent_id) {
+    const parent = await Account.findOne({ where: { id: values.parent_id, organization_id: organizationId } });
+    if (!parent) {
+      return 'Parent account not found';
+    }
+    if (values.classification && parent.classification !== values.classification) {
+      return 'A sub-account must have the same classification as its parent';
+    }
+    // Walk up from the new parent to make sure the account doesn't become its own ancestor
+    for (let ancestor = parent; ancestor; ancestor = ancestor.parent_id ? await Account.findByPk(ancestor.parent_id) : null) {
+      if (accountId && ancestor.id === parseInt(accountId, 10)) {
+        return 'An account cannot be nested under itself';
+      }
+    }
+  }
+  return null;
+};
+
+// Account types visible to an organization: its own plus the shared defaults
+const accountTypeVisible = async (accountTypeId, organizationId) =>
+  (await AccountType.count({
+    where: { id: accountTypeId, organization_id: { [Sequelize.Op.or]: [null, organizationId] } }
+  })) > 0;
+
+const ACCOUNT_FIELDS = ['name', 'number', 'description', 'classification', 'normal_balance', 'parent_id', 'is_active', 'accountTypeId', 'cash_flow_activity'];
+
+app.get('/api/accounts', authorize('accounting', 'read'), async (req, res) => {
+  try {
+    const { active, classification } = req.query;
+    const where = { organization_id: req.organization.id };
+    if (active !== undefined) where.is_active = active === 'true';
+    if (classification) where.classification = classification;
+
+    const accounts = await Account.findAll({
+      where,
+      include: [AccountType],
+      order: [['number', 'ASC'], ['name', 'ASC']]
+    });
+    res.json(accounts);
+  } catch (error) {
+    console.error('Error fetching accounts:', error);
+    res.status(500).json({ error: 'Failed to fetch accounts' });
+  }
+});
+
+// The chart of accounts as a tree of top-level accounts with nested children
+app.get('/api/chart-of-accounts', authorize('accounting', 'read'), async (req, res) => {
+  try {
+    const accounts = await Account.findAll({
+      where: { organization_id: req.organization.id },
+      order: [['number', 'ASC'], ['name', 'ASC']]
+    });
+
+    const nodes = new Map(accounts.map(account => [account.id, { ...account.toJSON(), children: [] }]));
+    const roots = [];
+    for (const node of nodes.values()) {
+      const parent = node.parent_id ? nodes.get(node.parent_id) : null;
+      (parent ? parent.children : roots).push(node);
+    }
+
+    res.json(roots);
+  } catch (error) {
+    console.error('Error fetching chart of accounts:', error);
+    res.status(500).json({ error: 'Failed to fetch chart of accounts' });
+  }
+});
+
+app.post('/api/chart-of-accounts/seed', authorize('accounting', 'write'), async (req, res) => {
+  const t = await sequelize.transaction();
+  try {
+    const created = await seedChartOfAccounts(req.organization.id, t);
+    await t.commit();
+    res.status(created.length > 0 ? 201 : 200).json({ created: created.length, accounts: created });
+  } catch (error) {
+    await t.rollback();
+    console.error('Error seeding chart of accounts:', error);
+    res.status(500).json({ error: 'Failed to seed chart of accounts' });
+  }
+});
+
+app.post('/api/accounts', authorize('accounting', 'write'), async (req, res) => {
+  try {
+    const values = pickFields(req.body, ACCOUNT_FIELDS);
+
+    // Sub-accounts inherit their parent's classification unless one is given
+    if (values.parent_id && !values.classification) {
+      const parent = await Account.findOne({ where: { id: values.parent_id, organization_id: req.organization.id } });
+      if (parent) values.classification = parent.classification;
+    }
+
+    const validationError = await validateAccountFields(values, req.organization.id);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const account = await Account.create({ ...values, organization_id: req.organization.id });
+    res.status(201).json(account);
+  } catch (error) {
+    console.error('Error creating account:', error);
+    res.status(500).json({ error: 'Failed to create account' });
+  }
+});
+
+app.put('/api/accounts/:id', authorize('accounting', 'write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const account = await Account.findOne({ where: { id, organization_id: req.organization.id } });
+    if (!account) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    const changes = pickFields(req.body, ACCOUNT_FIELDS);
+    // A new classification resets the normal balance unless one is given alongside it
+    if (changes.classification && !changes.normal_balance) {
+      changes.normal_balance = NORMAL_BALANCES[changes.classification];
+    }
+
+    const validationError = await validateAccountFields(
+      { classification: account.classification, ...changes },
+      req.organization.id,
+      account.id
+    );
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    
+    await account.update(changes);
+    
+    res.json(account);
+  } catch (error) {
+    console.error('Error updating account:', error);
+    res.status(500).json({ error: 'Failed to update account' });
+  }
+});
+
+app.delete('/api/accounts/:id', authorize('accounting', 'write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const account = await Account.findOne({ where: { id, organization_id: req.organization.id } });
+    if (!account) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+    if (await JournalLine.count({ where: { accountId: account.id } })) {
+      return res.status(409).json({ error: 'Account has journal entries and cannot be deleted; deactivate it instead' });
+    }
+    if (await Account.count({ where: { parent_id: account.id } })) {
+      return res.status(409).json({ error: 'Account has sub-accounts and cannot be deleted' });
+    }
+    
+    await account.destroy();
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting account:', error);
+    res.status(500).json({ error: 'Failed to delete account' });
+  }
+});
+
+app.get('/api/transactions', authorize('accounting', 'read'), async (req, res) => {
+  try {
+    const where = { accountId: await orgAccountIds(req.organization.id) };
+    if (req.query.vendorId) where.vendorId = req.query.vendorId;
+    const transactions = await Transaction.findAll({
+      where,
+      include: transactionIncludes()
+    });
+    res.json(transactions);
+  } catch (error) {
+    console.error('Error fetching transactions:', error);
+    res.status(500).json({ error: 'Failed to fetch transactions' });
+  }
+});
+
+// Double-entry helpers. Amounts are handled in integer cents so debits and credits compare exactly.
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Sends an HttpError's status and message as they are; anything else is logged and reported as a 500
+const sendHttpError = (res, error, what) => {
+  if (error.status) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(`Error trying to ${what}:`, error);
+  res.status(500).json({ error: `Failed to ${what}` });
+};
+
+// The fields out of those a route accepts that the body actually sets
+const pickFields = (body, fields) => {
+  const values = {};
+  for (const field of fields) {
+    if (body[field] !== undefined) values[field] = body[field];
+  }
+  return values;
+};
+
+const toCents = (value) => Math.round(parseFloat(value || 0) * 100);
+const fromCents = (cents) => cents / 100;
+
+// Validate and normalize journal lines: each line has exactly one positive side and the entry balances
+const normalizeJournalLines = (lines) => {
+  if (!Array.isArray(lines) || lines.length < 2) {
+    throw new HttpError(400, 'A journal entry needs at least two lines');
+  }
+
+  let totalDebits = 0;
+  let totalCredits = 0;
+  const normalized = lines.map((line, index) => {
+    const debit = toCents(line.debit);
+    const credit = toCents(line.credit);
+    if (!line.accountId) {
+      throw new HttpError(400, `Line ${index + 1} is missing an account`);
+    }
+    if (debit < 0 || credit < 0 || (debit > 0) === (credit > 0)) {
+      throw new HttpError(400, `Line ${index + 1} must have either a debit or a credit amount`);
+    }
+    totalDebits += debit;
+    totalCredits += credit;
+    return {
+      accountId: line.accountId,
+      propertyId: line.propertyId || null,
+      debit: fromCents(debit),
+      credit: fromCents(credit),
+      memo: line.memo || null
+    };
+  });
+
+  if (totalDebits !== totalCredits) {
+    throw new HttpError(400, `Journal entry is out of balance: debits ${fromCents(totalDebits).toFixed(2)}, credits ${fromCents(totalCredits).toFixed(2)}`);
+  }
+
+  return normalized;
+};
+
+const assertJournalScope = async (lines, propertyId, organizationId, transaction) => {
+  const accounts = await Account.findAll({
+    attributes: ['id', 'is_active'],
+    where: { organization_id: organizationId },
+    transaction
+  });
+  const propertyIds = await orgPropertyIds(organizationId);
+  for (const line of lines) {
+    const account = accounts.find(a => a.id === parseInt(line.accountId, 10));
+    if (!account) {
+      throw new HttpError(400, `Account ${line.accountId} not found`);
+    }
+    if (!account.is_active) {
+      throw new HttpError(400, `Account ${line.accountId} is inactive`);
+    }
+    if (line.propertyId && !propertyIds.includes(parseInt(line.propertyId, 10))) {
+      throw new HttpError(400, `Property ${line.propertyId} not found`);
+    }
+  }
+  if (propertyId && !propertyIds.includes(parseInt(propertyId, 10))) {
+    throw new HttpError(400, 'Property not found');
+  }
+};
+
+const createJournalEntry = async ({ organizationId, date, description, propertyId, source, lines }, transaction) => {
+  const normalized = normalizeJournalLines(lines);
+  await assertJournalScope(normalized, propertyId, organizationId, transaction);
+
+  const entry = await JournalEntry.create({
+    organization_id: organizationId,
+    date: date || new Date(),
+    description,
+    propertyId: propertyId || null,
+    source: source || 'manual'
+  }, { transaction });
+
+  await JournalLine.bulkCreate(
+    normalized.map(line => ({ ...line, journalEntryId: entry.id, propertyId: line.propertyId || propertyId || null })),
+    { transaction }
+  );
+  return entry;
+};
+
+const replaceJournalLines = async (entry, lines, transaction) => {
+  const normalized = normalizeJournalLines(lines);
+  await assertJournalScope(normalized, entry.propertyId, entry.organization_id, transaction);
+
+  await JournalLine.destroy({ where: { journalEntryId: entry.id }, transaction });
+  await JournalLine.bulkCreate(
+    normalized.map(line => ({ ...line, journalEntryId: entry.id, propertyId: line.propertyId || entry.propertyId })),
+    { transaction }
+  );
+};
+
+// A Transaction is the single-line view of a two-line journal entry: a positive amount debits
+// `accountId` and credits the offset account, a negative amount does the reverse.
+const transactionLines = ({ amount, accountId, offsetAccountId, propertyId, description }) => {
+  const cents = toCents(amount);
+  if (cents === 0) {
+    throw new HttpError(400, 'Amount must not be zero');
+  }
+  const value = fromCents(Math.abs(cents));
+  const primary = { accountId, propertyId, memo: description };
+  const offset = { accountId: offsetAccountId, propertyId, memo: description };
+  return cents > 0
+    ? [{ ...primary, debit: value }, { ...offset, credit: value }]
+    : [{ ...primary, credit: value }, { ...offset, debit: value }];
+};
+
+const recordTransaction = async ({ organizationId, date, description, amount, accountId, offsetAccountId, propertyId, vendorId, source }, transaction) => {
+  // Single-amount transactions post against Suspense unless the caller names an offset account
+  const offsetId = offsetAccountId || (await findSystemAccount(organizationId, 'suspense', transaction)).id;
+  const entry = await createJournalEntry({
+    organizationId,
+    date,
+    description,
+    propertyId,
+    source: source || 'transaction',
+    lines: transactionLines({ amount, accountId, offsetAccountId: offsetId, propertyId, description })
+  }, transaction);
+
+  return Transaction.create({
+    date: entry.date,
+    description,
+    amount,
+    accountId,
+    offsetAccountId: offsetId,
+    propertyId,
+    vendorId,
+    journalEntryId: entry.id
+  }, { transaction });
+};
+
+const updateRecordedTransaction = async (record, { date, description, amount, accountId, offsetAccountId, propertyId, vendorId }, organizationId, transaction) => {
+  const offsetId = offsetAccountId || record.offsetAccountId || (await findSystemAccount(organizationId, 'suspense', transaction)).id;
+
+  record.date = date;
+  record.description = description;
+  record.amount = amount;
+  record.accountId = accountId;
+  record.offsetAccountId = offsetId;
+  record.propertyId = propertyId;
+  if (vendorId !== undefined) {
+    record.vendorId = vendorId || null;
+  }
+
+  const entry = record.journalEntryId
+    ? await JournalEntry.findByPk(record.journalEntryId, { transaction })
+    : null;
+  const lines = transactionLines({ amount, accountId, offsetAccountId: offsetId, propertyId, description });
+
+  if (entry) {
+    entry.date = date;
+    entry.description = description;
+    entry.propertyId = propertyId;
+    await entry.save({ transaction });
+    await replaceJournalLines(entry, lines, transaction);
+  } else {
+    const created = await createJournalEntry({
+      organizationId, date, description, propertyId, source: 'transaction', lines
+    }, transaction);
+    record.journalEntryId = created.id;
+  }
+
+  await record.save({ transaction });
+  return record;
+};
+
+// Transactions posted for tenant charges and payments are changed through those records, not directly
+const assertTransactionNotPosted = async (record, transaction) => {
+  const [charge, payment, refund] = await Promise.all([
+    Charge.findOne({ where: { transactionId: record.id }, transaction }),
+    Payment.findOne({ where: { transactionId: record.id }, transaction }),
+    PaymentRefund.findOne({ where: { transactionId: record.id }, transaction })
+  ]);
+  if (charge || payment || refund) {
+    throw new HttpError(409, `Transaction belongs to a tenant ${charge ? 'charge' : 'payment'} and cannot be changed directly`);
+  }
+};
+
+// Cleared transactions of a finished reconciliation are locked; reopen the reconciliation to change them
+const assertTransactionNotReconciled = async (record, transaction) => {
+  if (!record.reconciliationId) {
+    return;
+  }
+  const reconciliation = await Reconciliation.findByPk(record.reconciliationId, { transaction });
+  if (reconciliation && reconciliation.status === 'finished') {
+    throw new HttpError(409, `Transaction was reconciled through ${reconciliation.statement_date} and is locked`);
+  }
+};
+
+const transactionIncludes = () => [
+  {
+    model: Account,
+    include: [AccountType]
+  },
+  Property,
+  {
+    model: Vendor,
+    attributes: ['id', 'name', 'trade']
+  },
+  {
+    model: JournalEntry,
+    as: 'journalEntry',
+    include: [{ model: JournalLine, as: 'lines' }]
+  }
+];
+
+// Journal entry endpoints
+app.get('/api/journal-entries', authorize('accounting', 'read'), async (req, res) => {
+  try {
+    const { propertyId, accountId, from, to } = req.query;
+    const where = { organization_id: req.organization.id };
+    if (propertyId) where.propertyId = propertyId;
+    if (from || to) {
+      where.date = {};
+      if (from) where.date[Sequelize.Op.gte] = new Date(from);
+      if (to) where.date[Sequelize.Op.lte] = new Date(to);
+    }
+
+    const entries = await JournalEntry.findAll({
+      where,
+      include: [{
+        model: JournalLine,
+        as: 'lines',
+        include: [Account],
+        ...(accountId ? { where: { accountId } } : {})
+      }],
+      order: [['date', 'ASC'], ['id', 'ASC'], [{ model: JournalLine, as: 'lines' }, 'id', 'ASC']]
+    });
+    res.json(entries);
+  } catch (error) {
+    console.error('Error fetching journal entries:', error);
+    res.status(500).json({ error: 'Failed to fetch journal entries' });
+  }
+});
+
+app.get('/api/journal-entries/:id', authorize('accounting', 'read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const entry = await JournalEntry.findOne({
+      where: { id, organization_id: req.organization.id },
+      include: [{ model: JournalLine, as: 'lines', include: [Account] }]
+    });
+
+    if (!entry) {
+      return res.status(404).json({ error: 'Journal entry not found' });
+    }
+
+    res.json(entry);
+  } catch (error) {
+    console.error('Error fetching journal entry:', error);
+    res.status(500).json({ error: 'Failed to fetch journal entry' });
+  }
+});
+
+app.post('/api/journal-entries', authorize('accounting', 'write'), async (req, res) => {
+  const t = await sequelize.transaction();
+  try {
+    const { date, description, propertyId, lines } = req.body;
+    if (!description) {
+      throw new HttpError(400, 'Description is required');
+    }
+
+    const entry = await createJournalEntry({
+      organizationId: req.organization.id,
+      date,
+      description,
+      propertyId,
+      lines
+    }, t);
+    await t.commit();
+
+    const createdEntry = await JournalEntry.findByPk(entry.id, {
+      include: [{ model: JournalLine, as: 'lines', include: [Account] }]
+    });
+    res.status(201).json(createdEntry);
+  } catch (error) {
+    await t.rollback();
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error creating journal entry:', error);
+    res.status(500).json({ error: 'Failed to create journal entry' });
+  }
+});
+
+// Entries behind a Transaction have to be edited through /api/transactions so the two stay in sync
+const findEditableJournalEntry = async (id, organizationId, transaction) => {
+  const entry = await JournalEntry.findOne({ where: { id, organization_id: organizationId }, transaction });
+  if (!entry) {
+    throw new HttpError(404, 'Journal entry not found');
+  }
+  if (await Transaction.count({ where: { journalEntryId: entry.id }, transaction })) {
+    throw new HttpError(409, 'This entry belongs to a transaction; edit it through /api/transactions');
+  }
+  return entry;
+};
+
+app.put('/api/journal-entries/:id', authorize('accounting', 'write'), async (req, res) => {
+  const t = await sequelize.transaction();
+  try {
+    const { id } = req.params;
+    const { date, description, propertyId, lines } = req.body;
+
+    const entry = await findEditableJournalEntry(id, req.organization.id, t);
+    if (propertyId) {
+      await assertJournalScope([], propertyId, req.organization.id);
+    }
+    if (date) entry.date = date;
+    if (description) entry.description = description;
+    if (propertyId !== undefined) entry.propertyId = propertyId || null;
+    await entry.save({ transaction: t });
+
+    if (lines) {
+      await replaceJournalLines(entry, lines, t);
+    }
+    await t.commit();
+
+    const updatedEntry = await JournalEntry.findByPk(id, {
+      include: [{ model: JournalLine, as: 'lines', include: [Account] }]
+    });
+    res.json(updatedEntry);
+  } catch (error) {
+    await t.rollback();
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error updating journal entry:', error);
+    res.status(500).json({ error: 'Failed to update journal entry' });
+  }
+});
+
+app.delete('/api/journal-entries/:id', authorize('accounting', 'write'), async (req, res) => {
+  const t = await sequelize.transaction();
+  try {
+    const { id } = req.params;
+    const entry = await findEditableJournalEntry(id, req.organization.id, t);
+
+    await JournalLine.destroy({ where: { journalEntryId: entry.id }, transaction: t });
+    await entry.destroy({ transaction: t });
+    await t.commit();
+
+    res.json({ success: true });
+  } catch (error) {
+    await t.rollback();
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error deleting journal entry:', error);
+    res.status(500).json({ error: 'Failed to delete journal entry' });
+  }
+});
+
+// A transaction's account and property must both belong to the caller's organization
+const validateTransactionScope = async ({ accountId, offsetAccountId, propertyId, vendorId }, organizationId) => {
+  if (!(await inOrganization(orgAccountIds, accountId, organizationId))) {
+    return 'Account not found';
+  }
+  if (offsetAccountId && !(await inOrganization(orgAccountIds, offsetAccountId, organizationId))) {
+    return 'Offset account not found';
+  }
+  if (!(await inOrganization(orgPropertyIds, propertyId, organizationId))) {
+    return 'Property not found';
+  }
+  if (vendorId && !(await Vendor.count({ where: { id: vendorId, organization_id: organizationId } }))) {
+    return 'Vendor not found';
+  }
+  return null;
+};
+
+app.post('/api/transactions', authorize('accounting', 'write'), async (req, res) => {
+  const t = await sequelize.transaction();
+  try {
+    const { date, description, amount, accountId, offsetAccountId, propertyId, vendorId } = req.body;
+    const scopeError = await validateTransactionScope(req.body, req.organization.id);
+    if (scopeError) {
+      throw new HttpError(400, scopeError);
+    }
+
+    const transaction = await recordTransaction({
+      organizationId: req.organization.id,
+      date,
+      description,
+      amount,
+      accountId,
+      offsetAccountId,
+      propertyId,
+      vendorId
+    }, t);
+    await t.commit();
+    
+    const newTransaction = await Transaction.findByPk(transaction.id, {
+      include: transactionIncludes()
+    });
+    
+    res.status(201).json(newTransaction);
+  } catch (error) {
+    await t.rollback();
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error creating transaction:', error);
+    res.status(500).json({ error: 'Failed to create transaction' });
+  }
+});
+
+app.put('/api/transactions/:id', authorize('accounting', 'write'), async (req, res) => {
+  const t = await sequelize.transaction();
+  try {
+    const { id } = req.params;
+    
+    const transaction = await Transaction.findOne({
+      where: { id, accountId: await orgAccountIds(req.organization.id) },
+      transaction: t
+    });
+    if (!transaction) {
+      throw new HttpError(404, 'Transaction not found');
+    }
+    await assertTransactionNotPosted(transaction, t);
+    await assertTransactionNotReconciled(transaction, t);
+    // Fields left out of the request keep their current values
+    const values = { ...transaction.get({ plain: true }), ...req.body };
+    const scopeError = await validateTransactionScope(values, req.organization.id);
+    if (scopeError) {
+      throw new HttpError(400, scopeError);
+    }
+    
+    await updateRecordedTransaction(transaction, values, req.organization.id, t);
+    await t.commit();
+    
+    const updatedTransaction = await Transaction.findByPk(id, {
+      include: transactionIncludes()
+    });
+    
+    res.json(updatedTransaction);
+  } catch (error) {
+    await t.rollback();
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error updating transaction:', error);
+    res.status(500).json({ error: 'Failed to update transaction' });
+  }
+});
+
+app.delete('/api/transactions/:id', authorize('accounting', 'write'), async (req, res) => {
+  const t = await sequelize.transaction();
+  try {
+    const { id } = req.params;
+    
+    const transaction = await Transaction.findOne({
+      where: { id, accountId: await orgAccountIds(req.organization.id) },
+      transaction: t
+    });
+    if (!transaction) {
+      await t.rollback();
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+    await assertTransactionNotPosted(transaction, t);
+    await assertTransactionNotReconciled(transaction, t);
+    
+    const { journalEntryId } = transaction;
+    // A bank line matched to (or created) this transaction goes back to the unmatched queue
+    await BankLine.update({ status: 'unmatched', transactionId: null }, { where: { transactionId: transaction.id }, transaction: t });
+    await transaction.destroy({ transaction: t });
+    if (journalEntryId) {
+      await JournalLine.destroy({ where: { journalEntryId }, transaction: t });
+      await JournalEntry.destroy({ where: { id: journalEntryId }, transaction: t });
+    }
+    await t.commit();
+    res.json({ success: true });
+  } catch (error) {
+    await t.rollback();
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error deleting transaction:', error);
+    res.status(500).json({ error: 'Failed to delete transaction' });
+  }
+});
+
+// Bank statement import
+const bankUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 }
+});
+const acceptStatementFile = acceptUploads(bankUpload.single('file'));
+
+// Split CSV text into rows of fields, honouring quoted fields with embedded commas, quotes and newlines
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+};
+
+const CSV_DATE_FORMATS = ['YYYY-MM-DD', 'MM/DD/YYYY', 'DD/MM/YYYY'];
+
+const parseBankDate = (value, format) => {
+  const text = (value || '').trim();
+  let year;
+  let month;
+  let day;
+  if (format === 'YYYY-MM-DD' || /^\d{4}-\d{1,2}-\d{1,2}/.test(text)) {
+    [year, month, day] = text.slice(0, 10).split('-');
+  } else {
+    const parts = text.split(/[/.-]/);
+    [month, day, year] = format === 'DD/MM/YYYY' ? [parts[1], parts[0], parts[2]] : parts;
+    if (year && year.length === 2) year = `20${year}`;
+  }
+  const date = `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+  // Date rolls days past the end of a month over into the next one, so 02/30 must come back unchanged
+  const parsed = new Date(date);
+  return /^\d{4}-\d{2}-\d{2}$/.test(date) && !Number.isNaN(parsed.getTime()) && parsed.toISOString().slice(0, 10) === date ? date : null;
+};
+
+// "(1,234.50)", "$-12.00" and "1.234,50-" style amounts all come out as signed numbers
+const parseBankAmount = (value) => {
+  let text = String(value || '').trim();
+  if (text === '') return null;
+  const negative = /^\(.*\)$/.test(text) || text.includes('-');
+  text = text.replace(/[^0-9.,]/g, '');
+  if (/,\d{2}$/.test(text) && !/\.\d{2}$/.test(text)) {
+    text = text.replace(/\./g, '').replace(',', '.');
+  }
+  const amount = parseFloat(text.replace(/,/g, ''));
+  if (Number.isNaN(amount)) return null;
+  return negative ? -amount : amount;
+};
+
+// Column names we recognise when the caller doesn't send a mapping
+const CSV_COLUMN_GUESSES = {
+  date: ['date', 'posted date', 'posting date', 'transaction date'],
+  amount: ['amount', 'transaction amount'],
+  debit: ['debit', 'withdrawal', 'withdrawals'],
+  credit: ['credit', 'deposit', 'deposits'],
+  description: ['description', 'payee', 'name', 'details'],
+  memo: ['memo', 'notes', 'reference'],
+  id: ['id', 'transaction id', 'fitid', 'reference number']
+};
+
+// Read statement lines from CSV. `mapping` names the header (or zero-based index) of each column;
+// either `amount` or `debit`/`credit` columns are needed.
+const parseBankCsv = (text, mapping = {}, dateFormat) => {
+  const rows = parseCsv(text);
+  if (rows.length === 0) {
+    throw new HttpError(400, 'The file has no rows');
+  }
+  const hasHeader = mapping.has_header !== false;
+  const header = hasHeader ? rows[0].map(name => name.trim().toLowerCase()) : [];
+  const column = (key) => {
+    const named = mapping[key];
+    if (named !== undefined && named !== null && named !== '') {
+      const index = typeof named === 'number' || /^\d+$/.test(named) ? parseInt(named, 10) : header.indexOf(String(named).trim().toLowerCase());
+      if (index < 0) {
+        throw new HttpError(400, `Column "${named}" not found in the file`);
+      }
+      return index;
+    }
+    const guess = header.findIndex(name => (CSV_COLUMN_GUESSES[key] || []).includes(name));
+    return guess >= 0 ? guess : null;
+  };
+
+  const columns = Object.fromEntries(Object.keys(CSV_COLUMN_GUESSES).map(key => [key, column(key)]));
+  if (columns.date === null || (columns.amount === null && columns.debit === null && columns.credit === null)) {
+    throw new HttpError(400, 'Map the date column and either an amount column or debit/credit columns');
+  }
+
+  const seen = {};
+  return rows.slice(hasHeader ? 1 : 0).map((fields, index) => {
+    const value = (key) => (columns[key] === null ? '' : (fields[columns[key]] || '').trim());
+    const date = parseBankDate(value('date'), dateFormat);
+    let amount = columns.amount !== null ? parseBankAmount(value('amount')) : null;
+    if (amount === null) {
+      amount = (parseBankAmount(value('credit')) || 0) - Math.abs(parseBankAmount(value('debit')) || 0);
+    }
+    if (!date || amount === null) {
+      throw new HttpError(400, `Row ${index + (hasHeader ? 2 : 1)} has an unreadable date or amount`);
+    }
+
+    const description = value('description');
+    let id = value('id');
+    if (!id) {
+      // No bank id: identical rows in one file are told apart by how many came before them
+      const key = `${date}|${amount.toFixed(2)}|${description}`;
+      seen[key] = (seen[key] || 0) + 1;
+      id = `csv:${crypto.createHash('sha256').update(`${key}|${seen[key]}`).digest('hex').slice(0, 32)}`;
+    }
+    return { bank_transaction_id: id, date, amount, description, memo: value('memo') };
+  });
+};
+
+// Read statement lines from OFX/QFX, both the SGML (unclosed tags) and XML flavours
+const parseOfx = (text) => {
+  const blocks = text.split(/<STMTTRN>/i).slice(1).map(block => block.split(/<\/STMTTRN>/i)[0]);
+  if (blocks.length === 0) {
+    throw new HttpError(400, 'No transactions found in the OFX file');
+  }
+  const tag = (block, name) => {
+    const match = block.match(new RegExp(`<${name}>([^<\r\n]*)`, 'i'));
+    return match ? match[1].trim() : '';
+  };
+  return blocks.map((block, index) => {
+    const posted = tag(block, 'DTPOSTED');
+    const date = parseBankDate(`${posted.slice(0, 4)}-${posted.slice(4, 6)}-${posted.slice(6, 8)}`, 'YYYY-MM-DD');
+    const amount = parseBankAmount(tag(block, 'TRNAMT'));
+    if (!date || amount === null) {
+      throw new HttpError(400, `OFX transaction ${index + 1} has an unreadable date or amount`);
+    }
+    const description = tag(block, 'NAME') || tag(block, 'PAYEE') || tag(block, 'MEMO');
+    const fitId = tag(block, 'FITID');
+    return {
+      bank_transaction_id: fitId || `ofx:${crypto.createHash('sha256').update(block).digest('hex').slice(0, 32)}`,
+      date,
+      amount,
+      description,
+      memo: tag(block, 'MEMO')
+    };
+  });
+};
+
+const descriptionWords = (text) => new Set(String(text || '').toLowerCase().split(/[^a-z0-9]+/).filter(word => word.length > 2));
+
+// Find the existing Transaction a bank line records: same account and amount, within `days` of the
+// bank date, not claimed by another line. Closest date wins, then most description words in common.
+const findMatchingTransaction = async (line, days, transaction) => {
+  const date = new Date(`${line.date}T00:00:00.000Z`);
+  const candidates = await Transaction.findAll({
+    where: {
+      accountId: line.account_id,
+      amount: line.amount,
+      date: { [Sequelize.Op.between]: [new Date(date.getTime() - days * DAY_MS), new Date(date.getTime() + (days + 1) * DAY_MS)] },
+      id: { [Sequelize.Op.notIn]: sequelize.literal('(SELECT "transactionId" FROM "BankLines" WHERE "transactionId" IS NOT NULL)') }
+    },
+    transaction
+  });
+  const words = descriptionWords(line.description);
+  const scored = candidates.map(candidate => ({
+    candidate,
+    distance: Math.abs(new Date(candidate.date).getTime() - date.getTime()),
+    overlap: [...descriptionWords(candidate.description)].filter(word => words.has(word)).length
+  })).sort((a, b) => a.distance - b.distance || b.overlap - a.overlap);
+  return scored.length > 0 ? scored[0].candidate : null;
+};
+
+const findBankAccount = async (accountId, organizationId) => {
+  const account = await Account.findOne({ where: { id: accountId, organization_id: organizationId } });
+  if (!account) {
+    throw new HttpError(400, 'Account not found');
+  }
+  if (!isCashAccount(account)) {
+    throw new HttpError(400, 'Bank statements can only be imported into a bank account');
+  }
+  return account;
+};
+
+const parseMapping = (value) => {
+  if (!value) return null;
+  if (typeof value === 'object') return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw new HttpError(400, 'mapping must be JSON');
+  }
+};
+
+// Upload a statement as multipart form data: file, account_id, and optionally format (csv/ofx),
+// mapping (JSON), date_format, property_id and match_days
+app.post('/api/bank-imports', authorize('accounting', 'write'), acceptStatementFile, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'Attach the statement as "file"' });
+    }
+    const account = await findBankAccount(req.body.account_id, req.organization.id);
+    if (req.body.property_id && !(await inOrganization(orgPropertyIds, req.body.property_id, req.organization.id))) {
+      return res.status(400).json({ error: 'Property not found' });
+    }
+    if (req.body.date_format && !CSV_DATE_FORMATS.includes(req.body.date_format)) {
+      return res.status(400).json({ error: `date_format must be one of: ${CSV_DATE_FORMATS.join(', ')}` });
+    }
+
+    const text = req.file.buffer.toString('utf8');
+    const format = req.body.format || (/\.(ofx|qfx)$/i.test(req.file.originalname) || /<OFX>/i.test(text) ? 'ofx' : 'csv');
+    let mapping = parseMapping(req.body.mapping);
+    if (format === 'csv' && !mapping) {
+      const previous = await BankImport.findOne({
+        where: { account_id: account.id, format: 'csv' },
+        order: [['createdAt', 'DESC']]
+      });
+      mapping = previous ? previous.mapping : null;
+    }
+    const parsed = format === 'ofx' ? parseOfx(text) : parseBankCsv(text, mapping || {}, req.body.date_format);
+    const matchDays = req.body.match_days !== undefined ? parseInt(req.body.match_days, 10) : 3;
+
+    const t = await sequelize.transaction();
+    try {
+      const bankImport = await BankImport.create({
+        organization_id: req.organization.id,
+        account_id: account.id,
+        file_name: req.file.originalname,
+        format,
+        mapping: format === 'csv' ? mapping : null,
+        user_id: req.user.id
+      }, { transaction: t });
+
+      const existing = new Set((await BankLine.findAll({
+        attributes: ['bank_transaction_id'],
+        where: { account_id: account.id, bank_transaction_id: parsed.map(line => line.bank_transaction_id) },
+        transaction: t
+      })).map(line => line.bank_transaction_id));
+
+      const lines = [];
+      let duplicates = 0;
+      for (const values of parsed) {
+        if (existing.has(values.bank_transaction_id)) {
+          duplicates++;
+          continue;
+        }
+        existing.add(values.bank_transaction_id);
+        const line = BankLine.build({
+          ...values,
+          organization_id: req.organization.id,
+          account_id: account.id,
+          bank_import_id: bankImport.id,
+          property_id: req.body.property_id || null
+        });
+        const match = await findMatchingTransaction(line, matchDays, t);
+        if (match) {
+          line.transactionId = match.id;
+          line.status = 'matched';
+        }
+        lines.push(await line.save({ transaction: t }));
+      }
+
+      await bankImport.update({ line_count: lines.length, duplicate_count: duplicates }, { transaction: t });
+      await t.commit();
+
+      res.status(201).json({
+        import: bankImport,
+        imported: lines.length,
+        duplicates,
+        matched: lines.filter(line => line.status === 'matched').length,
+        unmatched: lines.filter(line => line.status === 'unmatched').length,
+        lines
+      });
+    } catch (error) {
+      await t.rollback();
+      throw error;
+    }
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error importing bank statement:', error);
+    res.status(500).json({ error: 'Failed to import bank statement' });
+  }
+});
+
+app.get('/api/bank-imports', authorize('accounting', 'read'), async (req, res) => {
+  try {
+    const where = { organization_id: req.organization.id };
+    if (req.query.account_id) where.account_id = req.query.account_id;
+    const imports = await BankImport.findAll({ where, include: [Account], order: [['createdAt', 'DESC']] });
+    res.json(imports);
+  } catch (error) {
+    console.error('Error fetching bank imports:', error);
+    res.status(500).json({ error: 'Failed to fetch bank imports' });
+  }
+});
+
+app.get('/api/bank-lines', authorize('accounting', 'read'), async (req, res) => {
+  try {
+    const { account_id, status, bank_import_id } = req.query;
+    const where = { organization_id: req.organization.id };
+    if (account_id) where.account_id = account_id;
+    if (status) where.status = status;
+    if (bank_import_id) where.bank_import_id = bank_import_id;
+
+    const lines = await BankLine.findAll({
+      where,
+      include: [Transaction],
+      order: [['date', 'ASC'], ['id', 'ASC']]
+    });
+    res.json(lines);
+  } catch (error) {
+    console.error('Error fetching bank lines:', error);
+    res.status(500).json({ error: 'Failed to fetch bank lines' });
+  }
+});
+
+const findOrgBankLine = async (id, organizationId, transaction) => {
+  const line = await BankLine.findOne({ where: { id, organization_id: organizationId }, transaction });
+  if (!line) {
+    throw new HttpError(404, 'Bank line not found');
+  }
+  return line;
+};
+
+// One-click creation of a Transaction from an unmatched line. The offset account defaults to
+// Suspense and the property to the one given at import.
+app.post('/api/bank-lines/:id/create', authorize('accounting', 'write'), async (req, res) => {
+  const t = await sequelize.transaction();
+  try {
+    const line = await findOrgBankLine(req.params.id, req.organization.id, t);
+    if (line.status !== 'unmatched') {
+      throw new HttpError(409, `Bank line is already ${line.status}`);
+    }
+    const values = {
+      date: line.date,
+      description: req.body.description || line.description || line.memo || 'Bank transaction',
+      amount: line.amount,
+      accountId: line.account_id,
+      offsetAccountId: req.body.offsetAccountId,
+      propertyId: req.body.propertyId || line.property_id
+    };
+    if (!values.propertyId) {
+      throw new HttpError(400, 'propertyId is required');
+    }
+    const scopeError = await validateTransactionScope(values, req.organization.id);
+    if (scopeError) {
+      throw new HttpError(400, scopeError);
+    }
+
+    const record = await recordTransaction({ ...values, organizationId: req.organization.id, source: 'bank_import' }, t);
+    await line.update({ status: 'created', transactionId: record.id }, { transaction: t });
+    await t.commit();
+
+    res.status(201).json(await BankLine.findByPk(line.id, { include: [Transaction] }));
+  } catch (error) {
+    await t.rollback();
+    sendHttpError(res, error, 'create transaction from bank line');
+  }
+});
+
+app.post('/api/bank-lines/create-all', authorize('accounting', 'write'), async (req, res) => {
+  try {
+    const { bank_import_id, offsetAccountId, propertyId } = req.body;
+    if (!bank_import_id) {
+      return res.status(400).json({ error: 'bank_import_id is required' });
+    }
+    const lines = await BankLine.findAll({
+      where: { organization_id: req.organization.id, bank_import_id, status: 'unmatched' }
+    });
+    const created = [];
+    const skipped = [];
+    for (const line of lines) {
+      const t = await sequelize.transaction();
+      try {
+        const values = {
+          date: line.date,
+          description: line.description || line.memo || 'Bank transaction',
+          amount: line.amount,
+          accountId: line.account_id,
+          offsetAccountId,
+          propertyId: propertyId || line.property_id
+        };
+        const scopeError = values.propertyId
+          ? await validateTransactionScope(values, req.organization.id)
+          : 'propertyId is required';
+        if (scopeError) {
+          throw new HttpError(400, scopeError);
+        }
+        const record = await recordTransaction({ ...values, organizationId: req.organization.id, source: 'bank_import' }, t);
+        await line.update({ status: 'created', transactionId: record.id }, { transaction: t });
+        await t.commit();
+        created.push(line.id);
+      } catch (error) {
+        await t.rollback();
+        skipped.push({ id: line.id, error: error.status ? error.message : 'Failed to create transaction' });
+      }
+    }
+    res.json({ created, skipped });
+  } catch (error) {
+    console.error('Error creating transactions from bank lines:', error);
+    res.status(500).json({ error: 'Failed to create transactions from bank lines' });
+  }
+});
+
+app.post('/api/bank-lines/:id/match', authorize('accounting', 'write'), async (req, res) => {
+  try {
+    const line = await findOrgBankLine(req.params.id, req.organization.id);
+    if (line.status !== 'unmatched') {
+      throw new HttpError(409, `Bank line is already ${line.status}`);
+    }
+    const record = await Transaction.findOne({ where: { id: req.body.transactionId, accountId: line.account_id } });
+    if (!record) {
+      throw new HttpError(400, 'Transaction not found on this account');
+    }
+    if (await BankLine.findOne({ where: { transactionId: record.id } })) {
+      throw new HttpError(409, 'Transaction is already matched to another bank line');
+    }
+    if (toCents(record.amount) !== toCents(line.amount)) {
+      throw new HttpError(400, 'Transaction amount does not match the bank line');
+    }
+    await line.update({ status: 'matched', transactionId: record.id });
+    res.json(await BankLine.findByPk(line.id, { include: [Transaction] }));
+  } catch (error) {
+    sendHttpError(res, error, 'match bank line');
+  }
+});
+
+// Undo a match or an ignore; lines that created their transaction keep it (delete the transaction instead)
+app.post('/api/bank-lines/:id/unmatch', authorize('accounting', 'write'), async (req, res) => {
+  try {
+    const line = await findOrgBankLine(req.params.id, req.organization.id);
+    if (!['matched', 'ignored'].includes(line.status)) {
+      throw new HttpError(409, `A ${line.status} bank line cannot be unmatched`);
+    }
+    await line.update({ status: 'unmatched', transactionId: null });
+    res.json(line);
+  } catch (error) {
+    sendHttpError(res, error, 'unmatch bank line');
+  }
+});
+
+app.post('/api/bank-lines/:id/ignore', authorize('accounting', 'write'), async (req, res) => {
+  try {
+    const line = await findOrgBankLine(req.params.id, req.organization.id);
+    if (line.status !== 'unmatched') {
+      throw new HttpError(409, `Bank line is already ${line.status}`);
+    }
+    await line.update({ status: 'ignored' });
+    res.json(line);
+  } catch (error) {
+    sendHttpError(res, error, 'ignore bank line');
+  }
+});
+
+// Bank reconciliation
+// How a transaction moves the reconciled account: its amount when posted to it, the reverse when the
+// account is the offset side
+const reconciledAmount = (record, accountId) => (record.accountId === accountId ? toCents(record.amount) : -toCents(record.amount));
+
+// Transactions that touch the account up to the statement date and were not cleared in an earlier
+// finished reconciliation
+const reconciliationTransactions = async (reconciliation, transaction) => {
+  const through = new Date(new Date(`${reconciliation.statement_date}T00:00:00.000Z`).getTime() + DAY_MS);
+  return Transaction.findAll({
+    where: {
+      [Sequelize.Op.and]: [
+        { [Sequelize.Op.or]: [{ accountId: reconciliation.account_id }, { offsetAccountId: reconciliation.account_id }] },
+        { [Sequelize.Op.or]: [{ reconciliationId: null }, { reconciliationId: reconciliation.id }] },
+        { [Sequelize.Op.or]: [{ date: { [Sequelize.Op.lt]: through } }, { reconciliationId: reconciliation.id }] }
+      ]
+    },
+    include: [{ model: BankLine, attributes: ['id', 'bank_transaction_id', 'status'] }],
+    order: [['date', 'ASC'], ['id', 'ASC']],
+    transaction
+  });
+};
+
+const reconciliationSummary = (reconciliation, transactions) => {
+  let deposits = 0;
+  let withdrawals = 0;
+  let outstanding = 0;
+  for (const record of transactions) {
+    const cents = reconciledAmount(record, reconciliation.account_id);
+    if (record.reconciliationId === reconciliation.id) {
+      if (cents > 0) deposits += cents;
+      else withdrawals -= cents;
+    } else {
+      outstanding += cents;
+    }
+  }
+  const beginning = toCents(reconciliation.beginning_balance);
+  const cleared = beginning + deposits - withdrawals;
+  return {
+    beginning_balance: fromCents(beginning),
+    cleared_deposits: fromCents(deposits),
+    cleared_withdrawals: fromCents(withdrawals),
+    cleared_balance: fromCents(cleared),
+    statement_ending_balance: parseFloat(reconciliation.statement_ending_balance),
+    difference: fromCents(toCents(reconciliation.statement_ending_balance) - cleared),
+    outstanding: fromCents(outstanding)
+  };
+};
+
+const presentReconciliation = async (reconciliation) => {
+  const transactions = await reconciliationTransactions(reconciliation);
+  return {
+    ...reconciliation.toJSON(),
+    summary: reconciliationSummary(reconciliation, transactions),
+    transactions: transactions.map(record => ({
+      ...record.toJSON(),
+      reconciled_amount: fromCents(reconciledAmount(record, reconciliation.account_id))
+    }))
+  };
+};
+
+// Inside a transaction the reconciliation row stays locked until it ends, so clearing and finishing
+// the same reconciliation take turns
+const findOrgReconciliation = async (id, organizationId, transaction) => {
+  const reconciliation = await Reconciliation.findOne({
+    where: { id, organization_id: organizationId },
+    transaction,
+    lock: transaction ? transaction.LOCK.UPDATE : undefined
+  });
+  if (!reconciliation) {
+    throw new HttpError(404, 'Reconciliation not found');
+  }
+  return reconciliation;
+};
+
+const findOpenReconciliation = async (id, organizationId, transaction) => {
+  const reconciliation = await findOrgReconciliation(id, organizationId, transaction);
+  if (reconciliation.status !== 'in_progress') {
+    throw new HttpError(409, 'Reconciliation is finished; reopen it to make changes');
+  }
+  return reconciliation;
+};
+
+app.get('/api/reconciliations', authorize('accounting', 'read'), async (req, res) => {
+  try {
+    const where = { organization_id: req.organization.id };
+    if (req.query.account_id) where.account_id = req.query.account_id;
+    if (req.query.status) where.status = req.query.status;
+    const reconciliations = await Reconciliation.findAll({
+      where,
+      include: [Account],
+      order: [['statement_date', 'DESC']]
+    });
+    res.json(reconciliations);
+  } catch (error) {
+    console.error('Error fetching reconciliations:', error);
+    res.status(500).json({ error: 'Failed to fetch reconciliations' });
+  }
+});
+
+app.get('/api/reconciliations/:id', authorize('accounting', 'read'), async (req, res) => {
+  try {
+    const reconciliation = await findOrgReconciliation(req.params.id, req.organization.id);
+    res.json(await presentReconciliation(reconciliation));
+  } catch (error) {
+    sendHttpError(res, error, 'fetch reconciliation');
+  }
+});
+
+// Start reconciling an account against a statement. One reconciliation per account can be open at a
+// time, and statements must come after the last finished one.
+app.post('/api/reconciliations', authorize('accounting', 'write'), async (req, res) => {
+  try {
+    const { account_id, statement_date, statement_ending_balance } = req.body;
+    const account = await findBankAccount(account_id, req.organization.id);
+    const statementDate = formatReportDate(parseReportDate(statement_date, 'statement_date'));
+    if (statement_ending_balance === undefined || statement_ending_balance === null || Number.isNaN(parseFloat(statement_ending_balance))) {
+      throw new HttpError(400, 'statement_ending_balance is required');
+    }
+
+    const open = await Reconciliation.findOne({ where: { account_id: account.id, status: 'in_progress' } });
+    if (open) {
+      throw new HttpError(409, `Account already has a reconciliation in progress (${open.id})`);
+    }
+    const previous = await Reconciliation.findOne({
+      where: { account_id: account.id, status: 'finished' },
+      order: [['statement_date', 'DESC']]
+    });
+    if (previous && statementDate <= previous.statement_date) {
+      throw new HttpError(400, `Account is already reconciled through ${previous.statement_date}`);
+    }
+
+    const reconciliation = await Reconciliation.create({
+      organization_id: req.organization.id,
+      account_id: account.id,
+      statement_date: statementDate,
+      statement_ending_balance,
+      beginning_balance: previous ? previous.statement_ending_balance : (req.body.beginning_balance || 0),
+      user_id: req.user.id
+    });
+    res.status(201).json(await presentReconciliation(reconciliation));
+  } catch (error) {
+    sendHttpError(res, error, 'create reconciliation');
+  }
+});
+
+// Statement details can be corrected while the reconciliation is open
+app.put('/api/reconciliations/:id', authorize('accounting', 'write'), async (req, res) => {
+  try {
+    const reconciliation = await findOpenReconciliation(req.params.id, req.organization.id);
+    const values = {};
+    if (req.body.statement_date !== undefined) {
+      values.statement_date = formatReportDate(parseReportDate(req.body.statement_date, 'statement_date'));
+      const previous = await Reconciliation.findOne({
+        where: { account_id: reconciliation.account_id, status: 'finished', statement_date: { [Sequelize.Op.gte]: values.statement_date } }
+      });
+      if (previous) {
+        throw new HttpError(400, `Account is already reconciled through ${previous.statement_date}`);
+      }
+    }
+    if (req.body.statement_ending_balance !== undefined) {
+      values.statement_ending_balance = req.body.statement_ending_balance;
+    }
+    await reconciliation.update(values);
+    res.json(await presentReconciliation(reconciliation));
+  } catch (error) {
+    sendHttpError(res, error, 'update reconciliation');
+  }
+});
+
+// Mark transactions cleared (or uncleared with `cleared: false`)
+app.post('/api/reconciliations/:id/clear', authorize('accounting', 'write'), async (req, res) => {
+  const t = await sequelize.transaction();
+  try {
+    const reconciliation = await findOpenReconciliation(req.params.id, req.organization.id, t);
+    const { transaction_ids } = req.body;
+    const cleared = req.body.cleared !== false;
+    if (!Array.isArray(transaction_ids) || transaction_ids.length === 0) {
+      throw new HttpError(400, 'transaction_ids is required');
+    }
+
+    const available = new Set((await reconciliationTransactions(reconciliation, t)).map(record => record.id));
+    const missing = transaction_ids.filter(id => !available.has(parseInt(id, 10)));
+    if (missing.length > 0) {
+      throw new HttpError(400, `Transactions not available to this reconciliation: ${missing.join(', ')}`);
+    }
+
+    await Transaction.update(
+      cleared
+        ? { cleared: true, cleared_at: new Date(), reconciliationId: reconciliation.id }
+        : { cleared: false, cleared_at: null, reconciliationId: null },
+      { where: { id: transaction_ids }, transaction: t }
+    );
+    await t.commit();
+    res.json(await presentReconciliation(reconciliation));
+  } catch (error) {
+    await t.rollback();
+    sendHttpError(res, error, 'update reconciliation');
+  }
+});
+
+// Clear everything the bank has already confirmed through an imported statement line
+app.post('/api/reconciliations/:id/clear-matched', authorize('accounting', 'write'), async (req, res) => {
+  const t = await sequelize.transaction();
+  try {
+    const reconciliation = await findOpenReconciliation(req.params.id, req.organization.id, t);
+    const ids = (await reconciliationTransactions(reconciliation, t))
+      .filter(record => !record.reconciliationId && record.BankLine
+        && record.BankLine.status !== 'ignored' && record.accountId === reconciliation.account_id)
+      .map(record => record.id);
+    if (ids.length > 0) {
+      await Transaction.update(
+        { cleared: true, cleared_at: new Date(), reconciliationId: reconciliation.id },
+        { where: { id: ids }, transaction: t }
+      );
+    }
+    await t.commit();
+    res.json({ cleared: ids.length, ...(await presentReconciliation(reconciliation)) });
+  } catch (error) {
+    await t.rollback();
+    sendHttpError(res, error, 'update reconciliation');
+  }
+});
+
+// Finishing locks the cleared transactions; it needs the cleared balance to equal the statement
+app.post('/api/reconciliations/:id/finish', authorize('accounting', 'write'), async (req, res) => {
+  const t = await sequelize.transaction();
+  try {
+    const reconciliation = await findOpenReconciliation(req.params.id, req.organization.id, t);
+    const summary = reconciliationSummary(reconciliation, await reconciliationTransactions(reconciliation, t));
+    if (toCents(summary.difference) !== 0) {
+      await t.rollback();
+      return res.status(409).json({ error: `Reconciliation is off by ${summary.difference.toFixed(2)}`, summary });
+    }
+    await reconciliation.update({ status: 'finished', finished_at: new Date(), finished_by: req.user.id }, { transaction: t });
+    await t.commit();
+    res.json(await presentReconciliation(reconciliation));
+  } catch (error) {
+    await t.rollback();
+    sendHttpError(res, error, 'finish reconciliation');
+  }
+});
+
+// Only the account's most recent finished reconciliation can be reopened
+app.post('/api/reconciliations/:id/reopen', authorize('accounting', 'write'), async (req, res) => {
+  try {
+    const reconciliation = await findOrgReconciliation(req.params.id, req.organization.id);
+    if (reconciliation.status !== 'finished') {
+      throw new HttpError(409, 'Reconciliation is not finished');
+    }
+    const later = await Reconciliation.findOne({
+      where: { account_id: reconciliation.account_id, statement_date: { [Sequelize.Op.gt]: reconciliation.statement_date } }
+    });
+    if (later) {
+      throw new HttpError(409, 'Only the latest reconciliation for the account can be reopened');
+    }
+    await reconciliation.update({ status: 'in_progress', finished_at: null, finished_by: null });
+    res.json(await presentReconciliation(reconciliation));
+  } catch (error) {
+    sendHttpError(res, error, 'reopen reconciliation');
+  }
+});
+
+app.delete('/api/reconciliations/:id', authorize('accounting', 'write'), async (req, res) => {
+  const t = await sequelize.transaction();
+  try {
+    const reconciliation = await findOpenReconciliation(req.params.id, req.organization.id, t);
+    await Transaction.update(
+      { cleared: false, cleared_at: null, reconciliationId: null },
+      { where: { reconciliationId: reconciliation.id }, transaction: t }
+    );
+    await reconciliation.destroy({ transaction: t });
+    await t.commit();
+    res.status(204).send();
+  } catch (error) {
+    await t.rollback();
+    sendHttpError(res, error, 'delete reconciliation');
+  }
+});
+
+app.get('/api/reconciliations/:id/report', authorize('accounting', 'read'), requireReportTier('basic'), async (req, res) => {
+  try {
+    const reconciliation = await findOrgReconciliation(req.params.id, req.organization.id);
+    const account = await Account.findByPk(reconciliation.account_id);
+    const transactions = await reconciliationTransactions(reconciliation);
+    const row = (record) => ({
+      id: record.id,
+      date: formatReportDate(new Date(record.date)),
+      description: record.description,
+      amount: fromCents(reconciledAmount(record, reconciliation.account_id))
+    });
+
+    const report = {
+      report: 'Reconciliation Report',
+      account: { id: account.id, number: account.number, name: account.name },
+      statement_date: reconciliation.statement_date,
+      status: reconciliation.status,
+      finished_at: reconciliation.finished_at,
+      summary: reconciliationSummary(reconciliation, transactions),
+      cleared: transactions.filter(record => record.reconciliationId === reconciliation.id).map(row),
+      outstanding: transactions.filter(record => record.reconciliationId !== reconciliation.id).map(row)
+    };
+
+    if (req.query.format === 'csv') {
+      const { summary } = report;
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="reconciliation-${account.number || account.id}-${reconciliation.statement_date}.csv"`);
+      return res.send(toCsv(['Section', 'Date', 'Description', 'Amount'], [
+        ...report.cleared.map(item => ['Cleared', item.date, item.description, item.amount]),
+        ...report.outstanding.map(item => ['Outstanding', item.date, item.description, item.amount]),
+        ['Summary', '', 'Beginning balance', summary.beginning_balance],
+        ['Summary', '', 'Cleared deposits', summary.cleared_deposits],
+        ['Summary', '', 'Cleared withdrawals', -summary.cleared_withdrawals],
+        ['Summary', '', 'Cleared balance', summary.cleared_balance],
+        ['Summary', '', 'Statement ending balance', summary.statement_ending_balance],
+        ['Summary', '', 'Difference', summary.difference]
+      ]));
+    }
+    res.json(report);
+  } catch (error) {
+    sendHttpError(res, error, 'report on reconciliation');
+  }
+});
+
+// Financial statements
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Report dates are calendar days (YYYY-MM-DD); ranges include both ends
+const parseReportDate = (value, name) => {
+  const date = new Date(`${value}T00:00:00.000Z`);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value || '') || Number.isNaN(date.getTime())) {
+    throw new HttpError(400, `${name} must be a date in YYYY-MM-DD format`);
+  }
+  return date;
+};
+
+const formatReportDate = (date) => date.toISOString().slice(0, 10);
+
+const reportRange = (query) => {
+  const today = formatReportDate(new Date());
+  const from = parseReportDate(query.from || `${today.slice(0, 4)}-01-01`, 'from');
+  const to = parseReportDate(query.to || today, 'to');
+  if (from > to) {
+    throw new HttpError(400, 'from must not be after to');
+  }
+  return { from, to };
+};
+
+// The period to compare against: the same length immediately before, or the same dates a year earlier
+const comparisonRange = ({ from, to }, compare) => {
+  if (compare === 'previous_period') {
+    const length = to.getTime() - from.getTime() + DAY_MS;
+    return { from: new Date(from.getTime() - length), to: new Date(from.getTime() - DAY_MS) };
+  }
+  if (compare === 'previous_year') {
+    const shift = (date) => {
+      const shifted = new Date(date);
+      shifted.setUTCFullYear(shifted.getUTCFullYear() - 1);
+      return shifted;
+    };
+    return { from: shift(from), to: shift(to) };
+  }
+  throw new HttpError(400, 'compare must be previous_period or previous_year');
+};
+
+// Which properties a report covers: one property, a portfolio's properties, or (null) the whole organization
+const resolveReportScope = async (req) => {
+  const { propertyId, portfolioId } = req.query;
+  const organizationId = req.organization.id;
+
+  if (propertyId) {
+    const property = await Property.findOne({ where: { id: propertyId, organization_id: organizationId } });
+    if (!property) {
+      throw new HttpError(404, 'Property not found');
+    }
+    return { organizationId, propertyIds: [property.id], label: property.name };
+  }
+
+  if (portfolioId) {
+    const portfolio = await Portfolio.findOne({ where: { id: portfolioId, organization_id: organizationId } });
+    if (!portfolio) {
+      throw new HttpError(404, 'Portfolio not found');
+    }
+    const links = await PortfolioProperty.findAll({ where: { portfolio_id: portfolio.id } });
+    return { organizationId, propertyIds: links.map(link => link.property_id), label: portfolio.name };
+  }
+
+  return { organizationId, propertyIds: null, label: req.organization.name };
+};
+
+// Journal lines in scope, optionally limited to a date range (`to` is inclusive)
+const reportLines = async (scope, { from, to } = {}) => {
+  const entryWhere = { organization_id: scope.organizationId };
+  if (from || to) {
+    entryWhere.date = {};
+    if (from) entryWhere.date[Sequelize.Op.gte] = from;
+    if (to) entryWhere.date[Sequelize.Op.lt] = new Date(to.getTime() + DAY_MS);
+  }
+
+  return JournalLine.findAll({
+    where: scope.propertyIds ? { propertyId: scope.propertyIds } : {},
+    include: [
+      { model: JournalEntry, attributes: ['id', 'date'], where: entryWhere },
+      { model: Account }
+    ]
+  });
+};
+
+// Net balance per account in cents, signed by its classification's normal balance so that
+// contra accounts (e.g. Accumulated Depreciation) come out negative and reduce their section
+const accountTotals = (lines) => {
+  const totals = new Map();
+  for (const line of lines) {
+    const account = line.Account;
+    const net = toCents(line.debit) - toCents(line.credit);
+    const current = totals.get(account.id) || { account, amount: 0 };
+    current.amount += NORMAL_BALANCES[account.classification] === 'debit' ? net : -net;
+    totals.set(account.id, current);
+  }
+  return totals;
+};
+
+const statementSection = (key, title, totals, classification, sign = 1) => {
+  const rows = [...totals.values()]
+    .filter(({ account, amount }) => account.classification === classification && amount !== 0)
+    .sort((a, b) => (a.account.number || '').localeCompare(b.account.number || '') || a.account.name.localeCompare(b.account.name))
+    .map(({ account, amount }) => ({
+      key: `account:${account.id}`,
+      account_id: account.id,
+      number: account.number,
+      name: account.name,
+      amount: sign * amount
+    }));
+  return { key, title, rows, total: rows.reduce((sum, row) => sum + row.amount, 0) };
+};
+
+const buildIncomeStatement = async (scope, range) => {
+  const totals = accountTotals(await reportLines(scope, range));
+  const income = statementSection('income', 'Income', totals, 'income');
+  const expenses = statementSection('expenses', 'Expenses', totals, 'expense');
+
+  return {
+    sections: [income, expenses],
+    totals: {
+      total_income: income.total,
+      total_expenses: expenses.total,
+      net_income: income.total - expenses.total
+    }
+  };
+};
+
+const buildBalanceSheet = async (scope, asOf) => {
+  const totals = accountTotals(await reportLines(scope, { to: asOf }));
+  const assets = statementSection('assets', 'Assets', totals, 'asset');
+  const liabilities = statementSection('liabilities', 'Liabilities', totals, 'liability');
+  const equity = statementSection('equity', 'Equity', totals, 'equity');
+
+  // Income and expenses not yet closed to retained earnings belong to equity
+  const earnings = statementSection('income', '', totals, 'income').total - statementSection('expenses', '', totals, 'expense').total;
+  if (earnings !== 0) {
+    equity.rows.push({ key: 'current_earnings', account_id: null, number: null, name: 'Current Earnings', amount: earnings });
+    equity.total += earnings;
+  }
+
+  return {
+    sections: [assets, liabilities, equity],
+    totals: {
+      total_assets: assets.total,
+      total_liabilities: liabilities.total,
+      total_equity: equity.total,
+      total_liabilities_and_equity: liabilities.total + equity.total
+    }
+  };
+};
+
+// Cash accounts are the bank accounts (the ones with an AccountType)
+const isCashAccount = (account) => Boolean(account.accountTypeId);
+
+const buildCashFlow = async (scope, range) => {
+  const lines = await reportLines(scope, range);
+
+  // Every entry that moves cash is attributed to the accounts on the other side of it
+  const entries = new Map();
+  for (const line of lines) {
+    const group = entries.get(line.journalEntryId) || [];
+    group.push(line);
+    entries.set(line.journalEntryId, group);
+  }
+
+  const byActivity = { operating: new Map(), investing: new Map(), financing: new Map() };
+  for (const group of entries.values()) {
+    if (!group.some(line => isCashAccount(line.Account))) {
+      continue;
+    }
+    for (const line of group) {
+      if (isCashAccount(line.Account)) {
+        continue;
+      }
+      const activity = byActivity[line.Account.cash_flow_activity] || byActivity.operating;
+      const current = activity.get(line.Account.id) || { account: line.Account, amount: 0 };
+      current.amount += toCents(line.credit) - toCents(line.debit);
+      activity.set(line.Account.id, current);
+    }
+  }
+
+  const activitySection = (key, title, totals) => {
+    const rows = [...totals.values()]
+      .filter(({ amount }) => amount !== 0)
+      .sort((a, b) => (a.account.number || '').localeCompare(b.account.number || ''))
+      .map(({ account, amount }) => ({ key: `account:${account.id}`, account_id: account.id, number: account.number, name: account.name, amount }));
+    return { key, title, rows, total: rows.reduce((sum, row) => sum + row.amount, 0) };
+  };
+
+  const operating = activitySection('operating', 'Operating Activities', byActivity.operating);
+  const investing = activitySection('investing', 'Investing Activities', byActivity.investing);
+  const financing = activitySection('financing', 'Financing Activities', byActivity.financing);
+
+  const cashBalance = (balanceLines) => balanceLines
+    .filter(line => isCashAccount(line.Account))
+    .reduce((sum, line) => sum + toCents(line.debit) - toCents(line.credit), 0);
+  const beginningCash = cashBalance(await reportLines(scope, { to: new Date(range.from.getTime() - DAY_MS) }));
+  const netChange = operating.total + investing.total + financing.total;
+
+  return {
+    sections: [operating, investing, financing],
+    totals: {
+      net_cash_from_operating: operating.total,
+      net_cash_from_investing: investing.total,
+      net_cash_from_financing: financing.total,
+      net_change_in_cash: netChange,
+      beginning_cash: beginningCash,
+      ending_cash: beginningCash + netChange
+    }
+  };
+};
+
+// Convert a statement from cents to currency amounts, merging in comparison-period figures when given
+const presentStatement = (statement, comparison) => {
+  const change = (current, prior) => ({
+    comparison_amount: fromCents(prior),
+    change: fromCents(current - prior),
+    change_percent: prior !== 0 ? Math.round(((current - prior) / Math.abs(prior)) * 10000) / 100 : null
+  });
+
+  const sections = statement.sections.map(section => {
+    const priorSection = comparison ? comparison.sections.find(s => s.key === section.key) : null;
+    const priorRows = new Map(priorSection ? priorSection.rows.map(row => [row.key, row]) : []);
+    const rows = section.rows.map(row => ({ ...row }));
+    // Accounts that only had activity in the comparison period still get a row
+    for (const [key, priorRow] of priorRows) {
+      if (!rows.some(row => row.key === key)) rows.push({ ...priorRow, amount: 0 });
+    }
+
+    return {
+      key: section.key,
+      title: section.title,
+      rows: rows.map(({ key, ...row }) => ({
+        ...row,
+        amount: fromCents(row.amount),
+        ...(comparison ? change(row.amount, priorRows.has(key) ? priorRows.get(key).amount : 0) : {})
+      })),
+      total: fromCents(section.total),
+      ...(comparison ? change(section.total, priorSection ? priorSection.total : 0) : {})
+    };
+  });
+
+  const totals = {};
+  for (const [key, value] of Object.entries(statement.totals)) {
+    totals[key] = comparison
+      ? { amount: fromCents(value), ...change(value, comparison.totals[key]) }
+      : fromCents(value);
+  }
+
+  return { sections, totals };
+};
+
+const csvEscape = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (header, rows) =>
+  [header, ...rows].map(row => row.map(csvEscape).join(',')).join('\r\n') + '\r\n';
+
+const statementCsv = (report) => {
+  const comparing = Boolean(report.comparison);
+  const header = ['Section', 'Account Number', 'Account', 'Amount', ...(comparing ? ['Comparison', 'Change', 'Change %'] : [])];
+  const figures = (item) => comparing
+    ? [item.amount, item.comparison_amount, item.change, item.change_percent]
+    : [item.amount];
+
+  const rows = [];
+  for (const section of report.sections) {
+    for (const row of section.rows) {
+      rows.push([section.title, row.number, row.name, ...figures(row)]);
+    }
+    rows.push([section.title, '', `Total ${section.title}`, ...figures({ amount: section.total, ...section })]);
+  }
+  for (const [key, value] of Object.entries(report.totals)) {
+    const item = typeof value === 'object' ? value : { amount: value };
+    rows.push(['', '', key.replace(/_/g, ' '), ...figures(item)]);
+  }
+  return toCsv(header, rows);
+};
+
+const sendReport = (req, res, report, filename) => {
+  if (req.query.format === 'csv') {
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.csv"`);
+    return res.send(statementCsv(report));
+  }
+  res.json(report);
+};
+
+// Shared handler for the period statements (income statement and cash flow)
+const periodReportHandler = (title, slug, build) => async (req, res) => {
+  try {
+    const scope = await resolveReportScope(req);
+    const range = reportRange(req.query);
+    const current = await build(scope, range);
+
+    let comparison = null;
+    let priorRange = null;
+    if (req.query.compare) {
+      priorRange = comparisonRange(range, req.query.compare);
+      comparison = await build(scope, priorRange);
+    }
+
+    sendReport(req, res, {
+      report: title,
+      scope: scope.label,
+      from: formatReportDate(range.from),
+      to: formatReportDate(range.to),
+      ...(comparison ? {
+        comparison: { from: formatReportDate(priorRange.from), to: formatReportDate(priorRange.to) }
+      } : {}),
+      ...presentStatement(current, comparison)
+    }, `${slug}-${formatReportDate(range.from)}-${formatReportDate(range.to)}`);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error(`Error building ${title.toLowerCase()}:`, error);
+    res.status(500).json({ error: `Failed to build ${title.toLowerCase()}` });
+  }
+};
+
+app.get('/api/reports/income-statement', authorize('accounting', 'read'), requireReportTier('basic'),
+  periodReportHandler('Income Statement', 'income-statement', buildIncomeStatement));
+
+app.get('/api/reports/cash-flow', authorize('accounting', 'read'), requireReportTier('advanced'),
+  periodReportHandler('Cash Flow Statement', 'cash-flow', buildCashFlow));
+
+app.get('/api/reports/balance-sheet', authorize('accounting', 'read'), requireReportTier('basic'), async (req, res) => {
+  try {
+    const scope = await resolveReportScope(req);
+    const asOf = parseReportDate(req.query.asOf || formatReportDate(new Date()), 'asOf');
+    const current = await buildBalanceSheet(scope, asOf);
+
+    // Balance sheets compare against the end of the previous month or the same date a year earlier
+    let comparison = null;
+    let priorDate = null;
+    if (req.query.compare) {
+      const monthStart = new Date(Date.UTC(asOf.getUTCFullYear(), asOf.getUTCMonth(), 1));
+      priorDate = req.query.compare === 'previous_period'
+        ? new Date(monthStart.getTime() - DAY_MS)
+        : comparisonRange({ from: asOf, to: asOf }, req.query.compare).to;
+      comparison = await buildBalanceSheet(scope, priorDate);
+    }
+
+    sendReport(req, res, {
+      report: 'Balance Sheet',
+      scope: scope.label,
+      as_of: formatReportDate(asOf),
+      ...(comparison ? { comparison: { as_of: formatReportDate(priorDate) } } : {}),
+      ...presentStatement(current, comparison)
+    }, `balance-sheet-${formatReportDate(asOf)}`);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error building balance sheet:', error);
+    res.status(500).json({ error: 'Failed to build balance sheet' });
+  }
+});
+
+// Tenant receivables: charges, payments and how payments are applied
+// Refunded payments were still received; the refund is recorded separately
+const isReceivedPayment = (payment) => !['pending', 'failed', 'canceled'].includes(payment.status);
+
+const leasePropertyId = async (lease, transaction) => {
+  const unit = await Unit.findByPk(lease.unit_id, { include: [PropertyAddress], transaction });
+  return unit && unit.PropertyAddress ? unit.PropertyAddress.property_id : null;
+};
+
+// The lease a tenant's payment goes against when the caller doesn't name one
+const currentLeaseForTenant = async (tenantId, transaction) => {
+  const leases = await Lease.findAll({
+    include: [{ model: Tenant, as: 'tenants', where: { id: tenantId }, attributes: [] }],
+    where: { status: { [Sequelize.Op.ne]: 'draft' } },
+    order: [['start_date', 'DESC']],
+    transaction
+  });
+  return leases.find(lease => lease.status === 'active') || leases[0] || null;
+};
+
+// Settle open charges oldest-first from the lease's unapplied credits and received payments
+const applyLeaseBalance = async (leaseId, transaction) => {
+  const charges = await Charge.findAll({
+    where: { lease_id: leaseId, type: { [Sequelize.Op.ne]: 'credit' }, balance: { [Sequelize.Op.gt]: 0 } },
+    order: [['due_date', 'ASC'], ['id', 'ASC']],
+    transaction
+  });
+  if (charges.length === 0) {
+    return;
+  }
+
+  const credits = await Charge.findAll({
+    where: { lease_id: leaseId, type: 'credit', balance: { [Sequelize.Op.gt]: 0 } },
+    order: [['charge_date', 'ASC'], ['id', 'ASC']],
+    transaction
+  });
+  const payments = (await Payment.findAll({
+    where: { lease_id: leaseId },
+    include: [{ model: PaymentApplication, as: 'applications' }],
+    order: [['date', 'ASC'], ['id', 'ASC']],
+    transaction
+  })).filter(isReceivedPayment);
+
+  const sources = [
+    ...credits.map(credit => ({ credit, date: credit.charge_date, available: toCents(credit.balance) })),
+    ...payments.map(payment => ({
+      payment,
+      date: formatReportDate(payment.date || payment.createdAt),
+      available: toCents(payment.amount) - toCents(payment.refunded_amount)
+        - payment.applications.reduce((sum, a) => sum + toCents(a.amount), 0)
+    }))
+  ].filter(source => source.available > 0).sort((a, b) => a.date.localeCompare(b.date));
+
+  for (const charge of charges) {
+    let open = toCents(charge.balance);
+    for (const source of sources) {
+      if (open === 0) break;
+      if (source.available === 0) continue;
+      const applied = Math.min(open, source.available);
+      await PaymentApplication.create({
+        charge_id: charge.id,
+        payment_id: source.payment ? source.payment.id : null,
+        credit_id: source.credit ? source.credit.id : null,
+        amount: fromCents(applied)
+      }, { transaction });
+      open -= applied;
+      source.available -= applied;
+      if (source.credit) {
+        await source.credit.update({ balance: fromCents(source.available) }, { transaction });
+      }
+    }
+    await charge.update({ balance: fromCents(open) }, { transaction });
+  }
+};
+
+// Post a charge (or credit) to a lease: receivable on the tenant ledger and income in the general ledger
+const postCharge = async ({ lease, type, description, period, charge_date, due_date, amount, incomeAccount, source_charge_id }, transaction) => {
+  const cents = toCents(amount);
+  if (cents <= 0) {
+    throw new HttpError(400, 'Amount must be greater than zero');
+  }
+  const propertyId = await leasePropertyId(lease, transaction);
+  const receivable = await findSystemAccount(lease.organization_id, 'accountsReceivable', transaction);
+  const income = await findSystemAccount(lease.organization_id, incomeAccount || 'rentalIncome', transaction);
+
+  const record = await recordTransaction({
+    organizationId: lease.organization_id,
+    date: charge_date,
+    description,
+    // Charges debit the receivable; credits reverse it against the income account
+    amount: type === 'credit' ? -fromCents(cents) : fromCents(cents),
+    accountId: receivable.id,
+    offsetAccountId: income.id,
+    propertyId,
+    source: type === 'credit' ? 'tenant_credit' : 'tenant_charge'
+  }, transaction);
+
+  const charge = await Charge.create({
+    organization_id: lease.organization_id,
+    lease_id: lease.id,
+    property_id: propertyId,
+    type,
+    description,
+    period: period || null,
+    charge_date,
+    due_date: due_date || charge_date,
+    amount: fromCents(cents),
+    balance: fromCents(cents),
+    transactionId: record.id,
+    source_charge_id: source_charge_id || null
+  }, { transaction });
+
+  await applyLeaseBalance(lease.id, transaction);
+  return charge;
+};
+
+// Record money received: cash in, receivable down, then applied to the lease's open charges
+const receivePayment = async (payment, organizationId, transaction) => {
+  if (!payment.lease_id || payment.transactionId || !isReceivedPayment(payment)) {
+    return payment;
+  }
+  const lease = await Lease.findByPk(payment.lease_id, { transaction });
+  const cash = await findSystemAccount(organizationId, 'operatingCash', transaction);
+  const receivable = await findSystemAccount(organizationId, 'accountsReceivable', transaction);
+  const tenant = await Tenant.findByPk(payment.tenant_id, { transaction });
+
+  const record = await recordTransaction({
+    organizationId,
+    date: payment.date || new Date(),
+    description: `Payment from ${(tenant && tenant.name) || `tenant ${payment.tenant_id}`}`,
+    amount: payment.amount,
+    accountId: cash.id,
+    offsetAccountId: receivable.id,
+    propertyId: await leasePropertyId(lease, transaction),
+    source: 'tenant_payment'
+  }, transaction);
+  await payment.update({ transactionId: record.id }, { transaction });
+
+  await applyLeaseBalance(lease.id, transaction);
+  return payment;
+};
+
+const addMonths = (period, months) => {
+  const [year, month] = period.split('-').map(Number);
+  const date = new Date(Date.UTC(year, month - 1 + months, 1));
+  return date.toISOString().slice(0, 7);
+};
+
+// Rent due dates for a lease up to `asOf`. The first month is due on the start date when the due day
+// falls before it, and billing begins with the month the lease was entered so back-dated leases for
+// existing tenants don't post years of history.
+const rentPeriods = (lease, asOf) => {
+  const today = formatReportDate(asOf);
+  const firstBillable = `${formatReportDate(lease.createdAt).slice(0, 7)}-01`;
+  const dueDay = String(lease.rent_due_day || 1).padStart(2, '0');
+  const periods = [];
+
+  for (let period = lease.start_date.slice(0, 7); period <= today.slice(0, 7); period = addMonths(period, 1)) {
+    let dueDate = `${period}-${dueDay}`;
+    if (dueDate < lease.start_date) dueDate = lease.start_date;
+    if (dueDate > today || (lease.end_date && dueDate > lease.end_date) || dueDate < firstBillable) continue;
+    periods.push({ period, due_date: dueDate });
+  }
+  return periods;
+};
+
+// Post every rent charge that has come due on active leases and hasn't been posted yet
+const postRentCharges = async (asOf = new Date(), organizationId = null) => {
+  const leases = await Lease.findAll({
+    where: { status: 'active', ...(organizationId ? { organization_id: organizationId } : {}) },
+    include: [Unit]
+  });
+  const posted = [];
+
+  for (const lease of leases) {
+    const existing = new Set((await Charge.findAll({
+      attributes: ['period'],
+      where: { lease_id: lease.id, type: 'rent' }
+    })).map(charge => charge.period));
+
+    for (const { period, due_date } of rentPeriods(lease, asOf)) {
+      if (existing.has(period) || toCents(lease.rent) <= 0) continue;
+      const t = await sequelize.transaction();
+      try {
+        posted.push(await postCharge({
+          lease,
+          type: 'rent',
+          description: `Rent ${period}${lease.Unit ? ` - Unit ${lease.Unit.unit_number}` : ''}`,
+          period,
+          charge_date: due_date,
+          due_date,
+          amount: lease.rent
+        }, t));
+        await t.commit();
+      } catch (error) {
+        await t.rollback();
+        console.error(`Could not post rent for lease ${lease.id} (${period}):`, error.message);
+      }
+    }
+  }
+  return posted;
+};
+
+// Background jobs run at startup and then every SCHEDULER_INTERVAL_MINUTES. Jobs must be safe to
+// repeat: each run only posts what is due and not yet posted.
+const scheduledJobs = [];
+const scheduleJob = (name, run) => scheduledJobs.push({ name, run });
+let schedulerRunning = false;
+
+const runScheduledJobs = async (asOf = new Date()) => {
+  if (schedulerRunning) {
+    return;
+  }
+  schedulerRunning = true;
+  try {
+    for (const job of scheduledJobs) {
+      try {
+        await job.run(asOf);
+      } catch (error) {
+        console.error(`Scheduled job ${job.name} failed:`, error);
+      }
+    }
+  } finally {
+    schedulerRunning = false;
+  }
+};
+
+const startScheduler = () => {
+  const minutes = parseInt(process.env.SCHEDULER_INTERVAL_MINUTES, 10) || 60;
+  runScheduledJobs();
+  setInterval(() => runScheduledJobs(), minutes * 60 * 1000);
+};
+
+scheduleJob('rent charges', async (asOf) => {
+  const posted = await postRentCharges(asOf);
+  if (posted.length > 0) {
+    console.log(`Posted ${posted.length} rent charge(s)`);
+  }
+});
+
+app.get('/api/payments', authorize('payments', 'read'), async (req, res) => {
+  try {
+    // Payments stay on the books after their tenant is deleted
+    const payments = await Payment.findAll({
+      where: { tenant_id: await orgTenantIds(req.organization.id, { withArchived: true }) },
+      include: [{ model: Tenant, paranoid: false }]
+    });
+    res.json(payments);
+  } catch (error) {
+    console.error('Error fetching payments:', error);
+    res.status(500).json({ error: 'Failed to fetch payments' });
+  }
+});
+
+app.post('/api/payments', authorize('payments', 'write'), async (req, res) => {
+  const t = await sequelize.transaction();
+  try {
+    if (!(await inOrganization(orgTenantIds, req.body.tenant_id, req.organization.id))) {
+      throw new HttpError(400, 'Tenant not found');
+    }
+    if (!(parseFloat(req.body.amount) > 0)) {
+      throw new HttpError(400, 'Amount must be greater than zero');
+    }
+
+    let leaseId = req.body.lease_id;
+    if (leaseId) {
+      const onLease = await LeaseTenant.findOne({ where: { lease_id: leaseId, tenant_id: req.body.tenant_id }, transaction: t });
+      if (!onLease) {
+        throw new HttpError(400, 'Tenant is not on that lease');
+      }
+    } else {
+      const lease = await currentLeaseForTenant(req.body.tenant_id, t);
+      leaseId = lease ? lease.id : null;
+    }
+
+    // Payments recorded by hand have already been received; online ones go through the intent endpoint
+    const payment = await Payment.create({
+      tenant_id: req.body.tenant_id,
+      amount: req.body.amount,
+      date: req.body.date || new Date(),
+      payment_method: req.body.payment_method,
+      reference: req.body.reference,
+      lease_id: leaseId,
+      status: 'succeeded'
+    }, { transaction: t });
+    await receivePayment(payment, req.organization.id, t);
+    await t.commit();
+
+    res.status(201).json(await Payment.findByPk(payment.id, {
+      include: [{ model: PaymentApplication, as: 'applications' }]
+    }));
+  } catch (error) {
+    await t.rollback();
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error creating payment:', error);
+    res.status(500).json({ error: 'Failed to create payment' });
+  }
+});
+
+// Online payments through Stripe. The Payment row starts out pending and the webhook settles it.
+const leaseOpenBalance = async (leaseId, transaction) => {
+  const charges = await Charge.findAll({ where: { lease_id: leaseId, balance: { [Sequelize.Op.gt]: 0 } }, transaction });
+  const pending = await Payment.findAll({ where: { lease_id: leaseId, status: 'pending' }, transaction });
+  const cents = charges.reduce((sum, charge) => sum + (charge.type === 'credit' ? -1 : 1) * toCents(charge.balance), 0)
+    - pending.reduce((sum, payment) => sum + toCents(payment.amount), 0);
+  return Math.max(0, cents);
+};
+
+// Give money back on a payment: post the refund out of cash, take back what the payment had settled,
+// then re-apply whatever is left of it
+const refundPayment = async (payment, refundedCents, transaction) => {
+  const delta = refundedCents - toCents(payment.refunded_amount);
+  if (delta <= 0) {
+    return payment;
+  }
+
+  if (payment.transactionId && payment.lease_id) {
+    const lease = await Lease.findByPk(payment.lease_id, { transaction });
+    const cash = await findSystemAccount(lease.organization_id, 'operatingCash', transaction);
+    const receivable = await findSystemAccount(lease.organization_id, 'accountsReceivable', transaction);
+    const record = await recordTransaction({
+      organizationId: lease.organization_id,
+      date: new Date(),
+      description: `Refund of payment ${payment.id}`,
+      amount: -fromCents(delta),
+      accountId: cash.id,
+      offsetAccountId: receivable.id,
+      propertyId: await leasePropertyId(lease, transaction),
+      source: 'tenant_refund'
+    }, transaction);
+    await PaymentRefund.create({ payment_id: payment.id, amount: fromCents(delta), transactionId: record.id }, { transaction });
+
+    const applications = await PaymentApplication.findAll({ where: { payment_id: payment.id }, transaction });
+    for (const application of applications) {
+      const charge = await Charge.findByPk(application.charge_id, { transaction });
+      await charge.update({ balance: fromCents(toCents(charge.balance) + toCents(application.amount)) }, { transaction });
+      await application.destroy({ transaction });
+    }
+  }
+
+  await payment.update({
+    refunded_amount: fromCents(refundedCents),
+    status: refundedCents >= toCents(payment.amount) ? 'refunded' : 'partially_refunded'
+  }, { transaction });
+
+  if (payment.lease_id) {
+    await applyLeaseBalance(payment.lease_id, transaction);
+  }
+  return payment;
+};
+
+// Start an online payment for a tenant's open balance on a lease (or a smaller `amount`)
+const createPaymentIntent = async ({ tenantId, lease, amount, organizationId }, t) => {
+  if (!lease) {
+    throw new HttpError(400, 'Tenant has no lease to pay against');
+  }
+
+  const open = await leaseOpenBalance(lease.id, t);
+  const cents = amount !== undefined ? toCents(amount) : open;
+  if (cents <= 0) {
+    throw new HttpError(400, open === 0 ? 'Tenant has no open balance' : 'Amount must be greater than zero');
+  }
+  if (cents > open) {
+    throw new HttpError(400, `Amount is more than the open balance of ${fromCents(open).toFixed(2)}`);
+  }
+
+  const payment = await Payment.create({
+    tenant_id: tenantId,
+    lease_id: lease.id,
+    amount: fromCents(cents),
+    date: new Date(),
+    status: 'pending',
+    payment_method: 'stripe'
+  }, { transaction: t });
+
+  const intent = await stripe.paymentIntents.create({
+    amount: cents,
+    currency: 'usd',
+    automatic_payment_methods: { enabled: true },
+    description: `Rent payment for lease ${lease.id}`,
+    metadata: {
+      payment_id: String(payment.id),
+      lease_id: String(lease.id),
+      tenant_id: String(tenantId),
+      organization_id: String(organizationId)
+    }
+  }, { idempotencyKey: `payment-${payment.id}` });
+
+  await payment.update({ stripe_payment_intent_id: intent.id }, { transaction: t });
+  return { payment, client_secret: intent.client_secret };
+};
+
+const sendPaymentIntentError = (res, error) => {
+  if (error.status) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  if (error.type && error.type.startsWith('Stripe')) {
+    console.error('Stripe error creating payment intent:', error.message);
+    return res.status(502).json({ error: 'Payment provider error' });
+  }
+  console.error('Error creating payment intent:', error);
+  res.status(500).json({ error: 'Failed to create payment intent' });
+};
+
+app.post('/api/payments/intents', authorize('payments', 'write'), async (req, res) => {
+  const t = await sequelize.transaction();
+  try {
+    const { tenant_id } = req.body;
+    if (!(await inOrganization(orgTenantIds, tenant_id, req.organization.id))) {
+      throw new HttpError(400, 'Tenant not found');
+    }
+    const lease = req.body.lease_id
+      ? await Lease.findOne({
+        where: { id: req.body.lease_id, organization_id: req.organization.id },
+        include: [{ model: Tenant, as: 'tenants', where: { id: tenant_id }, attributes: [] }],
+        transaction: t
+      })
+      : await currentLeaseForTenant(tenant_id, t);
+    const intent = await createPaymentIntent({
+      tenantId: tenant_id,
+      lease,
+      amount: req.body.amount,
+      organizationId: req.organization.id
+    }, t);
+    await t.commit();
+
+    res.status(201).json(intent);
+  } catch (error) {
+    await t.rollback();
+    sendPaymentIntentError(res, error);
+  }
+});
+
+// Stripe webhook. Events may arrive more than once or out of order, so each handler moves the
+// Payment only as far as the event says and leaves it alone otherwise.
+const stripeEventHandlers = {
+  'payment_intent.succeeded': async (intent, t) => {
+    if (intent.metadata && intent.metadata.application_id) {
+      return settleApplicationFeeIntent(intent, 'succeeded', t);
+    }
+    const payment = await Payment.findOne({ where: { stripe_payment_intent_id: intent.id }, transaction: t });
+    if (!payment || ['refunded', 'partially_refunded'].includes(payment.status)) return;
+    if (payment.status !== 'succeeded') {
+      await payment.update({ status: 'succeeded', date: new Date(), failure_message: null }, { transaction: t });
+    }
+    const lease = await Lease.findByPk(payment.lease_id, { transaction: t });
+    await receivePayment(payment, lease.organization_id, t);
+  },
+  'payment_intent.payment_failed': async (intent, t) => {
+    if (intent.metadata && intent.metadata.application_id) {
+      return settleApplicationFeeIntent(intent, 'failed', t);
+    }
+    const payment = await Payment.findOne({ where: { stripe_payment_intent_id: intent.id }, transaction: t });
+    if (!payment || payment.status !== 'pending') return;
+    const lastError = intent.last_payment_error;
+    await payment.update({ status: 'failed', failure_message: lastError ? lastError.message : null }, { transaction: t });
+  },
+  'payment_intent.canceled': async (intent, t) => {
+    if (intent.metadata && intent.metadata.application_id) {
+      return settleApplicationFeeIntent(intent, 'canceled', t);
+    }
+    const payment = await Payment.findOne({ where: { stripe_payment_intent_id: intent.id }, transaction: t });
+    if (!payment || payment.status !== 'pending') return;
+    await payment.update({ status: 'canceled' }, { transaction: t });
+  },
+  'charge.refunded': async (charge, t) => {
+    if (!charge.payment_intent) return;
+    const payment = await Payment.findOne({ where: { stripe_payment_intent_id: charge.payment_intent }, transaction: t });
+    if (!payment || !payment.transactionId) return;
+    await refundPayment(payment, charge.amount_refunded, t);
+  }
+};
+
+app.post('/api/webhooks/stripe', async (req, res) => {
+  const secret = process.env.STRIPE_WEBHOOK_SECRET;
+  if (!secret) {
+    console.error('Stripe webhook received but STRIPE_WEBHOOK_SECRET is not set');
+    return res.status(500).json({ error: 'Webhook not configured' });
+  }
+
+  let event;
+  try {
+    event = stripe.webhooks.constructEvent(req.rawBody, req.headers['stripe-signature'], secret);
+  } catch (error) {
+    console.error('Stripe webhook signature verification failed:', error.message);
+    return res.status(400).json({ error: 'Webhook signature verification failed' });
+  }
+
+  const handler = stripeEventHandlers[event.type];
+  if (!handler) {
+    return res.json({ received: true, ignored: true });
+  }
+
+  const t = await sequelize.transaction();
+  try {
+    await handler(event.data.object, t);
+    await t.commit();
+    res.json({ received: true });
+  } catch (error) {
+    await t.rollback();
+    // A 500 makes Stripe retry the event later
+    console.error(`Error handling Stripe event ${event.id} (${event.type}):`, error);
+    res.status(500).json({ error: 'Failed to handle webhook' });
+  }
+});
+
+// Charge endpoints
+app.get('/api/charges', authorize('payments', 'read'), async (req, res) => {
+  try {
+    const { lease_id, type, open } = req.query;
+    const where = { organization_id: req.organization.id };
+    if (lease_id) where.lease_id = lease_id;
+    if (type) where.type = type;
+    if (open === 'true') where.balance = { [Sequelize.Op.gt]: 0 };
+
+    const charges = await Charge.findAll({
+      where,
+      include: [{ model: PaymentApplication, as: 'applications' }],
+      order: [['due_date', 'ASC'], ['id', 'ASC']]
+    });
+    res.json(charges);
+  } catch (error) {
+    console.error('Error fetching charges:', error);
+    res.status(500).json({ error: 'Failed to fetch charges' });
+  }
+});
+
+// One-off fees and credits; rent is posted by the scheduler
+app.post('/api/charges', authorize('payments', 'write'), async (req, res) => {
+  const t = await sequelize.transaction();
+  try {
+    const { lease_id, type, description, amount, charge_date, due_date } = req.body;
+    const lease = await Lease.findOne({ where: { id: lease_id, organization_id: req.organization.id }, transaction: t });
+    if (!lease) {
+      throw new HttpError(400, 'Lease not found');
+    }
+    if (!['fee', 'credit'].includes(type)) {
+      throw new HttpError(400, 'Type must be fee or credit');
+    }
+
+    const date = charge_date || formatReportDate(new Date());
+    const charge = await postCharge({
+      lease,
+      type,
+      description: description || (type === 'credit' ? 'Credit' : 'Fee'),
+      charge_date: date,
+      due_date: due_date || date,
+      amount,
+      incomeAccount: type === 'fee' ? 'otherIncome' : 'rentalIncome'
+    }, t);
+    await t.commit();
+
+    res.status(201).json(await Charge.findByPk(charge.id, { include: [{ model: PaymentApplication, as: 'applications' }] }));
+  } catch (error) {
+    await t.rollback();
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error creating charge:', error);
+    res.status(500).json({ error: 'Failed to create charge' });
+  }
+});
+
+// Post rent that has come due for this organization now instead of waiting for the scheduler
+app.post('/api/charges/post-rent', authorize('payments', 'write'), async (req, res) => {
+  try {
+    const asOf = req.body.asOf ? parseReportDate(req.body.asOf, 'asOf') : new Date();
+    const posted = await postRentCharges(asOf, req.organization.id);
+    res.json({ posted: posted.length, charges: posted });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error posting rent charges:', error);
+    res.status(500).json({ error: 'Failed to post rent charges' });
+  }
+});
+
+// Same-day ledger entries list charges before the money that settles them
+const LEDGER_ENTRY_ORDER = { charge: 0, credit: 1, payment: 2, refund: 3 };
+
+// A tenant's ledger covers every lease they are on, plus payments they made outside a lease
+const tenantLedger = async (tenant, { from, to } = {}) => {
+  const leaseIds = (await LeaseTenant.findAll({ where: { tenant_id: tenant.id } })).map(link => link.lease_id);
+  const charges = await Charge.findAll({ where: { lease_id: leaseIds } });
+  const payments = (await Payment.findAll({
+    where: { [Sequelize.Op.or]: [{ lease_id: leaseIds }, { tenant_id: tenant.id, lease_id: null }] },
+    include: [{ model: PaymentRefund, as: 'refunds' }]
+  })).filter(isReceivedPayment);
+
+  const entries = [
+    ...charges.map(charge => ({
+      date: charge.charge_date,
+      type: charge.type === 'credit' ? 'credit' : 'charge',
+      charge_type: charge.type,
+      description: charge.description,
+      lease_id: charge.lease_id,
+      charge_id: charge.id,
+      due_date: charge.due_date,
+      cents: charge.type === 'credit' ? -toCents(charge.amount) : toCents(charge.amount)
+    })),
+    ...payments.map(payment => ({
+      date: formatReportDate(payment.date || payment.createdAt),
+      type: 'payment',
+      description: 'Payment',
+      lease_id: payment.lease_id,
+      payment_id: payment.id,
+      cents: -toCents(payment.amount)
+    })),
+    ...payments.flatMap(payment => payment.refunds.map(refund => ({
+      date: formatReportDate(refund.date),
+      type: 'refund',
+      description: 'Payment refund',
+      lease_id: payment.lease_id,
+      payment_id: payment.id,
+      cents: toCents(refund.amount)
+    })))
+  ].sort((a, b) => a.date.localeCompare(b.date) || LEDGER_ENTRY_ORDER[a.type] - LEDGER_ENTRY_ORDER[b.type]);
+
+  let balance = 0;
+  let opening = 0;
+  const rows = [];
+  for (const { cents, ...entry } of entries) {
+    if (to && entry.date > to) continue;
+    balance += cents;
+    if (from && entry.date < from) {
+      opening = balance;
+      continue;
+    }
+    rows.push({
+      ...entry,
+      charge: cents > 0 ? fromCents(cents) : 0,
+      payment: cents < 0 ? fromCents(-cents) : 0,
+      balance: fromCents(balance)
+    });
+  }
+
+  return {
+    tenant: { id: tenant.id, name: tenant.name, email: tenant.email },
+    lease_ids: leaseIds,
+    ...(from ? { from, opening_balance: fromCents(opening) } : {}),
+    ...(to ? { to } : {}),
+    entries: rows,
+    balance: fromCents(balance)
+  };
+};
+
+app.get('/api/tenants/:id/ledger', authorize('payments', 'read'), async (req, res) => {
+  try {
+    const tenant = await Tenant.findOne({ where: { id: req.params.id, organization_id: req.organization.id } });
+    if (!tenant) {
+      return res.status(404).json({ error: 'Tenant not found' });
+    }
+    res.json(await tenantLedger(tenant, {
+      from: req.query.from ? formatReportDate(parseReportDate(req.query.from, 'from')) : null,
+      to: req.query.to ? formatReportDate(parseReportDate(req.query.to, 'to')) : null
+    }));
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error building tenant ledger:', error);
+    res.status(500).json({ error: 'Failed to build tenant ledger' });
+  }
+});
+
+// Receivables aging: open charges per lease bucketed by days past due as of today
+const AGING_BUCKETS = [
+  { key: 'current', label: '0-30', max: 30 },
+  { key: 'days_31_60', label: '31-60', max: 60 },
+  { key: 'days_61_90', label: '61-90', max: 90 },
+  { key: 'over_90', label: '90+', max: Infinity }
+];
+
+app.get('/api/reports/receivables-aging', authorize('payments', 'read'), requireReportTier('basic'), async (req, res) => {
+  try {
+    const scope = await resolveReportScope(req);
+    const asOf = parseReportDate(formatReportDate(new Date()), 'asOf');
+    const where = {
+      organization_id: scope.organizationId,
+      type: { [Sequelize.Op.ne]: 'credit' },
+      balance: { [Sequelize.Op.gt]: 0 },
+      ...(scope.propertyIds ? { property_id: scope.propertyIds } : {})
+    };
+
+    const charges = await Charge.findAll({
+      where,
+      include: [{ model: Lease, include: [{ model: Tenant, as: 'tenants', paranoid: false }, { model: Unit, paranoid: false }] }, Property]
+    });
+
+    const byLease = new Map();
+    for (const charge of charges) {
+      if (!byLease.has(charge.lease_id)) {
+        const lease = charge.Lease;
+        byLease.set(charge.lease_id, {
+          lease_id: lease.id,
+          tenants: lease.tenants.map(tenant => tenant.name).join(', '),
+          property: charge.Property ? charge.Property.name : null,
+          unit: lease.Unit ? lease.Unit.unit_number : null,
+          cents: Object.fromEntries(AGING_BUCKETS.map(bucket => [bucket.key, 0]))
+        });
+      }
+      const row = byLease.get(charge.lease_id);
+      const daysPastDue = Math.max(0, Math.floor((asOf - new Date(`${charge.due_date}T00:00:00.000Z`)) / DAY_MS));
+      row.cents[AGING_BUCKETS.find(bucket => daysPastDue <= bucket.max).key] += toCents(charge.balance);
+    }
+
+    const totals = Object.fromEntries(AGING_BUCKETS.map(bucket => [bucket.key, 0]));
+    const rows = [...byLease.values()].map(({ cents, ...row }) => {
+      let total = 0;
+      for (const bucket of AGING_BUCKETS) {
+        totals[bucket.key] += cents[bucket.key];
+        total += cents[bucket.key];
+      }
+      return {
+        ...row,
+        ...Object.fromEntries(AGING_BUCKETS.map(bucket => [bucket.key, fromCents(cents[bucket.key])])),
+        total: fromCents(total)
+      };
+    }).sort((a, b) => b.total - a.total);
+
+    const report = {
+      report: 'Receivables Aging',
+      scope: scope.label,
+      as_of: formatReportDate(asOf),
+      buckets: AGING_BUCKETS.map(bucket => ({ key: bucket.key, days: bucket.label })),
+      rows,
+      totals: {
+        ...Object.fromEntries(AGING_BUCKETS.map(bucket => [bucket.key, fromCents(totals[bucket.key])])),
+        total: fromCents(rows.reduce((sum, row) => sum + toCents(row.total), 0))
+      }
+    };
+
+    if (req.query.format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="receivables-aging-${report.as_of}.csv"`);
+      return res.send(toCsv(
+        ['Tenants', 'Property', 'Unit', ...AGING_BUCKETS.map(bucket => bucket.label), 'Total'],
+        [
+          ...rows.map(row => [row.tenants, row.property, row.unit, ...AGING_BUCKETS.map(bucket => row[bucket.key]), row.total]),
+          ['Total', '', '', ...AGING_BUCKETS.map(bucket => report.totals[bucket.key]), report.totals.total]
+        ]
+      ));
+    }
+    res.json(report);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error building receivables aging:', error);
+    res.status(500).json({ error: 'Failed to build receivables aging' });
+  }
+});
+
+// Late fees
+const LATE_FEE_POLICY_FIELDS = ['property_id', 'fee_type', 'amount', 'percent', 'grace_days', 'max_amount', 'is_active'];
+
+const validateLateFeePolicy = async (values, organizationId, policyId) => {
+  if (!LATE_FEE_TYPES.includes(values.fee_type)) {
+    return `fee_type must be one of: ${LATE_FEE_TYPES.join(', ')}`;
+  }
+  if (values.fee_type === 'percent' ? !(parseFloat(values.percent) > 0) : !(parseFloat(values.amount) > 0)) {
+    return values.fee_type === 'percent' ? 'percent must be greater than zero' : 'amount must be greater than zero';
+  }
+  if (values.grace_days !== undefined && values.grace_days !== null && !(parseInt(values.grace_days, 10) >= 0)) {
+    return 'grace_days must not be negative';
+  }
+  if (values.max_amount !== undefined && values.max_amount !== null && !(parseFloat(values.max_amount) > 0)) {
+    return 'max_amount must be greater than zero';
+  }
+  if (values.property_id && !(await inOrganization(orgPropertyIds, values.property_id, organizationId))) {
+    return 'Property not found';
+  }
+  const duplicate = await LateFeePolicy.findOne({
+    where: {
+      organization_id: organizationId,
+      property_id: values.property_id || null,
+      ...(policyId ? { id: { [Sequelize.Op.ne]: policyId } } : {})
+    }
+  });
+  if (duplicate) {
+    return values.property_id ? 'Property already has a late fee policy' : 'Organization already has a default late fee policy';
+  }
+  return null;
+};
+
+// Total late fee owed on a rent charge as of a date under a policy, before subtracting fees already posted
+const lateFeeDue = (policy, charge, daysLate) => {
+  let cents;
+  if (policy.fee_type === 'flat') {
+    cents = toCents(policy.amount);
+  } else if (policy.fee_type === 'percent') {
+    cents = Math.round(toCents(charge.amount) * parseFloat(policy.percent) / 100);
+  } else {
+    // Daily fees accrue from the first day after the grace period
+    cents = toCents(policy.amount) * (daysLate - policy.grace_days);
+  }
+  return policy.max_amount ? Math.min(cents, toCents(policy.max_amount)) : cents;
+};
+
+// Work out the late fees due as of `asOf`: every open rent charge past its grace period under the
+// property's policy (or the organization default), skipping leases with an exempt tenant
+const calculateLateFees = async (asOf, organizationId = null) => {
+  const today = formatReportDate(asOf);
+  const orgWhere = organizationId ? { organization_id: organizationId } : {};
+  const policies = await LateFeePolicy.findAll({ where: { ...orgWhere, is_active: true } });
+  if (policies.length === 0) {
+    return [];
+  }
+  const exemptions = await LateFeeExemption.findAll({
+    where: {
+      ...orgWhere,
+      [Sequelize.Op.and]: [
+        { [Sequelize.Op.or]: [{ starts_on: null }, { starts_on: { [Sequelize.Op.lte]: today } }] },
+        { [Sequelize.Op.or]: [{ ends_on: null }, { ends_on: { [Sequelize.Op.gte]: today } }] }
+      ]
+    }
+  });
+  const exemptTenantIds = new Set(exemptions.map(exemption => exemption.tenant_id));
+
+  const charges = await Charge.findAll({
+    where: {
+      ...orgWhere,
+      type: 'rent',
+      balance: { [Sequelize.Op.gt]: 0 },
+      due_date: { [Sequelize.Op.lt]: today }
+    },
+    include: [
+      { model: Charge, as: 'lateFees' },
+      { model: Lease, include: [{ model: Tenant, as: 'tenants' }, Unit] }
+    ],
+    order: [['due_date', 'ASC'], ['id', 'ASC']]
+  });
+
+  const fees = [];
+  for (const charge of charges) {
+    const policy = policies.find(p => p.organization_id === charge.organization_id && p.property_id === charge.property_id)
+      || policies.find(p => p.organization_id === charge.organization_id && p.property_id === null);
+    if (!policy) continue;
+
+    const daysLate = Math.floor((parseReportDate(today, 'asOf') - parseReportDate(charge.due_date, 'due_date')) / DAY_MS);
+    if (daysLate <= policy.grace_days) continue;
+
+    const tenants = charge.Lease.tenants;
+    const exempt = tenants.some(tenant => exemptTenantIds.has(tenant.id));
+    const posted = charge.lateFees.reduce((sum, fee) => sum + toCents(fee.amount), 0);
+    const cents = lateFeeDue(policy, charge, daysLate) - posted;
+    if (cents <= 0) continue;
+
+    fees.push({
+      charge,
+      policy,
+      exempt,
+      days_late: daysLate,
+      amount: fromCents(cents)
+    });
+  }
+  return fees;
+};
+
+const presentLateFee = ({ charge, policy, exempt, days_late, amount }) => ({
+  lease_id: charge.lease_id,
+  tenants: charge.Lease.tenants.map(tenant => ({ id: tenant.id, name: tenant.name })),
+  unit: charge.Lease.Unit ? charge.Lease.Unit.unit_number : null,
+  property_id: charge.property_id,
+  rent_charge_id: charge.id,
+  period: charge.period,
+  due_date: charge.due_date,
+  open_balance: parseFloat(charge.balance),
+  days_late,
+  policy_id: policy.id,
+  fee_type: policy.fee_type,
+  amount,
+  exempt
+});
+
+const assessLateFees = async (asOf = new Date(), organizationId = null) => {
+  const fees = await calculateLateFees(asOf, organizationId);
+  const posted = [];
+  for (const fee of fees.filter(item => !item.exempt)) {
+    const t = await sequelize.transaction();
+    try {
+      const { charge } = fee;
+      posted.push(await postCharge({
+        lease: charge.Lease,
+        type: 'late_fee',
+        description: `Late fee - ${charge.description || `rent ${charge.period}`}`,
+        charge_date: formatReportDate(asOf),
+        due_date: formatReportDate(asOf),
+        amount: fee.amount,
+        incomeAccount: 'lateFeeIncome',
+        source_charge_id: charge.id
+      }, t));
+      await t.commit();
+    } catch (error) {
+      await t.rollback();
+      console.error(`Could not post late fee for charge ${fee.charge.id}:`, error.message);
+    }
+  }
+  return posted;
+};
+
+// Runs after rent charges so a newly posted rent charge is never assessed before it exists
+scheduleJob('late fees', async (asOf) => {
+  const posted = await assessLateFees(asOf);
+  if (posted.length > 0) {
+    console.log(`Posted ${posted.length} late fee(s)`);
+  }
+});
+
+app.get('/api/late-fee-policies', authorize('payments', 'read'), async (req, res) => {
+  try {
+    const policies = await LateFeePolicy.findAll({
+      where: { organization_id: req.organization.id },
+      include: [Property],
+      order: [['property_id', 'ASC NULLS FIRST']]
+    });
+    res.json(policies);
+  } catch (error) {
+    console.error('Error fetching late fee policies:', error);
+    res.status(500).json({ error: 'Failed to fetch late fee policies' });
+  }
+});
+
+app.post('/api/late-fee-policies', authorize('payments', 'write'), async (req, res) => {
+  try {
+    const values = pickFields(req.body, LATE_FEE_POLICY_FIELDS);
+    const validationError = await validateLateFeePolicy(values, req.organization.id);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    const policy = await LateFeePolicy.create({ ...values, organization_id: req.organization.id });
+    res.status(201).json(policy);
+  } catch (error) {
+    console.error('Error creating late fee policy:', error);
+    res.status(500).json({ error: 'Failed to create late fee policy' });
+  }
+});
+
+app.put('/api/late-fee-policies/:id', authorize('payments', 'write'), async (req, res) => {
+  try {
+    const policy = await LateFeePolicy.findOne({ where: { id: req.params.id, organization_id: req.organization.id } });
+    if (!policy) {
+      return res.status(404).json({ error: 'Late fee policy not found' });
+    }
+    const values = pickFields(req.body, LATE_FEE_POLICY_FIELDS);
+    const validationError = await validateLateFeePolicy({ ...policy.get({ plain: true }), ...values }, req.organization.id, policy.id);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    await policy.update(values);
+    res.json(policy);
+  } catch (error) {
+    console.error('Error updating late fee policy:', error);
+    res.status(500).json({ error: 'Failed to update late fee policy' });
+  }
+});
+
+app.delete('/api/late-fee-policies/:id', authorize('payments', 'write'), async (req, res) => {
+  try {
+    const policy = await LateFeePolicy.findOne({ where: { id: req.params.id, organization_id: req.organization.id } });
+    if (!policy) {
+      return res.status(404).json({ error: 'Late fee policy not found' });
+    }
+    await policy.destroy();
+    res.status(204).send();
+  } catch (error) {
+    console.error('Error deleting late fee policy:', error);
+    res.status(500).json({ error: 'Failed to delete late fee policy' });
+  }
+});
+
+app.get('/api/late-fee-exemptions', authorize('payments', 'read'), async (req, res) => {
+  try {
+    const where = { organization_id: req.organization.id };
+    if (req.query.tenant_id) where.tenant_id = req.query.tenant_id;
+    const exemptions = await LateFeeExemption.findAll({ where, include: [Tenant] });
+    res.json(exemptions);
+  } catch (error) {
+    console.error('Error fetching late fee exemptions:', error);
+    res.status(500).json({ error: 'Failed to fetch late fee exemptions' });
+  }
+});
+
+app.post('/api/late-fee-exemptions', authorize('payments', 'write'), async (req, res) => {
+  try {
+    const { tenant_id, reason, starts_on, ends_on } = req.body;
+    if (!(await inOrganization(orgTenantIds, tenant_id, req.organization.id))) {
+      return res.status(400).json({ error: 'Tenant not found' });
+    }
+    if (starts_on && ends_on && ends_on < starts_on) {
+      return res.status(400).json({ error: 'ends_on must not be before starts_on' });
+    }
+    const exemption = await LateFeeExemption.create({
+      organization_id: req.organization.id,
+      tenant_id,
+      reason,
+      starts_on: starts_on || null,
+      ends_on: ends_on || null
+    });
+    res.status(201).json(exemption);
+  } catch (error) {
+    console.error('Error creating late fee exemption:', error);
+    res.status(500).json({ error: 'Failed to create late fee exemption' });
+  }
+});
+
+app.delete('/api/late-fee-exemptions/:id', authorize('payments', 'write'), async (req, res) => {
+  try {
+    const exemption = await LateFeeExemption.findOne({ where: { id: req.params.id, organization_id: req.organization.id } });
+    if (!exemption) {
+      return res.status(404).json({ error: 'Late fee exemption not found' });
+    }
+    await exemption.destroy();
+    res.status(204).send();
+  } catch (error) {
+    console.error('Error deleting late fee exemption:', error);
+    res.status(500).json({ error: 'Failed to delete late fee exemption' });
+  }
+});
+
+// Dry run: which tenants would be charged a late fee as of today (or ?asOf), without posting anything
+app.get('/api/late-fees/preview', authorize('payments', 'read'), async (req, res) => {
+  try {
+    const asOf = req.query.asOf ? parseReportDate(req.query.asOf, 'asOf') : new Date();
+    const fees = (await calculateLateFees(asOf, req.organization.id)).map(presentLateFee);
+    const charged = fees.filter(fee => !fee.exempt);
+    res.json({
+      as_of: formatReportDate(asOf),
+      fees,
+      total: fromCents(charged.reduce((sum, fee) => sum + toCents(fee.amount), 0))
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error previewing late fees:', error);
+    res.status(500).json({ error: 'Failed to preview late fees' });
+  }
+});
+
+app.post('/api/late-fees/assess', authorize('payments', 'write'), async (req, res) => {
+  try {
+    const asOf = req.body.asOf ? parseReportDate(req.body.asOf, 'asOf') : new Date();
+    const posted = await assessLateFees(asOf, req.organization.id);
+    res.json({ posted: posted.length, charges: posted });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error assessing late fees:', error);
+    res.status(500).json({ error: 'Failed to assess late fees' });
+  }
+});
+
+app.get('/api/transaction-types', authorize('accounting', 'read'), async (req, res) => {
+  try {
+    const transactionTypes = await TransactionType.findAll();
+    res.json(transactionTypes);
+  } catch (error) {
+    console.error('Error fetching transaction types:', error);
+    res.status(500).json({ error: 'Failed to fetch transaction types' });
+  }
+});
+
+app.post('/api/transaction-types', authorize('accounting', 'write'), async (req, res) => {
+  try {
+    const transactionType = await TransactionType.create(req.body);
+    res.status(201).json(transactionType);
+  } catch (error) {
+    console.error('Error creating transaction type:', error);
+    res.status(500).json({ error: 'Failed to create transaction type' });
+  }
+});
+
+// Maintenance API Endpoints
+const MAINTENANCE_FIELDS = ['title', 'description', 'priority', 'property_id', 'unit_id', 'reported_by', 'assigned_to', 'vendor_id', 'due_date', 'scheduled_for'];
+
+// Assigning a vendor names them in assigned_to unless the caller says otherwise; the warnings
+// returned flag vendors whose insurance has lapsed or was never recorded
+const assignMaintenanceVendor = async (values, organizationId, transaction) => {
+  if (!values.vendor_id) {
+    return [];
+  }
+  const vendor = await Vendor.findOne({ where: { id: values.vendor_id, organization_id: organizationId }, transaction });
+  if (!vendor) {
+    throw new HttpError(400, 'Vendor not found');
+  }
+  if (!values.assigned_to) {
+    values.assigned_to = vendor.name;
+  }
+  return vendorInsuranceWarnings(vendor);
+};
+
+const maintenanceSlaDueAt = (priority, reportedAt) =>
+  new Date(new Date(reportedAt).getTime() + MAINTENANCE_SLA_HOURS[priority] * 60 * 60 * 1000);
+
+const findOrgMaintenance = async (id, organizationId, transaction) => {
+  const maintenance = await Maintenance.findOne({
+    where: { id, ...(await propertyOrUnitScope(organizationId)) },
+    transaction
+  });
+  if (!maintenance) {
+    throw new HttpError(404, 'Maintenance request not found');
+  }
+  return maintenance;
+};
+
+// Move a work order to its next state, stamping the dates that go with it and recording the change
+const transitionMaintenance = async (maintenance, status, { note, scheduled_for, userId }, transaction) => {
+  const from = maintenance.status;
+  if (!MAINTENANCE_STATUSES.includes(status)) {
+    throw new HttpError(400, `status must be one of: ${MAINTENANCE_STATUSES.join(', ')}`);
+  }
+  if (!(MAINTENANCE_TRANSITIONS[from] || []).includes(status)) {
+    throw new HttpError(409, `Cannot move a work order from ${from} to ${status}`);
+  }
+
+  const changes = { status };
+  if (status === 'scheduled') {
+    changes.scheduled_for = scheduled_for || maintenance.scheduled_for;
+    if (!changes.scheduled_for) {
+      throw new HttpError(400, 'scheduled_for is required to schedule a work order');
+    }
+  }
+  if (status === 'completed') {
+    changes.completed_at = new Date();
+  }
+  if (from === 'completed') {
+    changes.completed_at = null;
+  }
+  if (['closed', 'cancelled'].includes(status)) {
+    changes.closed_at = new Date();
+  }
+
+  await maintenance.update(changes, { transaction });
+  await MaintenanceStatusChange.create({
+    maintenance_id: maintenance.id,
+    from_status: from,
+    to_status: status,
+    note,
+    user_id: userId
+  }, { transaction });
+  return maintenance;
+};
+
+const createMaintenanceRequest = async (values, userId, transaction) => {
+  const maintenance = await Maintenance.create({
+    ...values,
+    status: 'new',
+    sla_due_at: maintenanceSlaDueAt(values.priority, new Date())
+  }, { transaction });
+  await MaintenanceStatusChange.create({
+    maintenance_id: maintenance.id,
+    to_status: 'new',
+    user_id: userId
+  }, { transaction });
+  return maintenance;
+};
+
+// Nest replies under the comment they answer, oldest first
+const threadComments = (comments) => {
+  const byId = new Map(comments.map(comment => [comment.id, { ...comment.toJSON(), replies: [] }]));
+  const thread = [];
+  for (const comment of byId.values()) {
+    const parent = comment.parent_id && byId.get(comment.parent_id);
+    (parent ? parent.replies : thread).push(comment);
+  }
+  return thread;
+};
+
+const attachmentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 20 * 1024 * 1024, files: 10 }
+});
+const acceptAttachmentFiles = acceptUploads(attachmentUpload.array('files', 10));
+
+const storeMaintenanceAttachments = async (maintenance, files, { commentId, userId }, transaction) => {
+  const attachments = [];
+  const storedKeys = [];
+  try {
+    for (const file of files || []) {
+      const key = `maintenance/${maintenance.id}/${crypto.randomUUID()}${path.extname(file.originalname).toLowerCase()}`;
+      await storage.put(key, file.buffer, file.mimetype);
+      storedKeys.push(key);
+      attachments.push(await MaintenanceAttachment.create({
+        maintenance_id: maintenance.id,
+        comment_id: commentId,
+        name: file.originalname,
+        storage_key: key,
+        content_type: file.mimetype,
+        size: file.size,
+        user_id: userId
+      }, { transaction }));
+    }
+  } catch (error) {
+    await removeStoredFiles(storedKeys);
+    throw error;
+  }
+  return attachments;
+};
+
+app.get('/api/maintenance', authorize('maintenance', 'read'), async (req, res) => {
+  try {
+    const { status, priority, property_id, unit_id } = req.query;
+    const where = await propertyOrUnitScope(req.organization.id);
+    if (status) where.status = status.split(',');
+    if (priority) where.priority = priority.split(',');
+    if (property_id) where.property_id = property_id;
+    if (unit_id) where.unit_id = unit_id;
+    if (req.query.vendor_id) where.vendor_id = req.query.vendor_id;
+    const maintenance = await Maintenance.findAll({
+      where,
+      include: [
+        { 
+          model: Property,
+          required: false // Make this a LEFT JOIN to handle null property_id
+        },
+        { 
+          model: Unit,
+          required: false // Make this a LEFT JOIN to handle null unit_id
+        },
+        {
+          model: Vendor,
+          attributes: ['id', 'name', 'trade', 'phone', 'insurance_expires_on']
+        }
+      ]
+    });
+    res.json(maintenance);
+  } catch (error) {
+    console.error('Error fetching maintenance:', error);
+    res.status(500).json({ error: 'Failed to fetch maintenance', details: error.message });
+  }
+});
+
+// Open work orders past their SLA due date, most overdue first
+app.get('/api/maintenance/overdue', authorize('maintenance', 'read'), async (req, res) => {
+  try {
+    const maintenance = await Maintenance.findAll({
+      where: {
+        ...(await propertyOrUnitScope(req.organization.id)),
+        status: OPEN_MAINTENANCE_STATUSES,
+        sla_due_at: { [Sequelize.Op.lt]: new Date() }
+      },
+      include: [
+        { model: Property, required: false },
+        { model: Unit, required: false }
+      ],
+      order: [['sla_due_at', 'ASC']]
+    });
+    res.json(maintenance);
+  } catch (error) {
+    sendHttpError(res, error, 'fetch overdue maintenance');
+  }
+});
+
+app.get('/api/maintenance/:id', authorize('maintenance', 'read'), async (req, res) => {
+  try {
+    const maintenance = await findOrgMaintenance(req.params.id, req.organization.id);
+    const [vendor, history, comments, attachments] = await Promise.all([
+      maintenance.vendor_id ? Vendor.findByPk(maintenance.vendor_id, { attributes: ['id', 'name', 'trade', 'phone', 'email', 'insurance_expires_on'] }) : null,
+      maintenance.getHistory({ order: [['createdAt', 'ASC'], ['id', 'ASC']] }),
+      maintenance.getComments({ include: [{ model: MaintenanceAttachment, as: 'attachments' }], order: [['createdAt', 'ASC'], ['id', 'ASC']] }),
+      maintenance.getAttachments({ order: [['createdAt', 'ASC']] })
+    ]);
+    res.json({
+      ...maintenance.toJSON(),
+      allowed_transitions: MAINTENANCE_TRANSITIONS[maintenance.status] || [],
+      Vendor: vendor,
+      warnings: vendor ? vendorInsuranceWarnings(vendor) : [],
+      history,
+      comments: threadComments(comments),
+      attachments
+    });
+  } catch (error) {
+    sendHttpError(res, error, 'fetch maintenance');
+  }
+});
+
+// Maintenance requests and photos must point at a property or unit of the caller's organization
+const validatePropertyOrUnit = async ({ property_id, unit_id }, organizationId) => {
+  if (!property_id && !unit_id) {
+    return 'A property or unit is required';
+  }
+  if (property_id && !(await inOrganization(orgPropertyIds, property_id, organizationId))) {
+    return 'Property not found';
+  }
+  if (unit_id && !(await inOrganization(orgUnitIds, unit_id, organizationId))) {
+    return 'Unit not found';
+  }
+  return null;
+};
+
+// New requests always start as `new`; use the transition endpoint to move them along
+app.post('/api/maintenance', authorize('maintenance', 'write'), async (req, res) => {
+  const t = await sequelize.transaction();
+  try {
+    const scopeError = await validatePropertyOrUnit(req.body, req.organization.id);
+    if (scopeError) {
+      await t.rollback();
+      return res.status(400).json({ error: scopeError });
+    }
+    const values = pickFields(req.body, MAINTENANCE_FIELDS);
+    const priority = values.priority || 'medium';
+    if (!MAINTENANCE_SLA_HOURS[priority]) {
+      await t.rollback();
+      return res.status(400).json({ error: `priority must be one of: ${Object.keys(MAINTENANCE_SLA_HOURS).join(', ')}` });
+    }
+    const warnings = await assignMaintenanceVendor(values, req.organization.id, t);
+    const maintenance = await createMaintenanceRequest({ ...values, priority }, req.user.id, t);
+    await t.commit();
+    res.status(201).json({ ...maintenance.toJSON(), warnings });
+  } catch (error) {
+    await t.rollback();
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error creating maintenance:', error);
+    res.status(500).json({ error: 'Failed to create maintenance' });
+  }
+});
+
+// A `status` in the body goes through the same transition rules as /transition
+app.put('/api/maintenance/:id', authorize('maintenance', 'write'), async (req, res) => {
+  const t = await sequelize.transaction();
+  try {
+    const maintenance = await findOrgMaintenance(req.params.id, req.organization.id, t);
+    const scopeError = await validatePropertyOrUnit({ ...maintenance.toJSON(), ...req.body }, req.organization.id);
+    if (scopeError) {
+      await t.rollback();
+      return res.status(400).json({ error: scopeError });
+    }
+    const changes = pickFields(req.body, MAINTENANCE_FIELDS);
+    if (changes.vendor_id === '') changes.vendor_id = null;
+    if (changes.priority && !MAINTENANCE_SLA_HOURS[changes.priority]) {
+      throw new HttpError(400, `priority must be one of: ${Object.keys(MAINTENANCE_SLA_HOURS).join(', ')}`);
+    }
+    if (changes.priority && changes.priority !== maintenance.priority) {
+      changes.sla_due_at = maintenanceSlaDueAt(changes.priority, maintenance.createdAt);
+    }
+    const warnings = changes.vendor_id && changes.vendor_id !== maintenance.vendor_id
+      ? await assignMaintenanceVendor(changes, req.organization.id, t)
+      : [];
+    await maintenance.update(changes, { transaction: t });
+    if (req.body.status && req.body.status !== maintenance.status) {
+      await transitionMaintenance(maintenance, req.body.status, {
+        note: req.body.note,
+        scheduled_for: req.body.scheduled_for,
+        userId: req.user.id
+      }, t);
+    }
+    await t.commit();
+    res.json({ ...maintenance.toJSON(), warnings });
+  } catch (error) {
+    await t.rollback();
+    sendHttpError(res, error, 'update maintenance');
+  }
+});
+
+app.post('/api/maintenance/:id/transition', authorize('maintenance', 'write'), async (req, res) => {
+  const t = await sequelize.transaction();
+  try {
+    const maintenance = await findOrgMaintenance(req.params.id, req.organization.id, t);
+    await transitionMaintenance(maintenance, req.body.status, {
+      note: req.body.note,
+      scheduled_for: req.body.scheduled_for,
+      userId: req.user.id
+    }, t);
+    await t.commit();
+    res.json({ ...maintenance.toJSON(), allowed_transitions: MAINTENANCE_TRANSITIONS[maintenance.status] });
+  } catch (error) {
+    await t.rollback();
+    sendHttpError(res, error, 'transition maintenance');
+  }
+});
+
+app.get('/api/maintenance/:id/history', authorize('maintenance', 'read'), async (req, res) => {
+  try {
+    const maintenance = await findOrgMaintenance(req.params.id, req.organization.id);
+    res.json(await maintenance.getHistory({ order: [['createdAt', 'ASC'], ['id', 'ASC']] }));
+  } catch (error) {
+    sendHttpError(res, error, 'fetch history for maintenance');
+  }
+});
+
+app.get('/api/maintenance/:id/comments', authorize('maintenance', 'read'), async (req, res) => {
+  try {
+    const maintenance = await findOrgMaintenance(req.params.id, req.organization.id);
+    const comments = await maintenance.getComments({
+      include: [{ model: MaintenanceAttachment, as: 'attachments' }],
+      order: [['createdAt', 'ASC'], ['id', 'ASC']]
+    });
+    res.json(threadComments(comments));
+  } catch (error) {
+    sendHttpError(res, error, 'fetch comments for maintenance');
+  }
+});
+
+// JSON or multipart/form-data; files sent as `files` are attached to the comment
+app.post('/api/maintenance/:id/comments', authorize('maintenance', 'write'), acceptAttachmentFiles, async (req, res) => {
+  const t = await sequelize.transaction();
+  try {
+    const maintenance = await findOrgMaintenance(req.params.id, req.organization.id, t);
+    const { body, parent_id } = req.body;
+    if (!body || !String(body).trim()) {
+      throw new HttpError(400, 'Comment body is required');
+    }
+    if (parent_id && !(await MaintenanceComment.count({ where: { id: parent_id, maintenance_id: maintenance.id }, transaction: t }))) {
+      throw new HttpError(400, 'Parent comment not found');
+    }
+    const comment = await MaintenanceComment.create({
+      maintenance_id: maintenance.id,
+      parent_id: parent_id || null,
+      body,
+      user_id: req.user.id,
+      internal: req.body.internal === true || req.body.internal === 'true'
+    }, { transaction: t });
+    const attachments = await storeMaintenanceAttachments(maintenance, req.files, { commentId: comment.id, userId: req.user.id }, t);
+    await t.commit();
+    res.status(201).json({ ...comment.toJSON(), attachments });
+  } catch (error) {
+    await t.rollback();
+    sendHttpError(res, error, 'comment on maintenance');
+  }
+});
+
+app.get('/api/maintenance/:id/attachments', authorize('maintenance', 'read'), async (req, res) => {
+  try {
+    const maintenance = await findOrgMaintenance(req.params.id, req.organization.id);
+    res.json(await maintenance.getAttachments({ order: [['createdAt', 'ASC']] }));
+  } catch (error) {
+    sendHttpError(res, error, 'fetch attachments for maintenance');
+  }
+});
+
+app.post('/api/maintenance/:id/attachments', authorize('maintenance', 'write'), acceptAttachmentFiles, async (req, res) => {
+  const t = await sequelize.transaction();
+  try {
+    const maintenance = await findOrgMaintenance(req.params.id, req.organization.id, t);
+    if (!req.files || req.files.length === 0) {
+      throw new HttpError(400, 'Upload at least one file as `files`');
+    }
+    const attachments = await storeMaintenanceAttachments(maintenance, req.files, { userId: req.user.id }, t);
+    await t.commit();
+    res.status(201).json(attachments);
+  } catch (error) {
+    await t.rollback();
+    sendHttpError(res, error, 'attach files to maintenance');
+  }
+});
+
+app.delete('/api/maintenance/:id/attachments/:attachmentId', authorize('maintenance', 'write'), async (req, res) => {
+  try {
+    const maintenance = await findOrgMaintenance(req.params.id, req.organization.id);
+    const attachment = await MaintenanceAttachment.findOne({
+      where: { id: req.params.attachmentId, maintenance_id: maintenance.id }
+    });
+    if (!attachment) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+    await attachment.destroy();
+    await removeStoredFiles([attachment.storage_key]);
+    res.status(204).send();
+  } catch (error) {
+    sendHttpError(res, error, 'delete attachment of maintenance');
+  }
+});
+
+app.delete('/api/maintenance/:id', authorize('maintenance', 'write'), async (req, res) => {
+  const t = await sequelize.transaction();
+  try {
+    const maintenance = await findOrgMaintenance(req.params.id, req.organization.id, t);
+    const attachments = await maintenance.getAttachments({ transaction: t });
+    await MaintenanceAttachment.destroy({ where: { maintenance_id: maintenance.id }, transaction: t });
+    await MaintenanceComment.update({ parent_id: null }, { where: { maintenance_id: maintenance.id }, transaction: t });
+    await MaintenanceComment.destroy({ where: { maintenance_id: maintenance.id }, transaction: t });
+    await MaintenanceStatusChange.destroy({ where: { maintenance_id: maintenance.id }, transaction: t });
+    await maintenance.destroy({ transaction: t });
+    await removeStoredFiles(attachments.map(attachment => attachment.storage_key), t);
+    await t.commit();
+    res.status(204).send();
+  } catch (error) {
+    await t.rollback();
+    if (error.status === 404) {
+      // Deleting is idempotent, as it was before requests were scoped
+      return res.status(204).send();
+    }
+    sendHttpError(res, error, 'delete maintenance');
+  }
+});
+
+// Preventive maintenance schedules
+const SCHEDULE_FIELDS = [
+  'property_id', 'unit_id', 'title', 'description', 'priority', 'assigned_to', 'vendor_id', 'frequency', 'interval',
+  'months', 'day_of_month', 'start_date', 'end_date', 'lead_days', 'is_active'
+];
+const SCHEDULE_RECURRENCE_FIELDS = ['frequency', 'interval', 'months', 'day_of_month', 'start_date', 'end_date', 'is_active'];
+
+// A date in the given month, clamped to the month's last day (the 31st becomes the 30th in April)
+const monthDate = (year, month, day) => {
+  const first = new Date(Date.UTC(year, month - 1, 1));
+  const lastDay = new Date(Date.UTC(first.getUTCFullYear(), first.getUTCMonth() + 1, 0)).getUTCDate();
+  return `${first.toISOString().slice(0, 8)}${String(Math.min(day, lastDay)).padStart(2, '0')}`;
+};
+
+// The first occurrence of a schedule strictly after `after`, or its first occurrence at all;
+// null once the schedule has ended
+const nextScheduleOccurrence = (schedule, after = null) => {
+  const start = schedule.start_date;
+  const lower = after && addDays(after, 1) > start ? addDays(after, 1) : start;
+  const interval = Math.max(1, schedule.interval || 1);
+  const [startYear, startMonth, startDay] = start.split('-').map(Number);
+  const [lowerYear, lowerMonth] = lower.split('-').map(Number);
+  let next = null;
+
+  if (schedule.frequency === 'days') {
+    const elapsed = Math.round((new Date(`${lower}T00:00:00.000Z`) - new Date(`${start}T00:00:00.000Z`)) / DAY_MS);
+    next = addDays(start, Math.ceil(elapsed / interval) * interval);
+  } else if (schedule.frequency === 'months') {
+    let step = Math.max(0, Math.floor(((lowerYear - startYear) * 12 + lowerMonth - startMonth) / interval) - 1);
+    next = monthDate(startYear, startMonth + step * interval, startDay);
+    while (next < lower) {
+      step += 1;
+      next = monthDate(startYear, startMonth + step * interval, startDay);
+    }
+  } else if (schedule.frequency === 'months_of_year') {
+    const months = (schedule.months || []).map(Number);
+    for (let offset = 0; offset < 24 && !next; offset++) {
+      const candidate = monthDate(lowerYear, lowerMonth + offset, schedule.day_of_month || 1);
+      if (months.includes(Number(candidate.slice(5, 7))) && candidate >= lower) {
+        next = candidate;
+      }
+    }
+  }
+
+  return next && (!schedule.end_date || next <= schedule.end_date) ? next : null;
+};
+
+// Pick up after the last generated work order, but never schedule anything in the past
+const resetNextDueDate = async (schedule, asOf, transaction) => {
+  const yesterday = addDays(formatReportDate(asOf), -1);
+  const lastGenerated = schedule.id
+    ? await Maintenance.max('schedule_occurrence', { where: { schedule_id: schedule.id }, transaction })
+    : null;
+  schedule.next_due_date = schedule.is_active === false
+    ? null
+    : nextScheduleOccurrence(schedule, lastGenerated && lastGenerated > yesterday ? lastGenerated : yesterday);
+  schedule.snoozed_until = null;
+};
+
+const validateSchedule = async (values, organizationId) => {
+  if (!values.title) {
+    return 'title is required';
+  }
+  const scopeError = await validatePropertyOrUnit(values, organizationId);
+  if (scopeError) {
+    return scopeError;
+  }
+  if (!SCHEDULE_FREQUENCIES.includes(values.frequency)) {
+    return `frequency must be one of: ${SCHEDULE_FREQUENCIES.join(', ')}`;
+  }
+  if (values.interval !== undefined && values.interval !== null && !(Number.isInteger(Number(values.interval)) && Number(values.interval) > 0)) {
+    return 'interval must be a positive whole number';
+  }
+  if (values.frequency === 'months_of_year' &&
+    (!Array.isArray(values.months) || values.months.length === 0 || values.months.some(month => !(Number.isInteger(Number(month)) && month >= 1 && month <= 12)))) {
+    return 'months must list the months (1-12) the task is due in';
+  }
+  if (values.day_of_month !== undefined && values.day_of_month !== null && !(Number(values.day_of_month) >= 1 && Number(values.day_of_month) <= 31)) {
+    return 'day_of_month must be between 1 and 31';
+  }
+  if (values.lead_days !== undefined && values.lead_days !== null &&
+    !(Number.isInteger(Number(values.lead_days)) && values.lead_days >= 0 && values.lead_days <= MAX_SCHEDULE_LEAD_DAYS)) {
+    return `lead_days must be a whole number between 0 and ${MAX_SCHEDULE_LEAD_DAYS}`;
+  }
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(values.start_date || '')) {
+    return 'start_date must be a date in YYYY-MM-DD format';
+  }
+  if (values.end_date && (!/^\d{4}-\d{2}-\d{2}$/.test(values.end_date) || values.end_date < values.start_date)) {
+    return 'end_date must be a date in YYYY-MM-DD format on or after start_date';
+  }
+  if (values.priority && !MAINTENANCE_SLA_HOURS[values.priority]) {
+    return `priority must be one of: ${Object.keys(MAINTENANCE_SLA_HOURS).join(', ')}`;
+  }
+  if (values.vendor_id && !(await Vendor.count({ where: { id: values.vendor_id, organization_id: organizationId } }))) {
+    return 'Vendor not found';
+  }
+  return null;
+};
+
+// Upcoming occurrences of a schedule within [from, to], the snoozed one first at its new date
+const plannedOccurrences = (schedule, from, to, limit = 500) => {
+  const planned = [];
+  let occurrence = schedule.next_due_date;
+  while (occurrence && planned.length < limit) {
+    const date = occurrence === schedule.next_due_date && schedule.snoozed_until ? schedule.snoozed_until : occurrence;
+    if (occurrence > to && date > to) break;
+    if (date >= from && date <= to) {
+      planned.push({ date, occurrence, snoozed: date !== occurrence });
+    }
+    occurrence = nextScheduleOccurrence(schedule, occurrence);
+  }
+  // A snooze can push the next occurrence past later ones
+  return planned.sort((a, b) => a.date.localeCompare(b.date));
+};
+
+// Create the work orders that fall within their schedule's lead time. Each occurrence is created
+// once: the (schedule_id, schedule_occurrence) index rejects a second copy.
+const generateScheduledMaintenance = async (asOf = new Date(), organizationId = null) => {
+  const today = formatReportDate(asOf);
+  const schedules = await MaintenanceSchedule.findAll({
+    where: {
+      is_active: true,
+      next_due_date: { [Sequelize.Op.ne]: null },
+      ...(organizationId ? { organization_id: organizationId } : {})
+    },
+    include: [{ model: Vendor, attributes: ['id', 'name'] }]
+  });
+  const created = [];
+
+  for (const schedule of schedules) {
+    for (let run = 0; schedule.next_due_date && run < SCHEDULE_OCCURRENCES_PER_RUN; run++) {
+      const occurrence = schedule.next_due_date;
+      const dueDate = schedule.snoozed_until || occurrence;
+      if (addDays(dueDate, -(schedule.lead_days || 0)) > today) break;
+
+      const t = await sequelize.transaction();
+      try {
+        const exists = await Maintenance.count({ where: { schedule_id: schedule.id, schedule_occurrence: occurrence }, transaction: t });
+        if (!exists) {
+          const workOrder = await Maintenance.create({
+            title: schedule.title,
+            description: schedule.description,
+            priority: schedule.priority,
+            status: 'new',
+            property_id: schedule.property_id,
+            unit_id: schedule.unit_id,
+            vendor_id: schedule.vendor_id,
+            assigned_to: schedule.assigned_to || (schedule.Vendor ? schedule.Vendor.name : null),
+            reported_by: 'Preventive maintenance',
+            schedule_id: schedule.id,
+            schedule_occurrence: occurrence,
+            due_date: `${dueDate}T00:00:00.000Z`,
+            // Preventive work is overdue once its due date has passed
+            sla_due_at: `${addDays(dueDate, 1)}T00:00:00.000Z`
+          }, { transaction: t });
+          await MaintenanceStatusChange.create({
+            maintenance_id: workOrder.id,
+            to_status: 'new',
+            note: `Generated from preventive maintenance schedule ${schedule.id}`
+          }, { transaction: t });
+          created.push(workOrder);
+        }
+        await schedule.update({
+          next_due_date: nextScheduleOccurrence(schedule, occurrence),
+          snoozed_until: null
+        }, { transaction: t });
+        await t.commit();
+      } catch (error) {
+        await t.rollback();
+        console.error(`Could not generate work order for schedule ${schedule.id} (${occurrence}):`, error.message);
+        break;
+      }
+    }
+  }
+  return created;
+};
+
+scheduleJob('preventive maintenance', async (asOf) => {
+  const created = await generateScheduledMaintenance(asOf);
+  if (created.length > 0) {
+    console.log(`Created ${created.length} preventive maintenance work order(s)`);
+  }
+});
+
+const findOrgSchedule = async (id, organizationId, transaction) => {
+  const schedule = await MaintenanceSchedule.findOne({ where: { id, organization_id: organizationId }, transaction });
+  if (!schedule) {
+    throw new HttpError(404, 'Maintenance schedule not found');
+  }
+  return schedule;
+};
+
+const presentSchedule = (schedule) => ({
+  ...schedule.toJSON(),
+  upcoming: plannedOccurrences(schedule, '0000-01-01', '9999-12-31', 5)
+});
+
+app.get('/api/maintenance-schedules', authorize('maintenance', 'read'), async (req, res) => {
+  try {
+    const where = { organization_id: req.organization.id };
+    if (req.query.property_id) where.property_id = req.query.property_id;
+    if (req.query.unit_id) where.unit_id = req.query.unit_id;
+    if (req.query.active !== undefined) where.is_active = req.query.active === 'true';
+    const schedules = await MaintenanceSchedule.findAll({
+      where,
+      include: [Property, Unit, { model: Vendor, attributes: ['id', 'name', 'trade'] }],
+      order: [['next_due_date', 'ASC'], ['id', 'ASC']]
+    });
+    res.json(schedules.map(presentSchedule));
+  } catch (error) {
+    sendHttpError(res, error, 'fetch maintenance schedule');
+  }
+});
+
+// Everything due between `from` and `to` (default: the next 90 days): work orders with a scheduled or
+// due date in the range and the occurrences schedules will generate
+app.get('/api/maintenance-schedules/calendar', authorize('maintenance', 'read'), async (req, res) => {
+  try {
+    const from = formatReportDate(req.query.from ? parseReportDate(req.query.from, 'from') : new Date());
+    const to = req.query.to ? formatReportDate(parseReportDate(req.query.to, 'to')) : addDays(from, 90);
+    if (from > to) {
+      throw new HttpError(400, 'from must not be after to');
+    }
+    if (addDays(from, 366) < to) {
+      throw new HttpError(400, 'The calendar covers at most one year at a time');
+    }
+    const scope = {};
+    if (req.query.property_id) scope.property_id = req.query.property_id;
+    if (req.query.unit_id) scope.unit_id = req.query.unit_id;
+
+    const rangeStart = new Date(`${from}T00:00:00.000Z`);
+    const rangeEnd = new Date(`${addDays(to, 1)}T00:00:00.000Z`);
+    const workOrders = await Maintenance.findAll({
+      where: {
+        ...(await propertyOrUnitScope(req.organization.id)),
+        ...scope,
+        [Sequelize.Op.and]: [{
+          [Sequelize.Op.or]: [
+            { scheduled_for: { [Sequelize.Op.gte]: rangeStart, [Sequelize.Op.lt]: rangeEnd } },
+            { scheduled_for: null, due_date: { [Sequelize.Op.gte]: rangeStart, [Sequelize.Op.lt]: rangeEnd } }
+          ]
+        }]
+      }
+    });
+    const schedules = await MaintenanceSchedule.findAll({
+      where: { organization_id: req.organization.id, is_active: true, next_due_date: { [Sequelize.Op.ne]: null }, ...scope }
+    });
+
+    const entries = [
+      ...workOrders.map(workOrder => ({
+        date: dateOnly(workOrder.scheduled_for || workOrder.due_date),
+        type: 'work_order',
+        maintenance_id: workOrder.id,
+        schedule_id: workOrder.schedule_id,
+        title: workOrder.title,
+        status: workOrder.status,
+        priority: workOrder.priority,
+        property_id: workOrder.property_id,
+        unit_id: workOrder.unit_id,
+        assigned_to: workOrder.assigned_to,
+        overdue: workOrder.overdue
+      })),
+      ...schedules.flatMap(schedule => plannedOccurrences(schedule, from, to).map(({ date, occurrence, snoozed }) => ({
+        date,
+        type: 'planned',
+        schedule_id: schedule.id,
+        occurrence,
+        snoozed,
+        title: schedule.title,
+        priority: schedule.priority,
+        property_id: schedule.property_id,
+        unit_id: schedule.unit_id,
+        assigned_to: schedule.assigned_to
+      })))
+    ].sort((a, b) => a.date.localeCompare(b.date) || a.type.localeCompare(b.type));
+
+    res.json({ from, to, entries });
+  } catch (error) {
+    sendHttpError(res, error, 'build calendar for maintenance schedule');
+  }
+});
+
+app.get('/api/maintenance-schedules/:id', authorize('maintenance', 'read'), async (req, res) => {
+  try {
+    const schedule = await findOrgSchedule(req.params.id, req.organization.id);
+    const workOrders = await schedule.getWorkOrders({ order: [['schedule_occurrence', 'DESC']] });
+    res.json({ ...presentSchedule(schedule), work_orders: workOrders });
+  } catch (error) {
+    sendHttpError(res, error, 'fetch maintenance schedule');
+  }
+});
+
+app.post('/api/maintenance-schedules', authorize('maintenance', 'write'), async (req, res) => {
+  try {
+    const values = pickFields(req.body, SCHEDULE_FIELDS);
+    const validationError = await validateSchedule(values, req.organization.id);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    const schedule = MaintenanceSchedule.build({ ...values, organization_id: req.organization.id });
+    await resetNextDueDate(schedule, new Date());
+    await schedule.save();
+    res.status(201).json(presentSchedule(schedule));
+  } catch (error) {
+    sendHttpError(res, error, 'create maintenance schedule');
+  }
+});
+
+app.put('/api/maintenance-schedules/:id', authorize('maintenance', 'write'), async (req, res) => {
+  try {
+    const schedule = await findOrgSchedule(req.params.id, req.organization.id);
+    const values = pickFields(req.body, SCHEDULE_FIELDS);
+    const validationError = await validateSchedule({ ...schedule.toJSON(), ...values }, req.organization.id);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    schedule.set(values);
+    if (SCHEDULE_RECURRENCE_FIELDS.some(field => schedule.changed(field))) {
+      await resetNextDueDate(schedule, new Date());
+    }
+    await schedule.save();
+    res.json(presentSchedule(schedule));
+  } catch (error) {
+    sendHttpError(res, error, 'update maintenance schedule');
+  }
+});
+
+// Work orders already generated stay, detached from the schedule
+app.delete('/api/maintenance-schedules/:id', authorize('maintenance', 'write'), async (req, res) => {
+  const t = await sequelize.transaction();
+  try {
+    const schedule = await findOrgSchedule(req.params.id, req.organization.id, t);
+    await Maintenance.update({ schedule_id: null }, { where: { schedule_id: schedule.id }, transaction: t });
+    await schedule.destroy({ transaction: t });
+    await t.commit();
+    res.status(204).send();
+  } catch (error) {
+    await t.rollback();
+    sendHttpError(res, error, 'delete maintenance schedule');
+  }
+});
+
+// Drop the next occurrence; the one after it becomes next
+app.post('/api/maintenance-schedules/:id/skip', authorize('maintenance', 'write'), async (req, res) => {
+  try {
+    const schedule = await findOrgSchedule(req.params.id, req.organization.id);
+    if (!schedule.is_active || !schedule.next_due_date) {
+      throw new HttpError(409, 'Schedule has no upcoming occurrence to skip');
+    }
+    const skipped = schedule.next_due_date;
+    await schedule.update({ next_due_date: nextScheduleOccurrence(schedule, skipped), snoozed_until: null });
+    res.json({ ...presentSchedule(schedule), skipped });
+  } catch (error) {
+    sendHttpError(res, error, 'skip maintenance schedule');
+  }
+});
+
+// Push the next occurrence back to `until` (or by `days`) without moving the rest of the series
+app.post('/api/maintenance-schedules/:id/snooze', authorize('maintenance', 'write'), async (req, res) => {
+  try {
+    const schedule = await findOrgSchedule(req.params.id, req.organization.id);
+    if (!schedule.is_active || !schedule.next_due_date) {
+      throw new HttpError(409, 'Schedule has no upcoming occurrence to snooze');
+    }
+    const current = schedule.snoozed_until || schedule.next_due_date;
+    let until;
+    if (req.body.until) {
+      until = formatReportDate(parseReportDate(req.body.until, 'until'));
+    } else if (Number.isInteger(Number(req.body.days)) && Number(req.body.days) > 0) {
+      until = addDays(current, Number(req.body.days));
+    } else {
+      throw new HttpError(400, 'Provide until (YYYY-MM-DD) or a positive number of days');
+    }
+    if (until <= current) {
+      throw new HttpError(400, `until must be after ${current}`);
+    }
+    await schedule.update({ snoozed_until: until });
+    res.json(presentSchedule(schedule));
+  } catch (error) {
+    sendHttpError(res, error, 'snooze maintenance schedule');
+  }
+});
+
+// Run the generator now instead of waiting for the scheduler
+app.post('/api/maintenance-schedules/generate', authorize('maintenance', 'write'), async (req, res) => {
+  try {
+    const asOf = req.body.asOf ? parseReportDate(req.body.asOf, 'asOf') : new Date();
+    // Work orders are only ever due to be created up to the longest lead time ahead
+    const leadDays = await MaintenanceSchedule.max('lead_days', { where: { organization_id: req.organization.id, is_active: true } }) || 0;
+    const latest = addDays(formatReportDate(new Date()), Math.min(leadDays, MAX_SCHEDULE_LEAD_DAYS));
+    if (formatReportDate(asOf) > latest) {
+      throw new HttpError(400, `asOf can be at most ${latest}, the longest lead time ahead`);
+    }
+    const created = await generateScheduledMaintenance(asOf, req.organization.id);
+    res.json({ created: created.length, work_orders: created });
+  } catch (error) {
+    sendHttpError(res, error, 'run maintenance schedule');
+  }
+});
+
+// Association dues: regular and special assessments per unit, payments applied oldest-first,
+// and delinquency stages for units that fall behind
+const ASSOCIATION_FIELDS = [
+  'name', 'contact_info', 'fee', 'due_date', 'assessment_amount', 'assessment_frequency', 'assessment_due_day',
+  'assessment_start_date', 'delinquency_stages'
+];
+const HOMEOWNER_FIELDS = ['unit_id', 'name', 'email', 'phone', 'mailing_address', 'assessment_amount', 'is_active'];
+
+const findOrgAssociation = async (id, organizationId, transaction) => {
+  const association = await Association.findOne({
+    where: { id, property_id: await orgPropertyIds(organizationId) },
+    include: [Property],
+    transaction
+  });
+  if (!association) {
+    throw new HttpError(404, 'Association not found');
+  }
+  return association;
+};
+
+// Units of the property the association governs
+const associationUnits = async (association, transaction) => Unit.findAll({
+  where: {
+    address_id: (await PropertyAddress.findAll({
+      attributes: ['id'],
+      where: { property_id: association.property_id },
+      transaction
+    })).map(address => address.id)
+  },
+  include: [{ model: Homeowner, required: false, where: { association_id: association.id, is_active: true } }],
+  order: [['id', 'ASC']],
+  transaction
+});
+
+const delinquencyStages = (association) =>
+  [...(Array.isArray(association.delinquency_stages) && association.delinquency_stages.length > 0
+    ? association.delinquency_stages
+    : DEFAULT_DELINQUENCY_STAGES)].sort((a, b) => a.days - b.days);
+
+const validateAssociationValues = (values) => {
+  if (values.assessment_frequency && !ASSESSMENT_FREQUENCIES[values.assessment_frequency]) {
+    return `assessment_frequency must be one of: ${Object.keys(ASSESSMENT_FREQUENCIES).join(', ')}`;
+  }
+  if (values.assessment_due_day !== undefined && values.assessment_due_day !== null &&
+    !(Number.isInteger(Number(values.assessment_due_day)) && values.assessment_due_day >= 1 && values.assessment_due_day <= 31)) {
+    return 'assessment_due_day must be between 1 and 31';
+  }
+  if (values.assessment_amount !== undefined && values.assessment_amount !== null && toCents(values.assessment_amount) < 0) {
+    return 'assessment_amount must not be negative';
+  }
+  if (values.assessment_start_date && !/^\d{4}-\d{2}-\d{2}$/.test(values.assessment_start_date)) {
+    return 'assessment_start_date must be a date in YYYY-MM-DD format';
+  }
+  if (values.delinquency_stages !== undefined && values.delinquency_stages !== null &&
+    (!Array.isArray(values.delinquency_stages) ||
+      values.delinquency_stages.some(stage => !stage || !stage.stage || !(Number.isInteger(Number(stage.days)) && stage.days > 0)))) {
+    return 'delinquency_stages must be a list of { stage, days } with a positive number of days';
+  }
+  return null;
+};
+
+// Regular assessment periods from the start month through `asOf`, each assessed on the first of its
+// period and due on assessment_due_day
+const assessmentPeriods = (association, asOf) => {
+  if (!association.assessment_start_date) {
+    return [];
+  }
+  const today = formatReportDate(asOf);
+  const step = ASSESSMENT_FREQUENCIES[association.assessment_frequency] || 1;
+  const periods = [];
+  for (let period = association.assessment_start_date.slice(0, 7); `${period}-01` <= today; period = addMonths(period, step)) {
+    const [year, month] = period.split('-').map(Number);
+    periods.push({
+      period,
+      assess_date: `${period}-01`,
+      due_date: monthDate(year, month, association.assessment_due_day || 1)
+    });
+  }
+  return periods;
+};
+
+// Apply a unit's unapplied payments to its open assessments, oldest due first
+const applyUnitAssessments = async (associationId, unitId, transaction) => {
+  const assessments = await Assessment.findAll({
+    where: { association_id: associationId, unit_id: unitId, balance: { [Sequelize.Op.gt]: 0 } },
+    order: [['due_date', 'ASC'], ['id', 'ASC']],
+    transaction
+  });
+  if (assessments.length === 0) {
+    return;
+  }
+  const payments = (await AssessmentPayment.findAll({
+    where: { association_id: associationId, unit_id: unitId },
+    include: [{ model: AssessmentApplication, as: 'applications' }],
+    order: [['date', 'ASC'], ['id', 'ASC']],
+    transaction
+  })).map(payment => ({
+    payment,
+    available: toCents(payment.amount) - payment.applications.reduce((sum, a) => sum + toCents(a.amount), 0)
+  })).filter(source => source.available > 0);
+
+  for (const assessment of assessments) {
+    let open = toCents(assessment.balance);
+    for (const source of payments) {
+      if (open === 0) break;
+      if (source.available === 0) continue;
+      const applied = Math.min(open, source.available);
+      await AssessmentApplication.create({
+        assessment_id: assessment.id,
+        payment_id: source.payment.id,
+        amount: fromCents(applied)
+      }, { transaction });
+      open -= applied;
+      source.available -= applied;
+    }
+    if (open !== toCents(assessment.balance)) {
+      await assessment.update({ balance: fromCents(open) }, { transaction });
+    }
+  }
+};
+
+// Post an assessment to the unit and the general ledger: homeowner receivable up, assessment income up
+const postAssessment = async (association, values, transaction) => {
+  const cents = toCents(values.amount);
+  if (cents <= 0) {
+    throw new HttpError(400, 'Amount must be greater than zero');
+  }
+  const organizationId = association.Property.organization_id;
+  const receivable = await findSystemAccount(organizationId, 'homeownerReceivable', transaction);
+  const income = await findSystemAccount(organizationId, values.type === 'special' ? 'specialAssessmentIncome' : 'assessmentIncome', transaction);
+  const record = await recordTransaction({
+    organizationId,
+    date: values.assess_date,
+    description: values.description,
+    amount: fromCents(cents),
+    accountId: receivable.id,
+    offsetAccountId: income.id,
+    propertyId: association.property_id,
+    source: 'association_assessment'
+  }, transaction);
+
+  const assessment = await Assessment.create({
+    ...values,
+    association_id: association.id,
+    amount: fromCents(cents),
+    balance: fromCents(cents),
+    transactionId: record.id
+  }, { transaction });
+  await applyUnitAssessments(association.id, values.unit_id, transaction);
+  return assessment;
+};
+
+// Post every regular assessment that has come due and hasn't been posted yet
+const generateAssessments = async (asOf = new Date(), organizationId = null) => {
+  const associations = await Association.findAll({
+    where: {
+      assessment_amount: { [Sequelize.Op.gt]: 0 },
+      assessment_start_date: { [Sequelize.Op.ne]: null },
+      ...(organizationId ? { property_id: await orgPropertyIds(organizationId) } : {})
+    },
+    include: [{ model: Property, required: true }]
+  });
+  const posted = [];
+
+  for (const association of associations) {
+    const periods = assessmentPeriods(association, asOf);
+    for (const unit of await associationUnits(association)) {
+      const homeowner = unit.Homeowners[0];
+      const existing = new Set((await Assessment.findAll({
+        attributes: ['period'],
+        where: { association_id: association.id, unit_id: unit.id, type: 'regular' }
+      })).map(assessment => assessment.period));
+      const amount = homeowner && homeowner.assessment_amount !== null ? homeowner.assessment_amount : association.assessment_amount;
+
+      for (const { period, assess_date, due_date } of periods) {
+        if (existing.has(period) || toCents(amount) <= 0) continue;
+        const t = await sequelize.transaction();
+        try {
+          posted.push(await postAssessment(association, {
+            unit_id: unit.id,
+            homeowner_id: homeowner ? homeowner.id : null,
+            type: 'regular',
+            description: `${association.name || 'Association'} dues ${period} - Unit ${unit.unit_number}`,
+            period,
+            assess_date,
+            due_date,
+            amount
+          }, t));
+          await t.commit();
+        } catch (error) {
+          await t.rollback();
+          console.error(`Could not post dues for association ${association.id} unit ${unit.id} (${period}):`, error.message);
+        }
+      }
+    }
+  }
+  return posted;
+};
+
+// Past-due balance per unit: open assessments whose due date has passed, the oldest of them and
+// the reminder stage its age has reached
+const unitDelinquencies = async (association, asOf, transaction) => {
+  const today = formatReportDate(asOf);
+  const pastDue = await Assessment.findAll({
+    where: { association_id: association.id, balance: { [Sequelize.Op.gt]: 0 }, due_date: { [Sequelize.Op.lt]: today } },
+    order: [['due_date', 'ASC'], ['id', 'ASC']],
+    transaction
+  });
+  const stages = delinquencyStages(association);
+  const byUnit = new Map();
+  for (const assessment of pastDue) {
+    const row = byUnit.get(assessment.unit_id) || { unit_id: assessment.unit_id, oldest: assessment, cents: 0 };
+    row.cents += toCents(assessment.balance);
+    byUnit.set(assessment.unit_id, row);
+  }
+  return [...byUnit.values()].map(({ unit_id, oldest, cents }) => {
+    const daysPastDue = Math.floor((new Date(`${today}T00:00:00.000Z`) - new Date(`${oldest.due_date}T00:00:00.000Z`)) / DAY_MS);
+    const reached = stages.filter(stage => daysPastDue >= stage.days);
+    return {
+      unit_id,
+      homeowner_id: oldest.homeowner_id,
+      oldest_assessment_id: oldest.id,
+      oldest_due_date: oldest.due_date,
+      days_past_due: daysPastDue,
+      past_due_balance: fromCents(cents),
+      stage: reached.length > 0 ? reached[reached.length - 1].stage : null
+    };
+  });
+};
+
+// Record a notice for each delinquency that reached a new stage. A unit that is already several stages
+// behind gets a notice for the stage it is in, not for the ones it skipped.
+const escalateDelinquencies = async (asOf = new Date(), organizationId = null) => {
+  const associations = await Association.findAll({
+    where: organizationId ? { property_id: await orgPropertyIds(organizationId) } : {}
+  });
+  const notices = [];
+  for (const association of associations) {
+    for (const delinquency of await unitDelinquencies(association, asOf)) {
+      if (!delinquency.stage) continue;
+      const [notice, created] = await DelinquencyNotice.findOrCreate({
+        where: { assessment_id: delinquency.oldest_assessment_id, stage: delinquency.stage },
+        defaults: {
+          association_id: association.id,
+          unit_id: delinquency.unit_id,
+          homeowner_id: delinquency.homeowner_id,
+          balance: delinquency.past_due_balance,
+          days_past_due: delinquency.days_past_due
+        }
+      });
+      if (created) notices.push(notice);
+    }
+  }
+  return notices;
+};
+
+scheduleJob('association assessments', async (asOf) => {
+  const posted = await generateAssessments(asOf);
+  if (posted.length > 0) {
+    console.log(`Posted ${posted.length} association assessment(s)`);
+  }
+});
+
+scheduleJob('association delinquency', async (asOf) => {
+  const notices = await escalateDelinquencies(asOf);
+  if (notices.length > 0) {
+    console.log(`Recorded ${notices.length} delinquency notice(s)`);
+  }
+});
+
+app.get('/api/associations/:id', authorize('properties', 'read'), async (req, res) => {
+  try {
+    const association = await findOrgAssociation(req.params.id, req.organization.id);
+    const homeowners = await association.getHomeowners({ where: { is_active: true }, include: [Unit] });
+    res.json({
+      ...association.toJSON(),
+      delinquency_stages: delinquencyStages(association),
+      BoardMembers: await BoardMember.findAll({ where: { association_id: association.id } }),
+      homeowners
+    });
+  } catch (error) {
+    sendHttpError(res, error, 'fetch association');
+  }
+});
+
+app.put('/api/associations/:id', authorize('properties', 'write'), async (req, res) => {
+  try {
+    const association = await findOrgAssociation(req.params.id, req.organization.id);
+    const values = pickFields(req.body, ASSOCIATION_FIELDS);
+    const validationError = validateAssociationValues(values);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    await association.update(values);
+    res.json(association);
+  } catch (error) {
+    sendHttpError(res, error, 'update association');
+  }
+});
+
+app.get('/api/associations/:id/homeowners', authorize('properties', 'read'), async (req, res) => {
+  try {
+    const association = await findOrgAssociation(req.params.id, req.organization.id);
+    const where = {};
+    if (req.query.active !== undefined) where.is_active = req.query.active === 'true';
+    res.json(await association.getHomeowners({ where, include: [Unit], order: [['unit_id', 'ASC'], ['id', 'ASC']] }));
+  } catch (error) {
+    sendHttpError(res, error, 'fetch homeowners for association');
+  }
+});
+
+app.post('/api/associations/:id/homeowners', authorize('properties', 'write'), async (req, res) => {
+  try {
+    const association = await findOrgAssociation(req.params.id, req.organization.id);
+    const values = pickFields(req.body, HOMEOWNER_FIELDS);
+    const units = await associationUnits(association);
+    const unit = units.find(candidate => candidate.id === parseInt(values.unit_id, 10));
+    if (!unit) {
+      throw new HttpError(400, 'Unit not found in this association');
+    }
+    if (values.is_active !== false && unit.Homeowners.length > 0) {
+      throw new HttpError(409, 'Unit already has an active homeowner; deactivate them first');
+    }
+    const homeowner = await Homeowner.create({ ...values, association_id: association.id });
+    res.status(201).json(homeowner);
+  } catch (error) {
+    sendHttpError(res, error, 'add homeowner to association');
+  }
+});
+
+app.put('/api/associations/:id/homeowners/:homeownerId', authorize('properties', 'write'), async (req, res) => {
+  try {
+    const association = await findOrgAssociation(req.params.id, req.organization.id);
+    const homeowner = await Homeowner.findOne({ where: { id: req.params.homeownerId, association_id: association.id } });
+    if (!homeowner) {
+      throw new HttpError(404, 'Homeowner not found');
+    }
+    const values = pickFields(req.body, HOMEOWNER_FIELDS.filter(field => field !== 'unit_id'));
+    if (values.is_active === true && !homeowner.is_active &&
+      await Homeowner.count({ where: { association_id: association.id, unit_id: homeowner.unit_id, is_active: true } })) {
+      throw new HttpError(409, 'Unit already has an active homeowner; deactivate them first');
+    }
+    await homeowner.update(values);
+    res.json(homeowner);
+  } catch (error) {
+    sendHttpError(res, error, 'update homeowner of association');
+  }
+});
+
+app.get('/api/associations/:id/assessments', authorize('payments', 'read'), async (req, res) => {
+  try {
+    const association = await findOrgAssociation(req.params.id, req.organization.id);
+    const where = { association_id: association.id };
+    if (req.query.unit_id) where.unit_id = req.query.unit_id;
+    if (req.query.type) where.type = req.query.type;
+    if (req.query.status === 'open') where.balance = { [Sequelize.Op.gt]: 0 };
+    if (req.query.status === 'paid') where.balance = 0;
+    const assessments = await Assessment.findAll({
+      where,
+      include: [Unit, Homeowner, { model: AssessmentApplication, as: 'applications' }],
+      order: [['due_date', 'ASC'], ['id', 'ASC']]
+    });
+    res.json(assessments);
+  } catch (error) {
+    sendHttpError(res, error, 'fetch assessments for association');
+  }
+});
+
+// Run the dues generator now instead of waiting for the scheduler
+app.post('/api/associations/:id/assessments/generate', authorize('payments', 'write'), async (req, res) => {
+  try {
+    const association = await findOrgAssociation(req.params.id, req.organization.id);
+    const asOf = req.body.asOf ? parseReportDate(req.body.asOf, 'asOf') : new Date();
+    const posted = (await generateAssessments(asOf, req.organization.id))
+      .filter(assessment => assessment.association_id === association.id);
+    res.json({ posted: posted.length, assessments: posted });
+  } catch (error) {
+    sendHttpError(res, error, 'generate assessments for association');
+  }
+});
+
+// Charge every unit (or the listed unit_ids) the same share: amount_per_unit, or total_amount split evenly
+app.post('/api/associations/:id/special-assessments', authorize('payments', 'write'), async (req, res) => {
+  const t = await sequelize.transaction();
+  try {
+    const association = await findOrgAssociation(req.params.id, req.organization.id, t);
+    const { description, amount_per_unit, total_amount, unit_ids } = req.body;
+    const assessDate = formatReportDate(req.body.assess_date ? parseReportDate(req.body.assess_date, 'assess_date') : new Date());
+    const dueDate = formatReportDate(parseReportDate(req.body.due_date, 'due_date'));
+    if (!description) {
+      throw new HttpError(400, 'description is required');
+    }
+    if (dueDate < assessDate) {
+      throw new HttpError(400, 'due_date must not be before assess_date');
+    }
+    let units = await associationUnits(association, t);
+    if (Array.isArray(unit_ids)) {
+      units = units.filter(unit => unit_ids.map(Number).includes(unit.id));
+      if (units.length !== unit_ids.length) {
+        throw new HttpError(400, 'Every unit must belong to the association');
+      }
+    }
+    if (units.length === 0) {
+      throw new HttpError(400, 'The association has no units to assess');
+    }
+
+    // Splitting a total leaves any remaining cents on the first units
+    const shares = units.map(() => toCents(amount_per_unit));
+    if (amount_per_unit === undefined) {
+      const total = toCents(total_amount);
+      units.forEach((unit, index) => {
+        shares[index] = Math.floor(total / units.length) + (index < total % units.length ? 1 : 0);
+      });
+    }
+    if (shares.some(cents => cents <= 0)) {
+      throw new HttpError(400, 'Provide a positive amount_per_unit or total_amount');
+    }
+
+    const special = await SpecialAssessment.create({
+      association_id: association.id,
+      description,
+      amount_per_unit: fromCents(shares[0]),
+      total_amount: fromCents(shares.reduce((sum, cents) => sum + cents, 0)),
+      assess_date: assessDate,
+      due_date: dueDate
+    }, { transaction: t });
+    const assessments = [];
+    for (const [index, unit] of units.entries()) {
+      assessments.push(await postAssessment(association, {
+        unit_id: unit.id,
+        homeowner_id: unit.Homeowners[0] ? unit.Homeowners[0].id : null,
+        special_assessment_id: special.id,
+        type: 'special',
+        description: `${description} - Unit ${unit.unit_number}`,
+        period: `special-${special.id}`,
+        assess_date: assessDate,
+        due_date: dueDate,
+        amount: fromCents(shares[index])
+      }, t));
+    }
+    await t.commit();
+    res.status(201).json({ ...special.toJSON(), assessments });
+  } catch (error) {
+    await t.rollback();
+    sendHttpError(res, error, 'levy special assessment for association');
+  }
+});
+
+app.get('/api/associations/:id/payments', authorize('payments', 'read'), async (req, res) => {
+  try {
+    const association = await findOrgAssociation(req.params.id, req.organization.id);
+    const where = { association_id: association.id };
+    if (req.query.unit_id) where.unit_id = req.query.unit_id;
+    res.json(await AssessmentPayment.findAll({
+      where,
+      include: [Unit, Homeowner, { model: AssessmentApplication, as: 'applications' }],
+      order: [['date', 'DESC'], ['id', 'DESC']]
+    }));
+  } catch (error) {
+    sendHttpError(res, error, 'fetch payments for association');
+  }
+});
+
+// Money received from a homeowner: cash up, homeowner receivable down, applied to the unit's oldest dues
+app.post('/api/associations/:id/payments', authorize('payments', 'write'), async (req, res) => {
+  const t = await sequelize.transaction();
+  try {
+    const association = await findOrgAssociation(req.params.id, req.organization.id, t);
+    const { unit_id, amount, payment_method, reference } = req.body;
+    const date = formatReportDate(req.body.date ? parseReportDate(req.body.date, 'date') : new Date());
+    const unit = (await associationUnits(association, t)).find(candidate => candidate.id === parseInt(unit_id, 10));
+    if (!unit) {
+      throw new HttpError(400, 'Unit not found in this association');
+    }
+    if (toCents(amount) <= 0) {
+      throw new HttpError(400, 'Amount must be greater than zero');
+    }
+    const homeowner = unit.Homeowners[0];
+    const organizationId = association.Property.organization_id;
+    const record = await recordTransaction({
+      organizationId,
+      date,
+      description: `Association payment - Unit ${unit.unit_number}${homeowner && homeowner.name ? ` (${homeowner.name})` : ''}`,
+      amount: fromCents(toCents(amount)),
+      accountId: (await findSystemAccount(organizationId, 'operatingCash', t)).id,
+      offsetAccountId: (await findSystemAccount(organizationId, 'homeownerReceivable', t)).id,
+      propertyId: association.property_id,
+      source: 'association_payment'
+    }, t);
+    const payment = await AssessmentPayment.create({
+      association_id: association.id,
+      unit_id: unit.id,
+      homeowner_id: homeowner ? homeowner.id : null,
+      date,
+      amount: fromCents(toCents(amount)),
+      payment_method,
+      reference,
+      transactionId: record.id
+    }, { transaction: t });
+    await applyUnitAssessments(association.id, unit.id, t);
+    await t.commit();
+    res.status(201).json(await AssessmentPayment.findByPk(payment.id, {
+      include: [{ model: AssessmentApplication, as: 'applications' }]
+    }));
+  } catch (error) {
+    await t.rollback();
+    sendHttpError(res, error, 'record payment for association');
+  }
+});
 
-Account.belongsTo(AccountType, { foreignKey: 'accountTypeId' });
-AccountType.hasMany(Account, { foreignKey: 'accountTypeId' });
-Transaction.belongsTo(Account, { foreignKey: 'accountId' });
-Account.hasMany(Transaction, { foreignKey: 'accountId' });
-Transaction.belongsTo(Property, { foreignKey: 'propertyId' });
-Property.hasMany(Transaction, { foreignKey: 'propertyId' });
+// Delinquent units with their current reminder stage and the notices recorded so far
+app.get('/api/associations/:id/delinquencies', authorize('payments', 'read'), async (req, res) => {
+  try {
+    const association = await findOrgAssociation(req.params.id, req.organization.id);
+    const asOf = req.query.asOf ? parseReportDate(req.query.asOf, 'asOf') : new Date();
+    const delinquencies = await unitDelinquencies(association, asOf);
+    const units = new Map((await associationUnits(association)).map(unit => [unit.id, unit]));
+    const notices = await DelinquencyNotice.findAll({
+      where: { assessment_id: delinquencies.map(delinquency => delinquency.oldest_assessment_id) },
+      order: [['createdAt', 'ASC']]
+    });
+    res.json(delinquencies.map(delinquency => {
+      const unit = units.get(delinquency.unit_id);
+      return {
+        ...delinquency,
+        unit_number: unit ? unit.unit_number : null,
+        homeowner: unit && unit.Homeowners[0] ? unit.Homeowners[0].name : null,
+        notices: notices.filter(notice => notice.assessment_id === delinquency.oldest_assessment_id)
+      };
+    }).sort((a, b) => b.days_past_due - a.days_past_due));
+  } catch (error) {
+    sendHttpError(res, error, 'fetch delinquencies for association');
+  }
+});
+
+// Assessments and payments in date order with a running balance, for one unit or the whole association
+app.get('/api/associations/:id/ledger', authorize('payments', 'read'), async (req, res) => {
+  try {
+    const association = await findOrgAssociation(req.params.id, req.organization.id);
+    const where = { association_id: association.id };
+    if (req.query.unit_id) where.unit_id = req.query.unit_id;
+    const [assessments, payments] = await Promise.all([
+      Assessment.findAll({ where, include: [Unit] }),
+      AssessmentPayment.findAll({ where, include: [Unit] })
+    ]);
+
+    const entries = [
+      ...assessments.map(assessment => ({
+        date: assessment.assess_date,
+        type: assessment.type === 'special' ? 'special_assessment' : 'assessment',
+        id: assessment.id,
+        unit_id: assessment.unit_id,
+        unit_number: assessment.Unit ? assessment.Unit.unit_number : null,
+        description: assessment.description,
+        due_date: assessment.due_date,
+        charge: toCents(assessment.amount),
+        payment: 0
+      })),
+      ...payments.map(payment => ({
+        date: payment.date,
+        type: 'payment',
+        id: payment.id,
+        unit_id: payment.unit_id,
+        unit_number: payment.Unit ? payment.Unit.unit_number : null,
+        description: `Payment${payment.reference ? ` ${payment.reference}` : ''}`,
+        charge: 0,
+        payment: toCents(payment.amount)
+      }))
+    ].sort((a, b) => a.date.localeCompare(b.date) || (a.type === 'payment') - (b.type === 'payment') || a.id - b.id);
+
+    let balance = 0;
+    res.json({
+      association_id: association.id,
+      unit_id: req.query.unit_id ? parseInt(req.query.unit_id, 10) : null,
+      entries: entries.map(entry => {
+        balance += entry.charge - entry.payment;
+        return { ...entry, charge: fromCents(entry.charge), payment: fromCents(entry.payment), balance: fromCents(balance) };
+      }),
+      balance: fromCents(balance)
+    });
+  } catch (error) {
+    sendHttpError(res, error, 'fetch ledger for association');
+  }
+});
+
+// Collections report: per-unit aging of unpaid assessments, delinquency stage and last payment,
+// plus what was assessed and collected between `from` and `to`
+app.get('/api/associations/:id/collections', authorize('payments', 'read'), requireReportTier('basic'), async (req, res) => {
+  try {
+    const association = await findOrgAssociation(req.params.id, req.organization.id);
+    const range = reportRange(req.query);
+    const asOf = range.to;
+    const from = formatReportDate(range.from);
+    const to = formatReportDate(range.to);
+    const units = await associationUnits(association);
+    const stages = new Map((await unitDelinquencies(association, asOf)).map(delinquency => [delinquency.unit_id, delinquency]));
+    const [open, assessed, collected, lastPayments] = await Promise.all([
+      Assessment.findAll({ where: { association_id: association.id, balance: { [Sequelize.Op.gt]: 0 } } }),
+      Assessment.sum('amount', { where: { association_id: association.id, assess_date: { [Sequelize.Op.between]: [from, to] } } }),
+      AssessmentPayment.sum('amount', { where: { association_id: association.id, date: { [Sequelize.Op.between]: [from, to] } } }),
+      AssessmentPayment.findAll({
+        attributes: ['unit_id', [sequelize.fn('MAX', sequelize.col('date')), 'last_date']],
+        where: { association_id: association.id },
+        group: ['unit_id'],
+        raw: true
+      })
+    ]);
+    const lastPaymentByUnit = new Map(lastPayments.map(row => [row.unit_id, row.last_date]));
+
+    const totals = Object.fromEntries(AGING_BUCKETS.map(bucket => [bucket.key, 0]));
+    const rows = units.map(unit => {
+      const cents = Object.fromEntries(AGING_BUCKETS.map(bucket => [bucket.key, 0]));
+      for (const assessment of open.filter(candidate => candidate.unit_id === unit.id)) {
+        const daysPastDue = Math.max(0, Math.floor((asOf - new Date(`${assessment.due_date}T00:00:00.000Z`)) / DAY_MS));
+        cents[AGING_BUCKETS.find(bucket => daysPastDue <= bucket.max).key] += toCents(assessment.balance);
+      }
+      const total = AGING_BUCKETS.reduce((sum, bucket) => sum + cents[bucket.key], 0);
+      AGING_BUCKETS.forEach(bucket => { totals[bucket.key] += cents[bucket.key]; });
+      const delinquency = stages.get(unit.id);
+      return {
+        unit_id: unit.id,
+        unit_number: unit.unit_number,
+        homeowner: unit.Homeowners[0] ? unit.Homeowners[0].name : null,
+        ...Object.fromEntries(AGING_BUCKETS.map(bucket => [bucket.key, fromCents(cents[bucket.key])])),
+        balance: fromCents(total),
+        days_past_due: delinquency ? delinquency.days_past_due : 0,
+        stage: delinquency ? delinquency.stage : null,
+        last_payment_date: lastPaymentByUnit.get(unit.id) || null
+      };
+    }).sort((a, b) => b.balance - a.balance);
+
+    const assessedCents = toCents(assessed);
+    const collectedCents = toCents(collected);
+    const report = {
+      report: 'Association Collections',
+      association: association.name,
+      from,
+      to,
+      buckets: AGING_BUCKETS.map(bucket => ({ key: bucket.key, days: bucket.label })),
+      rows,
+      totals: {
+        ...Object.fromEntries(AGING_BUCKETS.map(bucket => [bucket.key, fromCents(totals[bucket.key])])),
+        balance: fromCents(rows.reduce((sum, row) => sum + toCents(row.balance), 0)),
+        delinquent_units: rows.filter(row => row.stage).length,
+        assessed: fromCents(assessedCents),
+        collected: fromCents(collectedCents),
+        collection_rate: assessedCents > 0 ? Math.round((collectedCents / assessedCents) * 1000) / 10 : null
+      }
+    };
+
+    if (req.query.format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="association-collections-${association.id}-${to}.csv"`);
+      return res.send(toCsv(
+        ['Unit', 'Homeowner', ...AGING_BUCKETS.map(bucket => bucket.label), 'Balance', 'Days Past Due', 'Stage', 'Last Payment'],
+        [
+          ...rows.map(row => [
+            row.unit_number, row.homeowner, ...AGING_BUCKETS.map(bucket => row[bucket.key]), row.balance,
+            row.days_past_due, row.stage, row.last_payment_date
+          ]),
+          ['Total', '', ...AGING_BUCKETS.map(bucket => report.totals[bucket.key]), report.totals.balance, '', '', '']
+        ]
+      ));
+    }
+    res.json(report);
+  } catch (error) {
+    sendHttpError(res, error, 'build collections report for association');
+  }
+});
+
+// Board governance: meetings with agenda, attendance and minutes; motions voted on by the board;
+// and the signed minutes packet
+const MEETING_FIELDS = ['title', 'meeting_type', 'scheduled_at', 'location', 'status', 'minutes'];
+const MOTION_FIELDS = ['meeting_id', 'agenda_item_id', 'title', 'description', 'moved_by', 'seconded_by', 'quorum', 'threshold'];
+
+const findOrgMeeting = async (id, organizationId, transaction) => {
+  const meeting = await BoardMeeting.findOne({
+    where: { id, association_id: await orgAssociationIds(organizationId) },
+    include: [{ model: MinutesSignature, as: 'signatures' }],
+    transaction
+  });
+  if (!meeting) {
+    throw new HttpError(404, 'Meeting not found');
+  }
+  return meeting;
+};
+
+const findOrgMotion = async (id, organizationId, transaction) => {
+  const motion = await Motion.findOne({
+    where: { id, association_id: await orgAssociationIds(organizationId) },
+    include: [{ model: MotionVote, as: 'votes' }],
+    transaction
+  });
+  if (!motion) {
+    throw new HttpError(404, 'Motion not found');
+  }
+  return motion;
+};
+
+// Signed minutes are the record of the meeting; changing anything in them would void the signatures
+const assertMinutesUnsigned = (meeting) => {
+  if (meeting.signatures && meeting.signatures.length > 0) {
+    throw new HttpError(409, 'The minutes of this meeting have been signed and can no longer be changed');
+  }
+};
+
+const activeBoardMembers = (associationId, transaction) => BoardMember.findAll({
+  where: { association_id: associationId, is_active: true },
+  order: [['id', 'ASC']],
+  transaction
+});
+
+// The board member acting in a request: the caller's own seat, or with properties write access,
+// the member named in board_member_id (a vote or signature entered on their behalf)
+const actingBoardMember = async (req, associationId, boardMemberId, transaction) => {
+  const own = await BoardMember.findOne({
+    where: { association_id: associationId, user_id: req.user.id, is_active: true },
+    transaction
+  });
+  if (!boardMemberId || (own && own.id === parseInt(boardMemberId, 10))) {
+    if (!own) {
+      throw new HttpError(403, 'Only active board members of this association can do this');
+    }
+    return { member: own, recordedBy: null };
+  }
+  if (!can(req.membership, 'properties', 'write')) {
+    throw new HttpError(403, `The ${req.membership.role} role cannot act for another board member`);
+  }
+  const member = await BoardMember.findOne({
+    where: { id: boardMemberId, association_id: associationId, is_active: true },
+    transaction
+  });
+  if (!member) {
+    throw new HttpError(400, 'Board member not found');
+  }
+  return { member, recordedBy: req.user.id };
+};
+
+const replaceAgenda = async (meeting, agenda, transaction) => {
+  if (!Array.isArray(agenda) || agenda.some(item => !item || !item.title)) {
+    throw new HttpError(400, 'agenda must be a list of items with a title');
+  }
+  const existing = await AgendaItem.findAll({ where: { meeting_id: meeting.id }, transaction });
+  const kept = agenda.filter(item => item.id).map(item => parseInt(item.id, 10));
+  if (kept.some(id => !existing.some(item => item.id === id))) {
+    throw new HttpError(400, 'Agenda item not found');
+  }
+  const removed = existing.filter(item => !kept.includes(item.id)).map(item => item.id);
+  if (removed.length > 0 && await Motion.count({ where: { agenda_item_id: removed }, transaction })) {
+    throw new HttpError(409, 'An agenda item with motions cannot be removed');
+  }
+  await AgendaItem.destroy({ where: { id: removed }, transaction });
+  for (const [index, item] of agenda.entries()) {
+    const values = { meeting_id: meeting.id, position: index + 1, title: item.title, description: item.description || null };
+    if (item.id) {
+      await AgendaItem.update(values, { where: { id: item.id }, transaction });
+    } else {
+      await AgendaItem.create(values, { transaction });
+    }
+  }
+};
+
+const tallyVotes = (motion) => {
+  const counts = { yes: 0, no: 0, abstain: 0 };
+  for (const vote of motion.votes || []) counts[vote.vote] += 1;
+  const cast = counts.yes + counts.no + counts.abstain;
+  return {
+    ...counts,
+    cast,
+    quorum: motion.quorum,
+    quorum_met: cast >= motion.quorum,
+    passing: cast >= motion.quorum && MOTION_THRESHOLDS[motion.threshold](counts.yes, counts.no)
+  };
+};
+
+const isVotingOpen = (motion, now = new Date()) =>
+  motion.status === 'open' &&
+  (!motion.voting_opens_at || new Date(motion.voting_opens_at) <= now) &&
+  (!motion.voting_closes_at || now < new Date(motion.voting_closes_at));
+
+const votingWindow = ({ voting_opens_at, voting_closes_at }) => {
+  const opens = voting_opens_at ? new Date(voting_opens_at) : new Date();
+  const closes = voting_closes_at ? new Date(voting_closes_at) : null;
+  if (isNaN(opens) || (closes && isNaN(closes))) {
+    throw new HttpError(400, 'voting_opens_at and voting_closes_at must be valid dates');
+  }
+  if (closes && closes <= opens) {
+    throw new HttpError(400, 'voting_closes_at must be after voting_opens_at');
+  }
+  return { voting_opens_at: opens, voting_closes_at: closes };
+};
+
+// Record the outcome: no_quorum when too few members voted, otherwise passed or failed on the threshold
+const closeMotion = async (motion, transaction, now = new Date()) => {
+  const tally = tallyVotes(motion);
+  let status = 'failed';
+  if (!tally.quorum_met) status = 'no_quorum';
+  else if (tally.passing) status = 'passed';
+  await motion.update({
+    status,
+    yes_count: tally.yes,
+    no_count: tally.no,
+    abstain_count: tally.abstain,
+    decided_at: now
+  }, { transaction });
+  return motion;
+};
+
+const closeExpiredMotions = async (asOf = new Date()) => {
+  const motions = await Motion.findAll({
+    where: { status: 'open', voting_closes_at: { [Sequelize.Op.lte]: asOf } },
+    include: [{ model: MotionVote, as: 'votes' }]
+  });
+  for (const motion of motions) {
+    await closeMotion(motion, undefined, new Date(motion.voting_closes_at));
+  }
+  return motions;
+};
+
+scheduleJob('motion voting', async (asOf) => {
+  const closed = await closeExpiredMotions(asOf);
+  if (closed.length > 0) {
+    console.log(`Closed voting on ${closed.length} motion(s)`);
+  }
+});
+
+const presentMotion = (motion) => ({
+  ...motion.toJSON(),
+  tally: tallyVotes(motion),
+  voting_open: isVotingOpen(motion)
+});
+
+const loadMeetingDetail = (id, transaction) => BoardMeeting.findByPk(id, {
+  include: [
+    Association,
+    { model: AgendaItem, as: 'agenda' },
+    { model: MeetingAttendance, as: 'attendance', include: [BoardMember] },
+    {
+      model: Motion,
+      as: 'motions',
+      include: [
+        { model: MotionVote, as: 'votes', include: [BoardMember] },
+        { model: BoardMember, as: 'mover' },
+        { model: BoardMember, as: 'seconder' }
+      ]
+    },
+    { model: MinutesSignature, as: 'signatures', include: [BoardMember] }
+  ],
+  order: [
+    [{ model: AgendaItem, as: 'agenda' }, 'position', 'ASC'],
+    [{ model: Motion, as: 'motions' }, 'id', 'ASC'],
+    [{ model: MinutesSignature, as: 'signatures' }, 'signed_at', 'ASC']
+  ],
+  transaction
+});
+
+// The minutes packet: everything the signatures attest to, and a SHA-256 digest over it. The roll
+// call lists the whole board, so a quorum is a majority of it being present. The digest identifies
+// the association and board members by id, so correcting a name doesn't void the signatures.
+const minutesPacket = (meeting) => {
+  // Attendance loads in no particular order; the digest must not depend on it
+  const attendance = [...meeting.attendance].sort((a, b) => a.board_member_id - b.board_member_id);
+  const present = attendance.filter(attendee => attendee.present);
+  const memberName = (member) => (member ? member.name : null);
+  const content = {
+    association: meeting.Association.name,
+    meeting: {
+      id: meeting.id,
+      title: meeting.title,
+      meeting_type: meeting.meeting_type,
+      scheduled_at: meeting.scheduled_at,
+      location: meeting.location,
+      status: meeting.status
+    },
+    agenda: meeting.agenda.map(item => ({ position: item.position, title: item.title, description: item.description })),
+    attendance: {
+      present: present.map(attendee => memberName(attendee.BoardMember)),
+      absent: attendance.filter(attendee => !attendee.present).map(attendee => memberName(attendee.BoardMember)),
+      quorum_present: present.length > attendance.length / 2
+    },
+    minutes: meeting.minutes || '',
+    motions: meeting.motions.map(motion => ({
+      id: motion.id,
+      title: motion.title,
+      description: motion.description,
+      moved_by: memberName(motion.mover),
+      seconded_by: memberName(motion.seconder),
+      threshold: motion.threshold,
+      quorum: motion.quorum,
+      status: motion.status,
+      yes: motion.yes_count,
+      no: motion.no_count,
+      abstain: motion.abstain_count,
+      decided_at: motion.decided_at,
+      votes: motion.votes.map(vote => ({ member: memberName(vote.BoardMember), vote: vote.vote }))
+        .sort((a, b) => String(a.member).localeCompare(String(b.member)))
+    }))
+  };
+  const attested = {
+    ...content,
+    association: meeting.association_id,
+    attendance: {
+      present: present.map(attendee => attendee.board_member_id),
+      absent: attendance.filter(attendee => !attendee.present).map(attendee => attendee.board_member_id),
+      quorum_present: content.attendance.quorum_present
+    },
+    motions: meeting.motions.map((motion, index) => ({
+      ...content.motions[index],
+      moved_by: motion.moved_by,
+      seconded_by: motion.seconded_by,
+      votes: motion.votes.map(vote => ({ member: vote.board_member_id, vote: vote.vote })).sort((a, b) => a.member - b.member)
+    }))
+  };
+  const digest = crypto.createHash('sha256').update(JSON.stringify(attested)).digest('hex');
+  return { content, digest };
+};
+
+const packetText = ({ content, digest }, signatures) => {
+  const lines = [
+    `${content.association || 'Association'} - Minutes of ${content.meeting.title}`,
+    `${content.meeting.meeting_type} meeting, ${new Date(content.meeting.scheduled_at).toISOString()}${content.meeting.location ? `, ${content.meeting.location}` : ''}`,
+    '',
+    `Present: ${content.attendance.present.join(', ') || 'none'}`,
+    `Absent: ${content.attendance.absent.join(', ') || 'none'}`,
+    `Quorum ${content.attendance.quorum_present ? 'present' : 'not present'} (${content.attendance.present.length} of ${content.attendance.present.length + content.attendance.absent.length})`,
+    '',
+    'Agenda',
+    ...content.agenda.map(item => `  ${item.position}. ${item.title}${item.description ? ` - ${item.description}` : ''}`),
+    '',
+    'Minutes',
+    content.minutes,
+    '',
+    'Motions'
+  ];
+  for (const motion of content.motions) {
+    lines.push(`  ${motion.title}: ${motion.status.toUpperCase()} (yes ${motion.yes || 0}, no ${motion.no || 0}, abstain ${motion.abstain || 0}; ${motion.threshold}, quorum ${motion.quorum})`);
+    if (motion.moved_by) lines.push(`    Moved by ${motion.moved_by}${motion.seconded_by ? `, seconded by ${motion.seconded_by}` : ''}`);
+    for (const vote of motion.votes) lines.push(`    ${vote.member}: ${vote.vote}`);
+  }
+  lines.push('', 'Signatures');
+  for (const signature of signatures) {
+    lines.push(`  ${signature.member}${signature.title ? ` (${signature.title})` : ''} signed ${new Date(signature.signed_at).toISOString()}${signature.valid ? '' : ' - NOT VALID for this version'}`);
+  }
+  lines.push('', `Digest (SHA-256): ${digest}`);
+  return `${lines.join('\n')}\n`;
+};
+
+const validateBoardMemberUser = async (userId, organizationId) => {
+  if (userId === undefined || userId === null) return;
+  if (!(await OrganizationMember.count({ where: { organization_id: organizationId, user_id: userId } }))) {
+    throw new HttpError(400, 'The user is not a member of this organization');
+  }
+};
+
+app.put('/api/board-members/:id', authorize('properties', 'write'), async (req, res) => {
+  try {
+    const boardMember = await BoardMember.findOne({
+      where: { id: req.params.id, association_id: await orgAssociationIds(req.organization.id) }
+    });
+    if (!boardMember) {
+      return res.status(404).json({ error: 'Board member not found' });
+    }
+    const values = pickFields(req.body, ['name', 'email', 'phone', 'title', 'user_id', 'is_active']);
+    await validateBoardMemberUser(values.user_id, req.organization.id);
+    await boardMember.update(values);
+    res.json(boardMember);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error updating board member:', error);
+    res.status(500).json({ error: 'Failed to update board member' });
+  }
+});
+
+app.get('/api/associations/:id/meetings', authorize('properties', 'read'), async (req, res) => {
+  try {
+    const association = await findOrgAssociation(req.params.id, req.organization.id);
+    const where = { association_id: association.id };
+    if (req.query.status) where.status = req.query.status;
+    res.json(await BoardMeeting.findAll({
+      where,
+      include: [{ model: AgendaItem, as: 'agenda' }],
+      order: [['scheduled_at', 'DESC'], [{ model: AgendaItem, as: 'agenda' }, 'position', 'ASC']]
+    }));
+  } catch (error) {
+    sendHttpError(res, error, 'fetch meeting');
+  }
+});
+
+app.post('/api/associations/:id/meetings', authorize('properties', 'write'), async (req, res) => {
+  const t = await sequelize.transaction();
+  try {
+    const association = await findOrgAssociation(req.params.id, req.organization.id, t);
+    const values = pickFields(req.body, MEETING_FIELDS);
+    if (!values.title || !values.scheduled_at || isNaN(new Date(values.scheduled_at))) {
+      throw new HttpError(400, 'title and a valid scheduled_at are required');
+    }
+    if (values.meeting_type && !MEETING_TYPES.includes(values.meeting_type)) {
+      throw new HttpError(400, `meeting_type must be one of: ${MEETING_TYPES.join(', ')}`);
+    }
+    const meeting = await BoardMeeting.create({ ...values, association_id: association.id, status: 'scheduled' }, { transaction: t });
+    if (req.body.agenda) {
+      await replaceAgenda(meeting, req.body.agenda, t);
+    }
+    await t.commit();
+    res.status(201).json(await loadMeetingDetail(meeting.id));
+  } catch (error) {
+    await t.rollback();
+    sendHttpError(res, error, 'create meeting');
+  }
+});
+
+app.get('/api/board-meetings/:id', authorize('properties', 'read'), async (req, res) => {
+  try {
+    const meeting = await loadMeetingDetail((await findOrgMeeting(req.params.id, req.organization.id)).id);
+    res.json({ ...meeting.toJSON(), motions: meeting.motions.map(presentMotion) });
+  } catch (error) {
+    sendHttpError(res, error, 'fetch meeting');
+  }
+});
+
+app.put('/api/board-meetings/:id', authorize('properties', 'write'), async (req, res) => {
+  const t = await sequelize.transaction();
+  try {
+    const meeting = await findOrgMeeting(req.params.id, req.organization.id, t);
+    assertMinutesUnsigned(meeting);
+    const values = pickFields(req.body, MEETING_FIELDS);
+    if (values.status && !MEETING_STATUSES.includes(values.status)) {
+      throw new HttpError(400, `status must be one of: ${MEETING_STATUSES.join(', ')}`);
+    }
+    if (values.meeting_type && !MEETING_TYPES.includes(values.meeting_type)) {
+      throw new HttpError(400, `meeting_type must be one of: ${MEETING_TYPES.join(', ')}`);
+    }
+    if (values.scheduled_at !== undefined && isNaN(new Date(values.scheduled_at))) {
+      throw new HttpError(400, 'scheduled_at must be a valid date');
+    }
+    await meeting.update(values, { transaction: t });
+    if (req.body.agenda) {
+      await replaceAgenda(meeting, req.body.agenda, t);
+    }
+    await t.commit();
+    res.json(await loadMeetingDetail(meeting.id));
+  } catch (error) {
+    await t.rollback();
+    sendHttpError(res, error, 'update meeting');
+  }
+});
+
+// Replace the roll call: [{ board_member_id, present }]
+app.put('/api/board-meetings/:id/attendance', authorize('properties', 'write'), async (req, res) => {
+  const t = await sequelize.transaction();
+  try {
+    const meeting = await findOrgMeeting(req.params.id, req.organization.id, t);
+    assertMinutesUnsigned(meeting);
+    const attendees = req.body.attendees;
+    if (!Array.isArray(attendees)) {
+      throw new HttpError(400, 'attendees must be a list of { board_member_id, present }');
+    }
+    const memberIds = (await BoardMember.findAll({ where: { association_id: meeting.association_id }, transaction: t }))
+      .map(member => member.id);
+    if (attendees.some(attendee => !memberIds.includes(parseInt(attendee.board_member_id, 10)))) {
+      throw new HttpError(400, 'Every attendee must be a board member of the association');
+    }
+    await MeetingAttendance.destroy({ where: { meeting_id: meeting.id }, transaction: t });
+    await MeetingAttendance.bulkCreate(attendees.map(attendee => ({
+      meeting_id: meeting.id,
+      board_member_id: attendee.board_member_id,
+      present: attendee.present !== false
+    })), { transaction: t });
+    await t.commit();
+    res.json(await loadMeetingDetail(meeting.id));
+  } catch (error) {
+    await t.rollback();
+    sendHttpError(res, error, 'record attendance for meeting');
+  }
+});
+
+app.delete('/api/board-meetings/:id', authorize('properties', 'write'), async (req, res) => {
+  const t = await sequelize.transaction();
+  try {
+    const meeting = await findOrgMeeting(req.params.id, req.organization.id, t);
+    assertMinutesUnsigned(meeting);
+    const motionIds = (await Motion.findAll({ where: { meeting_id: meeting.id }, transaction: t })).map(motion => motion.id);
+    if (motionIds.length > 0 && await MotionVote.count({ where: { motion_id: motionIds }, transaction: t })) {
+      throw new HttpError(409, 'Motions of this meeting have been voted on; cancel the meeting instead');
+    }
+    await Motion.destroy({ where: { id: motionIds }, transaction: t });
+    await MeetingAttendance.destroy({ where: { meeting_id: meeting.id }, transaction: t });
+    await AgendaItem.destroy({ where: { meeting_id: meeting.id }, transaction: t });
+    await meeting.destroy({ transaction: t });
+    await t.commit();
+    res.status(204).send();
+  } catch (error) {
+    await t.rollback();
+    sendHttpError(res, error, 'delete meeting');
+  }
+});
+
+app.get('/api/associations/:id/motions', authorize('properties', 'read'), async (req, res) => {
+  try {
+    const association = await findOrgAssociation(req.params.id, req.organization.id);
+    const where = { association_id: association.id };
+    if (req.query.status) where.status = req.query.status;
+    if (req.query.meeting_id) where.meeting_id = req.query.meeting_id;
+    const motions = await Motion.findAll({
+      where,
+      include: [{ model: MotionVote, as: 'votes' }],
+      order: [['createdAt', 'DESC']]
+    });
+    res.json(motions.map(presentMotion));
+  } catch (error) {
+    sendHttpError(res, error, 'fetch motion');
+  }
+});
+
+// Put a motion to the board. Quorum defaults to a majority of the active board; with `open` voting
+// starts right away (or at voting_opens_at) and runs until voting_closes_at or until it is closed.
+app.post('/api/associations/:id/motions', authorize('properties', 'write'), async (req, res) => {
+  const t = await sequelize.transaction();
+  try {
+    const association = await findOrgAssociation(req.params.id, req.organization.id, t);
+    const values = pickFields(req.body, MOTION_FIELDS);
+    if (!values.title) {
+      throw new HttpError(400, 'title is required');
+    }
+    if (values.threshold && !MOTION_THRESHOLDS[values.threshold]) {
+      throw new HttpError(400, `threshold must be one of: ${Object.keys(MOTION_THRESHOLDS).join(', ')}`);
+    }
+    if (values.meeting_id) {
+      const meeting = await findOrgMeeting(values.meeting_id, req.organization.id, t);
+      if (meeting.association_id !== association.id) {
+        throw new HttpError(400, 'Meeting not found');
+      }
+      assertMinutesUnsigned(meeting);
+    }
+    if (values.agenda_item_id && !(await AgendaItem.count({
+      where: { id: values.agenda_item_id, meeting_id: values.meeting_id || null },
+      transaction: t
+    }))) {
+      throw new HttpError(400, 'Agenda item not found on this meeting');
+    }
+    const board = await activeBoardMembers(association.id, t);
+    if (board.length === 0) {
+      throw new HttpError(400, 'The association has no active board members');
+    }
+    for (const field of ['moved_by', 'seconded_by']) {
+      if (values[field] && !board.some(member => member.id === parseInt(values[field], 10))) {
+        throw new HttpError(400, `${field} must be an active board member`);
+      }
+    }
+    if (values.quorum === undefined) {
+      values.quorum = Math.floor(board.length / 2) + 1;
+    } else if (!(Number.isInteger(Number(values.quorum)) && values.quorum >= 1 && values.quorum <= board.length)) {
+      throw new HttpError(400, `quorum must be between 1 and ${board.length}`);
+    }
+    const window = votingWindow(req.body);
+    const motion = await Motion.create({
+      ...values,
+      association_id: association.id,
+      ...(req.body.open ? { status: 'open', ...window } : { status: 'pending' })
+    }, { transaction: t });
+    await t.commit();
+    res.status(201).json(presentMotion(await findOrgMotion(motion.id, req.organization.id)));
+  } catch (error) {
+    await t.rollback();
+    sendHttpError(res, error, 'create motion');
+  }
+});
+
+app.get('/api/motions/:id', authorize('properties', 'read'), async (req, res) => {
+  try {
+    const motion = await Motion.findByPk((await findOrgMotion(req.params.id, req.organization.id)).id, {
+      include: [
+        { model: MotionVote, as: 'votes', include: [BoardMember] },
+        { model: BoardMember, as: 'mover' },
+        { model: BoardMember, as: 'seconder' },
+        BoardMeeting,
+        AgendaItem
+      ]
+    });
+    res.json(presentMotion(motion));
+  } catch (error) {
+    sendHttpError(res, error, 'fetch motion');
+  }
+});
+
+app.post('/api/motions/:id/open', authorize('properties', 'write'), async (req, res) => {
+  try {
+    const motion = await findOrgMotion(req.params.id, req.organization.id);
+    if (motion.status !== 'pending') {
+      throw new HttpError(409, `Voting cannot be opened on a ${motion.status} motion`);
+    }
+    await motion.update({ status: 'open', ...votingWindow(req.body) });
+    res.json(presentMotion(motion));
+  } catch (error) {
+    sendHttpError(res, error, 'open voting on motion');
+  }
+});
+
+// Cast or change a vote while voting is open. Board members vote for themselves; staff with
+// properties write access may enter a vote for board_member_id.
+app.post('/api/motions/:id/votes', authorize('properties', 'read'), async (req, res) => {
+  const t = await sequelize.transaction();
+  try {
+    const motion = await findOrgMotion(req.params.id, req.organization.id, t);
+    if (!VOTES.includes(req.body.vote)) {
+      throw new HttpError(400, `vote must be one of: ${VOTES.join(', ')}`);
+    }
+    if (!isVotingOpen(motion)) {
+      throw new HttpError(409, 'Voting on this motion is not open');
+    }
+    const { member, recordedBy } = await actingBoardMember(req, motion.association_id, req.body.board_member_id, t);
+    const existing = motion.votes.find(vote => vote.board_member_id === member.id);
+    if (existing) {
+      await existing.update({ vote: req.body.vote, recorded_by: recordedBy }, { transaction: t });
+    } else {
+      await MotionVote.create({ motion_id: motion.id, board_member_id: member.id, vote: req.body.vote, recorded_by: recordedBy }, { transaction: t });
+    }
+    await t.commit();
+    res.json(presentMotion(await findOrgMotion(motion.id, req.organization.id)));
+  } catch (error) {
+    await t.rollback();
+    sendHttpError(res, error, 'vote on motion');
+  }
+});
+
+app.post('/api/motions/:id/close', authorize('properties', 'write'), async (req, res) => {
+  try {
+    const motion = await findOrgMotion(req.params.id, req.organization.id);
+    if (motion.status !== 'open') {
+      throw new HttpError(409, `Voting on a ${motion.status} motion cannot be closed`);
+    }
+    await closeMotion(motion);
+    res.json(presentMotion(motion));
+  } catch (error) {
+    sendHttpError(res, error, 'close voting on motion');
+  }
+});
+
+app.post('/api/motions/:id/withdraw', authorize('properties', 'write'), async (req, res) => {
+  try {
+    const motion = await findOrgMotion(req.params.id, req.organization.id);
+    if (!['pending', 'open'].includes(motion.status)) {
+      throw new HttpError(409, `A ${motion.status} motion cannot be withdrawn`);
+    }
+    await motion.update({ status: 'withdrawn', decided_at: new Date() });
+    res.json(presentMotion(motion));
+  } catch (error) {
+    sendHttpError(res, error, 'withdraw motion');
+  }
+});
+
+// Sign the minutes of a held meeting once every motion on it has been decided. The signature
+// stores the packet digest, so it only vouches for the version that was signed.
+app.post('/api/board-meetings/:id/signatures', authorize('properties', 'read'), async (req, res) => {
+  const t = await sequelize.transaction();
+  try {
+    const found = await findOrgMeeting(req.params.id, req.organization.id, t);
+    const meeting = await loadMeetingDetail(found.id, t);
+    if (meeting.status !== 'held') {
+      throw new HttpError(409, 'Only the minutes of a held meeting can be signed');
+    }
+    if (!meeting.minutes) {
+      throw new HttpError(409, 'The meeting has no minutes to sign');
+    }
+    if (meeting.motions.some(motion => ['pending', 'open'].includes(motion.status))) {
+      throw new HttpError(409, 'Close voting on every motion of the meeting before signing the minutes');
+    }
+    const { member, recordedBy } = await actingBoardMember(req, meeting.association_id, req.body.board_member_id, t);
+    if (meeting.signatures.some(signature => signature.board_member_id === member.id)) {
+      throw new HttpError(409, `${member.name} has already signed these minutes`);
+    }
+    const { digest } = minutesPacket(meeting);
+    const signature = await MinutesSignature.create({
+      meeting_id: meeting.id,
+      board_member_id: member.id,
+      digest,
+      signed_at: new Date(),
+      recorded_by: recordedBy
+    }, { transaction: t });
+    await t.commit();
+    res.status(201).json(signature);
+  } catch (error) {
+    await t.rollback();
+    sendHttpError(res, error, 'sign minutes of meeting');
+  }
+});
+
+// The minutes packet with its signatures, as JSON or (format=text) a plain-text document
+app.get('/api/board-meetings/:id/packet', authorize('properties', 'read'), async (req, res) => {
+  try {
+    const meeting = await loadMeetingDetail((await findOrgMeeting(req.params.id, req.organization.id)).id);
+    const packet = minutesPacket(meeting);
+    const signatures = meeting.signatures.map(signature => ({
+      member: signature.BoardMember ? signature.BoardMember.name : null,
+      title: signature.BoardMember ? signature.BoardMember.title : null,
+      signed_at: signature.signed_at,
+      digest: signature.digest,
+      valid: signature.digest === packet.digest
+    }));
+
+    if (req.query.format === 'text') {
+      res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="minutes-${meeting.id}.txt"`);
+      return res.send(packetText(packet, signatures));
+    }
+    res.json({
+      ...packet.content,
+      digest: packet.digest,
+      signatures,
+      signed: signatures.length > 0 && signatures.every(signature => signature.valid)
+    });
+  } catch (error) {
+    sendHttpError(res, error, 'build minutes packet for meeting');
+  }
+});
+
+// Tenant portal. Tenants aren't organization members: a staff member links a login to the Tenant
+// row and everything under /api/portal is limited to that tenant's own leases, payments and requests.
+const PORTAL_CONTACT_FIELDS = ['email', 'phone'];
+const PORTAL_MAINTENANCE_FIELDS = ['title', 'description', 'priority'];
+
+// Grant a tenant portal access: link the user with their email, or create one and send an invitation
+// to choose a password (the password reset flow)
+app.post('/api/tenants/:id/portal-access', authorize('tenants', 'write'), async (req, res) => {
+  const t = await sequelize.transaction();
+  try {
+    const tenant = await Tenant.findOne({ where: { id: req.params.id, organization_id: req.organization.id }, transaction: t });
+    if (!tenant) {
+      throw new HttpError(404, 'Tenant not found');
+    }
+    const email = (req.body.email || tenant.email || '').trim().toLowerCase();
+    if (!email) {
+      throw new HttpError(400, 'The tenant has no email address');
+    }
+
+    let user = await User.findOne({ where: { email }, transaction: t });
+    let token = null;
+    if (!user) {
+      token = crypto.randomBytes(32).toString('hex');
+      user = await User.create({
+        email,
+        name: tenant.name,
+        password_hash: await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 12),
+        password_reset_token_hash: hashToken(token),
+        password_reset_expires_at: new Date(Date.now() + PORTAL_INVITE_TTL_HOURS * 60 * 60 * 1000)
+      }, { transaction: t });
+    }
+    if (await Tenant.count({
+      where: { organization_id: req.organization.id, user_id: user.id, id: { [Sequelize.Op.ne]: tenant.id } },
+      transaction: t
+    })) {
+      throw new HttpError(409, 'This login already has portal access for another tenant');
+    }
+    await tenant.update({ user_id: user.id }, { transaction: t });
+    await t.commit();
+
+    if (token) {
+      await notify({
+        organizationId: req.organization.id,
+        type: 'portal_invite',
+        recipient: { user_id: user.id, name: tenant.name, email: user.email },
+        data: {
+          organization: req.organization.name,
+          reset_url: passwordResetUrl(token),
+          expires_in: `${PORTAL_INVITE_TTL_HOURS} hours`
+        }
+      });
+    }
+    res.status(201).json({ tenant_id: tenant.id, user: { id: user.id, email: user.email }, invited: Boolean(token) });
+  } catch (error) {
+    await t.rollback();
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error granting portal access:', error);
+    res.status(500).json({ error: 'Failed to grant portal access' });
+  }
+});
 
-Tenant.hasMany(Payment, { foreignKey: 'tenant_id' });
-Payment.belongsTo(Tenant, { foreignKey: 'tenant_id' });
+app.delete('/api/tenants/:id/portal-access', authorize('tenants', 'write'), async (req, res) => {
+  try {
+    const tenant = await Tenant.findOne({ where: { id: req.params.id, organization_id: req.organization.id } });
+    if (!tenant) {
+      return res.status(404).json({ error: 'Tenant not found' });
+    }
+    await tenant.update({ user_id: null });
+    res.status(204).send();
+  } catch (error) {
+    console.error('Error revoking portal access:', error);
+    res.status(500).json({ error: 'Failed to revoke portal access' });
+  }
+});
 
-// Maintenance relationships
-Property.hasMany(Maintenance, { foreignKey: 'property_id', as: 'maintenance' });
-Maintenance.belongsTo(Property, { foreignKey: 'property_id' });
+// The tenant record of the signed-in user. A login linked to tenants of several organizations has to
+// pick one with X-Tenant-Id; within one organization the most recent is used.
+const requireTenant = async (req, res, next) => {
+  try {
+    const where = { user_id: req.user.id };
+    if (req.headers['x-tenant-id']) {
+      where.id = parseInt(req.headers['x-tenant-id'], 10) || 0;
+    }
+    const tenants = await Tenant.findAll({
+      where,
+      include: [{ model: Organization, attributes: ['id', 'name'] }],
+      order: [['id', 'DESC']]
+    });
+    if (tenants.length === 0) {
+      return res.status(403).json({ error: 'This account has no tenant portal access' });
+    }
+    if (new Set(tenants.map(tenant => tenant.organization_id)).size > 1) {
+      return res.status(409).json({
+        error: 'This account has tenant portal access in several organizations; choose one with the X-Tenant-Id header',
+        tenants: tenants.map(tenant => ({
+          tenant_id: tenant.id,
+          organization_id: tenant.organization_id,
+          organization: tenant.Organization ? tenant.Organization.name : null
+        }))
+      });
+    }
+    req.tenant = tenants[0];
+    next();
+  } catch (error) {
+    console.error('Error loading tenant:', error);
+    res.status(500).json({ error: 'Failed to load tenant' });
+  }
+};
 
-Unit.hasMany(Maintenance, { foreignKey: 'unit_id', as: 'maintenance' });
-Maintenance.belongsTo(Unit, { foreignKey: 'unit_id' });
+const tenantLeaseIds = async (tenantId, transaction) =>
+  (await LeaseTenant.findAll({ where: { tenant_id: tenantId }, transaction })).map(link => link.lease_id);
 
-// Photo relationships
-Property.hasMany(Photo, { foreignKey: 'property_id', as: 'photos' });
-Photo.belongsTo(Property, { foreignKey: 'property_id' });
+const findPortalMaintenance = async (id, tenantId, transaction) => {
+  const maintenance = await Maintenance.findOne({ where: { id, tenant_id: tenantId }, transaction });
+  if (!maintenance) {
+    throw new HttpError(404, 'Maintenance request not found');
+  }
+  return maintenance;
+};
 
-Unit.hasMany(Photo, { foreignKey: 'unit_id', as: 'photos' });
-Photo.belongsTo(Unit, { foreignKey: 'unit_id' });
+// What a tenant sees of a request: no vendor details, staff notes or internal comments
+const presentPortalMaintenance = (maintenance) => ({
+  id: maintenance.id,
+  title: maintenance.title,
+  description: maintenance.description,
+  priority: maintenance.priority,
+  status: maintenance.status,
+  unit_id: maintenance.unit_id,
+  scheduled_for: maintenance.scheduled_for,
+  completed_at: maintenance.completed_at,
+  closed_at: maintenance.closed_at,
+  createdAt: maintenance.createdAt,
+  updatedAt: maintenance.updatedAt
+});
 
-// Subscription relationships
-SubscriptionPlan.hasMany(Subscription, { foreignKey: 'plan_id' });
-Subscription.belongsTo(SubscriptionPlan, { foreignKey: 'plan_id' });
+app.get('/api/portal/me', requireTenant, async (req, res) => {
+  try {
+    const lease = await currentLeaseForTenant(req.tenant.id);
+    const unit = lease ? await Unit.findByPk(lease.unit_id, { include: [PropertyAddress] }) : null;
+    const organization = await Organization.findByPk(req.tenant.organization_id, { attributes: ['id', 'name'] });
+    res.json({
+      id: req.tenant.id,
+      name: req.tenant.name,
+      email: req.tenant.email,
+      phone: req.tenant.phone,
+      organization,
+      unit: unit ? { id: unit.id, unit_number: unit.unit_number, address: unit.PropertyAddress } : null,
+      lease_id: lease ? lease.id : null
+    });
+  } catch (error) {
+    sendHttpError(res, error, 'fetch profile');
+  }
+});
 
-// Portfolio relationships
-Portfolio.belongsToMany(Property, { through: PortfolioProperty });
-Property.belongsToMany(Portfolio, { through: PortfolioProperty });
+app.put('/api/portal/me', requireTenant, async (req, res) => {
+  try {
+    const values = pickFields(req.body, PORTAL_CONTACT_FIELDS);
+    if (values.email !== undefined && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(values.email)) {
+      throw new HttpError(400, 'A valid email address is required');
+    }
+    await req.tenant.update(values);
+    res.json({ id: req.tenant.id, name: req.tenant.name, email: req.tenant.email, phone: req.tenant.phone });
+  } catch (error) {
+    sendHttpError(res, error, 'update contact details');
+  }
+});
 
-// API Routes
-app.get('/api/properties', async (req, res) => {
+// Every lease the tenant is on, newest first, with co-tenants by name only
+app.get('/api/portal/leases', requireTenant, async (req, res) => {
   try {
-    const properties = await Property.findAll({
+    const leases = await Lease.findAll({
+      where: { id: await tenantLeaseIds(req.tenant.id), status: { [Sequelize.Op.ne]: 'draft' } },
       include: [
-        {
-          model: PropertyAddress,
-          as: 'addresses',
-          include: [
-            {
-              model: Unit,
-              as: 'units'
-            }
-          ]
-        },
-        {
-          model: Photo,
-          as: 'photos'
-        }
-      ]
+        { model: Tenant, as: 'tenants', attributes: ['id', 'name'], through: { attributes: ['is_primary'] }, paranoid: false },
+        { model: Unit, attributes: ['id', 'unit_number'], paranoid: false, include: [{ model: PropertyAddress, paranoid: false }] }
+      ],
+      order: [['start_date', 'DESC']]
     });
-    res.json(properties);
+    res.json(leases);
   } catch (error) {
-    console.error('Error fetching properties:', error);
-    res.status(500).json({ error: 'Failed to fetch properties' });
+    sendHttpError(res, error, 'fetch leases');
   }
 });
 
-app.get('/api/properties/:id', async (req, res) => {
+app.get('/api/portal/balance', requireTenant, async (req, res) => {
   try {
-    const { id } = req.params;
-    const property = await Property.findByPk(id, {
-      include: [
-        {
-          model: PropertyAddress,
-          as: 'addresses',
-          include: [
-            {
-              model: Unit,
-              as: 'units'
-            }
-          ]
-        },
-        {
-          model: Photo,
-          as: 'photos'
-        }
-      ]
+    const lease = await currentLeaseForTenant(req.tenant.id);
+    const ledger = await tenantLedger(req.tenant);
+    const pending = await Payment.findAll({ where: { tenant_id: req.tenant.id, status: 'pending' } });
+    res.json({
+      balance: ledger.balance,
+      lease_id: lease ? lease.id : null,
+      payable: lease ? fromCents(await leaseOpenBalance(lease.id)) : 0,
+      pending_payments: fromCents(pending.reduce((sum, payment) => sum + toCents(payment.amount), 0))
     });
-    
-    if (!property) {
-      return res.status(404).json({ error: 'Property not found' });
-    }
-    
-    res.json(property);
   } catch (error) {
-    console.error('Error fetching property:', error);
-    res.status(500).json({ error: 'Failed to fetch property' });
+    sendHttpError(res, error, 'fetch balance');
   }
 });
 
-app.post('/api/properties', async (req, res) => {
-  const t = await sequelize.transaction();
+app.get('/api/portal/ledger', requireTenant, async (req, res) => {
   try {
-    console.log(`[${new Date().toISOString()}] Creating new property with data:`, JSON.stringify(req.body, null, 2));
-    const { name, property_type, status, value, owner_id, addresses } = req.body;
-    
-    // Create property
-    const property = await Property.create({
-      name,
-      property_type,
-      status,
-      value: value === '' ? 0 : parseFloat(value),
-      owner_id: owner_id || null
-    }, { transaction: t });
-
-    console.log(`[${new Date().toISOString()}] Created property:`, JSON.stringify(property, null, 2));
+    res.json(await tenantLedger(req.tenant, {
+      from: req.query.from ? formatReportDate(parseReportDate(req.query.from, 'from')) : null,
+      to: req.query.to ? formatReportDate(parseReportDate(req.query.to, 'to')) : null
+    }));
+  } catch (error) {
+    sendHttpError(res, error, 'build ledger');
+  }
+});
 
-    // Create addresses
-    if (addresses && addresses.length > 0) {
-      console.log(`[${new Date().toISOString()}] Creating ${addresses.length} addresses for property ${property.id}`);
-      const addressPromises = addresses.map((addr, index) => 
-        PropertyAddress.create({
-          ...addr,
-          property_id: property.id,
-          is_primary: index === 0 // First address is primary by default
-        }, { transaction: t })
-      );
-      await Promise.all(addressPromises);
-    }
+app.get('/api/portal/payments', requireTenant, async (req, res) => {
+  try {
+    const payments = await Payment.findAll({
+      where: {
+        [Sequelize.Op.or]: [{ tenant_id: req.tenant.id }, { lease_id: await tenantLeaseIds(req.tenant.id) }]
+      },
+      attributes: ['id', 'lease_id', 'amount', 'date', 'status', 'payment_method', 'refunded_amount', 'failure_message', 'createdAt'],
+      include: [{ model: PaymentRefund, as: 'refunds', attributes: ['id', 'amount', 'date'] }],
+      order: [['date', 'DESC'], ['id', 'DESC']]
+    });
+    res.json(payments);
+  } catch (error) {
+    sendHttpError(res, error, 'fetch payments');
+  }
+});
 
+// Pay rent online: a PaymentIntent for the open balance of the tenant's current lease
+app.post('/api/portal/payments', requireTenant, async (req, res) => {
+  const t = await sequelize.transaction();
+  try {
+    const intent = await createPaymentIntent({
+      tenantId: req.tenant.id,
+      lease: await currentLeaseForTenant(req.tenant.id, t),
+      amount: req.body.amount,
+      organizationId: req.tenant.organization_id
+    }, t);
     await t.commit();
-    console.log(`[${new Date().toISOString()}] Successfully committed transaction`);
+    res.status(201).json({ payment: intent.payment, client_secret: intent.client_secret });
+  } catch (error) {
+    await t.rollback();
+    sendPaymentIntentError(res, error);
+  }
+});
 
-    // Fetch the created property with its addresses
-    const createdProperty = await Property.findByPk(property.id, {
-      include: [
-        {
-          model: PropertyAddress,
-          as: 'addresses',
-          include: [
-            {
-              model: Unit,
-              as: 'units'
-            }
-          ]
-        },
-        {
-          model: Photo,
-          as: 'photos'
-        }
-      ]
+app.get('/api/portal/maintenance', requireTenant, async (req, res) => {
+  try {
+    const maintenance = await Maintenance.findAll({
+      where: { tenant_id: req.tenant.id },
+      order: [['createdAt', 'DESC']]
     });
+    res.json(maintenance.map(presentPortalMaintenance));
+  } catch (error) {
+    sendHttpError(res, error, 'fetch maintenance requests');
+  }
+});
 
-    res.status(201).json(createdProperty);
+// JSON or multipart/form-data with photos as `files`; the request is filed against the tenant's unit
+app.post('/api/portal/maintenance', requireTenant, acceptAttachmentFiles, async (req, res) => {
+  const t = await sequelize.transaction();
+  try {
+    const lease = await currentLeaseForTenant(req.tenant.id, t);
+    if (!lease || lease.status !== 'active') {
+      throw new HttpError(400, 'Maintenance requests can only be made for a unit under an active lease');
+    }
+    const values = pickFields(req.body, PORTAL_MAINTENANCE_FIELDS);
+    if (!values.title || !String(values.title).trim()) {
+      throw new HttpError(400, 'title is required');
+    }
+    const priority = values.priority || 'medium';
+    if (!MAINTENANCE_SLA_HOURS[priority]) {
+      throw new HttpError(400, `priority must be one of: ${Object.keys(MAINTENANCE_SLA_HOURS).join(', ')}`);
+    }
+    const maintenance = await createMaintenanceRequest({
+      ...values,
+      priority,
+      unit_id: lease.unit_id,
+      tenant_id: req.tenant.id,
+      reported_by: req.tenant.name
+    }, req.user.id, t);
+    const attachments = await storeMaintenanceAttachments(maintenance, req.files, { userId: req.user.id }, t);
+    await t.commit();
+    res.status(201).json({ ...presentPortalMaintenance(maintenance), attachments });
   } catch (error) {
     await t.rollback();
-    console.error('Error creating property:', {
-      message: error.message,
-      stack: error.stack,
-      requestBody: req.body
-    });
-    res.status(500).json({ 
-      error: 'Failed to create property',
-      details: error.message 
+    sendHttpError(res, error, 'submit maintenance request');
+  }
+});
+
+app.get('/api/portal/maintenance/:id', requireTenant, async (req, res) => {
+  try {
+    const maintenance = await findPortalMaintenance(req.params.id, req.tenant.id);
+    const [history, comments, attachments] = await Promise.all([
+      maintenance.getHistory({ attributes: ['from_status', 'to_status', 'createdAt'], order: [['createdAt', 'ASC'], ['id', 'ASC']] }),
+      maintenance.getComments({
+        where: { internal: false },
+        include: [{ model: MaintenanceAttachment, as: 'attachments' }],
+        order: [['createdAt', 'ASC'], ['id', 'ASC']]
+      }),
+      maintenance.getAttachments({ where: { comment_id: null }, order: [['createdAt', 'ASC']] })
+    ]);
+    res.json({
+      ...presentPortalMaintenance(maintenance),
+      history,
+      comments: threadComments(comments),
+      attachments
     });
+  } catch (error) {
+    sendHttpError(res, error, 'fetch maintenance request');
   }
 });
 
-app.put('/api/properties/:id', async (req, res) => {
+app.post('/api/portal/maintenance/:id/comments', requireTenant, acceptAttachmentFiles, async (req, res) => {
   const t = await sequelize.transaction();
   try {
-    const { id } = req.params;
-    const { name, property_type, status, value, owner_id, addresses, photos } = req.body;
-
-    // Update property
-    await Property.update({
-      name,
-      property_type,
-      status,
-      value: value === '' ? 0 : value,
-      owner_id
-    }, { 
-      where: { id },
-      transaction: t 
-    });
+    const maintenance = await findPortalMaintenance(req.params.id, req.tenant.id, t);
+    const { body, parent_id } = req.body;
+    if (!body || !String(body).trim()) {
+      throw new HttpError(400, 'Comment body is required');
+    }
+    if (parent_id && !(await MaintenanceComment.count({
+      where: { id: parent_id, maintenance_id: maintenance.id, internal: false },
+      transaction: t
+    }))) {
+      throw new HttpError(400, 'Parent comment not found');
+    }
+    const comment = await MaintenanceComment.create({
+      maintenance_id: maintenance.id,
+      parent_id: parent_id || null,
+      body,
+      user_id: req.user.id
+    }, { transaction: t });
+    const attachments = await storeMaintenanceAttachments(maintenance, req.files, { commentId: comment.id, userId: req.user.id }, t);
+    await t.commit();
+    res.status(201).json({ ...comment.toJSON(), attachments });
+  } catch (error) {
+    await t.rollback();
+    sendHttpError(res, error, 'comment on maintenance request');
+  }
+});
 
-    // Update addresses
-    if (addresses) {
-      // Delete removed addresses
-      const addressIds = addresses.filter(addr => addr.id).map(addr => addr.id);
-      await PropertyAddress.destroy({
-        where: {
-          property_id: id,
-          id: { [Sequelize.Op.notIn]: addressIds }
-        },
-        transaction: t
-      });
+// Rental applications: household members, references and documents for a unit, an application fee,
+// screening against the property's criteria, a reviewer decision and conversion into tenants and a lease
+const SCREENING_POLICY_FIELDS = ['property_id', 'min_income_ratio', 'required_documents', 'min_references', 'application_fee', 'is_active'];
+const APPLICATION_FIELDS = ['desired_move_in', 'monthly_rent', 'source', 'notes'];
+const APPLICANT_FIELDS = ['role', 'name', 'email', 'phone', 'date_of_birth', 'monthly_income', 'employer', 'job_title', 'employment_start_date', 'employer_phone'];
+const REFERENCE_FIELDS = ['reference_type', 'name', 'relationship', 'phone', 'email', 'verified', 'notes'];
 
-      // Update or create addresses
-      for (const [index, addr] of addresses.entries()) {
-        if (addr.id) {
-          await PropertyAddress.update(
-            { ...addr, is_primary: index === 0 },
-            { where: { id: addr.id }, transaction: t }
-          );
-        } else {
-          await PropertyAddress.create(
-            { ...addr, property_id: id, is_primary: index === 0 },
-            { transaction: t }
-          );
-        }
-      }
+const validateScreeningPolicy = async (values, organizationId, policyId) => {
+  if (values.min_income_ratio !== undefined && values.min_income_ratio !== null && !(parseFloat(values.min_income_ratio) >= 0)) {
+    return 'min_income_ratio must not be negative';
+  }
+  if (values.required_documents !== undefined && values.required_documents !== null &&
+    (!Array.isArray(values.required_documents) || values.required_documents.some(type => typeof type !== 'string' || !type))) {
+    return 'required_documents must be a list of document types';
+  }
+  if (values.min_references !== undefined && values.min_references !== null && !(parseInt(values.min_references, 10) >= 0)) {
+    return 'min_references must not be negative';
+  }
+  if (values.application_fee !== undefined && values.application_fee !== null && toCents(values.application_fee) < 0) {
+    return 'application_fee must not be negative';
+  }
+  if (values.property_id && !(await inOrganization(orgPropertyIds, values.property_id, organizationId))) {
+    return 'Property not found';
+  }
+  const duplicate = await ScreeningPolicy.findOne({
+    where: {
+      organization_id: organizationId,
+      property_id: values.property_id || null,
+      ...(policyId ? { id: { [Sequelize.Op.ne]: policyId } } : {})
     }
+  });
+  if (duplicate) {
+    return values.property_id ? 'Property already has a screening policy' : 'Organization already has a default screening policy';
+  }
+  return null;
+};
 
-    // Handle photos if provided
-    if (photos) {
-      // Get existing photos
-      const existingPhotos = await Photo.findAll({
-        where: { property_id: id },
-        transaction: t
+const unitPropertyId = async (unitId, transaction) => {
+  const unit = await Unit.findByPk(unitId, { include: [PropertyAddress], transaction });
+  return unit && unit.PropertyAddress ? unit.PropertyAddress.property_id : null;
+};
+
+// The unit's property policy, or the organization default
+const screeningPolicyFor = async (unitId, organizationId, transaction) => {
+  const policies = await ScreeningPolicy.findAll({
+    where: {
+      organization_id: organizationId,
+      is_active: true,
+      property_id: { [Sequelize.Op.or]: [null, await unitPropertyId(unitId, transaction)] }
+    },
+    transaction
+  });
+  return policies.find(policy => policy.property_id) || policies[0] || null;
+};
+
+// Check an application against the screening policy. Every check has to pass for a plain approval.
+const screenApplication = (application, policy) => {
+  const checks = [];
+  if (toCents(application.fee_amount) > 0) {
+    checks.push({
+      criterion: 'application_fee',
+      required: fromCents(toCents(application.fee_amount)),
+      actual: application.fee_status,
+      passed: ['paid', 'waived'].includes(application.fee_status)
+    });
+  }
+  if (policy) {
+    const income = application.applicants
+      .filter(applicant => applicant.role !== 'occupant')
+      .reduce((sum, applicant) => sum + toCents(applicant.monthly_income), 0);
+    const rent = toCents(application.monthly_rent);
+    const ratio = rent > 0 ? Math.round((income / rent) * 100) / 100 : null;
+    checks.push({
+      criterion: 'income_to_rent',
+      required: parseFloat(policy.min_income_ratio),
+      actual: ratio,
+      household_income: fromCents(income),
+      passed: rent > 0 && ratio >= parseFloat(policy.min_income_ratio)
+    });
+    const documentTypes = new Set(application.documents.map(document => document.document_type));
+    const missing = (policy.required_documents || []).filter(type => !documentTypes.has(type));
+    checks.push({
+      criterion: 'required_documents',
+      required: policy.required_documents || [],
+      actual: [...documentTypes],
+      missing,
+      passed: missing.length === 0
+    });
+    if (policy.min_references > 0) {
+      checks.push({
+        criterion: 'references',
+        required: policy.min_references,
+        actual: application.references.length,
+        passed: application.references.length >= policy.min_references
       });
-      
-      const existingPhotoIds = existingPhotos.map(p => p.id);
-      const updatedPhotoIds = photos.filter(p => p.id).map(p => p.id);
-      
-      // Delete photos that are no longer in the updated list
-      const photosToDelete = existingPhotoIds.filter(id => !updatedPhotoIds.includes(id));
-      if (photosToDelete.length > 0) {
-        await Photo.destroy({
-          where: {
-            id: { [Sequelize.Op.in]: photosToDelete }
-          },
-          transaction: t
-        });
-      }
-      
-      // Update or create photos
-      for (const photo of photos) {
-        if (photo.id) {
-          // Update existing photo
-          await Photo.update(
-            { 
-              name: photo.name,
-              is_main: photo.is_main
-            },
-            { where: { id: photo.id }, transaction: t }
-          );
-        } else {
-          // Create new photo
-          await Photo.create(
-            {
-              property_id: id,
-              name: photo.name,
-              url: photo.url,
-              is_main: photo.is_main
-            },
-            { transaction: t }
-          );
-        }
-      }
     }
+  }
+  return {
+    policy_id: policy ? policy.id : null,
+    passed: checks.every(check => check.passed),
+    checks,
+    screened_at: new Date()
+  };
+};
+
+const applicationIncludes = () => [
+  { model: Applicant, as: 'applicants' },
+  { model: ApplicationReference, as: 'references' },
+  { model: ApplicationDocument, as: 'documents' },
+  { model: Unit, include: [PropertyAddress] }
+];
+
+const findOrgApplication = async (id, organizationId, transaction) => {
+  const application = await RentalApplication.findOne({
+    where: { id, organization_id: organizationId },
+    include: applicationIncludes(),
+    order: [
+      [{ model: Applicant, as: 'applicants' }, 'id', 'ASC'],
+      [{ model: ApplicationReference, as: 'references' }, 'id', 'ASC'],
+      [{ model: ApplicationDocument, as: 'documents' }, 'id', 'ASC']
+    ],
+    transaction
+  });
+  if (!application) {
+    throw new HttpError(404, 'Application not found');
+  }
+  return application;
+};
+
+const assertApplicationTransition = (application, status) => {
+  if (!APPLICATION_TRANSITIONS[application.status].includes(status)) {
+    throw new HttpError(409, `Cannot move an application from ${application.status} to ${status}`);
+  }
+};
+
+// Replace an application's applicants or references with `rows`. Rows with an id update that row;
+// rows left out are removed.
+const replaceApplicationRows = async (Model, label, application, rows, fields, transaction) => {
+  if (!Array.isArray(rows) || rows.some(row => !row || !row.name)) {
+    throw new HttpError(400, `${label} must be a list with a name for each entry`);
+  }
+  const existing = await Model.findAll({ where: { application_id: application.id }, transaction });
+  const kept = rows.filter(row => row.id).map(row => parseInt(row.id, 10));
+  if (kept.some(id => !existing.some(row => row.id === id))) {
+    throw new HttpError(400, `Not all ${label} belong to this application`);
+  }
+  const removed = existing.filter(row => !kept.includes(row.id)).map(row => row.id);
+  if (Model === Applicant && removed.length > 0) {
+    await ApplicationDocument.update({ applicant_id: null }, { where: { applicant_id: removed }, transaction });
+  }
+  await Model.destroy({ where: { id: removed }, transaction });
+  for (const row of rows) {
+    const values = pickFields(row, fields);
+    if (row.id) {
+      await Model.update(values, { where: { id: row.id }, transaction });
+    } else {
+      await Model.create({ ...values, application_id: application.id }, { transaction });
+    }
+  }
+};
 
-    await t.commit();
+const validateApplicants = (applicants) => {
+  if (!Array.isArray(applicants) || applicants.length === 0) {
+    throw new HttpError(400, 'An application needs at least one applicant');
+  }
+  if (applicants.some(applicant => applicant.role && !APPLICANT_ROLES.includes(applicant.role))) {
+    throw new HttpError(400, `role must be one of: ${APPLICANT_ROLES.join(', ')}`);
+  }
+  if (!applicants.some(applicant => (applicant.role || 'applicant') === 'applicant')) {
+    throw new HttpError(400, 'One household member must be the applicant');
+  }
+};
 
-    // Fetch updated property
-    const updatedProperty = await Property.findByPk(id, {
-      include: [
-        {
-          model: PropertyAddress,
-          as: 'addresses',
-          include: [
-            {
-              model: Unit,
-              as: 'units'
-            }
-          ]
-        },
-        {
-          model: Photo,
-          as: 'photos'
-        }
-      ]
-    });
+const validateReferences = (references) => {
+  if (Array.isArray(references) && references.some(reference => reference.reference_type && !REFERENCE_TYPES.includes(reference.reference_type))) {
+    throw new HttpError(400, `reference_type must be one of: ${REFERENCE_TYPES.join(', ')}`);
+  }
+};
 
-    res.json(updatedProperty);
-  } catch (error) {
-    await t.rollback();
-    console.error('Error updating property:', error);
-    res.status(500).json({ error: 'Failed to update property' });
+// Book the fee: cash up, other income up
+const receiveApplicationFee = async (application, { payment_method, reference }, transaction) => {
+  const cash = await findSystemAccount(application.organization_id, 'operatingCash', transaction);
+  const income = await findSystemAccount(application.organization_id, 'otherIncome', transaction);
+  const record = await recordTransaction({
+    organizationId: application.organization_id,
+    date: new Date(),
+    description: `Application fee - application ${application.id}`,
+    amount: fromCents(toCents(application.fee_amount)),
+    accountId: cash.id,
+    offsetAccountId: income.id,
+    propertyId: await unitPropertyId(application.unit_id, transaction),
+    source: 'application_fee'
+  }, transaction);
+  await application.update({
+    fee_status: 'paid',
+    fee_paid_at: new Date(),
+    fee_payment_method: payment_method || null,
+    fee_reference: reference || null,
+    fee_transaction_id: record.id
+  }, { transaction });
+  return application;
+};
+
+// Webhook outcome of an application fee PaymentIntent; anything but success lets the fee be paid again
+const settleApplicationFeeIntent = async (intent, outcome, transaction) => {
+  const application = await RentalApplication.findOne({ where: { stripe_payment_intent_id: intent.id }, transaction });
+  if (!application || application.fee_status !== 'pending') return;
+  if (outcome === 'succeeded') {
+    await receiveApplicationFee(application, { payment_method: 'stripe', reference: intent.id }, transaction);
+  } else {
+    await application.update({ fee_status: 'unpaid' }, { transaction });
   }
+};
+
+const presentApplication = async (application, transaction) => ({
+  ...application.toJSON(),
+  allowed_transitions: APPLICATION_TRANSITIONS[application.status],
+  screening: screenApplication(application, await screeningPolicyFor(application.unit_id, application.organization_id, transaction))
 });
 
-app.post('/api/properties/:propertyId/addresses', async (req, res) => {
+const applicationDocumentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 20 * 1024 * 1024, files: 10 }
+});
+const acceptApplicationFiles = acceptUploads(applicationDocumentUpload.array('files', 10));
+
+app.get('/api/screening-policies', authorize('tenants', 'read'), async (req, res) => {
   try {
-    const { propertyId } = req.params;
-    const address = await PropertyAddress.create({
-      ...req.body,
-      property_id: propertyId
+    const policies = await ScreeningPolicy.findAll({
+      where: { organization_id: req.organization.id },
+      include: [Property],
+      order: [['property_id', 'ASC NULLS FIRST']]
     });
-    res.status(201).json(address);
+    res.json(policies);
   } catch (error) {
-    console.error('Error creating address:', error);
-    res.status(500).json({ error: 'Failed to create address' });
+    console.error('Error fetching screening policies:', error);
+    res.status(500).json({ error: 'Failed to fetch screening policies' });
   }
 });
 
-app.put('/api/properties/addresses/:id', async (req, res) => {
+app.post('/api/screening-policies', authorize('tenants', 'write'), async (req, res) => {
   try {
-    const { id } = req.params;
-    await PropertyAddress.update(req.body, {
-      where: { id }
-    });
-    const updatedAddress = await PropertyAddress.findByPk(id);
-    res.json(updatedAddress);
+    const values = pickFields(req.body, SCREENING_POLICY_FIELDS);
+    const validationError = await validateScreeningPolicy(values, req.organization.id);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    const policy = await ScreeningPolicy.create({ ...values, organization_id: req.organization.id });
+    res.status(201).json(policy);
   } catch (error) {
-    console.error('Error updating address:', error);
-    res.status(500).json({ error: 'Failed to update address' });
+    console.error('Error creating screening policy:', error);
+    res.status(500).json({ error: 'Failed to create screening policy' });
   }
 });
 
-app.delete('/api/properties/addresses/:id', async (req, res) => {
+app.put('/api/screening-policies/:id', authorize('tenants', 'write'), async (req, res) => {
   try {
-    const { id } = req.params;
-    await PropertyAddress.destroy({
-      where: { id }
-    });
+    const policy = await ScreeningPolicy.findOne({ where: { id: req.params.id, organization_id: req.organization.id } });
+    if (!policy) {
+      return res.status(404).json({ error: 'Screening policy not found' });
+    }
+    const values = pickFields(req.body, SCREENING_POLICY_FIELDS);
+    const validationError = await validateScreeningPolicy({ ...policy.get({ plain: true }), ...values }, req.organization.id, policy.id);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    await policy.update(values);
+    res.json(policy);
+  } catch (error) {
+    console.error('Error updating screening policy:', error);
+    res.status(500).json({ error: 'Failed to update screening policy' });
+  }
+});
+
+app.delete('/api/screening-policies/:id', authorize('tenants', 'write'), async (req, res) => {
+  try {
+    const policy = await ScreeningPolicy.findOne({ where: { id: req.params.id, organization_id: req.organization.id } });
+    if (!policy) {
+      return res.status(404).json({ error: 'Screening policy not found' });
+    }
+    // Decided applications record the policy they were screened against
+    if (await RentalApplication.count({ where: { organization_id: req.organization.id, screening_result: { policy_id: policy.id } } })) {
+      return res.status(409).json({ error: 'Applications were decided under this screening policy; set is_active to false instead' });
+    }
+    await policy.destroy();
     res.status(204).send();
   } catch (error) {
-    console.error('Error deleting address:', error);
-    res.status(500).json({ error: 'Failed to delete address' });
+    console.error('Error deleting screening policy:', error);
+    res.status(500).json({ error: 'Failed to delete screening policy' });
   }
 });
 
-app.get('/api/units', async (req, res) => {
+app.get('/api/applications', authorize('tenants', 'read'), async (req, res) => {
   try {
-    const units = await Unit.findAll({ 
-      include: [
-        PropertyAddress, 
-        Tenant,
-        {
-          model: Photo,
-          as: 'photos'
-        }
-      ] 
+    const where = { organization_id: req.organization.id };
+    if (req.query.status) where.status = req.query.status.split(',');
+    if (req.query.unit_id) where.unit_id = req.query.unit_id;
+    const applications = await RentalApplication.findAll({
+      where,
+      include: [{ model: Applicant, as: 'applicants', attributes: ['id', 'role', 'name', 'email'] }, Unit],
+      order: [['createdAt', 'DESC']]
     });
-    res.json(units);
+    res.json(applications);
   } catch (error) {
-    console.error('Error fetching units:', error);
-    res.status(500).json({ error: 'Failed to fetch units' });
+    sendHttpError(res, error, 'fetch application');
   }
 });
 
-app.get('/api/units/:id', async (req, res) => {
+app.get('/api/applications/:id', authorize('tenants', 'read'), async (req, res) => {
   try {
-    const { id } = req.params;
-    const unit = await Unit.findByPk(id, {
-      include: [
-        PropertyAddress, 
-        Tenant,
-        {
-          model: Photo,
-          as: 'photos'
-        }
-      ]
-    });
-    
-    if (!unit) {
-      return res.status(404).json({ error: 'Unit not found' });
+    const application = await findOrgApplication(req.params.id, req.organization.id);
+    res.json(await presentApplication(application));
+  } catch (error) {
+    sendHttpError(res, error, 'fetch application');
+  }
+});
+
+// Take an application for a unit: { unit_id, applicants: [...], references: [...] }. The fee comes
+// from the screening policy; without one there is nothing to pay.
+app.post('/api/applications', authorize('tenants', 'write'), async (req, res) => {
+  const t = await sequelize.transaction();
+  try {
+    if (!(await inOrganization(orgUnitIds, req.body.unit_id, req.organization.id))) {
+      throw new HttpError(400, 'Unit not found');
     }
-    
-    res.json(unit);
+    validateApplicants(req.body.applicants);
+    validateReferences(req.body.references);
+    const values = pickFields(req.body, APPLICATION_FIELDS);
+    const unit = await Unit.findByPk(req.body.unit_id, { transaction: t });
+    const policy = await screeningPolicyFor(unit.id, req.organization.id, t);
+    const fee = policy ? toCents(policy.application_fee) : 0;
+    const application = await RentalApplication.create({
+      ...values,
+      organization_id: req.organization.id,
+      unit_id: unit.id,
+      monthly_rent: values.monthly_rent !== undefined ? values.monthly_rent : unit.rent_amount,
+      status: 'submitted',
+      fee_amount: fromCents(fee),
+      fee_status: fee > 0 ? 'unpaid' : 'waived'
+    }, { transaction: t });
+    await replaceApplicationRows(Applicant, 'applicants', application, req.body.applicants, APPLICANT_FIELDS, t);
+    await replaceApplicationRows(ApplicationReference, 'references', application, req.body.references || [], REFERENCE_FIELDS, t);
+    await t.commit();
+    res.status(201).json(await presentApplication(await findOrgApplication(application.id, req.organization.id)));
   } catch (error) {
-    console.error('Error fetching unit:', error);
-    res.status(500).json({ error: 'Failed to fetch unit' });
+    await t.rollback();
+    sendHttpError(res, error, 'create application');
   }
 });
 
-app.post('/api/units', async (req, res) => {
+// Edit an application under consideration. `applicants` and `references` replace the lists when sent.
+app.put('/api/applications/:id', authorize('tenants', 'write'), async (req, res) => {
+  const t = await sequelize.transaction();
   try {
-    const unit = await Unit.create(req.body);
-    const createdUnit = await Unit.findByPk(unit.id, {
-      include: [
-        PropertyAddress, 
-        Tenant,
-        {
-          model: Photo,
-          as: 'photos'
-        }
-      ]
-    });
-    res.status(201).json(createdUnit);
+    const application = await findOrgApplication(req.params.id, req.organization.id, t);
+    if (!['submitted', 'under_review'].includes(application.status)) {
+      throw new HttpError(409, `A ${application.status} application can no longer be edited`);
+    }
+    const values = pickFields(req.body, APPLICATION_FIELDS);
+    await application.update(values, { transaction: t });
+    if (req.body.applicants !== undefined) {
+      validateApplicants(req.body.applicants);
+      await replaceApplicationRows(Applicant, 'applicants', application, req.body.applicants, APPLICANT_FIELDS, t);
+    }
+    if (req.body.references !== undefined) {
+      validateReferences(req.body.references);
+      await replaceApplicationRows(ApplicationReference, 'references', application, req.body.references, REFERENCE_FIELDS, t);
+    }
+    await t.commit();
+    res.json(await presentApplication(await findOrgApplication(application.id, req.organization.id)));
   } catch (error) {
-    console.error('Error creating unit:', error);
-    res.status(500).json({ error: 'Failed to create unit' });
+    await t.rollback();
+    sendHttpError(res, error, 'update application');
   }
 });
 
-app.get('/api/tenants', async (req, res) => {
+// multipart/form-data: `files` plus the document_type (and optionally applicant_id) they are
+app.post('/api/applications/:id/documents', authorize('tenants', 'write'), acceptApplicationFiles, async (req, res) => {
+  const t = await sequelize.transaction();
+  const storedKeys = [];
   try {
-    const tenants = await Tenant.findAll({ include: [Unit, Payment] });
-    res.json(tenants);
+    const application = await findOrgApplication(req.params.id, req.organization.id, t);
+    if (!req.files || req.files.length === 0) {
+      throw new HttpError(400, 'Upload at least one file as `files`');
+    }
+    if (!req.body.document_type) {
+      throw new HttpError(400, 'document_type is required');
+    }
+    if (req.body.applicant_id && !application.applicants.some(applicant => applicant.id === parseInt(req.body.applicant_id, 10))) {
+      throw new HttpError(400, 'Applicant not found on this application');
+    }
+    const documents = [];
+    for (const file of req.files) {
+      const key = `applications/${application.id}/${crypto.randomUUID()}${path.extname(file.originalname).toLowerCase()}`;
+      await storage.put(key, file.buffer, file.mimetype);
+      storedKeys.push(key);
+      documents.push(await ApplicationDocument.create({
+        application_id: application.id,
+        applicant_id: req.body.applicant_id || null,
+        document_type: req.body.document_type,
+        name: file.originalname,
+        storage_key: key,
+        content_type: file.mimetype,
+        size: file.size
+      }, { transaction: t }));
+    }
+    await t.commit();
+    res.status(201).json(documents);
   } catch (error) {
-    console.error('Error fetching tenants:', error);
-    res.status(500).json({ error: 'Failed to fetch tenants' });
+    await t.rollback();
+    await removeStoredFiles(storedKeys);
+    sendHttpError(res, error, 'upload documents to application');
   }
 });
 
-app.post('/api/tenants', async (req, res) => {
+app.delete('/api/applications/:id/documents/:documentId', authorize('tenants', 'write'), async (req, res) => {
   try {
-    const tenant = await Tenant.create(req.body);
-    res.status(201).json(tenant);
+    const application = await findOrgApplication(req.params.id, req.organization.id);
+    const document = application.documents.find(candidate => candidate.id === parseInt(req.params.documentId, 10));
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+    await document.destroy();
+    await removeStoredFiles([document.storage_key]);
+    res.status(204).send();
   } catch (error) {
-    console.error('Error creating tenant:', error);
-    res.status(500).json({ error: 'Failed to create tenant' });
+    sendHttpError(res, error, 'delete document of application');
   }
 });
 
-app.get('/api/owners', async (req, res) => {
+// Record a fee paid offline ({ payment_method, reference }) or waive it ({ waive: true })
+app.post('/api/applications/:id/fee', authorize('payments', 'write'), async (req, res) => {
+  const t = await sequelize.transaction();
   try {
-    const owners = await Owner.findAll({ include: [Property] });
-    res.json(owners);
+    const application = await findOrgApplication(req.params.id, req.organization.id, t);
+    if (['paid', 'waived'].includes(application.fee_status)) {
+      throw new HttpError(409, `The application fee is already ${application.fee_status}`);
+    }
+    if (application.fee_status === 'pending') {
+      throw new HttpError(409, 'An online payment of the fee is in progress');
+    }
+    if (req.body.waive) {
+      await application.update({ fee_status: 'waived', fee_reference: req.body.reason || null }, { transaction: t });
+    } else {
+      await receiveApplicationFee(application, req.body, t);
+    }
+    await t.commit();
+    res.json(await presentApplication(await findOrgApplication(application.id, req.organization.id)));
   } catch (error) {
-    console.error('Error fetching owners:', error);
-    res.status(500).json({ error: 'Failed to fetch owners' });
+    await t.rollback();
+    sendHttpError(res, error, 'record fee for application');
   }
 });
 
-app.post('/api/owners', async (req, res) => {
+// Collect the fee online; the Stripe webhook marks it paid
+app.post('/api/applications/:id/fee/intent', authorize('payments', 'write'), async (req, res) => {
+  const t = await sequelize.transaction();
   try {
-    const owner = await Owner.create(req.body);
-    res.status(201).json(owner);
+    const application = await findOrgApplication(req.params.id, req.organization.id, t);
+    if (application.fee_status !== 'unpaid') {
+      throw new HttpError(409, `The application fee is ${application.fee_status}`);
+    }
+    const primary = application.applicants.find(applicant => applicant.role === 'applicant');
+    // One key per attempt, named after the intent before it: a retry after the update below fails, or
+    // a request racing this one, gets the same intent back, while paying again after a failed or
+    // canceled intent starts a new one
+    const idempotencyKey = `application-fee-${application.id}-${application.stripe_payment_intent_id || 'first'}`;
+    const intent = await stripe.paymentIntents.create({
+      amount: toCents(application.fee_amount),
+      currency: 'usd',
+      automatic_payment_methods: { enabled: true },
+      description: `Application fee for application ${application.id}`,
+      receipt_email: primary && primary.email ? primary.email : undefined,
+      metadata: {
+        application_id: String(application.id),
+        organization_id: String(req.organization.id)
+      }
+    }, { idempotencyKey });
+    await application.update({ fee_status: 'pending', stripe_payment_intent_id: intent.id }, { transaction: t });
+    await t.commit();
+    res.status(201).json({ application_id: application.id, amount: application.fee_amount, client_secret: intent.client_secret });
   } catch (error) {
-    console.error('Error creating owner:', error);
-    res.status(500).json({ error: 'Failed to create owner' });
+    await t.rollback();
+    sendPaymentIntentError(res, error);
   }
 });
 
-app.get('/api/associations', async (req, res) => {
+app.post('/api/applications/:id/review', authorize('tenants', 'write'), async (req, res) => {
   try {
-    const associations = await Association.findAll({ include: [Property, BoardMember] });
-    res.json(associations);
+    const application = await findOrgApplication(req.params.id, req.organization.id);
+    assertApplicationTransition(application, 'under_review');
+    await application.update({ status: 'under_review' });
+    res.json(await presentApplication(application));
   } catch (error) {
-    console.error('Error fetching associations:', error);
-    res.status(500).json({ error: 'Failed to fetch associations' });
+    sendHttpError(res, error, 'review application');
   }
 });
 
-app.post('/api/associations', async (req, res) => {
+// Approve or deny. Approving an application that fails screening takes `override: true` and a reason;
+// the screening result is kept with the decision either way.
+app.post('/api/applications/:id/decision', authorize('tenants', 'write'), async (req, res) => {
   try {
-    const association = await Association.create(req.body);
-    res.status(201).json(association);
+    const application = await findOrgApplication(req.params.id, req.organization.id);
+    const { decision, reason, override } = req.body;
+    if (!['approved', 'denied'].includes(decision)) {
+      throw new HttpError(400, 'decision must be approved or denied');
+    }
+    assertApplicationTransition(application, decision);
+    const screening = screenApplication(application, await screeningPolicyFor(application.unit_id, req.organization.id));
+    if (decision === 'approved' && !screening.passed && (!override || !reason)) {
+      return res.status(422).json({
+        error: 'The application does not meet the screening criteria; pass override and a reason to approve it anyway',
+        screening
+      });
+    }
+    if (decision === 'denied' && !reason) {
+      throw new HttpError(400, 'A reason is required to deny an application');
+    }
+    await application.update({
+      status: decision,
+      decided_by: req.user.id,
+      decided_at: new Date(),
+      decision_reason: reason || null,
+      screening_result: screening
+    });
+    res.json(await presentApplication(application));
   } catch (error) {
-    console.error('Error creating association:', error);
-    res.status(500).json({ error: 'Failed to create association' });
+    sendHttpError(res, error, 'decide application');
   }
 });
 
-app.get('/api/board-members', async (req, res) => {
+app.post('/api/applications/:id/withdraw', authorize('tenants', 'write'), async (req, res) => {
   try {
-    const boardMembers = await BoardMember.findAll({ include: [Association] });
-    res.json(boardMembers);
+    const application = await findOrgApplication(req.params.id, req.organization.id);
+    assertApplicationTransition(application, 'withdrawn');
+    await application.update({ status: 'withdrawn', decision_reason: req.body.reason || application.decision_reason });
+    res.json(await presentApplication(application));
   } catch (error) {
-    console.error('Error fetching board members:', error);
-    res.status(500).json({ error: 'Failed to fetch board members' });
+    sendHttpError(res, error, 'withdraw application');
   }
 });
 
-app.post('/api/board-members', async (req, res) => {
+// Turn an approved application into tenants (the applicant and co-applicants) on a lease for the unit.
+// Lease terms default to the application's move-in date and rent.
+app.post('/api/applications/:id/convert', authorize('tenants', 'write'), async (req, res) => {
+  const t = await sequelize.transaction();
   try {
-    const boardMember = await BoardMember.create(req.body);
-    res.status(201).json(boardMember);
+    const application = await findOrgApplication(req.params.id, req.organization.id, t);
+    assertApplicationTransition(application, 'converted');
+    const signers = application.applicants
+      .filter(applicant => applicant.role !== 'occupant')
+      .sort((a, b) => (a.role === 'applicant' ? 0 : 1) - (b.role === 'applicant' ? 0 : 1) || a.id - b.id);
+
+    const tenantIds = [];
+    for (const applicant of signers) {
+      const tenant = await Tenant.create({
+        organization_id: req.organization.id,
+        name: applicant.name,
+        email: applicant.email,
+        phone: applicant.phone
+      }, { transaction: t });
+      tenantIds.push(tenant.id);
+    }
+    const lease = await createLease({
+      organizationId: req.organization.id,
+      unit_id: application.unit_id,
+      tenant_ids: tenantIds,
+      start_date: req.body.start_date || application.desired_move_in,
+      end_date: req.body.end_date,
+      rent: req.body.rent !== undefined ? req.body.rent : application.monthly_rent,
+      deposit: req.body.deposit,
+      rent_due_day: req.body.rent_due_day,
+      status: req.body.status || 'active'
+    }, t);
+    await syncTenantLeaseFields(tenantIds, t);
+    await application.update({ status: 'converted', lease_id: lease.id }, { transaction: t });
+    await t.commit();
+
+    res.status(201).json({
+      application_id: application.id,
+      lease: await Lease.findByPk(lease.id, { include: leaseIncludes() })
+    });
   } catch (error) {
-    console.error('Error creating board member:', error);
-    res.status(500).json({ error: 'Failed to create board member' });
+    await t.rollback();
+    sendHttpError(res, error, 'convert application');
+  }
+});
+
+// Vacancy listings. Staff write the marketing copy for a unit and publish it; the public endpoints
+// below serve published listings of vacant and upcoming units as JSON and as an XML feed for
+// syndication partners.
+const LISTING_FIELDS = [
+  'title', 'description', 'amenities', 'available_on', 'asking_rent', 'deposit', 'bedrooms', 'bathrooms', 'square_feet',
+  'pets_allowed', 'pet_policy', 'lease_terms', 'contact_name', 'contact_email', 'contact_phone'
+];
+// Partners fetch photos long after polling the feed; a week is the longest an S3 presigned URL lasts
+const LISTING_PHOTO_URL_TTL_SECONDS = 7 * 24 * 60 * 60;
+// Syndication partners poll; let them and any proxy in between reuse a response for a few minutes
+const LISTING_FEED_MAX_AGE_SECONDS = 300;
+// Ids and bedroom counts are Postgres integers; anything larger can't match and would fail the query
+const MAX_LISTING_FILTER_INTEGER = 2147483647;
+
+const validateListing = (values) => {
+  if (values.amenities !== undefined && values.amenities !== null &&
+    (!Array.isArray(values.amenities) || values.amenities.some(amenity => typeof amenity !== 'string'))) {
+    return 'amenities must be a list of strings';
+  }
+  if (values.asking_rent !== undefined && values.asking_rent !== null && !(toCents(values.asking_rent) > 0)) {
+    return 'asking_rent must be greater than zero';
+  }
+  if (values.available_on && !/^\d{4}-\d{2}-\d{2}$/.test(values.available_on)) {
+    return 'available_on must be a date in YYYY-MM-DD format';
+  }
+  return null;
+};
+
+const listingIncludes = () => [{
+  model: Unit,
+  include: [
+    { model: PropertyAddress, include: [Property] },
+    { model: Photo, as: 'photos' }
+  ]
+}];
+
+const findOrgListing = async (id, organizationId) => {
+  const listing = await Listing.findOne({
+    where: { id, organization_id: organizationId },
+    include: listingIncludes()
+  });
+  if (!listing) {
+    throw new HttpError(404, 'Listing not found');
+  }
+  return listing;
+};
+
+// Vacancy comes from leases: a unit is free on a date unless an active or draft lease runs over it.
+// Given a range, the leases that run over any day of it.
+const leasesHolding = (unitIds, date, until = date) => Lease.findAll({
+  attributes: ['id', 'unit_id', 'start_date', 'end_date', 'status'],
+  where: {
+    unit_id: unitIds,
+    status: ['draft', 'active'],
+    start_date: { [Sequelize.Op.lte]: until },
+    [Sequelize.Op.or]: [{ end_date: null }, { end_date: { [Sequelize.Op.gte]: date } }]
+  }
+});
+
+const assertListable = async (listing) => {
+  if (!listing.asking_rent || !listing.available_on) {
+    throw new HttpError(400, 'asking_rent and available_on are required to publish a listing');
+  }
+  const [lease] = await leasesHolding([listing.unit_id], listing.available_on);
+  if (lease) {
+    throw new HttpError(409, `The unit is under ${lease.status} lease ${lease.id} on ${listing.available_on}${lease.end_date ? `, which runs until ${lease.end_date}` : ''}`);
+  }
+};
+
+// Local storage hands out relative URLs unless PUBLIC_URL is set; the feeds need absolute ones
+const absoluteUrl = (req, url) => (url && url.startsWith('/') ? `${req.protocol}://${req.get('host')}${url}` : url);
+
+// The unit's photos and the property-wide ones, as publishedListings loads them
+const listingPhotos = (listing, req) => {
+  const address = listing.Unit.PropertyAddress;
+  const propertyPhotos = address && address.Property ? address.Property.photos : [];
+  return [...listing.Unit.photos, ...propertyPhotos]
+    .sort((a, b) => Number(b.is_main) - Number(a.is_main))
+    .map(photo => {
+      const key = photo.getDataValue('storage_key');
+      const variants = photo.variants || {};
+      return {
+        url: absoluteUrl(req, key ? storage.signedUrl((variants.large || {}).key || key, LISTING_PHOTO_URL_TTL_SECONDS) : photo.url),
+        thumbnail_url: absoluteUrl(req, variants.thumbnail ? storage.signedUrl(variants.thumbnail.key, LISTING_PHOTO_URL_TTL_SECONDS) : null),
+        caption: photo.name
+      };
+    });
+};
+
+const presentPublicListing = (listing, req) => {
+  const address = listing.Unit.PropertyAddress || {};
+  return {
+    id: listing.id,
+    url: absoluteUrl(req, `/api/public/listings/${listing.id}`),
+    title: listing.title,
+    description: listing.description,
+    property_name: address.Property ? address.Property.name : null,
+    address: {
+      street: address.street || null,
+      unit_number: listing.Unit.unit_number,
+      city: address.city || null,
+      state: address.state || null,
+      zip: address.zip || null
+    },
+    // Published listings are free on available_on, so they are either vacant now or about to be
+    availability: listing.available_on <= formatReportDate(new Date()) ? 'vacant' : 'upcoming',
+    available_on: listing.available_on,
+    asking_rent: listing.asking_rent !== null ? parseFloat(listing.asking_rent) : null,
+    deposit: listing.deposit !== null ? parseFloat(listing.deposit) : null,
+    bedrooms: listing.bedrooms,
+    bathrooms: listing.bathrooms !== null ? parseFloat(listing.bathrooms) : null,
+    square_feet: listing.square_feet,
+    amenities: listing.amenities || [],
+    pets_allowed: listing.pets_allowed,
+    pet_policy: listing.pet_policy,
+    lease_terms: listing.lease_terms,
+    contact: { name: listing.contact_name, email: listing.contact_email, phone: listing.contact_phone },
+    photos: listingPhotos(listing, req),
+    published_at: listing.published_at,
+    updated_at: listing.updatedAt
+  };
+};
+
+// The feeds are public, so a malformed filter is a 400 rather than a database error
+const parseListingFilter = (value, name, integer) => {
+  const number = Number(value);
+  if (typeof value !== 'string' || value.trim() === '' || !Number.isFinite(number) || number < 0 ||
+    (integer && !(Number.isInteger(number) && number <= MAX_LISTING_FILTER_INTEGER))) {
+    throw new HttpError(400, `${name} must be a non-negative ${integer ? 'whole number' : 'number'}`);
+  }
+  return number;
+};
+
+// Published listings whose unit no lease holds on its available_on date, optionally narrowed by the query
+const publishedListings = async (query) => {
+  const where = { status: 'published' };
+  if (query.id !== undefined) where.id = parseListingFilter(query.id, 'id', true);
+  if (query.organization_id) where.organization_id = parseListingFilter(query.organization_id, 'organization_id', true);
+  if (query.min_rent) where.asking_rent = { ...where.asking_rent, [Sequelize.Op.gte]: parseListingFilter(query.min_rent, 'min_rent') };
+  if (query.max_rent) where.asking_rent = { ...where.asking_rent, [Sequelize.Op.lte]: parseListingFilter(query.max_rent, 'max_rent') };
+  if (query.bedrooms) where.bedrooms = { [Sequelize.Op.gte]: parseListingFilter(query.bedrooms, 'bedrooms', true) };
+  const listings = await Listing.findAll({
+    where,
+    include: [{
+      model: Unit,
+      required: true,
+      include: [
+        {
+          model: PropertyAddress,
+          include: [{ model: Property, include: [{ model: Photo, as: 'photos', where: { unit_id: null }, required: false }] }]
+        },
+        { model: Photo, as: 'photos' }
+      ]
+    }],
+    order: [['available_on', 'ASC'], ['id', 'ASC']]
+  });
+  if (listings.length === 0) {
+    return [];
+  }
+  // One query for every unit's leases over the span of available_on dates, then each listing checks its own date
+  const dates = listings.map(listing => listing.available_on).sort();
+  const leases = await leasesHolding(listings.map(listing => listing.unit_id), dates[0], dates[dates.length - 1]);
+  const isHeld = (listing) => leases.some(lease => lease.unit_id === listing.unit_id && lease.start_date <= listing.available_on &&
+    (!lease.end_date || lease.end_date >= listing.available_on));
+  return listings.filter(listing => !isHeld(listing) && (!query.city || (listing.Unit.PropertyAddress &&
+    String(listing.Unit.PropertyAddress.city).toLowerCase() === String(query.city).toLowerCase())));
+};
+
+const escapeXml = (value) => String(value === null || value === undefined ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const xmlElement = (name, value, indent) =>
+  (value === null || value === undefined || value === '' ? '' : `${indent}<${name}>${escapeXml(value)}</${name}>\n`);
+
+// One <Listing> in the layout of the Zillow rental listing feed, which most listing sites accept
+const listingXml = (listing) => {
+  const pad = '      ';
+  return [
+    '  <Listing>\n',
+    '    <Location>\n',
+    xmlElement('StreetAddress', listing.address.street, pad),
+    xmlElement('UnitNumber', listing.address.unit_number, pad),
+    xmlElement('City', listing.address.city, pad),
+    xmlElement('State', listing.address.state, pad),
+    xmlElement('Zip', listing.address.zip, pad),
+    '    </Location>\n',
+    '    <ListingDetails>\n',
+    xmlElement('Status', 'For Rent', pad),
+    xmlElement('Price', listing.asking_rent, pad),
+    xmlElement('ListingUrl', listing.url, pad),
+    xmlElement('ProviderListingId', listing.id, pad),
+    xmlElement('DateListed', listing.published_at ? new Date(listing.published_at).toISOString().slice(0, 10) : null, pad),
+    xmlElement('LastUpdated', new Date(listing.updated_at).toISOString(), pad),
+    '    </ListingDetails>\n',
+    '    <RentalDetails>\n',
+    xmlElement('Availability', listing.available_on, pad),
+    xmlElement('LeaseTerm', listing.lease_terms, pad),
+    xmlElement('DepositFees', listing.deposit, pad),
+    xmlElement('PetsAllowed', listing.pets_allowed ? 'Yes' : 'No', pad),
+    xmlElement('PetPolicy', listing.pet_policy, pad),
+    '    </RentalDetails>\n',
+    '    <BasicDetails>\n',
+    xmlElement('Title', listing.title, pad),
+    xmlElement('Description', listing.description, pad),
+    xmlElement('Bedrooms', listing.bedrooms, pad),
+    xmlElement('Bathrooms', listing.bathrooms, pad),
+    xmlElement('LivingArea', listing.square_feet, pad),
+    '    </BasicDetails>\n',
+    listing.photos.length > 0
+      ? `    <Pictures>\n${listing.photos.map(photo => `      <Picture>\n${xmlElement('PictureUrl', photo.url, '        ')}${xmlElement('Caption', photo.caption, '        ')}      </Picture>\n`).join('')}    </Pictures>\n`
+      : '',
+    '    <Agent>\n',
+    xmlElement('FirstName', listing.contact.name, pad),
+    xmlElement('EmailAddress', listing.contact.email, pad),
+    xmlElement('OfficeLineNumber', listing.contact.phone, pad),
+    '    </Agent>\n',
+    listing.amenities.length > 0
+      ? `    <RichDetails>\n${xmlElement('AdditionalFeatures', listing.amenities.join(', '), pad)}    </RichDetails>\n`
+      : '',
+    '  </Listing>\n'
+  ].join('');
+};
+
+app.get('/api/listings', authorize('properties', 'read'), async (req, res) => {
+  try {
+    const where = { organization_id: req.organization.id };
+    if (req.query.status) where.status = req.query.status;
+    const listings = await Listing.findAll({
+      where,
+      include: [{ model: Unit, include: [PropertyAddress] }],
+      order: [['updatedAt', 'DESC']]
+    });
+    res.json(listings);
+  } catch (error) {
+    sendHttpError(res, error, 'fetch listing');
   }
 });
 
-app.get('/api/account-types', async (req, res) => {
+app.get('/api/listings/:id', authorize('properties', 'read'), async (req, res) => {
   try {
-    const accountTypes = await AccountType.findAll();
-    res.json(accountTypes);
+    res.json(await findOrgListing(req.params.id, req.organization.id));
   } catch (error) {
-    console.error('Error fetching account types:', error);
-    res.status(500).json({ error: 'Failed to fetch account types' });
+    sendHttpError(res, error, 'fetch listing');
   }
 });
 
-app.post('/api/account-types', async (req, res) => {
+// A unit has at most one listing; asking rent and title default from the unit
+app.post('/api/listings', authorize('properties', 'write'), async (req, res) => {
   try {
-    const { name, description } = req.body;
-    const accountType = await AccountType.create({ name, description });
-    res.status(201).json(accountType);
+    if (!(await inOrganization(orgUnitIds, req.body.unit_id, req.organization.id))) {
+      throw new HttpError(400, 'Unit not found');
+    }
+    if (await Listing.count({ where: { unit_id: req.body.unit_id } })) {
+      throw new HttpError(409, 'The unit already has a listing');
+    }
+    const values = pickFields(req.body, LISTING_FIELDS);
+    const validationError = validateListing(values);
+    if (validationError) {
+      throw new HttpError(400, validationError);
+    }
+    const unit = await Unit.findByPk(req.body.unit_id, { include: [{ model: PropertyAddress, include: [Property] }] });
+    const listing = await Listing.create({
+      title: `${unit.PropertyAddress && unit.PropertyAddress.Property ? unit.PropertyAddress.Property.name : 'Unit'} - Unit ${unit.unit_number}`,
+      asking_rent: unit.rent_amount || null,
+      ...values,
+      organization_id: req.organization.id,
+      unit_id: unit.id,
+      status: 'draft'
+    });
+    res.status(201).json(await findOrgListing(listing.id, req.organization.id));
   } catch (error) {
-    console.error('Error creating account type:', error);
-    res.status(500).json({ error: 'Failed to create account type' });
+    sendHttpError(res, error, 'create listing');
   }
 });
 
-app.put('/api/account-types/:id', async (req, res) => {
+app.put('/api/listings/:id', authorize('properties', 'write'), async (req, res) => {
   try {
-    const { id } = req.params;
-    const { name, description } = req.body;
-    
-    const accountType = await AccountType.findByPk(id);
-    if (!accountType) {
-      return res.status(404).json({ error: 'Account type not found' });
+    const listing = await findOrgListing(req.params.id, req.organization.id);
+    const values = pickFields(req.body, LISTING_FIELDS);
+    const validationError = validateListing(values);
+    if (validationError) {
+      throw new HttpError(400, validationError);
     }
-    
-    accountType.name = name;
-    accountType.description = description;
-    await accountType.save();
-    
-    res.json(accountType);
+    // A published listing must stay publishable, so check the new values before saving them
+    listing.set(values);
+    if (listing.status === 'published') {
+      await assertListable(listing);
+    }
+    await listing.save();
+    res.json(listing);
   } catch (error) {
-    console.error('Error updating account type:', error);
-    res.status(500).json({ error: 'Failed to update account type' });
+    sendHttpError(res, error, 'update listing');
   }
 });
 
-app.delete('/api/account-types/:id', async (req, res) => {
+app.post('/api/listings/:id/publish', authorize('properties', 'write'), async (req, res) => {
   try {
-    const { id } = req.params;
-    
-    const accountType = await AccountType.findByPk(id);
-    if (!accountType) {
-      return res.status(404).json({ error: 'Account type not found' });
-    }
-    
-    await accountType.destroy();
-    res.json({ success: true });
+    const listing = await findOrgListing(req.params.id, req.organization.id);
+    await assertListable(listing);
+    await listing.update({ status: 'published', published_at: listing.published_at || new Date() });
+    res.json(listing);
   } catch (error) {
-    console.error('Error deleting account type:', error);
-    res.status(500).json({ error: 'Failed to delete account type' });
+    sendHttpError(res, error, 'publish listing');
   }
 });
 
-app.get('/api/accounts', async (req, res) => {
+app.post('/api/listings/:id/unpublish', authorize('properties', 'write'), async (req, res) => {
   try {
-    const accounts = await Account.findAll({
-      include: [AccountType]
-    });
-    res.json(accounts);
+    const listing = await findOrgListing(req.params.id, req.organization.id);
+    await listing.update({ status: 'unlisted' });
+    res.json(listing);
   } catch (error) {
-    console.error('Error fetching accounts:', error);
-    res.status(500).json({ error: 'Failed to fetch accounts' });
+    sendHttpError(res, error, 'unpublish listing');
   }
 });
 
-app.post('/api/accounts', async (req, res) => {
+app.delete('/api/listings/:id', authorize('properties', 'write'), async (req, res) => {
   try {
-    const { name, accountTypeId } = req.body;
-    const account = await Account.create({ name, accountTypeId });
-    res.status(201).json(account);
+    const listing = await findOrgListing(req.params.id, req.organization.id);
+    await listing.destroy();
+    res.status(204).send();
   } catch (error) {
-    console.error('Error creating account:', error);
-    res.status(500).json({ error: 'Failed to create account' });
+    sendHttpError(res, error, 'delete listing');
   }
 });
 
-app.put('/api/accounts/:id', async (req, res) => {
+// Public feeds: no token needed. ?organization_id narrows them to one company's listings.
+app.get('/api/public/listings', async (req, res) => {
   try {
-    const { id } = req.params;
-    const { name, accountTypeId } = req.body;
-    
-    const account = await Account.findByPk(id);
-    if (!account) {
-      return res.status(404).json({ error: 'Account not found' });
-    }
-    
-    account.name = name;
-    account.accountTypeId = accountTypeId;
-    await account.save();
-    
-    res.json(account);
+    const listings = await publishedListings(req.query);
+    res.setHeader('Cache-Control', `public, max-age=${LISTING_FEED_MAX_AGE_SECONDS}`);
+    res.json(listings.map(listing => presentPublicListing(listing, req)));
   } catch (error) {
-    console.error('Error updating account:', error);
-    res.status(500).json({ error: 'Failed to update account' });
+    sendHttpError(res, error, 'fetch public listing');
   }
 });
 
-app.delete('/api/accounts/:id', async (req, res) => {
+app.get('/api/public/listings/feed.xml', async (req, res) => {
   try {
-    const { id } = req.params;
-    
-    const account = await Account.findByPk(id);
-    if (!account) {
-      return res.status(404).json({ error: 'Account not found' });
-    }
-    
-    await account.destroy();
-    res.json({ success: true });
+    const listings = (await publishedListings(req.query)).map(listing => presentPublicListing(listing, req));
+    res.setHeader('Content-Type', 'application/xml; charset=utf-8');
+    res.setHeader('Cache-Control', `public, max-age=${LISTING_FEED_MAX_AGE_SECONDS}`);
+    res.send(`<?xml version="1.0" encoding="UTF-8"?>\n<Listings>\n${listings.map(listingXml).join('')}</Listings>\n`);
   } catch (error) {
-    console.error('Error deleting account:', error);
-    res.status(500).json({ error: 'Failed to delete account' });
+    sendHttpError(res, error, 'build feed of listing');
   }
 });
 
-app.get('/api/transactions', async (req, res) => {
+app.get('/api/public/listings/:id', async (req, res) => {
   try {
-    const transactions = await Transaction.findAll({
-      include: [
-        {
-          model: Account,
-          include: [AccountType]
-        },
-        Property
-      ]
-    });
-    res.json(transactions);
+    const [listing] = await publishedListings({ id: req.params.id });
+    if (!listing) {
+      return res.status(404).json({ error: 'Listing not found' });
+    }
+    res.setHeader('Cache-Control', `public, max-age=${LISTING_FEED_MAX_AGE_SECONDS}`);
+    res.json(presentPublicListing(listing, req));
   } catch (error) {
-    console.error('Error fetching transactions:', error);
-    res.status(500).json({ error: 'Failed to fetch transactions' });
+    sendHttpError(res, error, 'fetch public listing');
   }
 });
 
-app.post('/api/transactions', async (req, res) => {
-  try {
-    const { date, description, amount, accountId, propertyId } = req.body;
-    const transaction = await Transaction.create({
-      date,
-      description,
-      amount,
-      accountId,
-      propertyId
+// Notifications: built-in templates that an organization can reword, rendered with {{placeholders}}
+// and sent on every channel the recipient has an address for and hasn't turned off. Required types
+// (sign-in links) always go out by email.
+const NOTIFICATION_TEMPLATES = {
+  password_reset: {
+    required: true,
+    sensitive: true,
+    subject: 'Reset your password',
+    body: 'Hi {{name}},\n\nUse this link to choose a new password: {{reset_url}}\n\nIt expires in {{expires_in}}. If you did not ask to reset your password you can ignore this email.',
+    sms_body: null
+  },
+  portal_invite: {
+    required: true,
+    sensitive: true,
+    subject: 'Your {{organization}} tenant portal account',
+    body: 'Hi {{name}},\n\n{{organization}} has set up a tenant portal account for you, where you can pay rent and send maintenance requests. Choose a password to sign in: {{reset_url}}\n\nThe link expires in {{expires_in}}.',
+    sms_body: null
+  },
+  lease_ending: {
+    subject: 'Your lease ends on {{end_date}}',
+    body: 'Hi {{name}},\n\nYour lease for unit {{unit}} ends on {{end_date}}, {{days_left}} days from now. Please contact {{organization}} about renewing or moving out.',
+    sms_body: '{{organization}}: your lease for unit {{unit}} ends on {{end_date}}. Contact us about renewing.'
+  },
+  rent_due: {
+    subject: 'Rent of {{rent}} is due on {{due_date}}',
+    body: 'Hi {{name}},\n\nRent of {{rent}} for unit {{unit}} is due on {{due_date}}. Your balance today is {{balance}}.',
+    sms_body: '{{organization}}: rent of {{rent}} for unit {{unit}} is due on {{due_date}}.'
+  },
+  maintenance_overdue: {
+    subject: 'Work order #{{id}} is overdue',
+    body: 'Hi {{name}},\n\nWork order #{{id}} "{{title}}" ({{priority}} priority, {{status}}) at {{location}} was due {{due_at}} and is still open.',
+    sms_body: 'Work order #{{id}} "{{title}}" is overdue.'
+  },
+  association_dues: {
+    subject: '{{association}}: {{amount}} due on {{due_date}}',
+    body: 'Hi {{name}},\n\n{{description}} of {{amount}} for unit {{unit}} is due on {{due_date}}.',
+    sms_body: '{{association}}: {{amount}} for unit {{unit}} is due on {{due_date}}.'
+  },
+  delinquency_notice: {
+    subject: '{{association}}: unit {{unit}} is past due',
+    body: 'Hi {{name}},\n\nThe account for unit {{unit}} is {{days_past_due}} days past due with a balance of {{balance}} ({{stage}}). Please pay as soon as possible to avoid further collection steps.',
+    sms_body: '{{association}}: unit {{unit}} is {{days_past_due}} days past due, balance {{balance}}.'
+  }
+};
+const NOTIFICATION_TEMPLATE_FIELDS = ['subject', 'body', 'sms_body'];
+// A failed message is retried by later scheduler runs until it has been tried this often
+const NOTIFICATION_MAX_ATTEMPTS = 3;
+const LEASE_END_REMINDER_DAYS = [60, 30];
+const RENT_DUE_REMINDER_DAYS = 3;
+const ASSOCIATION_DUES_REMINDER_DAYS = 7;
+
+const renderTemplate = (text, data) => String(text || '').replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) =>
+  (data[key] === undefined || data[key] === null ? '' : String(data[key])));
+
+const formatMoney = (cents) => `$${fromCents(cents).toFixed(2)}`;
+
+const notificationTemplate = async (organizationId, type) => {
+  const template = NOTIFICATION_TEMPLATES[type];
+  const custom = organizationId ? await NotificationTemplate.findOne({ where: { organization_id: organizationId, type } }) : null;
+  if (!custom) {
+    return template;
+  }
+  const values = { ...template };
+  for (const field of NOTIFICATION_TEMPLATE_FIELDS) {
+    if (custom[field] !== null) values[field] = custom[field];
+  }
+  return values;
+};
+
+const channelEnabled = (template, preference, channel) => {
+  if (template.required && channel === 'email') {
+    return true;
+  }
+  return preference ? preference[channel] : channel === 'email';
+};
+
+// Send one notification to one recipient ({ user_id?, name, email?, phone? }). Transport failures are
+// logged on the Notification row rather than thrown, so callers never fail because a mail server is down.
+const notify = async ({ organizationId = null, type, recipient, data = {}, dedupeKey = null }) => {
+  const template = await notificationTemplate(organizationId, type);
+  const preference = recipient.user_id
+    ? await NotificationPreference.findOne({ where: { user_id: recipient.user_id, type } })
+    : null;
+  const values = { name: recipient.name || 'there', ...data };
+  const notifications = [];
+
+  for (const channel of NOTIFICATION_CHANNELS) {
+    const to = channel === 'email' ? recipient.email : recipient.phone;
+    const text = renderTemplate(channel === 'email' ? template.body : template.sms_body, values);
+    if (!to || !text || !channelEnabled(template, preference, channel)) continue;
+    const subject = channel === 'email' ? renderTemplate(template.subject, values) : null;
+    const fields = {
+      organization_id: organizationId,
+      user_id: recipient.user_id || null,
+      type,
+      channel,
+      recipient: to,
+      subject,
+      body: template.sensitive ? null : text,
+      dedupe_key: dedupeKey
+    };
+
+    let notification;
+    if (dedupeKey) {
+      const [existing, created] = await Notification.findOrCreate({ where: { dedupe_key: dedupeKey, channel }, defaults: fields });
+      if (!created && (existing.status !== 'failed' || existing.attempts >= NOTIFICATION_MAX_ATTEMPTS)) continue;
+      notification = existing;
+    } else {
+      notification = await Notification.create(fields);
+    }
+
+    try {
+      const messageId = await notificationTransports[channel].send({ to, subject, text, sensitive: Boolean(template.sensitive) });
+      await notification.update({
+        status: 'sent',
+        attempts: notification.attempts + 1,
+        sent_at: new Date(),
+        provider_message_id: messageId || null,
+        error: null
+      });
+    } catch (error) {
+      console.error(`Error sending ${type} ${channel} notification ${notification.id}:`, error.message);
+      await notification.update({ status: 'failed', attempts: notification.attempts + 1, error: error.message });
+    }
+    notifications.push(notification);
+  }
+  return notifications;
+};
+
+const tenantRecipient = (tenant) => ({ user_id: tenant.user_id, name: tenant.name, email: tenant.email, phone: tenant.phone });
+const homeownerRecipient = (homeowner) => ({ name: homeowner.name, email: homeowner.email, phone: homeowner.phone });
+const daysBetween = (from, to) => Math.round((new Date(`${to}T00:00:00.000Z`) - new Date(`${from}T00:00:00.000Z`)) / DAY_MS);
+
+const organizationNames = async (organizationId) => new Map((await Organization.findAll({
+  attributes: ['id', 'name'],
+  where: organizationId ? { id: organizationId } : {}
+})).map(organization => [organization.id, organization.name]));
+
+// Tenants on active leases get one reminder per stage of LEASE_END_REMINDER_DAYS; a lease that
+// enters the window late only gets the stage it is in
+const remindLeaseEndings = async (asOf, organizationId, names) => {
+  const today = formatReportDate(asOf);
+  const leases = await Lease.findAll({
+    where: {
+      status: 'active',
+      end_date: { [Sequelize.Op.between]: [today, addDays(today, Math.max(...LEASE_END_REMINDER_DAYS))] },
+      ...(organizationId ? { organization_id: organizationId } : {})
+    },
+    include: [Unit, { model: Tenant, as: 'tenants' }]
+  });
+  const sent = [];
+  for (const lease of leases) {
+    const daysLeft = daysBetween(today, lease.end_date);
+    const stage = Math.min(...LEASE_END_REMINDER_DAYS.filter(days => daysLeft <= days));
+    for (const tenant of lease.tenants) {
+      sent.push(...await notify({
+        organizationId: lease.organization_id,
+        type: 'lease_ending',
+        recipient: tenantRecipient(tenant),
+        data: {
+          organization: names.get(lease.organization_id),
+          unit: lease.Unit ? lease.Unit.unit_number : '',
+          end_date: lease.end_date,
+          days_left: daysLeft
+        },
+        dedupeKey: `lease_ending:${lease.id}:${stage}:tenant:${tenant.id}`
+      }));
+    }
+  }
+  return sent;
+};
+
+const remindRentDue = async (asOf, organizationId, names) => {
+  const today = formatReportDate(asOf);
+  const leases = await Lease.findAll({
+    where: { status: 'active', ...(organizationId ? { organization_id: organizationId } : {}) },
+    include: [Unit, { model: Tenant, as: 'tenants' }]
+  });
+  const sent = [];
+  for (const lease of leases) {
+    if (toCents(lease.rent) <= 0) continue;
+    let dueDate = null;
+    for (let offset = 0; offset <= RENT_DUE_REMINDER_DAYS && !dueDate; offset += 1) {
+      const date = addDays(today, offset);
+      if (Number(date.slice(8)) === (lease.rent_due_day || 1) && date >= lease.start_date &&
+        (!lease.end_date || date <= lease.end_date)) {
+        dueDate = date;
+      }
+    }
+    if (!dueDate) continue;
+    const balance = formatMoney(await leaseOpenBalance(lease.id));
+    for (const tenant of lease.tenants) {
+      sent.push(...await notify({
+        organizationId: lease.organization_id,
+        type: 'rent_due',
+        recipient: tenantRecipient(tenant),
+        data: {
+          organization: names.get(lease.organization_id),
+          unit: lease.Unit ? lease.Unit.unit_number : '',
+          rent: formatMoney(toCents(lease.rent)),
+          due_date: dueDate,
+          balance
+        },
+        dedupeKey: `rent_due:${lease.id}:${dueDate}:tenant:${tenant.id}`
+      }));
+    }
+  }
+  return sent;
+};
+
+// Everyone who can work maintenance hears about each overdue work order once
+const remindOverdueMaintenance = async (asOf, organizationId, names) => {
+  const sent = [];
+  for (const orgId of names.keys()) {
+    const overdue = await Maintenance.findAll({
+      where: {
+        ...(await propertyOrUnitScope(orgId)),
+        status: OPEN_MAINTENANCE_STATUSES,
+        sla_due_at: { [Sequelize.Op.lt]: asOf }
+      },
+      include: [{ model: Property, required: false }, { model: Unit, required: false }]
     });
-    
-    const newTransaction = await Transaction.findByPk(transaction.id, {
-      include: [
-        {
-          model: Account,
-          include: [AccountType]
+    if (overdue.length === 0) continue;
+    const staff = await OrganizationMember.findAll({
+      where: { organization_id: orgId, role: PERMISSIONS.maintenance.write },
+      include: [User]
+    });
+    for (const maintenance of overdue) {
+      for (const member of staff) {
+        if (!member.User || !member.User.is_active) continue;
+        sent.push(...await notify({
+          organizationId: orgId,
+          type: 'maintenance_overdue',
+          recipient: { user_id: member.User.id, name: member.User.name, email: member.User.email },
+          data: {
+            id: maintenance.id,
+            title: maintenance.title,
+            priority: maintenance.priority,
+            status: maintenance.status,
+            location: maintenance.Unit ? `unit ${maintenance.Unit.unit_number}` : (maintenance.Property ? maintenance.Property.name : ''),
+            due_at: maintenance.sla_due_at.toISOString()
+          },
+          dedupeKey: `maintenance_overdue:${maintenance.id}:user:${member.User.id}`
+        }));
+      }
+    }
+  }
+  return sent;
+};
+
+// Homeowners hear about each open assessment ASSOCIATION_DUES_REMINDER_DAYS before it is due.
+// Associations not billed through assessments remind every homeowner of their own due_date.
+const remindAssociationDues = async (asOf, organizationId) => {
+  const today = formatReportDate(asOf);
+  const until = addDays(today, ASSOCIATION_DUES_REMINDER_DAYS);
+  const associations = await Association.findAll({
+    where: organizationId ? { property_id: await orgPropertyIds(organizationId) } : {},
+    include: [Property]
+  });
+  const sent = [];
+  for (const association of associations) {
+    const orgId = association.Property ? association.Property.organization_id : null;
+    const assessments = await Assessment.findAll({
+      where: {
+        association_id: association.id,
+        balance: { [Sequelize.Op.gt]: 0 },
+        due_date: { [Sequelize.Op.between]: [today, until] }
+      },
+      include: [Unit, Homeowner]
+    });
+    for (const assessment of assessments) {
+      const homeowner = assessment.Homeowner ||
+        await Homeowner.findOne({ where: { association_id: association.id, unit_id: assessment.unit_id, is_active: true } });
+      if (!homeowner) continue;
+      sent.push(...await notify({
+        organizationId: orgId,
+        type: 'association_dues',
+        recipient: homeownerRecipient(homeowner),
+        data: {
+          association: association.name,
+          description: assessment.description || 'Dues',
+          amount: formatMoney(toCents(assessment.balance)),
+          unit: assessment.Unit ? assessment.Unit.unit_number : '',
+          due_date: assessment.due_date
         },
-        Property
-      ]
+        dedupeKey: `association_dues:assessment:${assessment.id}`
+      }));
+    }
+
+    const dueDate = dateOnly(association.due_date);
+    if (toCents(association.assessment_amount) > 0 || !dueDate || dueDate < today || dueDate > until) continue;
+    const homeowners = await Homeowner.findAll({ where: { association_id: association.id, is_active: true }, include: [Unit] });
+    for (const homeowner of homeowners) {
+      sent.push(...await notify({
+        organizationId: orgId,
+        type: 'association_dues',
+        recipient: homeownerRecipient(homeowner),
+        data: {
+          association: association.name,
+          description: 'Association dues',
+          amount: association.fee ? formatMoney(toCents(association.fee)) : 'the association fee',
+          unit: homeowner.Unit ? homeowner.Unit.unit_number : '',
+          due_date: dueDate
+        },
+        dedupeKey: `association_dues:association:${association.id}:${dueDate}:homeowner:${homeowner.id}`
+      }));
+    }
+  }
+  return sent;
+};
+
+// Send the delinquency notices the escalation job recorded; a notice counts as sent once any
+// channel delivered it
+const sendDelinquencyNotices = async (organizationId) => {
+  const notices = await DelinquencyNotice.findAll({
+    where: {
+      sent_at: null,
+      ...(organizationId ? { association_id: await orgAssociationIds(organizationId) } : {})
+    },
+    include: [{ model: Association, include: [Property] }, Unit, Homeowner]
+  });
+  const sent = [];
+  for (const notice of notices) {
+    if (!notice.Homeowner) continue;
+    const notifications = await notify({
+      organizationId: notice.Association.Property ? notice.Association.Property.organization_id : null,
+      type: 'delinquency_notice',
+      recipient: homeownerRecipient(notice.Homeowner),
+      data: {
+        association: notice.Association.name,
+        unit: notice.Unit ? notice.Unit.unit_number : '',
+        days_past_due: notice.days_past_due,
+        balance: formatMoney(toCents(notice.balance)),
+        stage: notice.stage.replace(/_/g, ' ')
+      },
+      dedupeKey: `delinquency_notice:${notice.id}`
     });
-    
-    res.status(201).json(newTransaction);
-  } catch (error) {
-    console.error('Error creating transaction:', error);
-    res.status(500).json({ error: 'Failed to create transaction' });
+    if (notifications.some(notification => notification.status === 'sent')) {
+      await notice.update({ sent_at: new Date() });
+    }
+    sent.push(...notifications);
+  }
+  return sent;
+};
+
+const sendReminders = async (asOf = new Date(), organizationId = null) => {
+  const names = await organizationNames(organizationId);
+  return [
+    ...await remindLeaseEndings(asOf, organizationId, names),
+    ...await remindRentDue(asOf, organizationId, names),
+    ...await remindOverdueMaintenance(asOf, organizationId, names),
+    ...await remindAssociationDues(asOf, organizationId),
+    ...await sendDelinquencyNotices(organizationId)
+  ];
+};
+
+scheduleJob('notification reminders', async (asOf) => {
+  const sent = await sendReminders(asOf);
+  if (sent.length > 0) {
+    console.log(`Sent ${sent.length} notification(s)`);
   }
 });
 
-app.put('/api/transactions/:id', async (req, res) => {
+const assertNotificationType = (type) => {
+  if (!NOTIFICATION_TEMPLATES[type]) {
+    throw new HttpError(404, `Unknown notification type ${type}`);
+  }
+};
+
+app.get('/api/notifications', authorize('tenants', 'read'), async (req, res) => {
   try {
-    const { id } = req.params;
-    const { date, description, amount, accountId, propertyId } = req.body;
-    
-    const transaction = await Transaction.findByPk(id);
-    if (!transaction) {
-      return res.status(404).json({ error: 'Transaction not found' });
+    const where = { organization_id: req.organization.id };
+    for (const field of ['type', 'channel', 'status']) {
+      if (req.query[field]) where[field] = req.query[field];
     }
-    
-    transaction.date = date;
-    transaction.description = description;
-    transaction.amount = amount;
-    transaction.accountId = accountId;
-    transaction.propertyId = propertyId;
-    await transaction.save();
-    
-    const updatedTransaction = await Transaction.findByPk(id, {
-      include: [
-        {
-          model: Account,
-          include: [AccountType]
-        },
-        Property
-      ]
+    if (req.query.from || req.query.to) {
+      const { from, to } = reportRange(req.query);
+      where.createdAt = { [Sequelize.Op.gte]: from, [Sequelize.Op.lt]: new Date(to.getTime() + DAY_MS) };
+    }
+    const notifications = await Notification.findAll({
+      where,
+      order: [['createdAt', 'DESC']],
+      limit: Math.min(parseInt(req.query.limit, 10) || 100, 500)
     });
-    
-    res.json(updatedTransaction);
+    res.json(notifications);
   } catch (error) {
-    console.error('Error updating transaction:', error);
-    res.status(500).json({ error: 'Failed to update transaction' });
+    sendHttpError(res, error, 'fetch notifications');
   }
 });
 
-app.delete('/api/transactions/:id', async (req, res) => {
+// Send the reminders that have come due for this organization now instead of waiting for the scheduler
+app.post('/api/notifications/reminders', authorize('organization', 'write'), async (req, res) => {
   try {
-    const { id } = req.params;
-    
-    const transaction = await Transaction.findByPk(id);
-    if (!transaction) {
-      return res.status(404).json({ error: 'Transaction not found' });
-    }
-    
-    await transaction.destroy();
-    res.json({ success: true });
+    const asOf = req.body.asOf ? parseReportDate(req.body.asOf, 'asOf') : new Date();
+    const sent = await sendReminders(asOf, req.organization.id);
+    res.json({ sent: sent.length, notifications: sent });
   } catch (error) {
-    console.error('Error deleting transaction:', error);
-    res.status(500).json({ error: 'Failed to delete transaction' });
+    sendHttpError(res, error, 'send notifications');
   }
 });
 
-app.get('/api/payments', async (req, res) => {
+app.get('/api/notification-templates', authorize('organization', 'read'), async (req, res) => {
   try {
-    const payments = await Payment.findAll({ include: [Tenant] });
-    res.json(payments);
+    const custom = new Set((await NotificationTemplate.findAll({
+      attributes: ['type'],
+      where: { organization_id: req.organization.id }
+    })).map(template => template.type));
+    res.json(await Promise.all(Object.keys(NOTIFICATION_TEMPLATES).map(async (type) => {
+      const { subject, body, sms_body, required } = await notificationTemplate(req.organization.id, type);
+      return { type, subject, body, sms_body, required: Boolean(required), customized: custom.has(type) };
+    })));
   } catch (error) {
-    console.error('Error fetching payments:', error);
-    res.status(500).json({ error: 'Failed to fetch payments' });
+    sendHttpError(res, error, 'fetch templates for notifications');
   }
 });
 
-app.post('/api/payments', async (req, res) => {
+// Reword a notification; fields left out keep the built-in text
+app.put('/api/notification-templates/:type', authorize('organization', 'write'), async (req, res) => {
   try {
-    const payment = await Payment.create(req.body);
-    res.status(201).json(payment);
+    assertNotificationType(req.params.type);
+    const values = {};
+    for (const field of NOTIFICATION_TEMPLATE_FIELDS) {
+      if (req.body[field] !== undefined) values[field] = req.body[field] || null;
+    }
+    const [template] = await NotificationTemplate.findOrCreate({
+      where: { organization_id: req.organization.id, type: req.params.type }
+    });
+    await template.update(values);
+    res.json({ type: req.params.type, ...(await notificationTemplate(req.organization.id, req.params.type)), customized: true });
   } catch (error) {
-    console.error('Error creating payment:', error);
-    res.status(500).json({ error: 'Failed to create payment' });
+    sendHttpError(res, error, 'update templates for notifications');
   }
 });
 
-app.get('/api/transaction-types', async (req, res) => {
+// Go back to the built-in template
+app.delete('/api/notification-templates/:type', authorize('organization', 'write'), async (req, res) => {
   try {
-    const transactionTypes = await TransactionType.findAll();
-    res.json(transactionTypes);
+    assertNotificationType(req.params.type);
+    await NotificationTemplate.destroy({ where: { organization_id: req.organization.id, type: req.params.type } });
+    res.status(204).send();
   } catch (error) {
-    console.error('Error fetching transaction types:', error);
-    res.status(500).json({ error: 'Failed to fetch transaction types' });
+    sendHttpError(res, error, 'reset templates for notifications');
   }
 });
 
-app.post('/api/transaction-types', async (req, res) => {
+// The signed-in user's own preferences, staff and portal tenants alike
+app.get('/api/notification-preferences', async (req, res) => {
   try {
-    const transactionType = await TransactionType.create(req.body);
-    res.status(201).json(transactionType);
+    const preferences = new Map((await NotificationPreference.findAll({ where: { user_id: req.user.id } }))
+      .map(preference => [preference.type, preference]));
+    res.json(Object.entries(NOTIFICATION_TEMPLATES).map(([type, template]) => {
+      const preference = preferences.get(type);
+      return {
+        type,
+        required: Boolean(template.required),
+        email: channelEnabled(template, preference, 'email'),
+        sms: channelEnabled(template, preference, 'sms')
+      };
+    }));
   } catch (error) {
-    console.error('Error creating transaction type:', error);
-    res.status(500).json({ error: 'Failed to create transaction type' });
+    sendHttpError(res, error, 'fetch preferences for notifications');
   }
 });
 
-// Maintenance API Endpoints
-app.get('/api/maintenance', async (req, res) => {
+app.put('/api/notification-preferences/:type', async (req, res) => {
   try {
-    const maintenance = await Maintenance.findAll({
-      include: [
-        { 
-          model: Property,
-          required: false // Make this a LEFT JOIN to handle null property_id
-        },
-        { 
-          model: Unit,
-          required: false // Make this a LEFT JOIN to handle null unit_id
-        }
-      ]
+    assertNotificationType(req.params.type);
+    const template = NOTIFICATION_TEMPLATES[req.params.type];
+    const values = {};
+    for (const channel of NOTIFICATION_CHANNELS) {
+      if (req.body[channel] === undefined) continue;
+      if (typeof req.body[channel] !== 'boolean') {
+        throw new HttpError(400, `${channel} must be true or false`);
+      }
+      values[channel] = req.body[channel];
+    }
+    if (template.required && values.email === false) {
+      throw new HttpError(400, `${req.params.type} emails cannot be turned off`);
+    }
+    const [preference] = await NotificationPreference.findOrCreate({
+      where: { user_id: req.user.id, type: req.params.type }
+    });
+    await preference.update(values);
+    res.json({
+      type: req.params.type,
+      required: Boolean(template.required),
+      email: channelEnabled(template, preference, 'email'),
+      sms: channelEnabled(template, preference, 'sms')
     });
-    res.json(maintenance);
   } catch (error) {
-    console.error('Error fetching maintenance:', error);
-    res.status(500).json({ error: 'Failed to fetch maintenance', details: error.message });
+    sendHttpError(res, error, 'update preferences for notifications');
   }
 });
 
-app.post('/api/maintenance', async (req, res) => {
+// Change history. ?entity=Property&id=12 gives one record's history; without them, recent changes
+// across the organization. Newest first.
+app.get('/api/audit', authorize('audit', 'read'), async (req, res) => {
   try {
-    const maintenance = await Maintenance.create(req.body);
-    res.status(201).json(maintenance);
+    const where = { organization_id: req.organization.id };
+    if (req.query.entity) {
+      if (!sequelize.models[req.query.entity]) {
+        return res.status(400).json({ error: `Unknown entity ${req.query.entity}` });
+      }
+      where.entity = req.query.entity;
+    }
+    if (req.query.id) {
+      if (!req.query.entity) {
+        return res.status(400).json({ error: 'entity is required with id' });
+      }
+      where.entity_id = String(req.query.id);
+    }
+    if (req.query.action) where.action = req.query.action;
+    if (req.query.user_id) where.user_id = req.query.user_id;
+    if (req.query.from || req.query.to) {
+      const { from, to } = reportRange(req.query);
+      where.createdAt = { [Sequelize.Op.gte]: from, [Sequelize.Op.lt]: new Date(to.getTime() + DAY_MS) };
+    }
+    const entries = await AuditLog.findAll({
+      where,
+      include: [{ model: User, as: 'actor', attributes: ['id', 'name', 'email'] }],
+      order: [['createdAt', 'DESC'], ['id', 'DESC']],
+      limit: Math.min(parseInt(req.query.limit, 10) || 100, 500),
+      offset: parseInt(req.query.offset, 10) || 0
+    });
+    res.json(entries.map(entry => ({ ...entry.toJSON(), changes: redactAuditChanges(entry.changes) })));
   } catch (error) {
-    console.error('Error creating maintenance:', error);
-    res.status(500).json({ error: 'Failed to create maintenance' });
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error fetching audit log:', error);
+    res.status(500).json({ error: 'Failed to fetch audit log' });
   }
 });
 
-app.put('/api/maintenance/:id', async (req, res) => {
+// Trash. Properties, addresses, units and tenants are soft-deleted so the leases, charges, payments
+// and transactions that point at them keep their history. A property takes its addresses and units
+// with it, and restoring it brings back the ones that went with it (deleted at or after it was).
+// Nothing may still be owed or in flight on the units' leases, ended ones included
+const assertUnitsSettled = async (unitIds, what, transaction) => {
+  if (await Lease.count({ where: { unit_id: unitIds, status: ['draft', 'active'] }, transaction })) {
+    throw new HttpError(409, `${what} has an active or draft lease; end it before deleting`);
+  }
+  const leaseIds = (await Lease.findAll({ attributes: ['id'], where: { unit_id: unitIds }, transaction })).map(lease => lease.id);
+  if (await Payment.count({ where: { lease_id: leaseIds, status: 'pending' }, transaction })) {
+    throw new HttpError(409, `${what} has a payment that is still being processed`);
+  }
+  let openCents = 0;
+  for (const leaseId of leaseIds) {
+    openCents += await leaseOpenBalance(leaseId, transaction);
+  }
+  if (openCents > 0) {
+    throw new HttpError(409, `${what} has an open balance of ${formatMoney(openCents)} on its leases`);
+  }
+};
+
+// Transactions being cleared in a reconciliation must not lose their property halfway through
+const assertNotReconciling = async (propertyId, what, transaction) => {
+  if (await Transaction.count({
+    where: { propertyId },
+    include: [{ model: Reconciliation, where: { status: 'in_progress' } }],
+    transaction
+  })) {
+    throw new HttpError(409, `${what} has transactions in a reconciliation that is still in progress`);
+  }
+};
+
+const archiveUnits = async (unitIds, transaction) => {
+  await Unit.destroy({ where: { id: unitIds }, transaction });
+  await Listing.update({ status: 'unlisted' }, { where: { unit_id: unitIds, status: 'published' }, transaction });
+};
+
+const archiveAddresses = async (where, what, transaction) => {
+  const addressIds = (await PropertyAddress.findAll({ attributes: ['id'], where, transaction })).map(address => address.id);
+  const unitIds = (await Unit.findAll({ attributes: ['id'], where: { address_id: addressIds }, transaction })).map(unit => unit.id);
+  await assertUnitsSettled(unitIds, what, transaction);
+  await PropertyAddress.destroy({ where: { id: addressIds }, transaction });
+  await archiveUnits(unitIds, transaction);
+};
+
+const deletedWith = (parent) => ({ [Sequelize.Op.gte]: parent.deletedAt });
+
+// A restore only undoes a delete, so it is held to the limits of a paid plan but never blocked for
+// want of a subscription
+const assertRestoreQuota = async (organizationId, resource, adding, transaction) => {
+  if (await activeSubscription(organizationId, transaction)) {
+    await assertQuota(organizationId, resource, adding, transaction);
+  }
+};
+
+const restoreAddressUnits = async (organizationId, addressIds, parent, transaction) => {
+  const units = await Unit.findAll({
+    where: { address_id: addressIds, deletedAt: deletedWith(parent) },
+    paranoid: false,
+    transaction
+  });
+  await assertRestoreQuota(organizationId, 'units', units.length, transaction);
+  await Unit.restore({ where: { id: units.map(unit => unit.id) }, transaction });
+};
+
+const TRASH_TYPES = {
+  properties: {
+    model: Property,
+    area: 'properties',
+    scope: async (organizationId) => ({ organization_id: organizationId }),
+    restore: async (property, organizationId, transaction) => {
+      await assertRestoreQuota(organizationId, 'properties', 1, transaction);
+      const addresses = await PropertyAddress.findAll({
+        where: { property_id: property.id, deletedAt: deletedWith(property) },
+        paranoid: false,
+        transaction
+      });
+      await restoreAddressUnits(organizationId, addresses.map(address => address.id), property, transaction);
+      await PropertyAddress.restore({ where: { id: addresses.map(address => address.id) }, transaction });
+      await property.restore({ transaction });
+    }
+  },
+  addresses: {
+    model: PropertyAddress,
+    area: 'properties',
+    scope: async (organizationId) => ({ property_id: await orgPropertyIds(organizationId, { withArchived: true }) }),
+    restore: async (address, organizationId, transaction) => {
+      if (!(await Property.count({ where: { id: address.property_id }, transaction }))) {
+        throw new HttpError(409, 'The address belongs to a deleted property; restore the property instead');
+      }
+      await restoreAddressUnits(organizationId, [address.id], address, transaction);
+      await address.restore({ transaction });
+    }
+  },
+  units: {
+    model: Unit,
+    area: 'properties',
+    scope: async (organizationId) => ({ address_id: await orgAddressIds(organizationId, { withArchived: true }) }),
+    restore: async (unit, organizationId, transaction) => {
+      if (!(await PropertyAddress.count({ where: { id: unit.address_id }, transaction }))) {
+        throw new HttpError(409, 'The unit belongs to a deleted address or property; restore that first');
+      }
+      await assertRestoreQuota(organizationId, 'units', 1, transaction);
+      await unit.restore({ transaction });
+    }
+  },
+  tenants: {
+    model: Tenant,
+    area: 'tenants',
+    scope: async (organizationId) => ({ organization_id: organizationId }),
+    restore: async (tenant, organizationId, transaction) => {
+      await tenant.restore({ transaction });
+    }
+  }
+};
+
+// Checks the permission of the area the trashed type belongs to
+const authorizeTrash = (action) => (req, res, next) => {
+  const type = TRASH_TYPES[req.params.type];
+  if (!type) {
+    return res.status(404).json({ error: `Nothing of type ${req.params.type} can be deleted and restored` });
+  }
+  return authorize(type.area, action)(req, res, next);
+};
+
+app.get('/api/trash/:type', authorizeTrash('read'), async (req, res) => {
   try {
-    const { id } = req.params;
-    await Maintenance.update(req.body, { where: { id } });
-    const updatedMaintenance = await Maintenance.findByPk(id);
-    res.json(updatedMaintenance);
+    const { model, scope } = TRASH_TYPES[req.params.type];
+    const rows = await model.findAll({
+      where: { ...(await scope(req.organization.id)), deletedAt: { [Sequelize.Op.ne]: null } },
+      paranoid: false,
+      order: [['deletedAt', 'DESC']]
+    });
+    res.json(rows);
   } catch (error) {
-    console.error('Error updating maintenance:', error);
-    res.status(500).json({ error: 'Failed to update maintenance' });
+    console.error('Error fetching trash:', error);
+    res.status(500).json({ error: 'Failed to fetch trash' });
   }
 });
 
-app.delete('/api/maintenance/:id', async (req, res) => {
+app.post('/api/trash/:type/:id/restore', authorizeTrash('write'), async (req, res) => {
+  const t = await sequelize.transaction();
   try {
-    const { id } = req.params;
-    await Maintenance.destroy({ where: { id } });
-    res.status(204).send();
+    const { model, scope, restore } = TRASH_TYPES[req.params.type];
+    const row = await model.findOne({
+      where: { ...(await scope(req.organization.id)), id: req.params.id, deletedAt: { [Sequelize.Op.ne]: null } },
+      paranoid: false,
+      transaction: t
+    });
+    if (!row) {
+      throw new HttpError(404, 'Nothing to restore');
+    }
+    await restore(row, req.organization.id, t);
+    await t.commit();
+    res.json(await model.findByPk(row.id));
   } catch (error) {
-    console.error('Error deleting maintenance:', error);
-    res.status(500).json({ error: 'Failed to delete maintenance' });
+    await t.rollback();
+    if (error.details) {
+      return sendQuotaError(res, error);
+    }
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error restoring from trash:', error);
+    res.status(500).json({ error: 'Failed to restore' });
   }
 });
 
 // PUT and DELETE endpoints for Properties
-app.delete('/api/properties/:id', async (req, res) => {
+app.delete('/api/properties/:id', authorize('properties', 'write'), async (req, res) => {
   const t = await sequelize.transaction();
   try {
     const { id } = req.params;
     console.log(`[${new Date().toISOString()}] Attempting to delete property with ID: ${id}`);
 
-    // Delete associated addresses first (this will cascade to units)
-    await PropertyAddress.destroy({
-      where: { property_id: id },
-      transaction: t
-    });
-
-    // Delete the property
+    if (!(await Property.count({ where: { id, organization_id: req.organization.id } }))) {
+      await t.rollback();
+      return res.status(404).json({ error: 'Property not found' });
+    }
+
+    // The property goes to the trash with its addresses and units; photos stay for a restore
+    await assertNotReconciling(id, 'The property', t);
     await Property.destroy({
       where: { id },
       transaction: t
     });
+    await archiveAddresses({ property_id: id }, 'The property', t);
 
     await t.commit();
     res.status(204).send();
   } catch (error) {
     await t.rollback();
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Error deleting property:', error);
     res.status(500).json({ error: 'Failed to delete property' });
   }
 });
 
 // PUT and DELETE endpoints for Units
-app.put('/api/units/:id', async (req, res) => {
+app.put('/api/units/:id', authorize('properties', 'write'), async (req, res) => {
   const t = await sequelize.transaction();
   try {
     const { id } = req.params;
     const { photos, ...unitData } = req.body;
+
+    const addressIds = await orgAddressIds(req.organization.id);
+    if (!(await Unit.count({ where: { id, address_id: addressIds } }))) {
+      await t.rollback();
+      return res.status(404).json({ error: 'Unit not found' });
+    }
+    if (unitData.address_id && !addressIds.includes(parseInt(unitData.address_id, 10))) {
+      await t.rollback();
+      return res.status(400).json({ error: 'Address not found' });
+    }
     
     // Update unit
     await Unit.update(unitData, { 
@@ -1156,50 +11783,7 @@ app.put('/api/units/:id', async (req, res) => {
     
     // Handle photos if provided
     if (photos) {
-      // Get existing photos
-      const existingPhotos = await Photo.findAll({
-        where: { unit_id: id },
-        transaction: t
-      });
-      
-      const existingPhotoIds = existingPhotos.map(p => p.id);
-      const updatedPhotoIds = photos.filter(p => p.id).map(p => p.id);
-      
-      // Delete photos that are no longer in the updated list
-      const photosToDelete = existingPhotoIds.filter(id => !updatedPhotoIds.includes(id));
-      if (photosToDelete.length > 0) {
-        await Photo.destroy({
-          where: {
-            id: { [Sequelize.Op.in]: photosToDelete }
-          },
-          transaction: t
-        });
-      }
-      
-      // Update or create photos
-      for (const photo of photos) {
-        if (photo.id) {
-          // Update existing photo
-          await Photo.update(
-            { 
-              name: photo.name,
-              is_main: photo.is_main
-            },
-            { where: { id: photo.id }, transaction: t }
-          );
-        } else {
-          // Create new photo
-          await Photo.create(
-            {
-              unit_id: id,
-              name: photo.name,
-              url: photo.url,
-              is_main: photo.is_main
-            },
-            { transaction: t }
-          );
-        }
-      }
+      await syncPhotoList(photos, { unit_id: id }, t);
     }
     
     await t.commit();
@@ -1219,41 +11803,191 @@ app.put('/api/units/:id', async (req, res) => {
     res.json(updatedUnit);
   } catch (error) {
     await t.rollback();
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Error updating unit:', error);
     res.status(500).json({ error: 'Failed to update unit' });
   }
 });
 
-app.delete('/api/units/:id', async (req, res) => {
+app.delete('/api/units/:id', authorize('properties', 'write'), async (req, res) => {
+  const t = await sequelize.transaction();
   try {
     const { id } = req.params;
     console.log(`[${new Date().toISOString()}] Attempting to delete unit with ID: ${id}`);
     
-    const unit = await Unit.findByPk(id);
+    const unit = await Unit.findOne({ where: { id, address_id: await orgAddressIds(req.organization.id) }, transaction: t });
     
     if (!unit) {
+      await t.rollback();
       console.log(`[${new Date().toISOString()}] Unit with ID ${id} not found for deletion`);
       return res.status(404).json({ error: `Unit with ID ${id} not found` });
     }
     
-    // Delete associated tenants first
-    await Tenant.destroy({ where: { unit_id: id } });
-    
-    // Delete the unit
-    await unit.destroy();
+    // The unit's leases and tenants are left alone: ended leases stay on the books with the unit archived
+    await assertUnitsSettled([unit.id], 'The unit', t);
+    await archiveUnits([unit.id], t);
+    await t.commit();
     console.log(`[${new Date().toISOString()}] Successfully deleted unit with ID: ${id}`);
     
     res.status(200).json({ message: `Unit with ID ${id} successfully deleted` });
   } catch (error) {
+    await t.rollback();
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error(`[${new Date().toISOString()}] Error in DELETE /api/units/${req.params.id}:`, error);
     res.status(500).json({ error: error.message });
   }
 });
 
+// Uploaded photos are kept in file storage as the original plus resized JPEG variants
+const PHOTO_VARIANTS = { thumbnail: 200, medium: 800, large: 1600 };
+const PHOTO_FORMATS = { jpeg: 'jpg', png: 'png', gif: 'gif', webp: 'webp' };
+
+const photoUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 20 * 1024 * 1024, files: 20 }
+});
+
+const acceptPhotoFiles = acceptUploads(photoUpload.fields([{ name: 'file', maxCount: 1 }, { name: 'files', maxCount: 20 }]));
+
+const isDataUri = (value) => typeof value === 'string' && value.startsWith('data:');
+
+const decodeDataUri = (value) => {
+  const comma = value.indexOf(',');
+  const data = value.slice(comma + 1);
+  return /;base64$/i.test(value.slice(0, comma))
+    ? Buffer.from(data, 'base64')
+    : Buffer.from(decodeURIComponent(data));
+};
+
+const photoKeys = (photo) => [
+  photo.storage_key,
+  ...Object.values(photo.variants || {}).map(variant => variant.key)
+].filter(Boolean);
+
+const storePhotoFile = async (buffer) => {
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (error) {
+    metadata = {};
+  }
+  const extension = PHOTO_FORMATS[metadata.format];
+  if (!extension) {
+    throw new HttpError(400, 'Photo must be a JPEG, PNG, GIF or WebP image');
+  }
+
+  const folder = `photos/${crypto.randomUUID()}`;
+  const stored = {
+    storage_key: `${folder}/original.${extension}`,
+    content_type: FILE_CONTENT_TYPES[extension],
+    size: buffer.length,
+    // EXIF orientations 5-8 are rotated a quarter turn, so the displayed image is the other way round
+    width: metadata.orientation >= 5 ? metadata.height : metadata.width,
+    height: metadata.orientation >= 5 ? metadata.width : metadata.height,
+    variants: {}
+  };
+  try {
+    await storage.put(stored.storage_key, buffer, stored.content_type);
+    for (const [name, size] of Object.entries(PHOTO_VARIANTS)) {
+      const { data, info } = await sharp(buffer)
+        .rotate()
+        .resize({ width: size, height: size, fit: 'inside', withoutEnlargement: true })
+        .jpeg({ quality: 82 })
+        .toBuffer({ resolveWithObject: true });
+      const key = `${folder}/${name}.jpg`;
+      await storage.put(key, data, 'image/jpeg');
+      stored.variants[name] = { key, width: info.width, height: info.height };
+    }
+  } catch (error) {
+    await removeStoredFiles(photoKeys(stored));
+    throw error;
+  }
+  return stored;
+};
+
+// Images are uploaded as multipart files; a plain `url` is kept as a link to an image hosted elsewhere
+const DATA_URI_REJECTED = 'Upload the photo as a multipart file; data URIs are no longer accepted';
+
+const createPhoto = async (values, file, transaction) => {
+  if (isDataUri(values.url)) {
+    throw new HttpError(400, DATA_URI_REJECTED);
+  }
+  const stored = file ? await storePhotoFile(file.buffer) : null;
+
+  try {
+    return await Photo.create({
+      property_id: values.property_id,
+      unit_id: values.unit_id,
+      name: values.name || (file && file.originalname),
+      is_main: values.is_main,
+      ...(stored ? { ...stored, url: null } : { url: values.url })
+    }, { transaction });
+  } catch (error) {
+    if (stored) {
+      await removeStoredFiles(photoKeys(stored));
+    }
+    throw error;
+  }
+};
+
+const destroyPhotos = async (where, transaction) => {
+  const photos = await Photo.findAll({ where, transaction });
+  if (photos.length > 0) {
+    await Photo.destroy({ where: { id: photos.map(photo => photo.id) }, transaction });
+    await removeStoredFiles(photos.flatMap(photoKeys), transaction);
+  }
+  return photos.length;
+};
+
+// Property and unit PUT bodies carry the complete photo list: photos left out are deleted
+const syncPhotoList = async (photos, owner, transaction) => {
+  const updatedPhotoIds = photos.filter(photo => photo.id).map(photo => parseInt(photo.id, 10));
+  await destroyPhotos({ ...owner, id: { [Sequelize.Op.notIn]: updatedPhotoIds } }, transaction);
+
+  for (const photo of photos) {
+    if (photo.id) {
+      await Photo.update(
+        {
+          name: photo.name,
+          is_main: photo.is_main
+        },
+        { where: { id: photo.id, ...owner }, transaction }
+      );
+    } else {
+      await createPhoto({ ...photo, ...owner }, null, transaction);
+    }
+  }
+};
+
+// Signed links to locally stored files; S3 links point straight at the bucket
+app.get('/api/files/*', async (req, res) => {
+  try {
+    const key = req.params[0];
+    if (!storage.verify || !storage.verify(key, req.query.expires, req.query.signature)) {
+      return res.status(403).json({ error: 'Invalid or expired file link' });
+    }
+    const body = await storage.get(key);
+    res.set('Content-Type', contentTypeForKey(key));
+    res.set('Cache-Control', 'private, max-age=300');
+    res.send(body);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return res.status(404).json({ error: 'File not found' });
+    }
+    console.error('Error fetching file:', error);
+    res.status(500).json({ error: 'Failed to fetch file' });
+  }
+});
+
 // Photo API Endpoints
-app.get('/api/photos', async (req, res) => {
+app.get('/api/photos', authorize('properties', 'read'), async (req, res) => {
   try {
     const photos = await Photo.findAll({
+      where: await propertyOrUnitScope(req.organization.id),
       include: [
         { 
           model: Property,
@@ -1272,32 +12006,78 @@ app.get('/api/photos', async (req, res) => {
   }
 });
 
-app.post('/api/photos', async (req, res) => {
+// Accepts multipart/form-data with `file` (or several `files`) plus property_id/unit_id, name and is_main
+app.post('/api/photos', authorize('properties', 'write'), acceptPhotoFiles, async (req, res) => {
   try {
-    const photo = await Photo.create(req.body);
+    const scopeError = await validatePropertyOrUnit(req.body, req.organization.id);
+    if (scopeError) {
+      return res.status(400).json({ error: scopeError });
+    }
+    const files = [...((req.files || {}).file || []), ...((req.files || {}).files || [])];
+    if (files.length === 0 && !req.body.url) {
+      return res.status(400).json({ error: 'Upload a photo file or provide a url' });
+    }
+    if (files.length > 1) {
+      const photos = [];
+      for (const [index, file] of files.entries()) {
+        photos.push(await createPhoto({ ...req.body, name: file.originalname, is_main: req.body.is_main && index === 0 }, file));
+      }
+      return res.status(201).json(photos);
+    }
+    const photo = await createPhoto(req.body, files[0]);
     res.status(201).json(photo);
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Error creating photo:', error);
     res.status(500).json({ error: 'Failed to create photo' });
   }
 });
 
-app.put('/api/photos/:id', async (req, res) => {
+// Accepts JSON, or multipart/form-data with a `file` that replaces the stored image
+app.put('/api/photos/:id', authorize('properties', 'write'), acceptPhotoFiles, async (req, res) => {
   try {
     const { id } = req.params;
-    await Photo.update(req.body, { where: { id } });
-    const updatedPhoto = await Photo.findByPk(id);
-    res.json(updatedPhoto);
+    const existing = await Photo.findOne({
+      where: { id, ...(await propertyOrUnitScope(req.organization.id)) }
+    });
+    if (!existing) {
+      return res.status(404).json({ error: 'Photo not found' });
+    }
+    const scopeError = await validatePropertyOrUnit({ ...existing.toJSON(), ...req.body }, req.organization.id);
+    if (scopeError) {
+      return res.status(400).json({ error: scopeError });
+    }
+    const { property_id, unit_id, name, is_main, url } = req.body;
+    const changes = Object.fromEntries(Object.entries({ property_id, unit_id, name, is_main })
+      .filter(([, value]) => value !== undefined));
+    // A new file or link replaces the stored image
+    const file = ((req.files || {}).file || [])[0];
+    if (isDataUri(url)) {
+      throw new HttpError(400, DATA_URI_REJECTED);
+    } else if (file) {
+      Object.assign(changes, await storePhotoFile(file.buffer), { url: null, storage_error: null });
+    } else if (url !== undefined) {
+      Object.assign(changes, { url, storage_key: null, content_type: null, size: null, width: null, height: null, variants: {}, storage_error: null });
+    }
+    const replacedKeys = changes.variants ? photoKeys(existing) : [];
+    await existing.update(changes);
+    await removeStoredFiles(replacedKeys);
+    res.json(existing);
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Error updating photo:', error);
     res.status(500).json({ error: 'Failed to update photo' });
   }
 });
 
-app.delete('/api/photos/:id', async (req, res) => {
+app.delete('/api/photos/:id', authorize('properties', 'write'), async (req, res) => {
   try {
     const { id } = req.params;
-    await Photo.destroy({ where: { id } });
+    await destroyPhotos({ id, ...(await propertyOrUnitScope(req.organization.id)) });
     res.status(204).send();
   } catch (error) {
     console.error('Error deleting photo:', error);
@@ -1307,7 +12087,12 @@ app.delete('/api/photos/:id', async (req, res) => {
 
 // Subscription endpoints
 const stripeSecretKey = process.env.STRIPE_SECRET_KEY || 'sk_test_dummy';
-const stripe = require('stripe')(stripeSecretKey);
+// STRIPE_API_HOST points the client somewhere else, e.g. a local stripe-mock at localhost:12111
+const stripe = require('stripe')(stripeSecretKey, process.env.STRIPE_API_HOST ? {
+  host: process.env.STRIPE_API_HOST,
+  port: process.env.STRIPE_API_PORT || 12111,
+  protocol: process.env.STRIPE_API_PROTOCOL || 'http'
+} : {});
 
 app.get('/api/subscription/plans', async (req, res) => {
   try {
@@ -1363,29 +12148,145 @@ app.get('/api/subscription/plans', async (req, res) => {
   }
 });
 
-app.post('/api/subscriptions', async (req, res) => {
+// Subscriptions in these states still give the organization its plan
+const LIVE_SUBSCRIPTION_STATUSES = ['active', 'trialing', 'past_due'];
+
+// Stripe spells it "canceled"; existing rows use "cancelled"
+const subscriptionStatusFromStripe = (status) => (status === 'canceled' ? 'cancelled' : status);
+
+const fromUnixTime = (seconds) => (seconds ? new Date(seconds * 1000) : null);
+
+// Create the plan's Stripe product and recurring price the first time they are needed
+const ensureStripePrice = async (plan) => {
+  if (plan.stripe_price_id) {
+    return plan.stripe_price_id;
+  }
+  const product = plan.stripe_product_id
+    ? { id: plan.stripe_product_id }
+    : await stripe.products.create({ name: plan.name, description: plan.description || undefined, metadata: { plan_id: String(plan.id) } });
+  const price = await stripe.prices.create({
+    product: product.id,
+    currency: 'usd',
+    unit_amount: toCents(plan.price),
+    recurring: { interval: plan.billing_cycle === 'yearly' || plan.billing_cycle === 'annual' ? 'year' : 'month' },
+    metadata: { plan_id: String(plan.id) }
+  });
+  await plan.update({ stripe_product_id: product.id, stripe_price_id: price.id });
+  return price.id;
+};
+
+const ensureStripeCustomer = async (organization, user) => {
+  if (organization.stripe_customer_id) {
+    return organization.stripe_customer_id;
+  }
+  const customer = await stripe.customers.create({
+    name: organization.name,
+    email: user.email,
+    metadata: { organization_id: String(organization.id) }
+  });
+  await organization.update({ stripe_customer_id: customer.id });
+  return customer.id;
+};
+
+// Copy a Stripe subscription's state onto our row
+const applyStripeSubscription = async (subscription, stripeSubscription, transaction) => {
+  const priceId = stripeSubscription.items && stripeSubscription.items.data[0]
+    ? stripeSubscription.items.data[0].price.id
+    : null;
+  const plan = priceId ? await SubscriptionPlan.findOne({ where: { stripe_price_id: priceId }, transaction }) : null;
+  const status = subscriptionStatusFromStripe(stripeSubscription.status);
+
+  await subscription.update({
+    status,
+    ...(plan ? { plan_id: plan.id } : {}),
+    trial_end: fromUnixTime(stripeSubscription.trial_end),
+    current_period_end: fromUnixTime(stripeSubscription.current_period_end),
+    cancel_at_period_end: Boolean(stripeSubscription.cancel_at_period_end),
+    end_date: status === 'cancelled'
+      ? fromUnixTime(stripeSubscription.ended_at) || new Date()
+      : (stripeSubscription.cancel_at_period_end ? fromUnixTime(stripeSubscription.current_period_end) : null)
+  }, { transaction });
+  return subscription;
+};
+
+const sendSubscriptionError = (res, error, action) => {
+  if (error.status) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  if (error.type && error.type.startsWith('Stripe')) {
+    console.error(`Stripe error trying to ${action} subscription:`, error.message);
+    return res.status(502).json({ error: 'Payment provider error', details: error.message });
+  }
+  console.error(`Error trying to ${action} subscription:`, error);
+  res.status(500).json({ error: `Failed to ${action} subscription` });
+};
+
+// Subscribe the organization to a plan. The response carries the client secret of the first
+// invoice's PaymentIntent (absent during a trial) so the client can confirm the card.
+app.post('/api/subscriptions', authorize('subscriptions', 'write'), async (req, res) => {
   try {
-    const { userId, planId } = req.body;
+    const { planId, paymentMethodId } = req.body;
     
     // Validate that the plan exists
     const plan = await SubscriptionPlan.findByPk(planId);
     if (!plan) {
       return res.status(404).json({ error: 'Subscription plan not found' });
     }
-    
-    // Create a new subscription
-    const subscription = await Subscription.create({
-      user_id: userId || 1, // Default to user 1 if not provided
-      plan_id: planId,
-      status: 'active',
-      start_date: new Date(),
-      payment_method: 'credit_card' // Default payment method
+
+    // An incomplete subscription is still waiting on its first payment; a second one would bill twice
+    const existing = await Subscription.findOne({
+      where: { organization_id: req.organization.id, status: [...LIVE_SUBSCRIPTION_STATUSES, 'incomplete'] }
+    });
+    if (existing) {
+      return res.status(409).json({ error: 'Organization already has a subscription; change its plan instead', subscription_id: existing.id });
+    }
+
+    const customerId = await ensureStripeCustomer(req.organization, req.user);
+    if (paymentMethodId) {
+      await stripe.paymentMethods.attach(paymentMethodId, { customer: customerId });
+      await stripe.customers.update(customerId, { invoice_settings: { default_payment_method: paymentMethodId } });
+    }
+
+    const stripeSubscription = await stripe.subscriptions.create({
+      customer: customerId,
+      items: [{ price: await ensureStripePrice(plan) }],
+      ...(plan.trial_days > 0 ? { trial_period_days: plan.trial_days } : {}),
+      payment_behavior: 'default_incomplete',
+      payment_settings: { save_default_payment_method: 'on_subscription' },
+      expand: ['latest_invoice.payment_intent'],
+      metadata: { organization_id: String(req.organization.id), user_id: String(req.user.id) }
     });
     
-    res.json(subscription);
+    // Create a new subscription. Stripe has already started billing, so if the row can't be saved the
+    // Stripe subscription is cancelled rather than left charging with nothing on our side.
+    const t = await sequelize.transaction();
+    let subscription;
+    try {
+      subscription = await Subscription.create({
+        organization_id: req.organization.id,
+        user_id: req.user.id,
+        plan_id: planId,
+        start_date: new Date(),
+        payment_method: 'stripe',
+        stripe_subscription_id: stripeSubscription.id
+      }, { transaction: t });
+      await applyStripeSubscription(subscription, stripeSubscription, t);
+      await t.commit();
+    } catch (error) {
+      await t.rollback();
+      await stripe.subscriptions.cancel(stripeSubscription.id).catch(cancelError =>
+        console.error(`Could not cancel Stripe subscription ${stripeSubscription.id} after failing to save it:`, cancelError.message));
+      throw error;
+    }
+
+    const invoice = stripeSubscription.latest_invoice;
+    const paymentIntent = invoice && typeof invoice === 'object' ? invoice.payment_intent : null;
+    res.status(201).json({
+      ...subscription.toJSON(),
+      client_secret: paymentIntent && typeof paymentIntent === 'object' ? paymentIntent.client_secret : null
+    });
   } catch (error) {
-    console.error('Error creating subscription:', error);
-    res.status(500).json({ error: 'Failed to create subscription' });
+    sendSubscriptionError(res, error, 'create');
   }
 });
 
@@ -1393,11 +12294,17 @@ app.post('/api/subscriptions', async (req, res) => {
 app.get('/api/subscriptions/current/:userId', async (req, res) => {
   try {
     const { userId } = req.params;
+    if (parseInt(userId, 10) !== req.user.id) {
+      return res.status(403).json({ error: 'You can only view your own subscription' });
+    }
+    if (!req.organization) {
+      return res.status(404).json({ error: 'No active subscription found' });
+    }
     
     const subscription = await Subscription.findOne({
       where: { 
-        user_id: userId,
-        status: 'active'
+        organization_id: req.organization.id,
+        status: LIVE_SUBSCRIPTION_STATUSES
       },
       include: [SubscriptionPlan]
     });
@@ -1413,15 +12320,103 @@ app.get('/api/subscriptions/current/:userId', async (req, res) => {
   }
 });
 
-// Cancel subscription
-app.put('/api/subscriptions/:id/cancel', async (req, res) => {
+// Current usage against the plan's limits
+app.get('/api/subscriptions/current/:userId/usage', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (parseInt(userId, 10) !== req.user.id) {
+      return res.status(403).json({ error: 'You can only view your own subscription' });
+    }
+    if (!req.organization) {
+      return res.status(404).json({ error: 'No active subscription found' });
+    }
+
+    // Without a live subscription the free plan's limits apply
+    const subscription = await activeSubscription(req.organization.id);
+    const plan = subscription ? subscription.SubscriptionPlan : FREE_PLAN;
+
+    res.json({
+      subscription_id: subscription ? subscription.id : null,
+      plan: { id: plan.id, name: plan.name },
+      status: subscription ? subscription.status : 'free',
+      usage: await usageFor(req.organization.id, plan),
+      reports: planFeatures(plan).reports || 'basic'
+    });
+  } catch (error) {
+    console.error('Error fetching subscription usage:', error);
+    res.status(500).json({ error: 'Failed to fetch subscription usage' });
+  }
+});
+
+// Move to another plan. Upgrades are invoiced right away with proration; downgrades leave a
+// prorated credit on the next invoice.
+app.put('/api/subscriptions/:id/plan', authorize('subscriptions', 'write'), async (req, res) => {
+  try {
+    const subscription = await Subscription.findOne({
+      where: { id: req.params.id, organization_id: req.organization.id },
+      include: [SubscriptionPlan]
+    });
+    if (!subscription) {
+      return res.status(404).json({ error: 'Subscription not found' });
+    }
+    if (!LIVE_SUBSCRIPTION_STATUSES.includes(subscription.status)) {
+      return res.status(409).json({ error: 'Only an active subscription can change plans' });
+    }
+    const plan = await SubscriptionPlan.findByPk(req.body.planId);
+    if (!plan) {
+      return res.status(404).json({ error: 'Subscription plan not found' });
+    }
+    if (plan.id === subscription.plan_id) {
+      return res.status(400).json({ error: 'Subscription is already on that plan' });
+    }
+    const usage = await usageFor(req.organization.id, plan);
+    const over = Object.entries(usage).filter(([, { used, limit }]) => limit !== 'unlimited' && used > limit);
+    if (over.length > 0) {
+      return res.status(409).json({
+        error: `The ${plan.name} allows fewer ${over.map(([resource]) => resource).join(' and ')} than you have`,
+        usage
+      });
+    }
+
+    if (!subscription.stripe_subscription_id) {
+      // Subscriptions from before Stripe billing just switch plans
+      await subscription.update({ plan_id: plan.id });
+      return res.json(await Subscription.findByPk(subscription.id, { include: [SubscriptionPlan] }));
+    }
+
+    const upgrade = toCents(plan.price) > toCents(subscription.SubscriptionPlan.price);
+    const current = await stripe.subscriptions.retrieve(subscription.stripe_subscription_id);
+    const updated = await stripe.subscriptions.update(subscription.stripe_subscription_id, {
+      items: [{ id: current.items.data[0].id, price: await ensureStripePrice(plan) }],
+      proration_behavior: upgrade ? 'always_invoice' : 'create_prorations',
+      cancel_at_period_end: false
+    });
+    await applyStripeSubscription(subscription, updated);
+    await subscription.update({ plan_id: plan.id });
+
+    res.json(await Subscription.findByPk(subscription.id, { include: [SubscriptionPlan] }));
+  } catch (error) {
+    sendSubscriptionError(res, error, 'change');
+  }
+});
+
+// Cancel subscription. Stripe subscriptions run to the end of the paid period unless ?immediately=true.
+app.put('/api/subscriptions/:id/cancel', authorize('subscriptions', 'write'), async (req, res) => {
   try {
     const { id } = req.params;
     
-    const subscription = await Subscription.findByPk(id);
+    const subscription = await Subscription.findOne({ where: { id, organization_id: req.organization.id } });
     if (!subscription) {
       return res.status(404).json({ error: 'Subscription not found' });
     }
+
+    if (subscription.stripe_subscription_id) {
+      const updated = req.query.immediately === 'true'
+        ? await stripe.subscriptions.cancel(subscription.stripe_subscription_id, { prorate: true })
+        : await stripe.subscriptions.update(subscription.stripe_subscription_id, { cancel_at_period_end: true });
+      await applyStripeSubscription(subscription, updated);
+      return res.json(subscription);
+    }
     
     subscription.status = 'cancelled';
     subscription.end_date = new Date();
@@ -1429,15 +12424,89 @@ app.put('/api/subscriptions/:id/cancel', async (req, res) => {
     
     res.json(subscription);
   } catch (error) {
-    console.error('Error cancelling subscription:', error);
-    res.status(500).json({ error: 'Failed to cancel subscription' });
+    sendSubscriptionError(res, error, 'cancel');
+  }
+});
+
+// Invoice history for the subscriptions a user started
+app.get('/api/users/:userId/invoices', authorize('subscriptions', 'read'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (parseInt(userId, 10) !== req.user.id) {
+      return res.status(403).json({ error: 'You can only view your own invoices' });
+    }
+
+    const invoices = await SubscriptionInvoice.findAll({
+      include: [{
+        model: Subscription,
+        where: { user_id: userId, organization_id: req.organization.id },
+        include: [SubscriptionPlan]
+      }],
+      order: [['createdAt', 'DESC']]
+    });
+    res.json(invoices);
+  } catch (error) {
+    console.error('Error fetching invoices:', error);
+    res.status(500).json({ error: 'Failed to fetch invoices' });
+  }
+});
+
+// Subscription webhooks keep our rows in step with Stripe (trial ending, renewals, failed payments)
+const syncSubscriptionEvent = async (stripeSubscription, t) => {
+  const subscription = await Subscription.findOne({ where: { stripe_subscription_id: stripeSubscription.id }, transaction: t });
+  if (subscription) {
+    await applyStripeSubscription(subscription, stripeSubscription, t);
+  }
+};
+
+const syncInvoiceEvent = async (invoice, t) => {
+  if (!invoice.subscription) return;
+  const subscription = await Subscription.findOne({ where: { stripe_subscription_id: invoice.subscription }, transaction: t });
+  if (!subscription) return;
+
+  const values = {
+    subscription_id: subscription.id,
+    stripe_invoice_id: invoice.id,
+    number: invoice.number,
+    status: invoice.status,
+    amount_due: fromCents(invoice.amount_due || 0),
+    amount_paid: fromCents(invoice.amount_paid || 0),
+    currency: invoice.currency,
+    period_start: fromUnixTime(invoice.period_start),
+    period_end: fromUnixTime(invoice.period_end),
+    hosted_invoice_url: invoice.hosted_invoice_url,
+    invoice_pdf: invoice.invoice_pdf
+  };
+  const existing = await SubscriptionInvoice.findOne({ where: { stripe_invoice_id: invoice.id }, transaction: t });
+  if (existing) {
+    await existing.update(values, { transaction: t });
+  } else {
+    await SubscriptionInvoice.create(values, { transaction: t });
+  }
+  return subscription;
+};
+
+Object.assign(stripeEventHandlers, {
+  'customer.subscription.created': syncSubscriptionEvent,
+  'customer.subscription.updated': syncSubscriptionEvent,
+  'customer.subscription.deleted': syncSubscriptionEvent,
+  'invoice.finalized': syncInvoiceEvent,
+  'invoice.paid': syncInvoiceEvent,
+  'invoice.voided': syncInvoiceEvent,
+  'invoice.payment_failed': async (invoice, t) => {
+    const subscription = await syncInvoiceEvent(invoice, t);
+    // Stripe follows up with customer.subscription.updated, but don't wait for it to flag the account
+    if (subscription && subscription.status === 'active') {
+      await subscription.update({ status: 'past_due' }, { transaction: t });
+    }
   }
 });
 
 // Portfolio endpoints
-app.get('/api/portfolios', async (req, res) => {
+app.get('/api/portfolios', authorize('portfolios', 'read'), async (req, res) => {
   try {
     const portfolios = await Portfolio.findAll({
+      where: { organization_id: req.organization.id },
       include: [Property]
     });
     res.json(portfolios);
@@ -1447,10 +12516,11 @@ app.get('/api/portfolios', async (req, res) => {
   }
 });
 
-app.get('/api/portfolios/:id', async (req, res) => {
+app.get('/api/portfolios/:id', authorize('portfolios', 'read'), async (req, res) => {
   try {
     const { id } = req.params;
-    const portfolio = await Portfolio.findByPk(id, {
+    const portfolio = await Portfolio.findOne({
+      where: { id, organization_id: req.organization.id },
       include: [Property]
     });
     
@@ -1465,16 +12535,28 @@ app.get('/api/portfolios/:id', async (req, res) => {
   }
 });
 
-app.post('/api/portfolios', async (req, res) => {
+// Portfolios may only group properties of their own organization
+const allPropertiesInOrganization = async (propertyIds, organizationId) => {
+  const ids = await orgPropertyIds(organizationId);
+  return propertyIds.every(propertyId => ids.includes(parseInt(propertyId, 10)));
+};
+
+app.post('/api/portfolios', authorize('portfolios', 'write'), async (req, res) => {
   const t = await sequelize.transaction();
   try {
-    const { name, description, user_id, property_ids } = req.body;
+    const { name, description, property_ids } = req.body;
+
+    if (Array.isArray(property_ids) && !(await allPropertiesInOrganization(property_ids, req.organization.id))) {
+      await t.rollback();
+      return res.status(400).json({ error: 'Property not found' });
+    }
     
     // Create the portfolio
     const portfolio = await Portfolio.create({
+      organization_id: req.organization.id,
       name,
       description,
-      user_id: user_id || 1 // Default to user 1 if not provided
+      user_id: req.user.id
     }, { transaction: t });
     
     // Add properties to the portfolio if provided
@@ -1498,18 +12580,22 @@ app.post('/api/portfolios', async (req, res) => {
   }
 });
 
-app.put('/api/portfolios/:id', async (req, res) => {
+app.put('/api/portfolios/:id', authorize('portfolios', 'write'), async (req, res) => {
   const t = await sequelize.transaction();
   try {
     const { id } = req.params;
     const { name, description, property_ids } = req.body;
     
     // Find the portfolio
-    const portfolio = await Portfolio.findByPk(id);
+    const portfolio = await Portfolio.findOne({ where: { id, organization_id: req.organization.id } });
     if (!portfolio) {
       await t.rollback();
       return res.status(404).json({ error: 'Portfolio not found' });
     }
+    if (Array.isArray(property_ids) && !(await allPropertiesInOrganization(property_ids, req.organization.id))) {
+      await t.rollback();
+      return res.status(400).json({ error: 'Property not found' });
+    }
     
     // Update portfolio details
     if (name) portfolio.name = name;
@@ -1537,16 +12623,20 @@ app.put('/api/portfolios/:id', async (req, res) => {
   }
 });
 
-app.delete('/api/portfolios/:id', async (req, res) => {
+app.delete('/api/portfolios/:id', authorize('portfolios', 'write'), async (req, res) => {
   const t = await sequelize.transaction();
   try {
     const { id } = req.params;
-    
-    // Delete portfolio properties first
-    await PortfolioProperty.destroy({
-      where: { portfolio_id: id },
-      transaction: t
-    });
+
+    if (!(await Portfolio.count({ where: { id, organization_id: req.organization.id } }))) {
+      await t.rollback();
+      return res.status(404).json({ error: 'Portfolio not found' });
+    }
+
+    if (await PortfolioProperty.count({ where: { portfolio_id: id }, transaction: t })) {
+      await t.rollback();
+      return res.status(409).json({ error: 'Portfolio still has properties; remove them first' });
+    }
     
     // Delete the portfolio
     const deleted = await Portfolio.destroy({
@@ -1569,18 +12659,18 @@ app.delete('/api/portfolios/:id', async (req, res) => {
 });
 
 // Add a property to a portfolio
-app.post('/api/portfolios/:portfolioId/properties/:propertyId', async (req, res) => {
+app.post('/api/portfolios/:portfolioId/properties/:propertyId', authorize('portfolios', 'write'), async (req, res) => {
   try {
     const { portfolioId, propertyId } = req.params;
     
     // Check if portfolio exists
-    const portfolio = await Portfolio.findByPk(portfolioId);
+    const portfolio = await Portfolio.findOne({ where: { id: portfolioId, organization_id: req.organization.id } });
     if (!portfolio) {
       return res.status(404).json({ error: 'Portfolio not found' });
     }
     
     // Check if property exists
-    const property = await Property.findByPk(propertyId);
+    const property = await Property.findOne({ where: { id: propertyId, organization_id: req.organization.id } });
     if (!property) {
       return res.status(404).json({ error: 'Property not found' });
     }
@@ -1611,9 +12701,13 @@ app.post('/api/portfolios/:portfolioId/properties/:propertyId', async (req, res)
 });
 
 // Remove a property from a portfolio
-app.delete('/api/portfolios/:portfolioId/properties/:propertyId', async (req, res) => {
+app.delete('/api/portfolios/:portfolioId/properties/:propertyId', authorize('portfolios', 'write'), async (req, res) => {
   try {
     const { portfolioId, propertyId } = req.params;
+
+    if (!(await Portfolio.count({ where: { id: portfolioId, organization_id: req.organization.id } }))) {
+      return res.status(404).json({ error: 'Portfolio not found' });
+    }
     
     // Delete the association
     const deleted = await PortfolioProperty.destroy({
@@ -1635,12 +12729,13 @@ app.delete('/api/portfolios/:portfolioId/properties/:propertyId', async (req, re
 });
 
 // Get all properties in a portfolio
-app.get('/api/portfolios/:id/properties', async (req, res) => {
+app.get('/api/portfolios/:id/properties', authorize('portfolios', 'read'), async (req, res) => {
   try {
     const { id } = req.params;
     
     // Find the portfolio with its properties
-    const portfolio = await Portfolio.findByPk(id, {
+    const portfolio = await Portfolio.findOne({
+      where: { id, organization_id: req.organization.id },
       include: [{
         model: Property,
         include: [
@@ -1662,12 +12757,15 @@ app.get('/api/portfolios/:id/properties', async (req, res) => {
 });
 
 // Get portfolios for a specific user
-app.get('/api/users/:userId/portfolios', async (req, res) => {
+app.get('/api/users/:userId/portfolios', authorize('portfolios', 'read'), async (req, res) => {
   try {
     const { userId } = req.params;
+    if (parseInt(userId, 10) !== req.user.id) {
+      return res.status(403).json({ error: 'You can only view your own portfolios' });
+    }
     
     const portfolios = await Portfolio.findAll({
-      where: { user_id: userId },
+      where: { user_id: userId, organization_id: req.organization.id },
       include: [Property]
     });
     
@@ -1678,6 +12776,23 @@ app.get('/api/users/:userId/portfolios', async (req, res) => {
   }
 });
 
+// Run a one-time data migration unless this database already has it
+const runMigration = async (name, migrate) => {
+  if (await SchemaMigration.findOne({ where: { name } })) {
+    return;
+  }
+  const t = await sequelize.transaction();
+  try {
+    await migrate(t);
+    await SchemaMigration.create({ name }, { transaction: t });
+    await t.commit();
+    console.log(`Ran migration ${name}`);
+  } catch (error) {
+    await t.rollback();
+    throw error;
+  }
+};
+
 // Database Sync and Seed Function
 const syncModels = async () => {
   try {
@@ -1687,8 +12802,20 @@ const syncModels = async () => {
     // In production, you would want to use migrations instead
     await sequelize.sync({ alter: true });
     
-    console.log('Database synchronized successfully.');
+    // sync({ alter }) never drops NOT NULL on foreign key columns, so relax it by hand
+    await sequelize.query('ALTER TABLE "Accounts" ALTER COLUMN "accountTypeId" DROP NOT NULL');
+
+    // Column-level unique constraints used to be re-added by every alter sync; drop the copies
+    const [uniqueCopies] = await sequelize.query(`
+      SELECT conrelid::regclass::text AS "table", conname AS name FROM pg_constraint
+      WHERE contype = 'u' AND conname ~ '^(Users_email|RefreshTokens_token_hash)_key[0-9]*$'
+    `);
+    for (const { table, name } of uniqueCopies) {
+      await sequelize.query(`ALTER TABLE ${table} DROP CONSTRAINT "${name}"`);
+    }
     
+    console.log('Database synchronized successfully.');
+
     // Seed data for testing if needed
     const accountTypeCount = await AccountType.count();
     if (accountTypeCount === 0) {
@@ -1744,16 +12871,195 @@ const syncModels = async () => {
       ]);
     }
     
+    // Hand any records that predate organizations to the first organization
+    const firstOrganization = await Organization.findOne({ order: [['id', 'ASC']] });
+    if (firstOrganization) {
+      await adoptUnscopedRecords(firstOrganization.id);
+    }
+
+    // Organizations created before the chart of accounts existed get the standard template
+    await runMigration('seed-chart-of-accounts', async (transaction) => {
+      const charted = await Account.findAll({
+        attributes: ['organization_id'],
+        where: { number: { [Sequelize.Op.ne]: null } },
+        group: ['organization_id'],
+        transaction
+      });
+      const chartedIds = charted.map(account => account.organization_id);
+      for (const organization of await Organization.findAll({ where: { id: { [Sequelize.Op.notIn]: chartedIds } }, transaction })) {
+        await seedChartOfAccounts(organization.id, transaction);
+      }
+    });
+
+    // Charts seeded before association dues existed lack the homeowner receivable and assessment income
+    await runMigration('association-accounts', async (transaction) => {
+      const charted = await Account.findAll({
+        attributes: ['organization_id'],
+        where: { number: { [Sequelize.Op.ne]: null } },
+        group: ['organization_id'],
+        transaction
+      });
+      for (const { organization_id: organizationId } of charted) {
+        for (const key of ['homeownerReceivable', 'assessmentIncome', 'specialAssessmentIncome']) {
+          await createTemplateAccount(organizationId, SYSTEM_ACCOUNTS[key], transaction);
+        }
+      }
+    });
+
+    // Minutes signatures used to digest the packet with names; move the ones that still match onto
+    // the id-based digest
+    await runMigration('minutes-digest-ids', async (transaction) => {
+      const meetingIds = (await MinutesSignature.findAll({ attributes: ['meeting_id'], group: ['meeting_id'], transaction }))
+        .map(signature => signature.meeting_id);
+      for (const meetingId of meetingIds) {
+        const meeting = await loadMeetingDetail(meetingId, transaction);
+        const packet = minutesPacket(meeting);
+        const legacyDigest = crypto.createHash('sha256').update(JSON.stringify(packet.content)).digest('hex');
+        await MinutesSignature.update(
+          { digest: packet.digest },
+          { where: { meeting_id: meetingId, digest: legacyDigest }, transaction }
+        );
+      }
+    });
+
+    // Turn the lease fields tenants carried before leases existed into leases. Tenants of the same
+    // unit with the same dates were sharing a lease, so they become co-tenants on one.
+    await runMigration('legacy-tenant-leases', async (transaction) => {
+      const tenantsWithoutLease = await Tenant.findAll({
+        where: {
+          unit_id: { [Sequelize.Op.ne]: null },
+          organization_id: { [Sequelize.Op.ne]: null },
+          id: { [Sequelize.Op.notIn]: sequelize.literal('(SELECT "tenant_id" FROM "LeaseTenants")') }
+        },
+        include: [Unit],
+        order: [['id', 'ASC']],
+        transaction
+      });
+      const legacyLeases = new Map();
+      for (const tenant of tenantsWithoutLease) {
+        const start = dateOnly(tenant.lease_start_date || tenant.createdAt);
+        const end = dateOnly(tenant.lease_end_date);
+        const key = `${tenant.unit_id}|${start}|${end}`;
+        const group = legacyLeases.get(key) || { tenant, start, end, tenantIds: [] };
+        group.tenantIds.push(tenant.id);
+        legacyLeases.set(key, group);
+      }
+      for (const { tenant, start, end, tenantIds } of legacyLeases.values()) {
+        const lease = await Lease.create({
+          organization_id: tenant.organization_id,
+          unit_id: tenant.unit_id,
+          start_date: start,
+          end_date: end,
+          rent: tenant.rent || (tenant.Unit && tenant.Unit.rent_amount) || 0,
+          status: end && end < dateOnly(new Date()) ? 'ended' : 'active'
+        }, { transaction });
+        await setLeaseTenants(lease, tenantIds, transaction);
+      }
+    });
+
+    // Work orders used to carry free-text statuses and priorities; map them onto the lifecycle
+    const legacyMaintenanceStatuses = { open: 'new', pending: 'new', 'in progress': 'in_progress', done: 'completed', complete: 'completed', resolved: 'completed', canceled: 'cancelled' };
+    const legacyMaintenance = await Maintenance.findAll({
+      where: {
+        [Sequelize.Op.or]: [
+          { status: { [Sequelize.Op.or]: [null, { [Sequelize.Op.notIn]: MAINTENANCE_STATUSES }] } },
+          { priority: { [Sequelize.Op.or]: [null, { [Sequelize.Op.notIn]: Object.keys(MAINTENANCE_SLA_HOURS) }] } },
+          { sla_due_at: null }
+        ]
+      }
+    });
+    for (const maintenance of legacyMaintenance) {
+      const status = String(maintenance.status || '').trim().toLowerCase().replace(/-/g, ' ');
+      const priority = String(maintenance.priority || '').trim().toLowerCase();
+      const values = {
+        status: MAINTENANCE_STATUSES.includes(status.replace(/ /g, '_')) ? status.replace(/ /g, '_') : legacyMaintenanceStatuses[status] || 'new',
+        priority: MAINTENANCE_SLA_HOURS[priority] ? priority : priority === 'urgent' ? 'emergency' : 'medium'
+      };
+      values.sla_due_at = maintenance.sla_due_at || maintenanceSlaDueAt(values.priority, maintenance.createdAt);
+      await Maintenance.update(values, { where: { id: maintenance.id } });
+    }
+
+    // Associations used to carry a single fee; bill it as regular monthly dues from this month on
+    await runMigration('association-fee-dues', async (transaction) => {
+      const associationsWithFee = await Association.findAll({
+        where: { fee: { [Sequelize.Op.gt]: 0 }, assessment_amount: null },
+        transaction
+      });
+      for (const association of associationsWithFee) {
+        await association.update({
+          assessment_amount: association.fee,
+          assessment_due_day: association.due_date ? new Date(association.due_date).getUTCDate() : 1,
+          assessment_start_date: `${formatReportDate(new Date()).slice(0, 7)}-01`
+        }, { transaction });
+      }
+    });
+
+    // Photos used to be stored inline as base64 data URIs; move them into file storage. One that
+    // can't be decoded keeps its data URI and records why.
+    await runMigration('inline-photos-to-storage', async (transaction) => {
+      const inlinePhotos = await Photo.findAll({
+        attributes: ['id'],
+        where: { url: { [Sequelize.Op.like]: 'data:%' } },
+        transaction
+      });
+      for (const { id } of inlinePhotos) {
+        const photo = await Photo.findByPk(id, { transaction });
+        try {
+          await photo.update({ ...(await storePhotoFile(decodeDataUri(photo.getDataValue('url')))), url: null }, { transaction });
+        } catch (error) {
+          console.error(`Could not move photo ${id} to file storage:`, error.message);
+          await photo.update({ storage_error: error.message.slice(0, 255) }, { transaction });
+        }
+      }
+    });
+
+    // Give transactions recorded before the general ledger existed their journal entry
+    const unpostedTransactions = await Transaction.findAll({
+      where: { journalEntryId: null },
+      include: [Account]
+    });
+    for (const record of unpostedTransactions) {
+      if (!record.Account || !record.Account.organization_id || toCents(record.amount) === 0) {
+        continue;
+      }
+      const t = await sequelize.transaction();
+      try {
+        await updateRecordedTransaction(record, record.toJSON(), record.Account.organization_id, t);
+        await t.commit();
+      } catch (error) {
+        await t.rollback();
+        console.error(`Could not post transaction ${record.id} to the journal:`, error.message);
+      }
+    }
   } catch (error) {
     console.error('Database synchronization error:', error);
   }
 };
 
-// Initialize database and seed data
-syncModels();
+// Tests require this file for its helpers; only running it starts the server
+if (require.main === module) {
+  // Initialize database and seed data, then start background jobs and take requests
+  syncModels().then(() => {
+    startScheduler();
+
+    const PORT = process.env.PORT || 3001;
+    app.listen(PORT, () => {
+      console.log(`Server is running on port ${PORT}`);
+    });
+  });
+}
 
-// Start server
-const PORT = process.env.PORT || 3001;
-app.listen(PORT, () => {
-  console.log(`Server is running on port ${PORT}`);
-});
\ No newline at end of file
+module.exports = {
+  app,
+  lateFeeDue,
+  parseCsv,
+  parseBankDate,
+  parseBankAmount,
+  parseBankCsv,
+  parseOfx,
+  nextScheduleOccurrence,
+  plannedOccurrences,
+  assessmentPeriods,
+  tallyVotes,
+  minutesPacket
+};
@@ -0,0 +1,38 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { assessmentPeriods } = require('./load-server');
+
+const association = (values) => ({ assessment_frequency: 'monthly', assessment_due_day: 1, ...values });
+const on = (date) => new Date(`${date}T12:00:00.000Z`);
+
+describe('assessmentPeriods', () => {
+  it('is empty until assessments have a start date', () => {
+    assert.deepEqual(assessmentPeriods(association({ assessment_start_date: null }), on('2026-06-01')), []);
+  });
+
+  it('assesses each month from the start month through today', () => {
+    const periods = assessmentPeriods(association({ assessment_start_date: '2026-01-15', assessment_due_day: 10 }), on('2026-03-01'));
+    assert.deepEqual(periods, [
+      { period: '2026-01', assess_date: '2026-01-01', due_date: '2026-01-10' },
+      { period: '2026-02', assess_date: '2026-02-01', due_date: '2026-02-10' },
+      { period: '2026-03', assess_date: '2026-03-01', due_date: '2026-03-10' }
+    ]);
+  });
+
+  it('leaves out a period that has not started yet', () => {
+    assert.deepEqual(assessmentPeriods(association({ assessment_start_date: '2026-01-01' }), on('2026-02-28')).map(p => p.period), ['2026-01', '2026-02']);
+    assert.deepEqual(assessmentPeriods(association({ assessment_start_date: '2026-07-01' }), on('2026-06-30')), []);
+  });
+
+  it('steps by quarter or year, across years', () => {
+    const quarterly = assessmentPeriods(association({ assessment_frequency: 'quarterly', assessment_start_date: '2025-11-01' }), on('2026-08-15'));
+    assert.deepEqual(quarterly.map(p => p.period), ['2025-11', '2026-02', '2026-05', '2026-08']);
+    const annual = assessmentPeriods(association({ assessment_frequency: 'annually', assessment_start_date: '2024-03-01' }), on('2026-03-01'));
+    assert.deepEqual(annual.map(p => p.period), ['2024-03', '2025-03', '2026-03']);
+  });
+
+  it('moves a due day past the end of a short month to its last day', () => {
+    const periods = assessmentPeriods(association({ assessment_start_date: '2024-01-01', assessment_due_day: 31 }), on('2024-04-01'));
+    assert.deepEqual(periods.map(p => p.due_date), ['2024-01-31', '2024-02-29', '2024-03-31', '2024-04-30']);
+  });
+});
@@ -0,0 +1,162 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCsv, parseBankDate, parseBankAmount, parseBankCsv, parseOfx } = require('./load-server');
+
+describe('parseCsv', () => {
+  it('splits rows and fields', () => {
+    assert.deepEqual(parseCsv('a,b,c\n1,2,3'), [['a', 'b', 'c'], ['1', '2', '3']]);
+  });
+
+  it('keeps commas, doubled quotes and newlines inside quoted fields', () => {
+    assert.deepEqual(parseCsv('"Smith, J","say ""hi""","two\nlines"\n'), [['Smith, J', 'say "hi"', 'two\nlines']]);
+  });
+
+  it('handles CRLF line endings and drops blank lines', () => {
+    assert.deepEqual(parseCsv('a,b\r\n\r\n1,2\r\n,\r\n'), [['a', 'b'], ['1', '2']]);
+  });
+
+  it('keeps empty fields', () => {
+    assert.deepEqual(parseCsv('1,,3'), [['1', '', '3']]);
+  });
+});
+
+describe('parseBankDate', () => {
+  it('reads ISO dates whatever the format asked for', () => {
+    assert.equal(parseBankDate('2026-03-05'), '2026-03-05');
+    assert.equal(parseBankDate('2026-3-5', 'DD/MM/YYYY'), '2026-03-05');
+    assert.equal(parseBankDate('2026-03-05T10:00:00'), '2026-03-05');
+  });
+
+  it('reads US dates by default and day-first dates when asked', () => {
+    assert.equal(parseBankDate('03/05/2026'), '2026-03-05');
+    assert.equal(parseBankDate('03/05/2026', 'DD/MM/YYYY'), '2026-05-03');
+    assert.equal(parseBankDate('3.5.2026', 'DD/MM/YYYY'), '2026-05-03');
+  });
+
+  it('puts two-digit years in this century', () => {
+    assert.equal(parseBankDate('12/31/25'), '2025-12-31');
+  });
+
+  it('accepts the last day of each month and leap days', () => {
+    assert.equal(parseBankDate('01/31/2026'), '2026-01-31');
+    assert.equal(parseBankDate('04/30/2026'), '2026-04-30');
+    assert.equal(parseBankDate('02/29/2024'), '2024-02-29');
+  });
+
+  it('rejects days past the end of the month', () => {
+    assert.equal(parseBankDate('02/29/2026'), null);
+    assert.equal(parseBankDate('02/30/2026'), null);
+    assert.equal(parseBankDate('04/31/2026'), null);
+    assert.equal(parseBankDate('31/04/2026', 'DD/MM/YYYY'), null);
+  });
+
+  it('rejects months and text that are not dates', () => {
+    assert.equal(parseBankDate('13/01/2026'), null);
+    assert.equal(parseBankDate('yesterday'), null);
+    assert.equal(parseBankDate(''), null);
+    assert.equal(parseBankDate(undefined), null);
+  });
+});
+
+describe('parseBankAmount', () => {
+  it('reads plain and signed amounts', () => {
+    assert.equal(parseBankAmount('12.50'), 12.5);
+    assert.equal(parseBankAmount('-12.50'), -12.5);
+    assert.equal(parseBankAmount('$-12.00'), -12);
+    assert.equal(parseBankAmount('1,234.50'), 1234.5);
+  });
+
+  it('treats parentheses and trailing minus signs as negative', () => {
+    assert.equal(parseBankAmount('(1,234.50)'), -1234.5);
+    assert.equal(parseBankAmount('45.00-'), -45);
+  });
+
+  it('reads decimal commas', () => {
+    assert.equal(parseBankAmount('1.234,50'), 1234.5);
+    assert.equal(parseBankAmount('1.234,50-'), -1234.5);
+    assert.equal(parseBankAmount('12,50'), 12.5);
+  });
+
+  it('returns null for blanks and text', () => {
+    assert.equal(parseBankAmount(''), null);
+    assert.equal(parseBankAmount('  '), null);
+    assert.equal(parseBankAmount(null), null);
+    assert.equal(parseBankAmount('n/a'), null);
+  });
+});
+
+describe('parseBankCsv', () => {
+  it('guesses the columns from the header', () => {
+    const lines = parseBankCsv('Posted Date,Description,Amount,Transaction ID\n03/01/2026,Rent deposit,"1,200.00",T1\n03/02/2026,Plumber,(85.00),T2\n');
+    assert.deepEqual(lines, [
+      { bank_transaction_id: 'T1', date: '2026-03-01', amount: 1200, description: 'Rent deposit', memo: '' },
+      { bank_transaction_id: 'T2', date: '2026-03-02', amount: -85, description: 'Plumber', memo: '' }
+    ]);
+  });
+
+  it('combines debit and credit columns into a signed amount', () => {
+    const lines = parseBankCsv('Date,Payee,Withdrawals,Deposits\n2026-03-01,Rent,,1000\n2026-03-02,Water,42.10,\n');
+    assert.deepEqual(lines.map(line => line.amount), [1000, -42.1]);
+  });
+
+  it('follows a mapping by header name or column index, without a header row', () => {
+    const named = parseBankCsv('When,What,How much\n05/03/2026,Fee,-3.00\n', { date: 'When', description: 'What', amount: 'How much' }, 'DD/MM/YYYY');
+    assert.equal(named[0].date, '2026-03-05');
+    assert.equal(named[0].amount, -3);
+
+    const indexed = parseBankCsv('2026-03-05,Fee,-3.00\n', { has_header: false, date: 0, description: '1', amount: 2 });
+    assert.equal(indexed[0].description, 'Fee');
+    assert.equal(indexed[0].amount, -3);
+  });
+
+  it('gives identical rows without a bank id different, repeatable ids', () => {
+    const text = 'Date,Description,Amount\n2026-03-01,Coffee,-4.00\n2026-03-01,Coffee,-4.00\n';
+    const [first, second] = parseBankCsv(text);
+    assert.notEqual(first.bank_transaction_id, second.bank_transaction_id);
+    assert.match(first.bank_transaction_id, /^csv:[0-9a-f]{32}$/);
+    assert.deepEqual(parseBankCsv(text).map(line => line.bank_transaction_id), [first.bank_transaction_id, second.bank_transaction_id]);
+  });
+
+  it('rejects files it cannot read with a 400', () => {
+    const rejects = (text, mapping, message) => assert.throws(() => parseBankCsv(text, mapping), (error) => {
+      assert.equal(error.status, 400);
+      assert.match(error.message, message);
+      return true;
+    });
+    rejects('', {}, /no rows/);
+    rejects('Description,Memo\nRent,March\n', {}, /Map the date column/);
+    rejects('Date,Amount\n2026-03-01,10\n', { amount: 'Total' }, /Column "Total" not found/);
+    rejects('Date,Amount\n2026-03-01,10\n02/30/2026,5\n', {}, /Row 3 has an unreadable date or amount/);
+  });
+});
+
+describe('parseOfx', () => {
+  it('reads SGML statements with unclosed tags', () => {
+    const ofx = [
+      'OFXHEADER:100',
+      '<OFX><BANKTRANLIST>',
+      '<STMTTRN><TRNTYPE>CREDIT<DTPOSTED>20260301120000<TRNAMT>1200.00<FITID>A1<NAME>Rent deposit<MEMO>Unit 2',
+      '<STMTTRN><TRNTYPE>DEBIT<DTPOSTED>20260302<TRNAMT>-85.00<FITID>A2<PAYEE>Plumber',
+      '</BANKTRANLIST></OFX>'
+    ].join('\r\n');
+    assert.deepEqual(parseOfx(ofx), [
+      { bank_transaction_id: 'A1', date: '2026-03-01', amount: 1200, description: 'Rent deposit', memo: 'Unit 2' },
+      { bank_transaction_id: 'A2', date: '2026-03-02', amount: -85, description: 'Plumber', memo: '' }
+    ]);
+  });
+
+  it('reads XML statements and hashes transactions without a FITID', () => {
+    const ofx = '<OFX><STMTTRN><DTPOSTED>20260331</DTPOSTED><TRNAMT>-9.99</TRNAMT><MEMO>Bank fee</MEMO></STMTTRN></OFX>';
+    const [line] = parseOfx(ofx);
+    assert.equal(line.date, '2026-03-31');
+    assert.equal(line.amount, -9.99);
+    assert.equal(line.description, 'Bank fee');
+    assert.match(line.bank_transaction_id, /^ofx:[0-9a-f]{32}$/);
+    assert.equal(parseOfx(ofx)[0].bank_transaction_id, line.bank_transaction_id);
+  });
+
+  it('rejects files without transactions or with unreadable ones', () => {
+    assert.throws(() => parseOfx('<OFX></OFX>'), { status: 400, message: 'No transactions found in the OFX file' });
+    assert.throws(() => parseOfx('<STMTTRN><DTPOSTED>20260231<TRNAMT>5.00'), { status: 400, message: 'OFX transaction 1 has an unreadable date or amount' });
+  });
+});
@@ -0,0 +1,118 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { tallyVotes, minutesPacket } = require('./load-server');
+
+const motion = (threshold, quorum, votes) => ({ threshold, quorum, votes: votes.map(vote => ({ vote })) });
+
+describe('tallyVotes', () => {
+  it('counts each kind of vote', () => {
+    assert.deepEqual(tallyVotes(motion('majority', 3, ['yes', 'no', 'abstain', 'yes'])), {
+      yes: 2, no: 1, abstain: 1, cast: 4, quorum: 3, quorum_met: true, passing: true
+    });
+  });
+
+  it('needs more yes than no votes for a majority', () => {
+    assert.equal(tallyVotes(motion('majority', 1, ['yes', 'no'])).passing, false);
+    assert.equal(tallyVotes(motion('majority', 1, ['yes', 'yes', 'no'])).passing, true);
+  });
+
+  it('needs at least two thirds of the yes and no votes for two_thirds', () => {
+    assert.equal(tallyVotes(motion('two_thirds', 1, ['yes', 'yes', 'no'])).passing, true);
+    assert.equal(tallyVotes(motion('two_thirds', 1, ['yes', 'yes', 'no', 'no'])).passing, false);
+    assert.equal(tallyVotes(motion('two_thirds', 1, ['abstain'])).passing, false);
+  });
+
+  it('lets abstentions through a unanimous vote but not a single no', () => {
+    assert.equal(tallyVotes(motion('unanimous', 1, ['yes', 'yes', 'abstain'])).passing, true);
+    assert.equal(tallyVotes(motion('unanimous', 1, ['yes', 'yes', 'no'])).passing, false);
+  });
+
+  it('counts abstentions toward quorum and fails without one', () => {
+    const short = tallyVotes(motion('majority', 4, ['yes', 'yes', 'abstain']));
+    assert.equal(short.quorum_met, false);
+    assert.equal(short.passing, false);
+    assert.equal(tallyVotes(motion('majority', 3, ['yes', 'yes', 'abstain'])).quorum_met, true);
+  });
+
+  it('handles a motion nobody has voted on', () => {
+    assert.deepEqual(tallyVotes({ threshold: 'majority', quorum: 2 }), {
+      yes: 0, no: 0, abstain: 0, cast: 0, quorum: 2, quorum_met: false, passing: false
+    });
+  });
+});
+
+describe('minutesPacket', () => {
+  const member = (id, name) => ({ id, name });
+  const alice = member(1, 'Alice');
+  const bob = member(2, 'Bob');
+  const carol = member(3, 'Carol');
+  const meeting = (overrides = {}) => ({
+    id: 7,
+    association_id: 4,
+    Association: { name: 'Maple Court HOA' },
+    title: 'Spring meeting',
+    meeting_type: 'regular',
+    scheduled_at: new Date('2026-04-02T18:00:00.000Z'),
+    location: 'Clubhouse',
+    status: 'held',
+    minutes: 'Budget approved.',
+    agenda: [{ position: 1, title: 'Budget', description: null }],
+    attendance: [
+      { board_member_id: 1, present: true, BoardMember: alice },
+      { board_member_id: 2, present: true, BoardMember: bob },
+      { board_member_id: 3, present: false, BoardMember: carol }
+    ],
+    motions: [{
+      id: 11,
+      title: 'Adopt budget',
+      description: null,
+      moved_by: 1,
+      seconded_by: 2,
+      mover: alice,
+      seconder: bob,
+      threshold: 'majority',
+      quorum: 2,
+      status: 'passed',
+      yes_count: 2,
+      no_count: 0,
+      abstain_count: 0,
+      decided_at: new Date('2026-04-02T19:00:00.000Z'),
+      votes: [{ board_member_id: 2, vote: 'yes', BoardMember: bob }, { board_member_id: 1, vote: 'yes', BoardMember: alice }]
+    }],
+    ...overrides
+  });
+
+  it('lists the roll call and motions by name', () => {
+    const { content, digest } = minutesPacket(meeting());
+    assert.equal(content.association, 'Maple Court HOA');
+    assert.deepEqual(content.attendance, { present: ['Alice', 'Bob'], absent: ['Carol'], quorum_present: true });
+    assert.equal(content.motions[0].moved_by, 'Alice');
+    assert.deepEqual(content.motions[0].votes, [{ member: 'Alice', vote: 'yes' }, { member: 'Bob', vote: 'yes' }]);
+    assert.match(digest, /^[0-9a-f]{64}$/);
+  });
+
+  it('has a quorum only when a majority of the board is present', () => {
+    const attendance = meeting().attendance.map(attendee => ({ ...attendee, present: attendee.board_member_id === 1 }));
+    assert.equal(minutesPacket(meeting({ attendance })).content.attendance.quorum_present, false);
+  });
+
+  it('keeps the digest when names change or rows load in another order', () => {
+    const { digest } = minutesPacket(meeting());
+    const renamed = meeting({ Association: { name: 'Maple Court Owners' } });
+    renamed.attendance[0].BoardMember = member(1, 'Alice Smith');
+    assert.equal(minutesPacket(renamed).digest, digest);
+
+    const reordered = meeting();
+    reordered.attendance.reverse();
+    reordered.motions[0].votes.reverse();
+    assert.equal(minutesPacket(reordered).digest, digest);
+  });
+
+  it('changes the digest when the minutes or a vote change', () => {
+    const { digest } = minutesPacket(meeting());
+    assert.notEqual(minutesPacket(meeting({ minutes: 'Budget tabled.' })).digest, digest);
+    const changed = meeting();
+    changed.motions[0].votes[0] = { ...changed.motions[0].votes[0], vote: 'no' };
+    assert.notEqual(minutesPacket(changed).digest, digest);
+  });
+});
@@ -0,0 +1,33 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { lateFeeDue } = require('./load-server');
+
+const policy = (values) => ({ amount: null, percent: null, grace_days: 5, max_amount: null, ...values });
+
+describe('lateFeeDue', () => {
+  it('charges a flat fee whatever the rent or days late', () => {
+    assert.equal(lateFeeDue(policy({ fee_type: 'flat', amount: '50.00' }), { amount: '1200.00' }, 6), 5000);
+    assert.equal(lateFeeDue(policy({ fee_type: 'flat', amount: '50.00' }), { amount: '300.00' }, 40), 5000);
+  });
+
+  it('takes a percentage of the rent charge, rounded to the cent', () => {
+    assert.equal(lateFeeDue(policy({ fee_type: 'percent', percent: '5' }), { amount: '1200.00' }, 6), 6000);
+    assert.equal(lateFeeDue(policy({ fee_type: 'percent', percent: '2.5' }), { amount: '999.99' }, 6), 2500);
+    assert.equal(lateFeeDue(policy({ fee_type: 'percent', percent: '3' }), { amount: '1234.56' }, 6), 3704);
+  });
+
+  it('accrues a daily fee from the first day after the grace period', () => {
+    const daily = policy({ fee_type: 'daily', amount: '10.00', grace_days: 5 });
+    assert.equal(lateFeeDue(daily, { amount: '1000.00' }, 6), 1000);
+    assert.equal(lateFeeDue(daily, { amount: '1000.00' }, 10), 5000);
+    assert.equal(lateFeeDue({ ...daily, grace_days: 0 }, { amount: '1000.00' }, 1), 1000);
+  });
+
+  it('caps the fee at the maximum amount', () => {
+    const daily = policy({ fee_type: 'daily', amount: '10.00', grace_days: 5, max_amount: '75.00' });
+    assert.equal(lateFeeDue(daily, { amount: '1000.00' }, 12), 7000);
+    assert.equal(lateFeeDue(daily, { amount: '1000.00' }, 13), 7500);
+    assert.equal(lateFeeDue(daily, { amount: '1000.00' }, 60), 7500);
+    assert.equal(lateFeeDue(policy({ fee_type: 'percent', percent: '10', max_amount: '50.00' }), { amount: '1200.00' }, 6), 5000);
+  });
+});
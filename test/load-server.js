@@ -0,0 +1,6 @@
+// Loads server.js for its helpers without starting it. Nothing connects to the database until a
+// query runs, so the helpers tested here work with a placeholder connection string.
+process.env.DB_CONNECTION_STRING = process.env.DB_CONNECTION_STRING || 'postgres://localhost/unused';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test_jwt_secret';
+
+module.exports = require('../server');
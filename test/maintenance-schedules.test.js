@@ -0,0 +1,73 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { nextScheduleOccurrence, plannedOccurrences } = require('./load-server');
+
+const schedule = (values) => ({ interval: 1, months: null, day_of_month: 1, end_date: null, ...values });
+
+describe('nextScheduleOccurrence', () => {
+  it('starts on the start date', () => {
+    assert.equal(nextScheduleOccurrence(schedule({ frequency: 'days', interval: 7, start_date: '2026-03-04' })), '2026-03-04');
+    assert.equal(nextScheduleOccurrence(schedule({ frequency: 'months', start_date: '2026-03-04' }), '2026-01-01'), '2026-03-04');
+  });
+
+  it('steps every interval days from the start date', () => {
+    const weekly = schedule({ frequency: 'days', interval: 7, start_date: '2026-01-01' });
+    assert.equal(nextScheduleOccurrence(weekly, '2026-01-01'), '2026-01-08');
+    assert.equal(nextScheduleOccurrence(weekly, '2026-01-09'), '2026-01-15');
+    assert.equal(nextScheduleOccurrence(weekly, '2026-12-31'), '2027-01-07');
+  });
+
+  it('keeps the start day in shorter months without drifting', () => {
+    const monthly = schedule({ frequency: 'months', start_date: '2026-01-31' });
+    assert.equal(nextScheduleOccurrence(monthly, '2026-01-31'), '2026-02-28');
+    assert.equal(nextScheduleOccurrence(monthly, '2026-02-28'), '2026-03-31');
+    assert.equal(nextScheduleOccurrence(monthly, '2026-03-31'), '2026-04-30');
+    assert.equal(nextScheduleOccurrence(schedule({ frequency: 'months', start_date: '2024-01-31' }), '2024-01-31'), '2024-02-29');
+  });
+
+  it('steps every interval months, across years', () => {
+    const quarterly = schedule({ frequency: 'months', interval: 3, start_date: '2026-01-10' });
+    assert.equal(nextScheduleOccurrence(quarterly, '2026-01-10'), '2026-04-10');
+    assert.equal(nextScheduleOccurrence(quarterly, '2026-04-15'), '2026-07-10');
+    assert.equal(nextScheduleOccurrence(quarterly, '2026-11-01'), '2027-01-10');
+  });
+
+  it('picks the next listed month for seasonal tasks', () => {
+    const seasonal = schedule({ frequency: 'months_of_year', months: [4, 10], day_of_month: 31, start_date: '2026-01-01' });
+    assert.equal(nextScheduleOccurrence(seasonal), '2026-04-30');
+    assert.equal(nextScheduleOccurrence(seasonal, '2026-04-30'), '2026-10-31');
+    assert.equal(nextScheduleOccurrence(seasonal, '2026-10-31'), '2027-04-30');
+  });
+
+  it('returns null past the end date', () => {
+    const weekly = schedule({ frequency: 'days', interval: 7, start_date: '2026-01-01', end_date: '2026-01-15' });
+    assert.equal(nextScheduleOccurrence(weekly, '2026-01-08'), '2026-01-15');
+    assert.equal(nextScheduleOccurrence(weekly, '2026-01-15'), null);
+  });
+});
+
+describe('plannedOccurrences', () => {
+  const weekly = schedule({ frequency: 'days', interval: 7, start_date: '2026-01-01', next_due_date: '2026-01-08', snoozed_until: null });
+
+  it('lists the occurrences within the range', () => {
+    assert.deepEqual(plannedOccurrences(weekly, '2026-01-10', '2026-01-31').map(entry => entry.date), ['2026-01-15', '2026-01-22', '2026-01-29']);
+  });
+
+  it('moves only the next occurrence to its snoozed date, in date order', () => {
+    const snoozed = { ...weekly, snoozed_until: '2026-01-20' };
+    assert.deepEqual(plannedOccurrences(snoozed, '2026-01-01', '2026-01-28'), [
+      { date: '2026-01-15', occurrence: '2026-01-15', snoozed: false },
+      { date: '2026-01-20', occurrence: '2026-01-08', snoozed: true },
+      { date: '2026-01-22', occurrence: '2026-01-22', snoozed: false }
+    ]);
+  });
+
+  it('stops at the limit and when the schedule ends', () => {
+    assert.equal(plannedOccurrences(weekly, '0000-01-01', '9999-12-31', 5).length, 5);
+    assert.equal(plannedOccurrences({ ...weekly, end_date: '2026-01-22' }, '0000-01-01', '9999-12-31').length, 3);
+  });
+
+  it('is empty for a schedule with nothing due', () => {
+    assert.deepEqual(plannedOccurrences({ ...weekly, next_due_date: null }, '2026-01-01', '2026-12-31'), []);
+  });
+});
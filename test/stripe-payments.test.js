@@ -0,0 +1,277 @@
+// Online rent payments end to end: the server runs against a scratch database and a local stand-in
+// for the Stripe API, and webhook events are signed the way Stripe signs them.
+//
+//   TEST_DB_CONNECTION_STRING=postgres://... npm test
+//
+// The database is synced by the server on startup; point it at one you don't mind writing to.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const path = require('path');
+const { spawn } = require('child_process');
+const stripe = require('stripe')('sk_test_dummy');
+
+const DB_CONNECTION_STRING = process.env.TEST_DB_CONNECTION_STRING;
+const WEBHOOK_SECRET = 'whsec_test_secret';
+
+// Answers the PaymentIntent calls the server makes and remembers what it was sent. Intent ids are
+// unique per run, since payments from earlier runs stay in the database.
+const startStripeStub = () => new Promise((resolve) => {
+  const requests = [];
+  const run = Date.now();
+  let next = 0;
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const params = new URLSearchParams(body);
+      requests.push({ method: req.method, path: req.url, params, idempotencyKey: req.headers['idempotency-key'] });
+      res.setHeader('Content-Type', 'application/json');
+      if (req.method === 'POST' && req.url === '/v1/payment_intents') {
+        next += 1;
+        const id = `pi_test_${run}_${next}`;
+        return res.end(JSON.stringify({
+          id,
+          object: 'payment_intent',
+          amount: Number(params.get('amount')),
+          currency: params.get('currency'),
+          status: 'requires_payment_method',
+          client_secret: `${id}_secret_test`
+        }));
+      }
+      res.statusCode = 404;
+      res.end(JSON.stringify({ error: { type: 'invalid_request_error', message: `No stub for ${req.method} ${req.url}` } }));
+    });
+  });
+  server.listen(0, () => resolve({ server, requests, port: server.address().port }));
+});
+
+const freePort = () => new Promise((resolve, reject) => {
+  const server = http.createServer();
+  server.on('error', reject);
+  server.listen(0, () => {
+    const { port } = server.address();
+    server.close(() => resolve(port));
+  });
+});
+
+// The server only starts listening once the schema is synced and migrations have run
+const startServer = (port, stripePort) => new Promise((resolve, reject) => {
+  const child = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+    env: {
+      ...process.env,
+      PORT: String(port),
+      DB_CONNECTION_STRING,
+      JWT_SECRET: 'test_jwt_secret',
+      STRIPE_SECRET_KEY: 'sk_test_dummy',
+      STRIPE_WEBHOOK_SECRET: WEBHOOK_SECRET,
+      STRIPE_API_HOST: 'localhost',
+      STRIPE_API_PORT: String(stripePort),
+      STRIPE_API_PROTOCOL: 'http'
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  let output = '';
+  const timer = setTimeout(() => {
+    child.kill();
+    reject(new Error(`Server did not finish starting:\n${output}`));
+  }, 60000);
+  const collect = (chunk) => {
+    output += chunk;
+    if (output.includes('Database synchronization error')) {
+      clearTimeout(timer);
+      child.kill();
+      reject(new Error(`Server could not sync the database:\n${output}`));
+    } else if (output.includes(`Server is running on port ${port}`)) {
+      clearTimeout(timer);
+      resolve(child);
+    }
+  };
+  child.stdout.on('data', collect);
+  child.stderr.on('data', collect);
+  child.on('exit', (code) => {
+    clearTimeout(timer);
+    reject(new Error(`Server exited with ${code}:\n${output}`));
+  });
+});
+
+describe('Stripe rent payments', { skip: !DB_CONNECTION_STRING && 'TEST_DB_CONNECTION_STRING is not set' }, () => {
+  let stub;
+  let server;
+  let baseUrl;
+  let token;
+  let tenantId;
+  let leaseId;
+
+  const api = async (method, url, body) => {
+    const response = await fetch(`${baseUrl}/api${url}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  const postEvent = async (payload, signature = stripe.webhooks.generateTestHeaderString({ payload, secret: WEBHOOK_SECRET })) => {
+    const response = await fetch(`${baseUrl}/api/webhooks/stripe`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Stripe-Signature': signature },
+      body: payload
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  const eventPayload = (id, type, object) => JSON.stringify({ id, object: 'event', type, data: { object } });
+
+  const payment = async (id) => (await api('GET', '/payments')).body.find(p => p.id === id);
+  const balance = async () => (await api('GET', `/tenants/${tenantId}/ledger`)).body.balance;
+
+  before(async () => {
+    stub = await startStripeStub();
+    const port = await freePort();
+    baseUrl = `http://localhost:${port}`;
+    server = await startServer(port, stub.port);
+
+    const email = `stripe-test-${Date.now()}@example.com`;
+    const signup = await fetch(`${baseUrl}/api/auth/signup`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ email, password: 'password123', name: 'Stripe Test' })
+    });
+    assert.equal(signup.status, 201);
+    token = (await signup.json()).accessToken;
+
+    const property = await api('POST', '/properties', {
+      name: 'Test Property',
+      property_type: 'residential',
+      status: 'active',
+      value: 0,
+      addresses: [{ street: '1 Main St', city: 'Springfield', state: 'IL', zip: '62701' }]
+    });
+    assert.equal(property.status, 201);
+    const unit = await api('POST', '/units', { address_id: property.body.addresses[0].id, unit_number: '1', rent_amount: 1000 });
+    assert.equal(unit.status, 201);
+
+    // The lease starts next year so no rent comes due while the tests run
+    const start = `${new Date().getFullYear() + 1}-01-01`;
+    const tenant = await api('POST', '/tenants', { name: 'Pat Tenant', email: `tenant-${Date.now()}@example.com`, unit_id: unit.body.id, lease_start_date: start, rent: 1000 });
+    assert.equal(tenant.status, 201);
+    tenantId = tenant.body.id;
+    leaseId = (await api('GET', `/leases?unit_id=${unit.body.id}`)).body[0].id;
+
+    const fee = await api('POST', '/charges', { lease_id: leaseId, type: 'fee', amount: 100, description: 'Key replacement' });
+    assert.equal(fee.status, 201);
+  });
+
+  after(async () => {
+    if (server) {
+      const exited = new Promise(resolve => server.once('exit', resolve));
+      server.kill();
+      await exited;
+    }
+    if (stub) {
+      await new Promise(resolve => stub.server.close(resolve));
+    }
+  });
+
+  it('creates a PaymentIntent for part of the open balance', async () => {
+    const { status, body } = await api('POST', '/payments/intents', { tenant_id: tenantId, lease_id: leaseId, amount: 60 });
+    assert.equal(status, 201);
+    assert.match(body.client_secret, /^pi_test_\d+_\d+_secret_test$/);
+    assert.equal(body.payment.status, 'pending');
+
+    const sent = stub.requests.at(-1);
+    assert.equal(sent.path, '/v1/payment_intents');
+    assert.equal(sent.params.get('amount'), '6000');
+    assert.equal(sent.params.get('currency'), 'usd');
+    assert.equal(sent.params.get('metadata[payment_id]'), String(body.payment.id));
+    assert.equal(sent.idempotencyKey, `payment-${body.payment.id}`);
+  });
+
+  it('refuses more than the open balance without calling Stripe', async () => {
+    const calls = stub.requests.length;
+    const { status } = await api('POST', '/payments/intents', { tenant_id: tenantId, lease_id: leaseId, amount: 1000 });
+    assert.equal(status, 400);
+    assert.equal(stub.requests.length, calls);
+  });
+
+  it('rejects events with a bad signature', async () => {
+    const payload = eventPayload('evt_forged', 'payment_intent.succeeded', { id: 'pi_test_forged' });
+    const { status } = await postEvent(payload, 't=1,v1=forged');
+    assert.equal(status, 400);
+  });
+
+  it('settles a payment once when a succeeded event is delivered again', async () => {
+    const intent = await api('POST', '/payments/intents', { tenant_id: tenantId, lease_id: leaseId, amount: 25 });
+    const { id, stripe_payment_intent_id: intentId } = intent.body.payment;
+    const before = await balance();
+
+    const payload = eventPayload(`evt_${intentId}_succeeded`, 'payment_intent.succeeded', { id: intentId, object: 'payment_intent', status: 'succeeded' });
+    assert.equal((await postEvent(payload)).status, 200);
+    const settled = await payment(id);
+    assert.equal(settled.status, 'succeeded');
+    assert.ok(settled.transactionId);
+    assert.equal(await balance(), before - 25);
+
+    // Stripe redelivers with a fresh signature; the payment and the ledger stay as they were
+    assert.equal((await postEvent(payload)).status, 200);
+    const replayed = await payment(id);
+    assert.equal(replayed.status, 'succeeded');
+    assert.equal(replayed.transactionId, settled.transactionId);
+    assert.equal(await balance(), before - 25);
+
+    // A failure that arrives late doesn't undo the payment
+    const late = eventPayload(`evt_${intentId}_failed`, 'payment_intent.payment_failed', { id: intentId, object: 'payment_intent', last_payment_error: { message: 'Card declined' } });
+    assert.equal((await postEvent(late)).status, 200);
+    assert.equal((await payment(id)).status, 'succeeded');
+  });
+
+  it('marks a payment failed without touching the balance', async () => {
+    const intent = await api('POST', '/payments/intents', { tenant_id: tenantId, lease_id: leaseId, amount: 10 });
+    const { id, stripe_payment_intent_id: intentId } = intent.body.payment;
+    const before = await balance();
+
+    const payload = eventPayload(`evt_${intentId}_failed`, 'payment_intent.payment_failed', {
+      id: intentId,
+      object: 'payment_intent',
+      status: 'requires_payment_method',
+      last_payment_error: { message: 'Your card was declined.' }
+    });
+    assert.equal((await postEvent(payload)).status, 200);
+    const failed = await payment(id);
+    assert.equal(failed.status, 'failed');
+    assert.equal(failed.failure_message, 'Your card was declined.');
+    assert.equal(failed.transactionId, null);
+    assert.equal(await balance(), before);
+
+    assert.equal((await postEvent(payload)).status, 200);
+    assert.equal((await payment(id)).status, 'failed');
+  });
+
+  it('records a payment made by hand as received, whatever status the body claims', async () => {
+    const before = await balance();
+    const { status, body } = await api('POST', '/payments', {
+      tenant_id: tenantId,
+      lease_id: leaseId,
+      amount: 5,
+      payment_method: 'check',
+      reference: '1042',
+      status: 'pending',
+      stripe_payment_intent_id: 'pi_forged',
+      refunded_amount: 5
+    });
+    assert.equal(status, 201);
+    assert.equal(body.status, 'succeeded');
+    assert.equal(body.reference, '1042');
+    assert.equal(body.stripe_payment_intent_id, null);
+    assert.equal(Number(body.refunded_amount), 0);
+    assert.ok(body.transactionId);
+    assert.equal(await balance(), before - 5);
+  });
+
+  it('acknowledges event types it does not handle', async () => {
+    const { status, body } = await postEvent(eventPayload('evt_customer', 'customer.created', { id: 'cus_test' }));
+    assert.equal(status, 200);
+    assert.equal(body.ignored, true);
+  });
+});